@@ -1,8 +1,10 @@
 // Compact Activity Submission Flex Message Generator
 const https = require('https');
+const { t, formatNumber } = require('./utils/i18n');
+const { DEFAULT_TIMEZONE, getBusinessTime } = require('./utils/business-date');
 
-// Create COMPACT Flex Message for activity submission (5x smaller height)
-function createActivitySubmissionFlex(userName, activities, totalPoints, teamStats, userProfile, todayLeaderboard) {
+// Create COMPACT Flex Message for activity submission (5x smaller height), in the group's language
+function createActivitySubmissionFlex(userName, activities, totalPoints, teamStats, userProfile, todayLeaderboard, language) {
     // Count activity types
     const activityCounts = {};
     activities.forEach(act => {
@@ -29,7 +31,7 @@ function createActivitySubmissionFlex(userName, activities, totalPoints, teamSta
     // Compact flex message
     const flexMessage = {
         type: "flex",
-        altText: `${userName} +${totalPoints}pts ${activitySummary}`,
+        altText: t(language, 'notify.alt', { name: userName, points: totalPoints, summary: activitySummary }),
         contents: {
             type: "bubble",
             size: "nano", // Smallest size
@@ -52,7 +54,7 @@ function createActivitySubmissionFlex(userName, activities, totalPoints, teamSta
                             },
                             {
                                 type: "text",
-                                text: `+${totalPoints}pts`,
+                                text: t(language, 'notify.points', { points: totalPoints }),
                                 size: "sm",
                                 weight: "bold",
                                 color: "#FFD700",
@@ -83,7 +85,7 @@ function createActivitySubmissionFlex(userName, activities, totalPoints, teamSta
                             },
                             {
                                 type: "text",
-                                text: `Team: ${teamStats.activeUsers}👥 ${teamStats.totalPoints}pts`,
+                                text: t(language, 'notify.team', { users: teamStats.activeUsers, points: teamStats.totalPoints }),
                                 size: "xxs",
                                 color: "#AAAAAA",
                                 align: "end",
@@ -108,8 +110,107 @@ function createActivitySubmissionFlex(userName, activities, totalPoints, teamSta
     return flexMessage;
 }
 
+// Create one compact Flex Message combining the activity notifications held for a group's digest
+// entries: [{ lineUserId, displayName, activities, totalPoints, createdAt }], oldest first;
+// the period they cover is shown in the timezone of the group's team
+function createActivityDigestFlex(entries, language, timezone = DEFAULT_TIMEZONE) {
+    const MAX_ROWS = 10;
+
+    // One row per rep, in order of points
+    const reps = {};
+    entries.forEach(entry => {
+        const rep = reps[entry.lineUserId] || { name: entry.displayName || t(language, 'common.unknown'), points: 0, activities: 0 };
+        rep.points += entry.totalPoints || 0;
+        rep.activities += (entry.activities || []).length;
+        reps[entry.lineUserId] = rep;
+    });
+    const rows = Object.values(reps).sort((a, b) => b.points - a.points);
+    const totalPoints = rows.reduce((sum, rep) => sum + rep.points, 0);
+    const totalActivities = rows.reduce((sum, rep) => sum + rep.activities, 0);
+
+    const period = `${getBusinessTime(timezone, entries[0].createdAt)}-${getBusinessTime(timezone, entries[entries.length - 1].createdAt)}`;
+
+    return {
+        type: "flex",
+        altText: t(language, 'digest.alt', { count: totalActivities, points: totalPoints, reps: rows.length }),
+        contents: {
+            type: "bubble",
+            size: "micro",
+            body: {
+                type: "box",
+                layout: "vertical",
+                contents: [
+                    {
+                        type: "box",
+                        layout: "horizontal",
+                        contents: [
+                            {
+                                type: "text",
+                                text: t(language, 'digest.title'),
+                                size: "sm",
+                                weight: "bold",
+                                color: "#FFFFFF",
+                                flex: 3
+                            },
+                            {
+                                type: "text",
+                                text: t(language, 'notify.points', { points: totalPoints }),
+                                size: "sm",
+                                weight: "bold",
+                                color: "#FFD700",
+                                align: "end",
+                                flex: 2
+                            }
+                        ]
+                    },
+                    {
+                        type: "text",
+                        text: period,
+                        size: "xxs",
+                        color: "#AAAAAA"
+                    },
+                    ...rows.slice(0, MAX_ROWS).map(rep => ({
+                        type: "box",
+                        layout: "horizontal",
+                        contents: [
+                            {
+                                type: "text",
+                                text: `${rep.name} ×${rep.activities}`,
+                                size: "xs",
+                                color: "#CCCCCC",
+                                flex: 3
+                            },
+                            {
+                                type: "text",
+                                text: `+${formatNumber(rep.points, language)}`,
+                                size: "xs",
+                                color: "#FFD700",
+                                align: "end",
+                                flex: 1
+                            }
+                        ],
+                        margin: "xs"
+                    })),
+                    ...(rows.length > MAX_ROWS ? [{
+                        type: "text",
+                        text: t(language, 'digest.more', { count: rows.length - MAX_ROWS }),
+                        size: "xxs",
+                        color: "#AAAAAA",
+                        margin: "xs"
+                    }] : [])
+                ],
+                spacing: "xs",
+                paddingAll: "md",
+                backgroundColor: "#1B1B1B"
+            }
+        }
+    };
+}
+
 // Send flex message to LINE
-async function sendFlexMessage(flexMessage, channelAccessToken, targetId) {
+// retryKey (a UUID) makes retries of the same push safe: LINE answers 409 to a
+// key it already accepted instead of delivering the message twice
+async function sendFlexMessage(flexMessage, channelAccessToken, targetId, retryKey = null) {
     const data = JSON.stringify({
         to: targetId,
         messages: [flexMessage]
@@ -121,8 +222,9 @@ async function sendFlexMessage(flexMessage, channelAccessToken, targetId) {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
-            'Content-Length': data.length,
-            'Authorization': `Bearer ${channelAccessToken}`
+            'Content-Length': Buffer.byteLength(data),
+            'Authorization': `Bearer ${channelAccessToken}`,
+            ...(retryKey ? { 'X-Line-Retry-Key': retryKey } : {})
         }
     };
 
@@ -139,7 +241,9 @@ async function sendFlexMessage(flexMessage, channelAccessToken, targetId) {
                     resolve({ success: true });
                 } else {
                     console.error('LINE API Error:', res.statusCode, body);
-                    reject(new Error(`LINE API Error: ${res.statusCode} - ${body}`));
+                    const error = new Error(`LINE API Error: ${res.statusCode} - ${body}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
                 }
             });
         });
@@ -156,5 +260,6 @@ async function sendFlexMessage(flexMessage, channelAccessToken, targetId) {
 
 module.exports = {
     createActivitySubmissionFlex,
+    createActivityDigestFlex,
     sendFlexMessage
 };
\ No newline at end of file
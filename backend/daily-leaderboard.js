@@ -1,14 +1,15 @@
 // Daily Leaderboard Generator for LINE Flex Messages
 const https = require('https');
+const { DEFAULT_TIMEZONE, getBusinessDate, toBusinessDate } = require('./utils/business-date');
+const { t, formatDate, formatNumber } = require('./utils/i18n');
 
 // Get today's data for leaderboard
-function getTodayLeaderboard(activities) {
-    // Get Bangkok timezone date
-    const bangkokTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Bangkok' });
-    const today = new Date(bangkokTime).toISOString().split('T')[0];
+// timezone is the team's; entries count for the business day their timestamp falls on
+function getTodayLeaderboard(activities, timezone = DEFAULT_TIMEZONE) {
+    const today = getBusinessDate(timezone);
     
     const todayActivities = activities.filter(a => 
-        a.timestamp && a.timestamp.split('T')[0] === today
+        a.timestamp && toBusinessDate(a.timestamp, timezone) === today
     );
     
     // Group by user
@@ -48,10 +49,44 @@ function getTodayLeaderboard(activities) {
         .slice(0, 10); // Top 10
 }
 
-// Create Flex Message for daily leaderboard
-function createDailyLeaderboardFlex(leaderboard, date) {
+// Leaderboard of one business date from stored activities (one record per
+// logged activity, as kept by the storage adapters); same shape as getTodayLeaderboard
+function getDailyLeaderboard(activities, displayNames = {}) {
+    const userStats = {};
+    activities.forEach(activity => {
+        const userId = activity.lineUserId;
+        
+        if (!userStats[userId]) {
+            userStats[userId] = {
+                userId: userId,
+                userName: displayNames[userId] || 'Unknown',
+                totalPoints: 0,
+                activityCount: 0,
+                activities: {}
+            };
+        }
+        
+        const count = activity.count || 1;
+        userStats[userId].totalPoints += activity.points || 0;
+        userStats[userId].activityCount += count;
+        
+        const type = activity.title || activity.activityType;
+        if (type) {
+            userStats[userId].activities[type] = 
+                (userStats[userId].activities[type] || 0) + count;
+        }
+    });
+    
+    return Object.values(userStats)
+        .sort((a, b) => b.totalPoints - a.totalPoints)
+        .slice(0, 10); // Top 10
+}
+
+// Create Flex Message for daily leaderboard, in the language of the group it is sent to
+function createDailyLeaderboardFlex(leaderboard, date, language) {
     const totalPoints = leaderboard.reduce((sum, user) => sum + user.totalPoints, 0);
     const activeUsers = leaderboard.length;
+    const dateLabel = formatDate(date, language);
     
     // Create ranking items
     const rankingItems = leaderboard.map((user, index) => {
@@ -95,7 +130,7 @@ function createDailyLeaderboardFlex(leaderboard, date) {
                 },
                 {
                     "type": "text",
-                    "text": `${user.totalPoints} pts`,
+                    "text": t(language, 'common.points', { points: user.totalPoints }),
                     "size": "md",
                     "flex": 3,
                     "align": "end",
@@ -112,7 +147,7 @@ function createDailyLeaderboardFlex(leaderboard, date) {
     
     return {
         "type": "flex",
-        "altText": `📊 Daily Leaderboard - ${date}`,
+        "altText": t(language, 'daily.alt', { date: dateLabel }),
         "contents": {
             "type": "bubble",
             "size": "mega",
@@ -122,7 +157,7 @@ function createDailyLeaderboardFlex(leaderboard, date) {
                 "contents": [
                     {
                         "type": "text",
-                        "text": "🏆 DAILY LEADERBOARD",
+                        "text": t(language, 'daily.title'),
                         "weight": "bold",
                         "size": "xl",
                         "color": "#FFFFFF",
@@ -130,7 +165,7 @@ function createDailyLeaderboardFlex(leaderboard, date) {
                     },
                     {
                         "type": "text",
-                        "text": date,
+                        "text": dateLabel,
                         "size": "sm",
                         "color": "#999999",
                         "align": "center",
@@ -154,13 +189,13 @@ function createDailyLeaderboardFlex(leaderboard, date) {
                                 "contents": [
                                     {
                                         "type": "text",
-                                        "text": "Active Users",
+                                        "text": t(language, 'daily.activeUsers'),
                                         "size": "xs",
                                         "color": "#999999"
                                     },
                                     {
                                         "type": "text",
-                                        "text": activeUsers.toString(),
+                                        "text": formatNumber(activeUsers, language),
                                         "size": "xl",
                                         "weight": "bold",
                                         "color": "#4CAF50"
@@ -179,13 +214,13 @@ function createDailyLeaderboardFlex(leaderboard, date) {
                                 "contents": [
                                     {
                                         "type": "text",
-                                        "text": "Total Points",
+                                        "text": t(language, 'daily.totalPoints'),
                                         "size": "xs",
                                         "color": "#999999"
                                     },
                                     {
                                         "type": "text",
-                                        "text": totalPoints.toString(),
+                                        "text": formatNumber(totalPoints, language),
                                         "size": "xl",
                                         "weight": "bold",
                                         "color": "#FFD700"
@@ -217,7 +252,7 @@ function createDailyLeaderboardFlex(leaderboard, date) {
                         "type": "button",
                         "action": {
                             "type": "uri",
-                            "label": "📱 Open Sales Tracker",
+                            "label": t(language, 'daily.open'),
                             "uri": "https://liff.line.me/2007552096"
                         },
                         "style": "primary",
@@ -226,7 +261,7 @@ function createDailyLeaderboardFlex(leaderboard, date) {
                     },
                     {
                         "type": "text",
-                        "text": "Keep up the great work! 💪",
+                        "text": t(language, 'daily.cheer'),
                         "size": "sm",
                         "color": "#999999",
                         "align": "center",
@@ -299,6 +334,7 @@ async function sendFlexMessage(flexMessage, channelAccessToken, groupId) {
 
 module.exports = {
     getTodayLeaderboard,
+    getDailyLeaderboard,
     createDailyLeaderboardFlex,
     sendFlexMessage
 };
\ No newline at end of file
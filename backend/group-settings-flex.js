@@ -0,0 +1,150 @@
+// Group Notification Settings Message for LINE
+// The reply to /settings in a group: one row per message category with a
+// button that flips it, then quiet hours, minimum points and language
+// presets. Every button posts back the /settings arguments it stands for.
+const { LANGUAGES, t } = require('./utils/i18n');
+
+// Category rows: preference and /settings name (labels are settings.category.<preference>)
+const CATEGORY_ROWS = [
+    { category: 'activity', command: 'activity' },
+    { category: 'achievements', command: 'achievements' },
+    { category: 'milestones', command: 'milestones' },
+    { category: 'dailyLeaderboard', command: 'daily' },
+    { category: 'weeklyRecap', command: 'weekly' },
+    { category: 'monthlyRecap', command: 'monthly' }
+];
+
+const QUIET_HOURS_PRESETS = ['off', '22:00-07:00', '21:00-08:00'];
+const MIN_POINTS_PRESETS = [0, 10, 20, 50];
+
+const postback = (label, args) => ({
+    type: 'postback',
+    label,
+    data: `action=group-settings&args=${encodeURIComponent(args)}`
+});
+
+// Row of a heading and its current value
+const settingRow = (label, value) => ({
+    type: 'box',
+    layout: 'horizontal',
+    margin: 'lg',
+    contents: [
+        { type: 'text', text: label, size: 'sm', color: '#555555', flex: 3 },
+        { type: 'text', text: value, size: 'sm', weight: 'bold', align: 'end', flex: 2 }
+    ]
+});
+
+// Row of preset buttons, the current one highlighted
+const presetRow = (presets, current) => ({
+    type: 'box',
+    layout: 'horizontal',
+    spacing: 'sm',
+    margin: 'sm',
+    contents: presets.map(preset => ({
+        type: 'button',
+        style: preset.value === current ? 'primary' : 'secondary',
+        color: preset.value === current ? '#06C755' : undefined,
+        height: 'sm',
+        action: postback(preset.label, preset.args)
+    }))
+});
+
+/**
+ * Settings message of a group
+ * @param {Object} preferences - From GroupPreferencesService.getPreferences
+ * @param {boolean} notificationsEnabled - The group's /toggle switch
+ */
+function createGroupSettingsFlex(preferences, notificationsEnabled = true) {
+    const { categories, quietHours, minPoints, language } = preferences;
+    const currentQuiet = quietHours ? `${quietHours.start}-${quietHours.end}` : 'off';
+
+    const categoryRows = CATEGORY_ROWS.map(row => ({
+        type: 'box',
+        layout: 'horizontal',
+        alignItems: 'center',
+        margin: 'md',
+        contents: [
+            { type: 'text', text: t(language, `settings.category.${row.category}`), size: 'sm', flex: 3 },
+            {
+                type: 'button',
+                style: categories[row.category] ? 'primary' : 'secondary',
+                color: categories[row.category] ? '#06C755' : undefined,
+                height: 'sm',
+                flex: 2,
+                action: postback(t(language, categories[row.category] ? 'settings.switchOn' : 'settings.switchOff'), `${row.command} ${categories[row.category] ? 'off' : 'on'}`)
+            }
+        ]
+    }));
+
+    // Other values are set by typing the command; none of the presets is highlighted then
+    const quietPresets = QUIET_HOURS_PRESETS.map(value => ({
+        value,
+        label: value === 'off' ? t(language, 'settings.none') : value.replace(/:00/g, ''),
+        args: `quiet ${value}`
+    }));
+    const pointPresets = MIN_POINTS_PRESETS.map(value => ({
+        value,
+        label: value === 0 ? t(language, 'settings.any') : `${value}+`,
+        args: `minpoints ${value}`
+    }));
+    // Each language is offered under its own name
+    const languagePresets = LANGUAGES.map(value => ({
+        value,
+        label: t(value, `lang.name.${value}`),
+        args: `lang ${value}`
+    }));
+
+    return {
+        type: 'flex',
+        altText: t(language, 'settings.alt'),
+        contents: {
+            type: 'bubble',
+            header: {
+                type: 'box',
+                layout: 'vertical',
+                backgroundColor: '#06C755',
+                contents: [
+                    { type: 'text', text: t(language, 'settings.title'), weight: 'bold', size: 'lg', color: '#FFFFFF' },
+                    {
+                        type: 'text',
+                        text: t(language, notificationsEnabled ? 'settings.hint' : 'settings.allOff'),
+                        size: 'xs',
+                        color: '#FFFFFF'
+                    }
+                ]
+            },
+            body: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    ...categoryRows,
+                    { type: 'separator', margin: 'lg' },
+                    settingRow(t(language, 'settings.quietHours'), quietHours ? `${quietHours.start}–${quietHours.end}` : t(language, 'settings.none')),
+                    presetRow(quietPresets, currentQuiet),
+                    settingRow(t(language, 'settings.minPoints'), minPoints ? t(language, 'common.points', { points: minPoints }) : t(language, 'settings.any')),
+                    presetRow(pointPresets, minPoints),
+                    settingRow(t(language, 'settings.language'), t(language, `lang.name.${language}`)),
+                    presetRow(languagePresets, language)
+                ]
+            },
+            footer: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    {
+                        type: 'text',
+                        text: t(language, 'settings.custom'),
+                        size: 'xxs',
+                        color: '#999999',
+                        wrap: true
+                    }
+                ]
+            }
+        }
+    };
+}
+
+module.exports = {
+    CATEGORY_ROWS,
+    createGroupSettingsFlex
+};
@@ -1,5 +1,18 @@
 // LINE Chatbot Handler for Sales Tracker Pro
+const crypto = require('crypto');
 const line = require('@line/bot-sdk');
+const activityTypeService = require('./services/activity-type.service');
+const targetService = require('./services/target.service');
+const teamService = require('./services/team.service');
+const leaderboardService = require('./services/leaderboard.service');
+const lineQuotaService = require('./services/line-quota.service');
+const streakService = require('./services/streak.service');
+const { usesFirestore } = require('./storage');
+const { achievementName } = require('./period-recap');
+const personalMessages = require('./personal-commands-flex');
+const { getBusinessDate, getPeriodRange } = require('./utils/business-date');
+const { parseActivityText } = require('./utils/activity-parser');
+const { LANGUAGES, t, formatNumber, typeName, userLanguage, resolveLanguage, isLanguage } = require('./utils/i18n');
 
 // LINE Bot configuration
 const lineConfig = {
@@ -9,27 +22,43 @@ const lineConfig = {
 
 const client = new line.Client(lineConfig);
 
-// Activity types with emojis
-const ACTIVITY_TYPES = {
-    call: { emoji: '📞', points: 20, name: 'Phone Call' },
-    email: { emoji: '📧', points: 10, name: 'Email' },
-    meeting: { emoji: '🤝', points: 50, name: 'Meeting' },
-    proposal: { emoji: '📄', points: 30, name: 'Proposal' },
-    demo: { emoji: '🎯', points: 40, name: 'Demo' },
-    deal: { emoji: '💰', points: 100, name: 'Deal Closed' }
+// LINE carousels hold at most 12 bubbles
+const MAX_CAROUSEL_BUBBLES = 12;
+
+// Activities typed in chat are confirmed with postback buttons whose data
+// (at most 300 characters) carries them, so a message logs at most 5 and
+// customer names are shortened to fit
+const MAX_TYPED_ACTIVITIES = 5;
+const MAX_POSTBACK_DATA = 300;
+const POSTBACK_CUSTOMER_LENGTH = 20;
+
+// /leaderboard <mode> arguments: ranking mode, the score an entry shows and its
+// decimals (titles and units are leaderboard.mode.<mode> and leaderboard.score.<mode>)
+const LEADERBOARD_MODES = {
+    points: { score: (entry) => entry.score, digits: 0 },
+    meetings: { score: (entry) => entry.score, digits: 0 },
+    conversion: { score: (entry) => Math.round(entry.score * 100), digits: 0 },
+    contracts: { score: (entry) => entry.score, digits: 0 },
+    composite: { score: (entry) => entry.score, digits: 1 }
+};
+const LEADERBOARD_MODE_ALIASES = {
+    meeting: 'meetings',
+    contract: 'contracts',
+    conv: 'conversion',
+    overall: 'composite'
 };
 
 // Quick Reply Template
-const getQuickReply = () => ({
+const getQuickReply = (language) => ({
     type: 'text',
-    text: 'What would you like to do?',
+    text: t(language, 'menu.prompt'),
     quickReply: {
         items: [
             {
                 type: 'action',
                 action: {
                     type: 'message',
-                    label: '📊 My Stats',
+                    label: t(language, 'menu.stats'),
                     text: '/stats'
                 }
             },
@@ -37,7 +66,7 @@ const getQuickReply = () => ({
                 type: 'action',
                 action: {
                     type: 'message',
-                    label: '➕ Add Activity',
+                    label: t(language, 'menu.add'),
                     text: '/add'
                 }
             },
@@ -45,7 +74,7 @@ const getQuickReply = () => ({
                 type: 'action',
                 action: {
                     type: 'message',
-                    label: '🏆 Leaderboard',
+                    label: t(language, 'menu.leaderboard'),
                     text: '/leaderboard'
                 }
             },
@@ -53,7 +82,7 @@ const getQuickReply = () => ({
                 type: 'action',
                 action: {
                     type: 'message',
-                    label: '📱 Open App',
+                    label: t(language, 'menu.app'),
                     text: '/app'
                 }
             }
@@ -61,14 +90,14 @@ const getQuickReply = () => ({
     }
 });
 
-// Handle incoming messages
-async function handleMessage(event, db) {
+// Handle incoming messages. options.undoActivity removes the last activity (set by the server)
+async function handleMessage(event, db, options = {}) {
     const { replyToken, message, source } = event;
     const userId = source.userId;
     const text = message.text?.toLowerCase() || '';
 
     // Get user from database
-    const user = await db.get('SELECT * FROM users WHERE lineUserId = ?', [userId]);
+    const user = await db.getUser(userId);
 
     if (!user) {
         // New user - send welcome message
@@ -77,7 +106,17 @@ async function handleMessage(event, db) {
 
     // Command handling
     if (text.startsWith('/')) {
-        return await handleCommand(text, replyToken, user, db);
+        return await handleCommand(text, replyToken, user, db, options);
+    }
+
+    // Activities typed in a direct chat ("3 calls, 1 meeting with Siam Cement")
+    // are shown for confirmation before anything is saved
+    if (source.type === 'user') {
+        const catalog = await activityTypeService.getCatalog();
+        const parsed = parseActivityText(message.text, catalog);
+        if (parsed.activities.length > 0) {
+            return await sendActivityConfirmation(replyToken, user, parsed, catalog);
+        }
     }
 
     // Natural language processing
@@ -90,15 +129,17 @@ async function handleMessage(event, db) {
     }
 
     if (text.includes('leader') || text.includes('rank')) {
-        return await sendLeaderboard(replyToken, db);
+        return await sendLeaderboard(replyToken, user);
     }
 
     // Default response with quick reply
-    return await client.replyMessage(replyToken, getQuickReply());
+    return await client.replyMessage(replyToken, getQuickReply(userLanguage(user)));
 }
 
-// Handle commands
-async function handleCommand(command, replyToken, user, db) {
+// Handle commands; words after the command are its arguments
+async function handleCommand(text, replyToken, user, db, options = {}) {
+    const [command, ...args] = text.trim().split(/\s+/);
+
     switch (command) {
         case '/stats':
             return await sendUserStats(replyToken, user, db);
@@ -107,24 +148,167 @@ async function handleCommand(command, replyToken, user, db) {
             return await handleAddActivity(replyToken, user);
         
         case '/leaderboard':
-            return await sendLeaderboard(replyToken, db);
+            return await sendLeaderboard(replyToken, user, args[0]);
+        
+        case '/today':
+            return await sendToday(replyToken, user, db);
+        
+        case '/week':
+            return await sendWeek(replyToken, user, db);
+        
+        case '/undo':
+            return await undoLastActivity(replyToken, user, options.undoActivity);
+        
+        case '/me':
+            return await sendProfile(replyToken, user, db);
+        
+        case '/goal':
+            return await sendGoals(replyToken, user);
+        
+        case '/lang':
+            return await changeLanguage(replyToken, user, db, args[0]);
         
         case '/app':
-            return await sendAppLink(replyToken);
+            return await sendAppLink(replyToken, userLanguage(user));
         
         case '/help':
-            return await sendHelpMessage(replyToken);
+            return await sendHelpMessage(replyToken, userLanguage(user));
         
         default:
-            return await client.replyMessage(replyToken, getQuickReply());
+            return await client.replyMessage(replyToken, getQuickReply(userLanguage(user)));
+    }
+}
+
+// Show the language the bot replies in, or change it (/lang th|en); kept in the user's settings
+async function changeLanguage(replyToken, user, db, value) {
+    const language = userLanguage(user);
+
+    if (!value) {
+        return await client.replyMessage(replyToken, {
+            type: 'text',
+            text: [
+                t(language, 'lang.current', { language: t(language, `lang.name.${language}`) }),
+                t(language, 'lang.usage')
+            ].join('\n'),
+            quickReply: {
+                items: LANGUAGES.map(option => ({
+                    type: 'action',
+                    action: { type: 'message', label: t(option, `lang.name.${option}`), text: `/lang ${option}` }
+                }))
+            }
+        });
+    }
+    if (!isLanguage(value)) {
+        return await client.replyMessage(replyToken, { type: 'text', text: t(language, 'lang.unknown', { value }) });
+    }
+
+    await db.updateUserSettings(user.id, { ...(user.settings || {}), language: value });
+    return await client.replyMessage(replyToken, [{ type: 'text', text: t(value, 'lang.changed') }, getQuickReply(value)]);
+}
+
+// Reply with a flex message, or its text version while the LINE quota is
+// critical (the quota service tracks Firestore deployments only)
+async function replyFlexOrText(replyToken, flexMessage, textMessage) {
+    let critical = false;
+    if (usesFirestore()) {
+        try {
+            critical = await lineQuotaService.isCritical();
+        } catch (error) {
+            console.error('Failed to check LINE quota:', error);
+        }
+    }
+
+    return await client.replyMessage(replyToken, critical ? textMessage : flexMessage);
+}
+
+// Today's activities with a delete button each
+async function sendToday(replyToken, user, db) {
+    const date = getBusinessDate(await teamService.getUserTimezone(user));
+    const data = {
+        date,
+        activities: await db.getUserActivities(user.id, date),
+        catalog: await activityTypeService.getCatalog(true)
+    };
+
+    const language = userLanguage(user);
+    return await replyFlexOrText(replyToken, personalMessages.createTodayFlex(data, language), personalMessages.createTodayText(data, language));
+}
+
+// Points and activities of each day of this week so far
+async function sendWeek(replyToken, user, db) {
+    const today = getBusinessDate(await teamService.getUserTimezone(user));
+    const { startDate } = getPeriodRange('weekly', today);
+    const week = personalMessages.summarizeWeek(await db.getActivitiesByDateRange(user.id, startDate, today), startDate, today);
+
+    const language = userLanguage(user);
+    return await replyFlexOrText(replyToken, personalMessages.createWeekFlex(week, language), personalMessages.createWeekText(week, language));
+}
+
+// Rank in the team this week, streak and achievements
+async function sendProfile(replyToken, user, db) {
+    const timezone = await teamService.getUserTimezone(user);
+    const today = getBusinessDate(timezone);
+    const leaderboard = await leaderboardService.getPeriodLeaderboard('weekly', today, user.teamId ? { teamId: user.teamId } : {});
+    const entry = leaderboard.entries.find(e => e.userId === user.id);
+    const streak = await db.getUserStreak(user.id);
+    const language = userLanguage(user);
+
+    const profile = {
+        displayName: user.displayName || t(language, 'common.you'),
+        totalPoints: user.totalPoints || 0,
+        weeklyPoints: entry ? entry.points || 0 : 0,
+        rank: entry ? entry.rank : null,
+        participants: leaderboard.entries.length,
+        currentStreak: streakService.getCurrentStreak(streak, timezone),
+        longestStreak: (streak && streak.longest_streak) || 0,
+        achievements: (await db.getUserAchievements(user.id)).map(achievement => achievementName(achievement.achievement_id))
+    };
+
+    return await replyFlexOrText(replyToken, personalMessages.createMeFlex(profile, language), personalMessages.createMeText(profile, language));
+}
+
+// Progress of the rep's own and team targets
+async function sendGoals(replyToken, user) {
+    const today = getBusinessDate(await teamService.getUserTimezone(user));
+    const data = {
+        progress: await targetService.getUserProgress(user, today),
+        catalog: await activityTypeService.getCatalog(true)
+    };
+
+    const language = userLanguage(user);
+    return await replyFlexOrText(replyToken, personalMessages.createGoalFlex(data, language), personalMessages.createGoalText(data, language));
+}
+
+// How a removed activity reads in a reply: "📱 Phone Call ×3 (-60 points)"
+async function describeRemoved(activity, language) {
+    const type = await activityTypeService.resolveType(activity.activityType, true);
+    const name = type ? `${type.emoji} ${typeName(type, language)}` : activity.title || activity.activityType;
+    return t(language, 'remove.activity', { name, count: activity.count || 1, points: activity.points || 0 });
+}
+
+// Remove the activity logged last, within the server's undo window
+async function undoLastActivity(replyToken, user, undoActivity) {
+    const language = userLanguage(user);
+    if (!undoActivity) {
+        return await client.replyMessage(replyToken, { type: 'text', text: t(language, 'undo.unavailable') });
     }
+
+    const result = await undoActivity(user.id, { lineUserId: user.id, source: 'line' });
+    const text = result.status === 'removed'
+        ? t(language, 'undo.removed', { activity: await describeRemoved(result.activity, language) })
+        : result.status === 'expired'
+            ? t(language, 'undo.expired', { minutes: result.windowMinutes })
+            : t(language, 'undo.none');
+
+    return await client.replyMessage(replyToken, { type: 'text', text });
 }
 
-// Send welcome message
+// Send welcome message (in the default language, as a new user has not picked one)
 async function sendWelcomeMessage(replyToken, userId) {
+    const language = resolveLanguage();
     const message = {
         type: 'flex',
-        altText: 'Welcome to Sales Tracker Pro!',
+        altText: t(language, 'welcome.alt'),
         contents: {
             type: 'bubble',
             hero: {
@@ -140,14 +324,14 @@ async function sendWelcomeMessage(replyToken, userId) {
                 contents: [
                     {
                         type: 'text',
-                        text: 'Welcome to Sales Tracker Pro! 🎯',
+                        text: t(language, 'welcome.title'),
                         weight: 'bold',
                         size: 'xl',
                         margin: 'md'
                     },
                     {
                         type: 'text',
-                        text: 'Track your sales activities, earn points, and compete with your team!',
+                        text: t(language, 'welcome.body'),
                         size: 'sm',
                         color: '#aaaaaa',
                         wrap: true,
@@ -166,7 +350,7 @@ async function sendWelcomeMessage(replyToken, userId) {
                         height: 'sm',
                         action: {
                             type: 'uri',
-                            label: 'Start Tracking',
+                            label: t(language, 'welcome.start'),
                             uri: `https://liff.line.me/${process.env.LIFF_ID}`
                         },
                         color: '#06C755'
@@ -177,7 +361,7 @@ async function sendWelcomeMessage(replyToken, userId) {
                         height: 'sm',
                         action: {
                             type: 'message',
-                            label: 'Learn More',
+                            label: t(language, 'welcome.learnMore'),
                             text: '/help'
                         }
                     }
@@ -186,23 +370,43 @@ async function sendWelcomeMessage(replyToken, userId) {
         }
     };
 
-    return await client.replyMessage(replyToken, [message, getQuickReply()]);
+    return await client.replyMessage(replyToken, [message, getQuickReply(language)]);
 }
 
 // Send user stats
 async function sendUserStats(replyToken, user, db) {
-    // Get user's activities for today
-    const today = new Date().toISOString().split('T')[0];
-    const todayActivities = await db.all(
-        'SELECT * FROM activities WHERE userId = ? AND date(createdAt) = date(?)',
-        [user.id, today]
-    );
+    // Get user's activities for today (the business day of their team's timezone)
+    const today = getBusinessDate(await teamService.getUserTimezone(user));
+    const todayActivities = await db.getUserActivities(user.id, today);
 
-    const todayPoints = todayActivities.reduce((sum, a) => sum + a.points, 0);
+    const todayPoints = todayActivities.reduce((sum, a) => sum + (a.points || 0), 0);
+    const totalPoints = user.totalPoints || 0;
+    const streak = user.streak || {};
+    const currentStreak = streak.currentStreak || streak.current_streak || 0;
+    const language = userLanguage(user);
+
+    // Progress towards the user's own and team targets
+    const targetProgress = await targetService.getUserProgress(user, today);
+    const targetSection = targetProgress.length > 0
+        ? [
+            {
+                type: 'separator',
+                margin: 'lg'
+            },
+            {
+                type: 'text',
+                text: t(language, 'stats.targets'),
+                size: 'sm',
+                weight: 'bold',
+                margin: 'lg'
+            },
+            ...personalMessages.createTargetProgressRows(targetProgress, await activityTypeService.getCatalog(true), language)
+        ]
+        : [];
 
     const message = {
         type: 'flex',
-        altText: 'Your Stats',
+        altText: t(language, 'stats.alt'),
         contents: {
             type: 'bubble',
             size: 'mega',
@@ -212,7 +416,7 @@ async function sendUserStats(replyToken, user, db) {
                 contents: [
                     {
                         type: 'text',
-                        text: 'Your Stats 📊',
+                        text: t(language, 'stats.title'),
                         color: '#ffffff',
                         size: 'xl',
                         weight: 'bold'
@@ -235,13 +439,13 @@ async function sendUserStats(replyToken, user, db) {
                                 contents: [
                                     {
                                         type: 'text',
-                                        text: 'Total Points',
+                                        text: t(language, 'stats.totalPoints'),
                                         size: 'sm',
                                         color: '#555555'
                                     },
                                     {
                                         type: 'text',
-                                        text: user.totalPoints.toString(),
+                                        text: formatNumber(totalPoints, language),
                                         size: 'xxl',
                                         weight: 'bold',
                                         color: '#06C755'
@@ -255,13 +459,13 @@ async function sendUserStats(replyToken, user, db) {
                                 contents: [
                                     {
                                         type: 'text',
-                                        text: 'Today',
+                                        text: t(language, 'stats.today'),
                                         size: 'sm',
                                         color: '#555555'
                                     },
                                     {
                                         type: 'text',
-                                        text: todayPoints.toString(),
+                                        text: formatNumber(todayPoints, language),
                                         size: 'xxl',
                                         weight: 'bold',
                                         color: '#3B82F6'
@@ -286,13 +490,13 @@ async function sendUserStats(replyToken, user, db) {
                                 contents: [
                                     {
                                         type: 'text',
-                                        text: 'Streak',
+                                        text: t(language, 'stats.streak'),
                                         size: 'sm',
                                         color: '#555555'
                                     },
                                     {
                                         type: 'text',
-                                        text: `${user.currentStreak} days 🔥`,
+                                        text: t(language, 'stats.streakValue', { count: currentStreak }),
                                         size: 'lg',
                                         weight: 'bold'
                                     }
@@ -305,13 +509,13 @@ async function sendUserStats(replyToken, user, db) {
                                 contents: [
                                     {
                                         type: 'text',
-                                        text: 'Level',
+                                        text: t(language, 'stats.level'),
                                         size: 'sm',
                                         color: '#555555'
                                     },
                                     {
                                         type: 'text',
-                                        text: `Level ${Math.floor(user.totalPoints / 1000) + 1}`,
+                                        text: t(language, 'stats.levelValue', { level: Math.floor(totalPoints / 1000) + 1 }),
                                         size: 'lg',
                                         weight: 'bold'
                                     }
@@ -320,7 +524,8 @@ async function sendUserStats(replyToken, user, db) {
                             }
                         ],
                         margin: 'lg'
-                    }
+                    },
+                    ...targetSection
                 ]
             },
             footer: {
@@ -331,7 +536,7 @@ async function sendUserStats(replyToken, user, db) {
                         type: 'button',
                         action: {
                             type: 'uri',
-                            label: 'View Details',
+                            label: t(language, 'stats.details'),
                             uri: `https://liff.line.me/${process.env.LIFF_ID}`
                         },
                         style: 'primary',
@@ -347,12 +552,15 @@ async function sendUserStats(replyToken, user, db) {
 
 // Handle add activity
 async function handleAddActivity(replyToken, user) {
+    const activityTypes = await activityTypeService.getCatalog();
+    const language = userLanguage(user);
+
     const message = {
         type: 'flex',
-        altText: 'Add Activity',
+        altText: t(language, 'add.alt'),
         contents: {
             type: 'carousel',
-            contents: Object.entries(ACTIVITY_TYPES).map(([type, info]) => ({
+            contents: activityTypes.slice(0, MAX_CAROUSEL_BUBBLES).map(info => ({
                 type: 'bubble',
                 size: 'micro',
                 header: {
@@ -374,14 +582,14 @@ async function handleAddActivity(replyToken, user) {
                     contents: [
                         {
                             type: 'text',
-                            text: info.name,
+                            text: typeName(info, language),
                             weight: 'bold',
                             size: 'sm',
                             align: 'center'
                         },
                         {
                             type: 'text',
-                            text: `+${info.points} pts`,
+                            text: t(language, 'add.points', { points: info.points }),
                             size: 'xs',
                             color: '#06C755',
                             align: 'center'
@@ -398,9 +606,9 @@ async function handleAddActivity(replyToken, user) {
                             type: 'button',
                             action: {
                                 type: 'postback',
-                                label: 'Add',
-                                data: `action=add&type=${type}`,
-                                displayText: `Add ${info.name}`
+                                label: t(language, 'add.button'),
+                                data: `action=add&type=${info.id}`,
+                                displayText: t(language, 'add.display', { name: typeName(info, language) })
                             },
                             height: 'sm',
                             style: 'primary',
@@ -415,47 +623,275 @@ async function handleAddActivity(replyToken, user) {
     return await client.replyMessage(replyToken, message);
 }
 
-// Send leaderboard
-async function sendLeaderboard(replyToken, db) {
-    const topUsers = await db.all(
-        'SELECT displayName, totalPoints FROM users ORDER BY totalPoints DESC LIMIT 5'
-    );
+// Postback data of a typed activity draft: its ID, business date and items
+// ([activityType, quantity, customer]); characters URLSearchParams would read
+// differently are escaped
+function encodeDraft(draft) {
+    const escape = (value) => value.replace(/[%&+=#]/g, encodeURIComponent);
+    const items = draft.items.map(item => [item.activityType, item.quantity, item.customer]);
+    const encode = () => `action=log&id=${draft.id}&date=${draft.date}&items=${escape(JSON.stringify(items))}`;
 
-    const leaderboardContents = topUsers.map((user, index) => ({
-        type: 'box',
-        layout: 'horizontal',
-        contents: [
-            {
-                type: 'text',
-                text: `${index + 1}.`,
-                size: 'lg',
-                weight: 'bold',
-                color: index === 0 ? '#FFD700' : index === 1 ? '#C0C0C0' : index === 2 ? '#CD7F32' : '#555555',
-                flex: 0
-            },
-            {
-                type: 'text',
-                text: user.displayName,
-                size: 'md',
-                flex: 3,
-                margin: 'md'
+    // Shorten the longest customer name until the data fits
+    let data = encode();
+    while (data.length > MAX_POSTBACK_DATA && items.some(item => item[2])) {
+        const longest = items.reduce((a, b) => ((b[2] || '').length > (a[2] || '').length ? b : a));
+        longest[2] = longest[2].slice(0, Math.max(0, longest[2].length - 5)) || null;
+        data = encode();
+    }
+    return data;
+}
+
+function decodeDraft(data) {
+    try {
+        const items = JSON.parse(data.get('items'));
+        return {
+            id: data.get('id'),
+            date: data.get('date'),
+            items: items.map(([activityType, quantity, customer]) => ({ activityType, quantity, customer: (customer || '').trim() || null }))
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Client ID of a draft's item: the draft ID with its last two hex digits set to
+// the item's index, so confirming twice stores each activity once
+function draftItemId(draftId, index) {
+    return `${draftId.slice(0, -2)}${index.toString(16).padStart(2, '0')}`;
+}
+
+// Show the activities parsed from a message with Confirm and Cancel buttons
+async function sendActivityConfirmation(replyToken, user, parsed, catalog) {
+    const draft = {
+        id: crypto.randomUUID(),
+        date: getBusinessDate(await teamService.getUserTimezone(user)),
+        items: parsed.activities.slice(0, MAX_TYPED_ACTIVITIES).map(activity => ({
+            ...activity,
+            customer: activity.customer && activity.customer.slice(0, POSTBACK_CUSTOMER_LENGTH)
+        }))
+    };
+    const typeInfo = (id) => catalog.find(type => type.id === id);
+    const totalPoints = draft.items.reduce((sum, item) => sum + typeInfo(item.activityType).points * item.quantity, 0);
+    const language = userLanguage(user);
+
+    const notes = [];
+    if (parsed.activities.length > MAX_TYPED_ACTIVITIES) {
+        notes.push(t(language, 'log.limit', { count: MAX_TYPED_ACTIVITIES }));
+    }
+    if (parsed.unmatched.length > 0) {
+        notes.push(t(language, 'log.unmatched', { parts: parsed.unmatched.join(', ') }));
+    }
+
+    const message = {
+        type: 'flex',
+        altText: t(language, 'log.alt', { count: draft.items.length }),
+        contents: {
+            type: 'bubble',
+            size: 'kilo',
+            body: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    {
+                        type: 'text',
+                        text: t(language, 'log.title'),
+                        weight: 'bold',
+                        size: 'lg',
+                        color: '#06C755'
+                    },
+                    ...draft.items.map(item => {
+                        const info = typeInfo(item.activityType);
+                        return {
+                            type: 'box',
+                            layout: 'horizontal',
+                            margin: 'md',
+                            contents: [
+                                {
+                                    type: 'box',
+                                    layout: 'vertical',
+                                    flex: 4,
+                                    contents: [
+                                        {
+                                            type: 'text',
+                                            text: `${info.emoji} ${typeName(info, language)} ×${item.quantity}`,
+                                            size: 'sm',
+                                            weight: 'bold'
+                                        },
+                                        ...(item.customer ? [{
+                                            type: 'text',
+                                            text: item.customer,
+                                            size: 'xs',
+                                            color: '#999999'
+                                        }] : [])
+                                    ]
+                                },
+                                {
+                                    type: 'text',
+                                    text: `+${formatNumber(info.points * item.quantity, language)}`,
+                                    size: 'sm',
+                                    color: '#06C755',
+                                    align: 'end',
+                                    flex: 1
+                                }
+                            ]
+                        };
+                    }),
+                    {
+                        type: 'text',
+                        text: t(language, 'log.total', { points: totalPoints }),
+                        size: 'sm',
+                        weight: 'bold',
+                        margin: 'lg'
+                    },
+                    ...notes.map(note => ({
+                        type: 'text',
+                        text: note,
+                        size: 'xs',
+                        color: '#FF6B6B',
+                        wrap: true,
+                        margin: 'sm'
+                    }))
+                ]
             },
+            footer: {
+                type: 'box',
+                layout: 'horizontal',
+                spacing: 'sm',
+                contents: [
+                    {
+                        type: 'button',
+                        action: {
+                            type: 'postback',
+                            label: t(language, 'log.cancel'),
+                            data: 'action=log-cancel',
+                            displayText: t(language, 'log.cancel')
+                        },
+                        height: 'sm',
+                        style: 'secondary'
+                    },
+                    {
+                        type: 'button',
+                        action: {
+                            type: 'postback',
+                            label: t(language, 'log.confirm'),
+                            data: encodeDraft(draft),
+                            displayText: t(language, 'log.confirm')
+                        },
+                        height: 'sm',
+                        style: 'primary',
+                        color: '#06C755'
+                    }
+                ]
+            }
+        }
+    };
+
+    return await client.replyMessage(replyToken, message);
+}
+
+// Save a confirmed draft through the server's activity pipeline
+async function confirmActivities(replyToken, source, data, logActivities, language) {
+    const draft = decodeDraft(data);
+    if (!draft || !logActivities) {
+        return await client.replyMessage(replyToken, {
+            type: 'text',
+            text: t(language, 'log.failed')
+        });
+    }
+
+    const { results, totalPoints } = await logActivities(source.userId, draft.items.map((item, index) => ({
+        activityType: item.activityType,
+        count: item.quantity,
+        date: draft.date,
+        customer: item.customer,
+        clientId: draftItemId(draft.id, index)
+    })), { lineUserId: source.userId, source: 'line' });
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const lines = [];
+    if (count('accepted') > 0) {
+        lines.push(t(language, 'log.saved', { count: count('accepted'), points: totalPoints }));
+    }
+    if (results.some(result => result.capped)) {
+        lines.push(t(language, 'log.capped'));
+    }
+    if (count('duplicate') > 0) {
+        lines.push(t(language, 'log.duplicate', { count: count('duplicate') }));
+    }
+    if (count('rejected') > 0) {
+        const reasons = results.filter(result => result.errors).map(result => result.errors[0].message);
+        lines.push(t(language, 'log.rejected', { count: count('rejected'), reasons: [...new Set(reasons)].join(', ') }));
+    }
+
+    return await client.replyMessage(replyToken, [{ type: 'text', text: lines.join('\n') }, getQuickReply(language)]);
+}
+
+// Send this week's top 5 of the user's team, ranked by the given mode (points by default)
+async function sendLeaderboard(replyToken, user, modeArg = 'points') {
+    const language = userLanguage(user);
+    const mode = Object.prototype.hasOwnProperty.call(LEADERBOARD_MODE_ALIASES, modeArg)
+        ? LEADERBOARD_MODE_ALIASES[modeArg]
+        : modeArg;
+    if (!leaderboardService.MODES.includes(mode)) {
+        return await client.replyMessage(replyToken, {
+            type: 'text',
+            text: t(language, 'leaderboard.unknownMode', { mode: modeArg, modes: leaderboardService.MODES.join(', ') })
+        });
+    }
+
+    const { score, digits } = LEADERBOARD_MODES[mode];
+    const format = (entry) => t(language, `leaderboard.score.${mode}`, {
+        score: formatNumber(score(entry), language, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+    });
+    const today = getBusinessDate(await teamService.getUserTimezone(user));
+    const filters = user.teamId ? { teamId: user.teamId, mode } : { mode };
+    const leaderboard = await leaderboardService.getPeriodLeaderboard('weekly', today, filters);
+    const topUsers = leaderboard.entries.slice(0, 5);
+
+    const leaderboardContents = topUsers.length > 0
+        ? topUsers.map((entry, index) => ({
+            type: 'box',
+            layout: 'horizontal',
+            contents: [
+                {
+                    type: 'text',
+                    text: `${entry.rank}.`,
+                    size: 'lg',
+                    weight: 'bold',
+                    color: index === 0 ? '#FFD700' : index === 1 ? '#C0C0C0' : index === 2 ? '#CD7F32' : '#555555',
+                    flex: 0
+                },
+                {
+                    type: 'text',
+                    text: entry.displayName || t(language, 'common.unknown'),
+                    size: 'md',
+                    flex: 3,
+                    margin: 'md'
+                },
+                {
+                    type: 'text',
+                    text: format(entry),
+                    size: 'md',
+                    weight: 'bold',
+                    color: '#06C755',
+                    align: 'end',
+                    flex: 2
+                }
+            ],
+            margin: 'md'
+        }))
+        : [
             {
                 type: 'text',
-                text: `${user.totalPoints} pts`,
-                size: 'md',
-                weight: 'bold',
-                color: '#06C755',
-                align: 'end',
-                flex: 2
+                text: t(language, 'leaderboard.empty'),
+                size: 'sm',
+                color: '#999999'
             }
-        ],
-        margin: 'md'
-    }));
+        ];
 
     const message = {
         type: 'flex',
-        altText: 'Leaderboard',
+        altText: t(language, 'leaderboard.alt'),
         contents: {
             type: 'bubble',
             size: 'mega',
@@ -465,10 +901,16 @@ async function sendLeaderboard(replyToken, db) {
                 contents: [
                     {
                         type: 'text',
-                        text: 'Leaderboard 🏆',
+                        text: t(language, 'leaderboard.title'),
                         color: '#ffffff',
                         size: 'xl',
                         weight: 'bold'
+                    },
+                    {
+                        type: 'text',
+                        text: t(language, 'leaderboard.subtitle', { mode: t(language, `leaderboard.mode.${mode}`) }),
+                        color: '#ffffff',
+                        size: 'sm'
                     }
                 ],
                 backgroundColor: '#06C755',
@@ -487,7 +929,7 @@ async function sendLeaderboard(replyToken, db) {
                         type: 'button',
                         action: {
                             type: 'uri',
-                            label: 'View Full Leaderboard',
+                            label: t(language, 'leaderboard.full'),
                             uri: `https://liff.line.me/${process.env.LIFF_ID}?tab=leaderboard`
                         },
                         style: 'primary',
@@ -502,10 +944,10 @@ async function sendLeaderboard(replyToken, db) {
 }
 
 // Send app link
-async function sendAppLink(replyToken) {
+async function sendAppLink(replyToken, language) {
     const message = {
         type: 'flex',
-        altText: 'Open Sales Tracker Pro',
+        altText: t(language, 'app.alt'),
         contents: {
             type: 'bubble',
             body: {
@@ -514,14 +956,14 @@ async function sendAppLink(replyToken) {
                 contents: [
                     {
                         type: 'text',
-                        text: 'Sales Tracker Pro 📱',
+                        text: t(language, 'app.title'),
                         weight: 'bold',
                         size: 'xl',
                         margin: 'md'
                     },
                     {
                         type: 'text',
-                        text: 'Track activities, earn points, and climb the leaderboard!',
+                        text: t(language, 'app.body'),
                         size: 'sm',
                         color: '#aaaaaa',
                         wrap: true,
@@ -538,7 +980,7 @@ async function sendAppLink(replyToken) {
                         style: 'primary',
                         action: {
                             type: 'uri',
-                            label: 'Open App',
+                            label: t(language, 'app.open'),
                             uri: `https://liff.line.me/${process.env.LIFF_ID}`
                         },
                         color: '#06C755'
@@ -552,35 +994,56 @@ async function sendAppLink(replyToken) {
 }
 
 // Send help message
-async function sendHelpMessage(replyToken) {
+async function sendHelpMessage(replyToken, language) {
     const message = {
         type: 'text',
-        text: `Sales Tracker Pro - Commands 📖
-
-/stats - View your points and stats
-/add - Log a new activity
-/leaderboard - See top performers
-/app - Open the app
-/help - Show this help
-
-You can also just tell me what you did!
-Example: "Just had a meeting with client"
-
-Happy tracking! 🎯`
+        text: t(language, 'help.text')
     };
 
-    return await client.replyMessage(replyToken, [message, getQuickReply()]);
+    return await client.replyMessage(replyToken, [message, getQuickReply(language)]);
 }
 
-// Handle postback (from activity selection)
-async function handlePostback(event, db) {
+// Handle postback (from activity selection, typed activity confirmation and
+// /today's delete buttons). options.logActivities saves confirmed activities
+// and options.removeActivity deletes one (both set by the server)
+async function handlePostback(event, db, options = {}) {
     const { replyToken, postback, source } = event;
     const userId = source.userId;
     const data = new URLSearchParams(postback.data);
+    const language = userLanguage(await db.getUser(userId));
+    
+    if (data.get('action') === 'log') {
+        return await confirmActivities(replyToken, source, data, options.logActivities, language);
+    }
+    
+    if (data.get('action') === 'delete') {
+        const result = options.removeActivity
+            ? await options.removeActivity(userId, data.get('id'), { lineUserId: userId, source: 'line' })
+            : { status: 'not_found' };
+        return await client.replyMessage(replyToken, {
+            type: 'text',
+            text: result.status === 'removed'
+                ? t(language, 'delete.removed', { activity: await describeRemoved(result.activity, language) })
+                : t(language, 'delete.gone')
+        });
+    }
+    
+    if (data.get('action') === 'log-cancel') {
+        return await client.replyMessage(replyToken, {
+            type: 'text',
+            text: t(language, 'log.cancelled')
+        });
+    }
     
     if (data.get('action') === 'add') {
         const type = data.get('type');
-        const activityInfo = ACTIVITY_TYPES[type];
+        const activityInfo = await activityTypeService.resolveType(type);
+        if (!activityInfo) {
+            return await client.replyMessage(replyToken, {
+                type: 'text',
+                text: t(language, 'add.unavailable')
+            });
+        }
         
         // For Firestore integration, we need to use the Firestore service
         // This handler will be updated when integrated with the main server
@@ -588,7 +1051,7 @@ async function handlePostback(event, db) {
         // Send confirmation
         const message = {
             type: 'flex',
-            altText: 'Activity Added!',
+            altText: t(language, 'add.doneAlt'),
             contents: {
                 type: 'bubble',
                 size: 'kilo',
@@ -598,20 +1061,20 @@ async function handlePostback(event, db) {
                     contents: [
                         {
                             type: 'text',
-                            text: 'Activity Added! ✅',
+                            text: t(language, 'add.doneTitle'),
                             weight: 'bold',
                             size: 'lg',
                             color: '#06C755'
                         },
                         {
                             type: 'text',
-                            text: `${activityInfo.emoji} ${activityInfo.name}`,
+                            text: `${activityInfo.emoji} ${typeName(activityInfo, language)}`,
                             size: 'md',
                             margin: 'md'
                         },
                         {
                             type: 'text',
-                            text: `+${activityInfo.points} points earned`,
+                            text: t(language, 'add.donePoints', { points: activityInfo.points }),
                             size: 'sm',
                             color: '#06C755',
                             margin: 'sm'
@@ -621,7 +1084,7 @@ async function handlePostback(event, db) {
             }
         };
         
-        return await client.replyMessage(replyToken, [message, getQuickReply()]);
+        return await client.replyMessage(replyToken, [message, getQuickReply(language)]);
     }
 }
 
@@ -0,0 +1,265 @@
+// English messages of the LINE bot and its flex messages.
+// {name} placeholders are filled in by utils/i18n.t; { one, other } entries
+// are picked by the count parameter.
+module.exports = {
+    // Shared words
+    'common.unknown': 'Unknown',
+    'common.teammate': 'A teammate',
+    'common.you': 'You',
+    'common.points': '{points} pts',
+    'common.on': 'on',
+    'common.off': 'off',
+    'common.days': { one: '{count} day', other: '{count} days' },
+    'period.daily': 'daily',
+    'period.weekly': 'weekly',
+    'period.monthly': 'monthly',
+    'metric.points': 'points',
+
+    // Quick reply menu
+    'menu.prompt': 'What would you like to do?',
+    'menu.stats': '📊 My Stats',
+    'menu.add': '➕ Add Activity',
+    'menu.leaderboard': '🏆 Leaderboard',
+    'menu.app': '📱 Open App',
+
+    // Welcome
+    'welcome.alt': 'Welcome to Sales Tracker Pro!',
+    'welcome.title': 'Welcome to Sales Tracker Pro! 🎯',
+    'welcome.body': 'Track your sales activities, earn points, and compete with your team!',
+    'welcome.start': 'Start Tracking',
+    'welcome.learnMore': 'Learn More',
+
+    // /stats
+    'stats.alt': 'Your Stats',
+    'stats.title': 'Your Stats 📊',
+    'stats.totalPoints': 'Total Points',
+    'stats.today': 'Today',
+    'stats.streak': 'Streak',
+    'stats.streakValue': { one: '{count} day 🔥', other: '{count} days 🔥' },
+    'stats.level': 'Level',
+    'stats.levelValue': 'Level {level}',
+    'stats.targets': 'Targets 🎯',
+    'stats.details': 'View Details',
+
+    // Target progress
+    'target.status.achieved': 'Achieved 🎉',
+    'target.status.ahead': 'Ahead of pace',
+    'target.status.on_track': 'On track',
+    'target.status.behind': 'Behind pace',
+    'target.metricPoints': '⭐ Points',
+    'target.points': 'Points',
+    'target.label.user': '{metric} ({period})',
+    'target.label.team': 'Team {metric} ({period})',
+    'target.pace': '{status} • projected {percent}%',
+
+    // /add
+    'add.alt': 'Add Activity',
+    'add.points': '+{points} pts',
+    'add.button': 'Add',
+    'add.display': 'Add {name}',
+    'add.unavailable': 'This activity type is no longer available. Please choose another one.',
+    'add.doneAlt': 'Activity Added!',
+    'add.doneTitle': 'Activity Added! ✅',
+    'add.donePoints': '+{points} points earned',
+
+    // Activities typed in chat
+    'log.alt': { one: 'Log {count} activity?', other: 'Log {count} activities?' },
+    'log.title': 'Log these activities?',
+    'log.total': 'Total: +{points} points',
+    'log.limit': 'Only the first {count} activities; send the rest in another message.',
+    'log.unmatched': 'Not understood: {parts}',
+    'log.cancel': 'Cancel',
+    'log.confirm': 'Confirm',
+    'log.failed': 'Sorry, these activities could not be saved. Please send them again.',
+    'log.saved': { one: '✅ Saved {count} activity (+{points} points)', other: '✅ Saved {count} activities (+{points} points)' },
+    'log.capped': 'Some were over the daily limit of their type and earned no points.',
+    'log.duplicate': '{count} already saved before.',
+    'log.rejected': '❌ {count} not saved: {reasons}',
+    'log.cancelled': 'Cancelled. Nothing was saved.',
+
+    // /leaderboard
+    'leaderboard.unknownMode': 'Unknown ranking "{mode}". Try /leaderboard with one of: {modes}',
+    'leaderboard.mode.points': 'Points',
+    'leaderboard.mode.meetings': 'Meetings',
+    'leaderboard.mode.conversion': 'Conversion',
+    'leaderboard.mode.contracts': 'Contracts',
+    'leaderboard.mode.composite': 'Overall',
+    'leaderboard.score.points': '{score} pts',
+    'leaderboard.score.meetings': '{score} meetings',
+    'leaderboard.score.conversion': '{score}%',
+    'leaderboard.score.contracts': '{score} contracts',
+    'leaderboard.score.composite': '{score}',
+    'leaderboard.empty': 'No activities logged this week yet',
+    'leaderboard.alt': 'Leaderboard',
+    'leaderboard.title': 'Leaderboard 🏆',
+    'leaderboard.subtitle': 'This week · {mode}',
+    'leaderboard.full': 'View Full Leaderboard',
+
+    // /app
+    'app.alt': 'Open Sales Tracker Pro',
+    'app.title': 'Sales Tracker Pro 📱',
+    'app.body': 'Track activities, earn points, and climb the leaderboard!',
+    'app.open': 'Open App',
+
+    // /help
+    'help.text': [
+        'Sales Tracker Pro - Commands 📖',
+        '',
+        '/stats - View your points and stats',
+        '/add - Log a new activity',
+        "/today - Today's activities (delete one here)",
+        '/week - This week day by day',
+        '/undo - Remove the activity you just logged',
+        '/me - Your rank, streak and achievements',
+        '/goal - Progress on your targets',
+        '/leaderboard [mode] - See top performers (points, meetings, conversion, contracts, composite)',
+        '/lang [th|en] - Change the language',
+        '/app - Open the app',
+        '/help - Show this help',
+        '',
+        'You can also just tell me what you did, in English or Thai:',
+        '"3 calls, 1 meeting with Siam Cement, 2 quotes"',
+        '"โทร 3 สาย ประชุมกับปูนซิเมนต์ไทย 1 ครั้ง"',
+        "I'll show what I understood before saving it.",
+        '',
+        'Happy tracking! 🎯'
+    ].join('\n'),
+
+    // /undo and /today's delete buttons
+    'remove.activity': '{name} ×{count} (-{points} points)',
+    'undo.unavailable': 'Undo is not available right now. Please use the app.',
+    'undo.removed': '↩️ Removed {activity}',
+    'undo.expired': 'Your last activity was logged more than {minutes} minutes ago. Use /today to delete it.',
+    'undo.none': 'There is no activity to undo.',
+    'delete.removed': '🗑 Removed {activity}',
+    'delete.gone': 'This activity was already removed.',
+
+    // /today
+    'today.alt': { one: 'Today: {count} activity', other: 'Today: {count} activities' },
+    'today.title': '📝 Today',
+    'today.empty': 'Nothing logged today yet. Tell me what you did, e.g. "3 calls, 1 meeting".',
+    'today.more': '…and {count} more in the app',
+    'today.footer': { one: '+{points} points • {count} activity', other: '+{points} points • {count} activities' },
+    'today.delete': 'Delete',
+    'today.deleteDisplay': 'Delete {name}',
+    'today.textTitle': '📝 Today ({date})',
+    'today.textEmpty': 'Nothing logged today yet.',
+    'today.textTotal': 'Total: +{points} points',
+
+    // /week
+    'week.alt': 'This week: {points} points',
+    'week.title': '📅 This Week',
+    'week.footer': { one: '+{points} points • {count} activity', other: '+{points} points • {count} activities' },
+    'week.textTitle': '📅 This week ({range})',
+    'week.textDay': '{day}: {points} pts ({count})',
+    'week.textTotal': 'Total: +{points} points, {count} activities',
+
+    // /me
+    'me.alt': '{name}: rank {rank}',
+    'me.subtitle': 'Level {level} • {points} points',
+    'me.rank': '🏆 Rank this week',
+    'me.rankValue': '#{rank} of {participants}',
+    'me.unranked': 'Not ranked yet',
+    'me.weekPoints': '⭐ Points this week',
+    'me.streak': '🔥 Streak',
+    'me.longest': '📈 Longest streak',
+    'me.achievements': '🏅 Achievements',
+    'me.textHeader': '👤 {name} • {points} points',
+    'me.textRank': '🏆 Rank this week: {rank} ({points} pts)',
+    'me.textUnranked': 'not ranked yet',
+    'me.textStreak': '🔥 Streak: {current} (longest {longest})',
+    'me.textAchievements': '🏅 Achievements: {count}',
+    'me.textLatest': '🏅 Achievements: {count} (latest: {names})',
+
+    // /goal
+    'goal.alt': 'Your targets',
+    'goal.title': '🎯 Targets',
+    'goal.subtitle': "Your own and your team's",
+    'goal.empty': 'No targets are set for you or your team.',
+    'goal.textTitle': '🎯 Targets',
+    'goal.textEmpty': '🎯 No targets are set for you or your team.',
+    'goal.textRow': '{label}: {actual}/{target} – {status}',
+
+    // /lang
+    'lang.name.en': 'English',
+    'lang.name.th': 'ไทย (Thai)',
+    'lang.current': '🌐 Language: {language}',
+    'lang.usage': 'Change it with /lang th or /lang en',
+    'lang.changed': '🌐 I will reply in English from now on.',
+    'lang.groupChanged': '🌐 This group now gets messages in English.',
+    'lang.unknown': 'Unknown language "{value}". Use /lang th or /lang en',
+
+    // Group commands
+    'group.notRegistered': '❌ This group is not registered yet. Send /register first.',
+    'group.teamNotFound': '❌ Team "{team}" not found. Ask your admin for the team ID.',
+    'group.registeredTeam': "✅ Group registered for {team}!\nThis team's activity notifications will be sent to this group.",
+    'group.registered': '✅ Group registered successfully!\nActivity notifications will be sent to this group.',
+    'group.notificationsOn': '🔔 Notifications enabled',
+    'group.notificationsOff': '🔕 Notifications disabled',
+    'recap.weeklyState': '📊 Weekly recap (Monday morning): {state}',
+    'recap.monthlyState': '📅 Monthly recap (1st of the month): {state}',
+    'recap.usage': 'Change with /recap [weekly|monthly] on|off',
+
+    // /settings in a group
+    'settings.usage': [
+        'Usage: /settings [activity|achievements|milestones|daily|weekly|monthly on|off]',
+        '/settings quiet HH:MM-HH:MM|off',
+        '/settings minpoints <points>',
+        '/settings lang th|en'
+    ].join('\n'),
+    'settings.alt': 'Group notification settings',
+    'settings.title': '⚙️ Notification Settings',
+    'settings.hint': 'Tap a button to change it',
+    'settings.allOff': '🔕 All notifications are off (/toggle)',
+    'settings.category.activity': '📝 Activities',
+    'settings.category.achievements': '🏅 Achievements',
+    'settings.category.milestones': '🎯 Target milestones',
+    'settings.category.dailyLeaderboard': '🏆 Daily leaderboard',
+    'settings.category.weeklyRecap': '📊 Weekly recap',
+    'settings.category.monthlyRecap': '📅 Monthly recap',
+    'settings.switchOn': 'ON',
+    'settings.switchOff': 'OFF',
+    'settings.quietHours': '🌙 Quiet hours',
+    'settings.minPoints': '⭐ Minimum points',
+    'settings.language': '🌐 Language',
+    'settings.none': 'Off',
+    'settings.any': 'Any',
+    'settings.custom': 'Custom values: /settings quiet 23:00-06:30, /settings minpoints 30',
+
+    // Group notifications
+    'notify.alt': '{name} +{points}pts {summary}',
+    'notify.points': '+{points}pts',
+    'notify.team': 'Team: {users}👥 {points}pts',
+    'digest.alt': { one: '📋 {count} activity +{points}pts ({reps} reps)', other: '📋 {count} activities +{points}pts ({reps} reps)' },
+    'digest.title': '📋 Activity digest',
+    'digest.more': '+{count} more',
+    'announce.achievement': '🏅 {name} unlocked {achievement}!',
+    'announce.milestone': '🎯 {name} reached the {period} {metric} target: {actual}/{target}!',
+    'announce.team': 'The team',
+
+    // Daily leaderboard
+    'daily.alt': '📊 Daily Leaderboard - {date}',
+    'daily.title': '🏆 DAILY LEADERBOARD',
+    'daily.activeUsers': 'Active Users',
+    'daily.totalPoints': 'Total Points',
+    'daily.open': '📱 Open Sales Tracker',
+    'daily.cheer': 'Keep up the great work! 💪',
+
+    // Weekly and monthly recaps
+    'recap.title.weekly': 'WEEKLY RECAP',
+    'recap.title.monthly': 'MONTHLY RECAP',
+    'recap.alt.weekly': '📊 Weekly Recap - {range}',
+    'recap.alt.monthly': '📊 Monthly Recap - {range}',
+    'recap.previous.weekly': 'vs last week',
+    'recap.previous.monthly': 'vs last month',
+    'recap.team': '👥 TEAM',
+    'recap.streaks': '🔥 STREAKS & BADGES',
+    'recap.noActivity': 'No activity logged',
+    'recap.totalPoints': 'Total points',
+    'recap.activities': 'Activities',
+    'recap.activeReps': 'Active reps',
+    'recap.improver': '📈 Biggest improver: {name}',
+    'recap.noImprover': 'No one improved on their score this time',
+    'recap.noStreaks': 'No running streaks',
+    'recap.noAchievements': 'No new achievements'
+};
@@ -0,0 +1,264 @@
+// Thai messages of the LINE bot and its flex messages (keys as in en.js;
+// a key missing here falls back to English)
+module.exports = {
+    // Shared words
+    'common.unknown': 'ไม่ทราบชื่อ',
+    'common.teammate': 'เพื่อนร่วมทีม',
+    'common.you': 'คุณ',
+    'common.points': '{points} คะแนน',
+    'common.on': 'เปิด',
+    'common.off': 'ปิด',
+    'common.days': '{count} วัน',
+    'period.daily': 'รายวัน',
+    'period.weekly': 'รายสัปดาห์',
+    'period.monthly': 'รายเดือน',
+    'metric.points': 'คะแนน',
+
+    // Quick reply menu
+    'menu.prompt': 'ต้องการทำอะไรต่อ?',
+    'menu.stats': '📊 สถิติของฉัน',
+    'menu.add': '➕ บันทึกกิจกรรม',
+    'menu.leaderboard': '🏆 อันดับ',
+    'menu.app': '📱 เปิดแอป',
+
+    // Welcome
+    'welcome.alt': 'ยินดีต้อนรับสู่ Sales Tracker Pro!',
+    'welcome.title': 'ยินดีต้อนรับสู่ Sales Tracker Pro! 🎯',
+    'welcome.body': 'บันทึกกิจกรรมการขาย สะสมคะแนน และแข่งขันกับเพื่อนร่วมทีม!',
+    'welcome.start': 'เริ่มบันทึก',
+    'welcome.learnMore': 'ดูวิธีใช้',
+
+    // /stats
+    'stats.alt': 'สถิติของคุณ',
+    'stats.title': 'สถิติของคุณ 📊',
+    'stats.totalPoints': 'คะแนนรวม',
+    'stats.today': 'วันนี้',
+    'stats.streak': 'ต่อเนื่อง',
+    'stats.streakValue': '{count} วัน 🔥',
+    'stats.level': 'เลเวล',
+    'stats.levelValue': 'เลเวล {level}',
+    'stats.targets': 'เป้าหมาย 🎯',
+    'stats.details': 'ดูรายละเอียด',
+
+    // Target progress
+    'target.status.achieved': 'ทำได้ตามเป้าแล้ว 🎉',
+    'target.status.ahead': 'เร็วกว่าแผน',
+    'target.status.on_track': 'ตามแผน',
+    'target.status.behind': 'ช้ากว่าแผน',
+    'target.metricPoints': '⭐ คะแนน',
+    'target.points': 'คะแนน',
+    'target.label.user': '{metric} ({period})',
+    'target.label.team': 'ทีม {metric} ({period})',
+    'target.pace': '{status} • คาดว่าจะได้ {percent}%',
+
+    // /add
+    'add.alt': 'บันทึกกิจกรรม',
+    'add.points': '+{points} คะแนน',
+    'add.button': 'บันทึก',
+    'add.display': 'บันทึก {name}',
+    'add.unavailable': 'กิจกรรมประเภทนี้ไม่มีให้เลือกแล้ว กรุณาเลือกประเภทอื่น',
+    'add.doneAlt': 'บันทึกกิจกรรมแล้ว!',
+    'add.doneTitle': 'บันทึกกิจกรรมแล้ว! ✅',
+    'add.donePoints': 'ได้รับ +{points} คะแนน',
+
+    // Activities typed in chat
+    'log.alt': 'บันทึก {count} กิจกรรม?',
+    'log.title': 'บันทึกกิจกรรมเหล่านี้?',
+    'log.total': 'รวม: +{points} คะแนน',
+    'log.limit': 'บันทึกได้ครั้งละ {count} กิจกรรมแรกเท่านั้น กรุณาส่งที่เหลือในข้อความถัดไป',
+    'log.unmatched': 'ไม่เข้าใจ: {parts}',
+    'log.cancel': 'ยกเลิก',
+    'log.confirm': 'ยืนยัน',
+    'log.failed': 'ขออภัย บันทึกกิจกรรมเหล่านี้ไม่สำเร็จ กรุณาส่งใหม่อีกครั้ง',
+    'log.saved': '✅ บันทึกแล้ว {count} กิจกรรม (+{points} คะแนน)',
+    'log.capped': 'บางกิจกรรมเกินจำนวนสูงสุดต่อวันของประเภทนั้น จึงไม่ได้คะแนน',
+    'log.duplicate': '{count} กิจกรรมบันทึกไว้ก่อนหน้านี้แล้ว',
+    'log.rejected': '❌ ไม่ได้บันทึก {count} กิจกรรม: {reasons}',
+    'log.cancelled': 'ยกเลิกแล้ว ไม่มีการบันทึก',
+
+    // /leaderboard
+    'leaderboard.unknownMode': 'ไม่รู้จักการจัดอันดับ "{mode}" ลองใช้ /leaderboard กับ: {modes}',
+    'leaderboard.mode.points': 'คะแนน',
+    'leaderboard.mode.meetings': 'การนัดพบ',
+    'leaderboard.mode.conversion': 'อัตราปิดการขาย',
+    'leaderboard.mode.contracts': 'สัญญา',
+    'leaderboard.mode.composite': 'ภาพรวม',
+    'leaderboard.score.points': '{score} คะแนน',
+    'leaderboard.score.meetings': '{score} นัด',
+    'leaderboard.score.conversion': '{score}%',
+    'leaderboard.score.contracts': '{score} สัญญา',
+    'leaderboard.score.composite': '{score}',
+    'leaderboard.empty': 'สัปดาห์นี้ยังไม่มีการบันทึกกิจกรรม',
+    'leaderboard.alt': 'อันดับ',
+    'leaderboard.title': 'อันดับ 🏆',
+    'leaderboard.subtitle': 'สัปดาห์นี้ · {mode}',
+    'leaderboard.full': 'ดูอันดับทั้งหมด',
+
+    // /app
+    'app.alt': 'เปิด Sales Tracker Pro',
+    'app.title': 'Sales Tracker Pro 📱',
+    'app.body': 'บันทึกกิจกรรม สะสมคะแนน และไต่อันดับ!',
+    'app.open': 'เปิดแอป',
+
+    // /help
+    'help.text': [
+        'Sales Tracker Pro - คำสั่ง 📖',
+        '',
+        '/stats - ดูคะแนนและสถิติ',
+        '/add - บันทึกกิจกรรมใหม่',
+        '/today - กิจกรรมวันนี้ (ลบได้ที่นี่)',
+        '/week - สรุปสัปดาห์นี้รายวัน',
+        '/undo - ลบกิจกรรมที่เพิ่งบันทึก',
+        '/me - อันดับ ความต่อเนื่อง และความสำเร็จ',
+        '/goal - ความคืบหน้าของเป้าหมาย',
+        '/leaderboard [mode] - ดูอันดับ (points, meetings, conversion, contracts, composite)',
+        '/lang [th|en] - เปลี่ยนภาษา',
+        '/app - เปิดแอป',
+        '/help - แสดงวิธีใช้นี้',
+        '',
+        'หรือพิมพ์บอกสิ่งที่ทำไปได้เลย เป็นภาษาไทยหรืออังกฤษ:',
+        '"โทร 3 สาย ประชุมกับปูนซิเมนต์ไทย 1 ครั้ง"',
+        '"3 calls, 1 meeting with Siam Cement, 2 quotes"',
+        'ระบบจะแสดงสิ่งที่เข้าใจให้ยืนยันก่อนบันทึก',
+        '',
+        'ขอให้สนุกกับการบันทึก! 🎯'
+    ].join('\n'),
+
+    // /undo and /today's delete buttons
+    'remove.activity': '{name} ×{count} (-{points} คะแนน)',
+    'undo.unavailable': 'ยังยกเลิกไม่ได้ในขณะนี้ กรุณาใช้แอป',
+    'undo.removed': '↩️ ลบแล้ว: {activity}',
+    'undo.expired': 'กิจกรรมล่าสุดบันทึกไว้นานกว่า {minutes} นาทีแล้ว ใช้ /today เพื่อลบ',
+    'undo.none': 'ไม่มีกิจกรรมให้ยกเลิก',
+    'delete.removed': '🗑 ลบแล้ว: {activity}',
+    'delete.gone': 'กิจกรรมนี้ถูกลบไปแล้ว',
+
+    // /today
+    'today.alt': 'วันนี้: {count} กิจกรรม',
+    'today.title': '📝 วันนี้',
+    'today.empty': 'วันนี้ยังไม่ได้บันทึกกิจกรรม พิมพ์บอกได้เลย เช่น "โทร 3 สาย ประชุม 1 ครั้ง"',
+    'today.more': '…และอีก {count} กิจกรรมในแอป',
+    'today.footer': '+{points} คะแนน • {count} กิจกรรม',
+    'today.delete': 'ลบ',
+    'today.deleteDisplay': 'ลบ {name}',
+    'today.textTitle': '📝 วันนี้ ({date})',
+    'today.textEmpty': 'วันนี้ยังไม่ได้บันทึกกิจกรรม',
+    'today.textTotal': 'รวม: +{points} คะแนน',
+
+    // /week
+    'week.alt': 'สัปดาห์นี้: {points} คะแนน',
+    'week.title': '📅 สัปดาห์นี้',
+    'week.footer': '+{points} คะแนน • {count} กิจกรรม',
+    'week.textTitle': '📅 สัปดาห์นี้ ({range})',
+    'week.textDay': '{day}: {points} คะแนน ({count})',
+    'week.textTotal': 'รวม: +{points} คะแนน, {count} กิจกรรม',
+
+    // /me
+    'me.alt': '{name}: อันดับ {rank}',
+    'me.subtitle': 'เลเวล {level} • {points} คะแนน',
+    'me.rank': '🏆 อันดับสัปดาห์นี้',
+    'me.rankValue': 'ที่ {rank} จาก {participants}',
+    'me.unranked': 'ยังไม่มีอันดับ',
+    'me.weekPoints': '⭐ คะแนนสัปดาห์นี้',
+    'me.streak': '🔥 ต่อเนื่อง',
+    'me.longest': '📈 ต่อเนื่องนานที่สุด',
+    'me.achievements': '🏅 ความสำเร็จ',
+    'me.textHeader': '👤 {name} • {points} คะแนน',
+    'me.textRank': '🏆 อันดับสัปดาห์นี้: {rank} ({points} คะแนน)',
+    'me.textUnranked': 'ยังไม่มีอันดับ',
+    'me.textStreak': '🔥 ต่อเนื่อง: {current} (นานที่สุด {longest})',
+    'me.textAchievements': '🏅 ความสำเร็จ: {count}',
+    'me.textLatest': '🏅 ความสำเร็จ: {count} (ล่าสุด: {names})',
+
+    // /goal
+    'goal.alt': 'เป้าหมายของคุณ',
+    'goal.title': '🎯 เป้าหมาย',
+    'goal.subtitle': 'ของคุณและของทีม',
+    'goal.empty': 'ยังไม่ได้ตั้งเป้าหมายให้คุณหรือทีมของคุณ',
+    'goal.textTitle': '🎯 เป้าหมาย',
+    'goal.textEmpty': '🎯 ยังไม่ได้ตั้งเป้าหมายให้คุณหรือทีมของคุณ',
+    'goal.textRow': '{label}: {actual}/{target} – {status}',
+
+    // /lang
+    'lang.name.en': 'English (อังกฤษ)',
+    'lang.name.th': 'ไทย',
+    'lang.current': '🌐 ภาษา: {language}',
+    'lang.usage': 'เปลี่ยนได้ด้วย /lang th หรือ /lang en',
+    'lang.changed': '🌐 จากนี้จะตอบเป็นภาษาไทย',
+    'lang.groupChanged': '🌐 กลุ่มนี้จะได้รับข้อความเป็นภาษาไทย',
+    'lang.unknown': 'ไม่รู้จักภาษา "{value}" ใช้ /lang th หรือ /lang en',
+
+    // Group commands
+    'group.notRegistered': '❌ กลุ่มนี้ยังไม่ได้ลงทะเบียน กรุณาส่ง /register ก่อน',
+    'group.teamNotFound': '❌ ไม่พบทีม "{team}" กรุณาขอรหัสทีมจากผู้ดูแล',
+    'group.registeredTeam': '✅ ลงทะเบียนกลุ่มให้ทีม {team} แล้ว!\nการแจ้งเตือนกิจกรรมของทีมนี้จะส่งมาที่กลุ่มนี้',
+    'group.registered': '✅ ลงทะเบียนกลุ่มเรียบร้อย!\nการแจ้งเตือนกิจกรรมจะส่งมาที่กลุ่มนี้',
+    'group.notificationsOn': '🔔 เปิดการแจ้งเตือนแล้ว',
+    'group.notificationsOff': '🔕 ปิดการแจ้งเตือนแล้ว',
+    'recap.weeklyState': '📊 สรุปรายสัปดาห์ (เช้าวันจันทร์): {state}',
+    'recap.monthlyState': '📅 สรุปรายเดือน (วันที่ 1 ของเดือน): {state}',
+    'recap.usage': 'เปลี่ยนได้ด้วย /recap [weekly|monthly] on|off',
+
+    // /settings in a group
+    'settings.usage': [
+        'วิธีใช้: /settings [activity|achievements|milestones|daily|weekly|monthly on|off]',
+        '/settings quiet HH:MM-HH:MM|off',
+        '/settings minpoints <คะแนน>',
+        '/settings lang th|en'
+    ].join('\n'),
+    'settings.alt': 'ตั้งค่าการแจ้งเตือนของกลุ่ม',
+    'settings.title': '⚙️ ตั้งค่าการแจ้งเตือน',
+    'settings.hint': 'แตะปุ่มเพื่อเปลี่ยน',
+    'settings.allOff': '🔕 ปิดการแจ้งเตือนทั้งหมดอยู่ (/toggle)',
+    'settings.category.activity': '📝 กิจกรรม',
+    'settings.category.achievements': '🏅 ความสำเร็จ',
+    'settings.category.milestones': '🎯 ถึงเป้าหมาย',
+    'settings.category.dailyLeaderboard': '🏆 อันดับประจำวัน',
+    'settings.category.weeklyRecap': '📊 สรุปรายสัปดาห์',
+    'settings.category.monthlyRecap': '📅 สรุปรายเดือน',
+    'settings.switchOn': 'เปิด',
+    'settings.switchOff': 'ปิด',
+    'settings.quietHours': '🌙 ช่วงงดแจ้งเตือน',
+    'settings.minPoints': '⭐ คะแนนขั้นต่ำ',
+    'settings.language': '🌐 ภาษา',
+    'settings.none': 'ปิด',
+    'settings.any': 'ทั้งหมด',
+    'settings.custom': 'กำหนดเอง: /settings quiet 23:00-06:30, /settings minpoints 30',
+
+    // Group notifications
+    'notify.alt': '{name} +{points} คะแนน {summary}',
+    'notify.points': '+{points} คะแนน',
+    'notify.team': 'ทีม: {users}👥 {points} คะแนน',
+    'digest.alt': '📋 {count} กิจกรรม +{points} คะแนน ({reps} คน)',
+    'digest.title': '📋 สรุปกิจกรรม',
+    'digest.more': 'อีก {count} คน',
+    'announce.achievement': '🏅 {name} ปลดล็อก {achievement}!',
+    'announce.milestone': '🎯 {name} ทำเป้าหมาย{metric}{period}สำเร็จ: {actual}/{target}!',
+    'announce.team': 'ทีม',
+
+    // Daily leaderboard
+    'daily.alt': '📊 อันดับประจำวัน - {date}',
+    'daily.title': '🏆 อันดับประจำวัน',
+    'daily.activeUsers': 'ผู้ที่บันทึก',
+    'daily.totalPoints': 'คะแนนรวม',
+    'daily.open': '📱 เปิด Sales Tracker',
+    'daily.cheer': 'สู้ต่อไป! 💪',
+
+    // Weekly and monthly recaps
+    'recap.title.weekly': 'สรุปรายสัปดาห์',
+    'recap.title.monthly': 'สรุปรายเดือน',
+    'recap.alt.weekly': '📊 สรุปรายสัปดาห์ - {range}',
+    'recap.alt.monthly': '📊 สรุปรายเดือน - {range}',
+    'recap.previous.weekly': 'เทียบสัปดาห์ก่อน',
+    'recap.previous.monthly': 'เทียบเดือนก่อน',
+    'recap.team': '👥 ทีม',
+    'recap.streaks': '🔥 ความต่อเนื่องและความสำเร็จ',
+    'recap.noActivity': 'ไม่มีการบันทึกกิจกรรม',
+    'recap.totalPoints': 'คะแนนรวม',
+    'recap.activities': 'กิจกรรม',
+    'recap.activeReps': 'พนักงานขายที่บันทึก',
+    'recap.improver': '📈 พัฒนาขึ้นมากที่สุด: {name}',
+    'recap.noImprover': 'รอบนี้ยังไม่มีใครทำคะแนนได้มากขึ้น',
+    'recap.noStreaks': 'ไม่มีใครบันทึกต่อเนื่อง',
+    'recap.noAchievements': 'ไม่มีความสำเร็จใหม่'
+};
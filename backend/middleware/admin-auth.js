@@ -0,0 +1,19 @@
+/**
+ * Admin Authentication Middleware
+ * Guards configuration endpoints with the shared ADMIN_TOKEN
+ */
+
+const requireAdminToken = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  const authToken = req.headers.authorization;
+
+  if (!adminToken || authToken !== `Bearer ${adminToken}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdminToken
+};
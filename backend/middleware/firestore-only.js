@@ -0,0 +1,19 @@
+/**
+ * Firestore-only Feature Middleware
+ * Answers 501 for features kept in Firestore (see storage/index.js) when
+ * another storage adapter is selected, instead of reading or writing Firestore
+ */
+
+const { getStorageType, usesFirestore } = require('../storage');
+
+const requireFirestore = (feature) => (req, res, next) => {
+  if (!usesFirestore()) {
+    return res.status(501).json({ error: `${feature} is not available with the ${getStorageType()} storage adapter` });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireFirestore
+};
@@ -0,0 +1,116 @@
+/**
+ * Role & Permission Middleware
+ * rep: own data only; manager: own team's data; admin: everything and configuration
+ */
+
+const firestoreService = require('../services/firestore.service');
+
+const ROLES = ['rep', 'manager', 'admin'];
+
+// Roles stored before the permission layer existed
+const LEGACY_ROLES = {
+  user: 'rep',
+  demo: 'rep'
+};
+
+const normalizeRole = (role) => {
+  if (ROLES.includes(role)) return role;
+  return LEGACY_ROLES[role] || 'rep';
+};
+
+/**
+ * Whether the actor may read or correct data belonging to a user
+ * @param {Object} actor - { lineUserId, role, teamId }
+ * @param {Object} target - User document ({ id/lineUserId, teamId })
+ */
+const canAccessUser = (actor, target) => {
+  if (!actor || !target) return false;
+  if (actor.role === 'admin') return true;
+
+  const targetId = target.lineUserId || target.id;
+  if (actor.lineUserId === targetId) return true;
+
+  return actor.role === 'manager' && !!actor.teamId && target.teamId === actor.teamId;
+};
+
+/**
+ * Whether the actor may edit or delete an activity
+ * @param {Object} actor - { lineUserId, role, teamId }
+ * @param {Object} activity - Activity document ({ lineUserId, teamId })
+ */
+const canModifyActivity = (actor, activity) => {
+  if (!actor || !activity) return false;
+  if (actor.role === 'admin') return true;
+  if (actor.lineUserId === activity.lineUserId) return true;
+
+  return actor.role === 'manager' && !!actor.teamId && activity.teamId === actor.teamId;
+};
+
+/**
+ * Whether the actor may see a whole team's data
+ * @param {Object} actor - { role, teamId }
+ * @param {string} teamId - Team document ID
+ */
+const canAccessTeam = (actor, teamId) => {
+  if (!actor) return false;
+  if (actor.role === 'admin') return true;
+
+  return actor.role === 'manager' && actor.teamId === teamId;
+};
+
+// Load the caller's role and team from Firestore (after authenticateToken).
+// Roles are read from the user document so changes apply without a new token.
+const loadActor = async (req, res, next) => {
+  try {
+    const user = await firestoreService.getUser(req.user.lineUserId);
+
+    req.actor = {
+      lineUserId: req.user.lineUserId,
+      role: normalizeRole(user && user.role),
+      teamId: (user && user.teamId) || null
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.actor || !roles.includes(req.actor.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  next();
+};
+
+// Guard routes addressing another user's data via a route param
+const authorizeUserParam = (paramName) => async (req, res, next) => {
+  try {
+    const targetId = req.params[paramName];
+
+    if (req.actor.lineUserId === targetId || req.actor.role === 'admin') {
+      return next();
+    }
+
+    const target = await firestoreService.getUser(targetId);
+    if (!canAccessUser(req.actor, target)) {
+      return res.status(403).json({ error: 'Cannot access other users data' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  ROLES,
+  normalizeRole,
+  canAccessUser,
+  canModifyActivity,
+  canAccessTeam,
+  loadActor,
+  requireRole,
+  authorizeUserParam
+};
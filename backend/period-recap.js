@@ -0,0 +1,237 @@
+// Weekly & Monthly Recap Generator for LINE Flex Messages
+// A recap covers the last full week (Monday-Sunday) or calendar month and is
+// posted the morning after it ends, as a carousel next to the daily leaderboard.
+const { addDays, getPeriodRange, getPreviousRange } = require('./utils/business-date');
+const { t, formatDate, formatNumber } = require('./utils/i18n');
+
+const RECAP_PERIODS = ['weekly', 'monthly'];
+
+// The period a recap sent on date covers (the one that ended the day before) and the one before it
+function getRecapRange(period, date) {
+    const { startDate, endDate } = getPeriodRange(period, addDays(date, -1));
+    const previous = getPreviousRange(period, startDate, endDate);
+
+    return { startDate, endDate, previousStartDate: previous.startDate, previousEndDate: previous.endDate };
+}
+
+// "first_step" -> "First Step" (achievement IDs are the only name the backend knows)
+function achievementName(achievementId) {
+    return String(achievementId)
+        .split(/[_-]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Summarize a period for its recap
+ * @param {Object} data - { period, startDate, endDate,
+ *   entries, previousEntries (leaderboard entries: userId, displayName, points, activities),
+ *   streaks ([{ userId, displayName, currentStreak }] of streaks still running at the end),
+ *   achievements ([{ userId, displayName, achievementId }] unlocked during the period) }
+ */
+function buildRecap({ period, startDate, endDate, entries = [], previousEntries = [], streaks = [], achievements = [] }) {
+    const previousPoints = {};
+    previousEntries.forEach(entry => {
+        previousPoints[entry.userId] = entry.points || 0;
+    });
+
+    const sum = (list, field) => list.reduce((total, entry) => total + (entry[field] || 0), 0);
+    const points = sum(entries, 'points');
+    const lastPoints = sum(previousEntries, 'points');
+
+    // Most points gained over the previous period (ties go to the higher total)
+    const biggestImprover = entries
+        .map(entry => ({
+            userId: entry.userId,
+            displayName: entry.displayName,
+            points: entry.points || 0,
+            previousPoints: previousPoints[entry.userId] || 0,
+            change: (entry.points || 0) - (previousPoints[entry.userId] || 0)
+        }))
+        .filter(entry => entry.change > 0)
+        .sort((a, b) => b.change - a.change || b.points - a.points)[0] || null;
+
+    return {
+        period,
+        startDate,
+        endDate,
+        topPerformers: [...entries]
+            .sort((a, b) => (a.rank || 0) - (b.rank || 0) || (b.points || 0) - (a.points || 0))
+            .slice(0, 3)
+            .map(entry => ({ userId: entry.userId, displayName: entry.displayName, points: entry.points || 0, activities: entry.activities || 0 })),
+        biggestImprover,
+        team: {
+            points,
+            previousPoints: lastPoints,
+            change: points - lastPoints,
+            changePercent: lastPoints > 0 ? Math.round(((points - lastPoints) / lastPoints) * 100) : null,
+            activities: sum(entries, 'activities'),
+            participants: entries.length
+        },
+        streakLeaders: streaks
+            .filter(streak => streak.currentStreak > 1)
+            .sort((a, b) => b.currentStreak - a.currentStreak)
+            .slice(0, 3),
+        newAchievements: achievements.map(achievement => ({
+            ...achievement,
+            name: achievementName(achievement.achievementId)
+        }))
+    };
+}
+
+// Bubble with the recap's header style
+function recapBubble(title, subtitle, rows) {
+    return {
+        "type": "bubble",
+        "size": "kilo",
+        "header": {
+            "type": "box",
+            "layout": "vertical",
+            "contents": [
+                {
+                    "type": "text",
+                    "text": title,
+                    "weight": "bold",
+                    "size": "lg",
+                    "color": "#FFFFFF",
+                    "align": "center"
+                },
+                {
+                    "type": "text",
+                    "text": subtitle,
+                    "size": "xs",
+                    "color": "#999999",
+                    "align": "center",
+                    "margin": "xs"
+                }
+            ],
+            "backgroundColor": "#0f3460",
+            "paddingAll": "lg"
+        },
+        "body": {
+            "type": "box",
+            "layout": "vertical",
+            "contents": rows,
+            "backgroundColor": "#0a0e27",
+            "paddingAll": "md"
+        }
+    };
+}
+
+// Row of a name and a value, as in the daily leaderboard ranking
+function recapRow(label, value, index = 0) {
+    return {
+        "type": "box",
+        "layout": "horizontal",
+        "contents": [
+            {
+                "type": "text",
+                "text": label,
+                "size": "sm",
+                "flex": 7,
+                "color": "#FFFFFF",
+                "wrap": true
+            },
+            {
+                "type": "text",
+                "text": value,
+                "size": "sm",
+                "flex": 4,
+                "align": "end",
+                "weight": "bold",
+                "color": "#FFD700"
+            }
+        ],
+        "margin": "sm",
+        "paddingAll": "sm",
+        "backgroundColor": index % 2 === 0 ? "#1a1a2e" : "#16213e",
+        "cornerRadius": "md"
+    };
+}
+
+function noteRow(text) {
+    return {
+        "type": "text",
+        "text": text,
+        "size": "sm",
+        "color": "#999999",
+        "align": "center",
+        "margin": "md",
+        "wrap": true
+    };
+}
+
+// +260, -15 or 0 in the language's digits
+const signed = (value, language) => formatNumber(value, language, { signDisplay: 'exceptZero' });
+
+/**
+ * Carousel flex message of a recap: top performers, team total with the
+ * biggest improver, and streak leaders with new achievements
+ * @param {Object} recap - From buildRecap
+ * @param {string} language - Language of the group it is sent to
+ */
+function createRecapCarousel(recap, language) {
+    const range = `${formatDate(recap.startDate, language)} – ${formatDate(recap.endDate, language)}`;
+    const medals = ['🥇', '🥈', '🥉'];
+    const unknown = t(language, 'common.unknown');
+
+    const topRows = recap.topPerformers.length > 0
+        ? recap.topPerformers.map((entry, index) =>
+            recapRow(`${medals[index]} ${entry.displayName || unknown}`, t(language, 'common.points', { points: entry.points }), index))
+        : [noteRow(t(language, 'recap.noActivity'))];
+
+    const { team } = recap;
+    const change = signed(team.change, language);
+    const teamRows = [
+        recapRow(t(language, 'recap.totalPoints'), formatNumber(team.points, language), 0),
+        recapRow(
+            t(language, `recap.previous.${recap.period}`),
+            team.changePercent === null ? change : `${change} (${signed(team.changePercent, language)}%)`,
+            1
+        ),
+        recapRow(t(language, 'recap.activities'), formatNumber(team.activities, language), 0),
+        recapRow(t(language, 'recap.activeReps'), formatNumber(team.participants, language), 1),
+        recap.biggestImprover
+            ? recapRow(
+                t(language, 'recap.improver', { name: recap.biggestImprover.displayName || unknown }),
+                signed(recap.biggestImprover.change, language),
+                0
+            )
+            : noteRow(t(language, 'recap.noImprover'))
+    ];
+
+    const streakRows = recap.streakLeaders.length > 0
+        ? recap.streakLeaders.map((streak, index) =>
+            recapRow(`🔥 ${streak.displayName || unknown}`, t(language, 'common.days', { count: streak.currentStreak }), index))
+        : [noteRow(t(language, 'recap.noStreaks'))];
+    const achievementRows = recap.newAchievements.length > 0
+        ? recap.newAchievements.slice(0, 5).map((achievement, index) =>
+            recapRow(`🏅 ${achievement.displayName || unknown}`, achievement.name, index))
+        : [noteRow(t(language, 'recap.noAchievements'))];
+
+    return {
+        "type": "flex",
+        "altText": t(language, `recap.alt.${recap.period}`, { range }),
+        "contents": {
+            "type": "carousel",
+            "contents": [
+                recapBubble(`🏆 ${t(language, `recap.title.${recap.period}`)}`, range, topRows),
+                recapBubble(t(language, 'recap.team'), range, teamRows),
+                recapBubble(t(language, 'recap.streaks'), range, [
+                    ...streakRows,
+                    { "type": "separator", "margin": "lg" },
+                    ...achievementRows
+                ])
+            ]
+        }
+    };
+}
+
+module.exports = {
+    RECAP_PERIODS,
+    achievementName,
+    getRecapRange,
+    buildRecap,
+    createRecapCarousel
+};
@@ -0,0 +1,411 @@
+// Personal Command Messages for LINE
+// Replies to /today, /week, /me and /goal in a rep's 1:1 chat with the bot,
+// each as a flex message and as plain text, which is sent instead while the
+// LINE quota is critical. /today lists the day's activities with a delete
+// button each (quick reply buttons in the text version). Every message is
+// built in the rep's language.
+const { addDays } = require('./utils/business-date');
+const { t, formatDate, formatNumber, typeName } = require('./utils/i18n');
+
+// A bubble stays readable (and under LINE's size limit) with this many activity rows
+const MAX_TODAY_ROWS = 12;
+// LINE shows at most 13 quick reply buttons
+const MAX_QUICK_REPLY_ITEMS = 13;
+// Latest achievements named in /me
+const RECENT_ACHIEVEMENTS = 3;
+
+// Bar colors of target progress by pace status (labels are target.status.<status>)
+const TARGET_STATUS_COLORS = {
+    achieved: '#06C755',
+    ahead: '#06C755',
+    on_track: '#3B82F6',
+    behind: '#EF4444'
+};
+
+// "2025-03-12" -> "Wed 12" ("พ. 12" in Thai)
+function dayLabel(date, language) {
+    return formatDate(date, language, { weekday: 'short', day: 'numeric' });
+}
+
+// Emoji and name of an activity from the catalog, its title for types no longer in it
+function describeActivity(activity, catalog, language) {
+    const type = catalog.find(entry => entry.id === activity.activityType);
+    return type ? `${type.emoji} ${typeName(type, language)}` : `✨ ${activity.title || activity.activityType}`;
+}
+
+// "Team Meeting (weekly)": a target's metric, scope and period
+function targetLabel(progress, metric, language) {
+    return t(language, `target.label.${progress.scope === 'team' ? 'team' : 'user'}`, {
+        metric,
+        period: t(language, `period.${progress.period}`)
+    });
+}
+
+const sumPoints = (activities) => activities.reduce((sum, activity) => sum + (activity.points || 0), 0);
+
+const header = (title, subtitle) => ({
+    type: 'box',
+    layout: 'vertical',
+    backgroundColor: '#06C755',
+    contents: [
+        { type: 'text', text: title, weight: 'bold', size: 'lg', color: '#FFFFFF' },
+        { type: 'text', text: subtitle, size: 'xs', color: '#FFFFFF' }
+    ]
+});
+
+const emptyText = (text) => ({ type: 'text', text, size: 'sm', color: '#999999', wrap: true });
+
+// Row of a label and a value
+const valueRow = (label, value, color = '#111111') => ({
+    type: 'box',
+    layout: 'horizontal',
+    margin: 'md',
+    contents: [
+        { type: 'text', text: label, size: 'sm', color: '#555555', flex: 3 },
+        { type: 'text', text: value, size: 'sm', weight: 'bold', color, align: 'end', flex: 2 }
+    ]
+});
+
+const bubble = (altText, headerBox, bodyContents, footerText) => ({
+    type: 'flex',
+    altText,
+    contents: {
+        type: 'bubble',
+        header: headerBox,
+        body: { type: 'box', layout: 'vertical', contents: bodyContents },
+        ...(footerText ? {
+            footer: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [{ type: 'text', text: footerText, size: 'sm', weight: 'bold', align: 'center', color: '#06C755', wrap: true }]
+            }
+        } : {})
+    }
+});
+
+/**
+ * Rows of target progress (TargetService.getUserProgress)
+ * @param {Array} progressList - Progress of the rep's own and team targets
+ * @param {Array} catalog - Activity types, including inactive ones
+ * @param {string} language - Language of the labels
+ */
+function createTargetProgressRows(progressList, catalog, language) {
+    return progressList.map(progress => {
+        const activityType = catalog.find(type => type.id === progress.metric);
+        const metricLabel = activityType ? `${activityType.emoji} ${typeName(activityType, language)}` : t(language, 'target.metricPoints');
+        const color = TARGET_STATUS_COLORS[progress.status];
+
+        return {
+            type: 'box',
+            layout: 'vertical',
+            margin: 'md',
+            contents: [
+                {
+                    type: 'box',
+                    layout: 'horizontal',
+                    contents: [
+                        {
+                            type: 'text',
+                            text: targetLabel(progress, metricLabel, language),
+                            size: 'xs',
+                            color: '#555555',
+                            flex: 3
+                        },
+                        {
+                            type: 'text',
+                            text: `${formatNumber(progress.actual, language)}/${formatNumber(progress.targetValue, language)}`,
+                            size: 'xs',
+                            weight: 'bold',
+                            align: 'end',
+                            flex: 1
+                        }
+                    ]
+                },
+                {
+                    type: 'box',
+                    layout: 'vertical',
+                    backgroundColor: '#E5E7EB',
+                    height: '6px',
+                    margin: 'sm',
+                    contents: [
+                        {
+                            type: 'box',
+                            layout: 'vertical',
+                            backgroundColor: color,
+                            height: '6px',
+                            width: `${Math.max(1, Math.min(100, progress.percentComplete))}%`,
+                            contents: []
+                        }
+                    ]
+                },
+                {
+                    type: 'text',
+                    text: t(language, 'target.pace', {
+                        status: t(language, `target.status.${progress.status}`),
+                        percent: progress.projectedAttainment
+                    }),
+                    size: 'xxs',
+                    color,
+                    margin: 'xs'
+                }
+            ]
+        };
+    });
+}
+
+// Postback of an activity's delete button
+const deleteAction = (activity, name, language) => ({
+    type: 'postback',
+    label: t(language, 'today.delete'),
+    data: `action=delete&id=${activity.id}`,
+    displayText: t(language, 'today.deleteDisplay', { name })
+});
+
+/**
+ * /today: the day's activities, newest first, each with a delete button
+ * @param {Object} data - { date, activities, catalog }
+ * @param {string} language
+ */
+function createTodayFlex({ date, activities, catalog }, language) {
+    const rows = activities.slice(0, MAX_TODAY_ROWS).map(activity => {
+        const name = describeActivity(activity, catalog, language);
+        return {
+            type: 'box',
+            layout: 'horizontal',
+            alignItems: 'center',
+            margin: 'md',
+            contents: [
+                {
+                    type: 'box',
+                    layout: 'vertical',
+                    flex: 4,
+                    contents: [
+                        { type: 'text', text: `${name} ×${activity.count || 1}`, size: 'sm', weight: 'bold', wrap: true },
+                        ...(activity.subtitle ? [{ type: 'text', text: activity.subtitle, size: 'xs', color: '#999999' }] : [])
+                    ]
+                },
+                { type: 'text', text: `+${formatNumber(activity.points || 0, language)}`, size: 'sm', color: '#06C755', align: 'end', flex: 1 },
+                {
+                    type: 'button',
+                    style: 'secondary',
+                    height: 'sm',
+                    flex: 2,
+                    margin: 'sm',
+                    action: deleteAction(activity, name, language)
+                }
+            ]
+        };
+    });
+    if (activities.length > MAX_TODAY_ROWS) {
+        rows.push(emptyText(t(language, 'today.more', { count: activities.length - MAX_TODAY_ROWS })));
+    }
+
+    return bubble(
+        t(language, 'today.alt', { count: activities.length }),
+        header(t(language, 'today.title'), dayLabel(date, language)),
+        rows.length > 0 ? rows : [emptyText(t(language, 'today.empty'))],
+        activities.length > 0 ? t(language, 'today.footer', { points: sumPoints(activities), count: activities.length }) : null
+    );
+}
+
+function createTodayText({ date, activities, catalog }, language) {
+    const title = t(language, 'today.textTitle', { date: dayLabel(date, language) });
+    if (activities.length === 0) {
+        return { type: 'text', text: `${title}\n${t(language, 'today.textEmpty')}` };
+    }
+
+    const lines = activities.map((activity, index) =>
+        `${index + 1}. ${describeActivity(activity, catalog, language)} ×${activity.count || 1}${activity.subtitle ? ` (${activity.subtitle})` : ''} +${formatNumber(activity.points || 0, language)}`);
+
+    return {
+        type: 'text',
+        text: [title, ...lines, t(language, 'today.textTotal', { points: sumPoints(activities) })].join('\n'),
+        quickReply: {
+            items: activities.slice(0, MAX_QUICK_REPLY_ITEMS).map((activity, index) => ({
+                type: 'action',
+                action: { ...deleteAction(activity, `#${index + 1}`, language), label: `🗑 #${index + 1}` }
+            }))
+        }
+    };
+}
+
+/**
+ * Day-by-day totals of a week
+ * @param {Array} activities - The rep's activities of the week
+ * @param {string} startDate - Monday (YYYY-MM-DD)
+ * @param {string} today - Business date; later days are left out
+ * @returns {Object} { startDate, endDate, days: [{ date, activities, points }], activities, points }
+ */
+function summarizeWeek(activities, startDate, today) {
+    const days = [];
+    for (let date = startDate; date <= today && days.length < 7; date = addDays(date, 1)) {
+        const ofDay = activities.filter(activity => activity.date === date);
+        days.push({
+            date,
+            activities: ofDay.reduce((sum, activity) => sum + (activity.count || 1), 0),
+            points: sumPoints(ofDay)
+        });
+    }
+
+    return {
+        startDate,
+        endDate: addDays(startDate, 6),
+        days,
+        activities: days.reduce((sum, day) => sum + day.activities, 0),
+        points: days.reduce((sum, day) => sum + day.points, 0)
+    };
+}
+
+// "Mon 10 – Sun 16"
+const weekRange = (week, language) => `${dayLabel(week.startDate, language)} – ${dayLabel(week.endDate, language)}`;
+
+/**
+ * /week: points and activities of each day of the week so far
+ * @param {Object} week - From summarizeWeek
+ * @param {string} language
+ */
+function createWeekFlex(week, language) {
+    const best = Math.max(1, ...week.days.map(day => day.points));
+    const rows = week.days.map(day => ({
+        type: 'box',
+        layout: 'horizontal',
+        alignItems: 'center',
+        margin: 'md',
+        contents: [
+            { type: 'text', text: dayLabel(day.date, language), size: 'sm', color: '#555555', flex: 2 },
+            {
+                type: 'box',
+                layout: 'vertical',
+                backgroundColor: '#E5E7EB',
+                height: '8px',
+                flex: 4,
+                contents: [
+                    {
+                        type: 'box',
+                        layout: 'vertical',
+                        backgroundColor: day.points > 0 ? '#06C755' : '#E5E7EB',
+                        height: '8px',
+                        width: `${Math.max(1, Math.round((day.points / best) * 100))}%`,
+                        contents: []
+                    }
+                ]
+            },
+            { type: 'text', text: formatNumber(day.points, language), size: 'sm', weight: 'bold', align: 'end', flex: 2 }
+        ]
+    }));
+
+    return bubble(
+        t(language, 'week.alt', { points: week.points }),
+        header(t(language, 'week.title'), weekRange(week, language)),
+        rows,
+        t(language, 'week.footer', { points: week.points, count: week.activities })
+    );
+}
+
+function createWeekText(week, language) {
+    const lines = week.days.map(day => t(language, 'week.textDay', { day: dayLabel(day.date, language), points: day.points, count: day.activities }));
+    return {
+        type: 'text',
+        text: [
+            t(language, 'week.textTitle', { range: weekRange(week, language) }),
+            ...lines,
+            t(language, 'week.textTotal', { points: week.points, count: week.activities })
+        ].join('\n')
+    };
+}
+
+/**
+ * /me: rank, streak and achievements
+ * @param {Object} profile - { displayName, totalPoints, weeklyPoints, rank, participants,
+ *   currentStreak, longestStreak, achievements (names, oldest first) }
+ * @param {string} language
+ */
+function createMeFlex(profile, language) {
+    const recent = profile.achievements.slice(-RECENT_ACHIEVEMENTS).reverse();
+    const days = (count) => t(language, 'common.days', { count });
+
+    return bubble(
+        t(language, 'me.alt', { name: profile.displayName, rank: profile.rank || '-' }),
+        header(`👤 ${profile.displayName}`, t(language, 'me.subtitle', {
+            level: Math.floor(profile.totalPoints / 1000) + 1,
+            points: profile.totalPoints
+        })),
+        [
+            valueRow(
+                t(language, 'me.rank'),
+                profile.rank ? t(language, 'me.rankValue', { rank: profile.rank, participants: profile.participants }) : t(language, 'me.unranked'),
+                '#06C755'
+            ),
+            valueRow(t(language, 'me.weekPoints'), formatNumber(profile.weeklyPoints, language)),
+            valueRow(t(language, 'me.streak'), days(profile.currentStreak)),
+            valueRow(t(language, 'me.longest'), days(profile.longestStreak)),
+            { type: 'separator', margin: 'lg' },
+            valueRow(t(language, 'me.achievements'), formatNumber(profile.achievements.length, language)),
+            ...recent.map(name => ({ type: 'text', text: `• ${name}`, size: 'xs', color: '#555555', margin: 'sm' }))
+        ]
+    );
+}
+
+function createMeText(profile, language) {
+    const recent = profile.achievements.slice(-RECENT_ACHIEVEMENTS).reverse();
+    const rank = profile.rank
+        ? t(language, 'me.rankValue', { rank: profile.rank, participants: profile.participants })
+        : t(language, 'me.textUnranked');
+    return {
+        type: 'text',
+        text: [
+            t(language, 'me.textHeader', { name: profile.displayName, points: profile.totalPoints }),
+            t(language, 'me.textRank', { rank, points: profile.weeklyPoints }),
+            t(language, 'me.textStreak', { current: t(language, 'common.days', { count: profile.currentStreak }), longest: profile.longestStreak }),
+            recent.length > 0
+                ? t(language, 'me.textLatest', { count: profile.achievements.length, names: recent.join(', ') })
+                : t(language, 'me.textAchievements', { count: profile.achievements.length })
+        ].join('\n')
+    };
+}
+
+/**
+ * /goal: progress of the rep's own and team targets
+ * @param {Object} data - { progress (TargetService.getUserProgress), catalog }
+ * @param {string} language
+ */
+function createGoalFlex({ progress, catalog }, language) {
+    return bubble(
+        t(language, 'goal.alt'),
+        header(t(language, 'goal.title'), t(language, 'goal.subtitle')),
+        progress.length > 0
+            ? createTargetProgressRows(progress, catalog, language)
+            : [emptyText(t(language, 'goal.empty'))]
+    );
+}
+
+function createGoalText({ progress, catalog }, language) {
+    if (progress.length === 0) {
+        return { type: 'text', text: t(language, 'goal.textEmpty') };
+    }
+
+    const lines = progress.map(entry => {
+        const type = catalog.find(activityType => activityType.id === entry.metric);
+        return t(language, 'goal.textRow', {
+            label: targetLabel(entry, type ? typeName(type, language) : t(language, 'target.points'), language),
+            actual: entry.actual,
+            target: entry.targetValue,
+            status: t(language, `target.status.${entry.status}`)
+        });
+    });
+    return { type: 'text', text: [t(language, 'goal.textTitle'), ...lines].join('\n') };
+}
+
+module.exports = {
+    MAX_TODAY_ROWS,
+    createTargetProgressRows,
+    createTodayFlex,
+    createTodayText,
+    summarizeWeek,
+    createWeekFlex,
+    createWeekText,
+    createMeFlex,
+    createMeText,
+    createGoalFlex,
+    createGoalText
+};
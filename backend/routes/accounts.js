@@ -0,0 +1,261 @@
+/**
+ * Account & Contact Routes
+ * Customer directory: who reps talk to, who owns them, and when they were last touched
+ */
+
+const express = require('express');
+const router = express.Router();
+const accountService = require('../services/account.service');
+const firestoreService = require('../services/firestore.service');
+
+const ACCOUNT_FIELDS = ['name', 'ownerId', 'industry', 'phone', 'address'];
+const CONTACT_FIELDS = ['name', 'ownerId', 'accountId', 'position', 'phone', 'email'];
+
+/**
+ * Validate directory fields from a request body.
+ * When partial is true (updates), only the fields present are checked.
+ */
+function validateEntry(body, partial = false) {
+    const errors = [];
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            errors.push({ path: 'name', message: 'Name is required' });
+        }
+    }
+
+    if (!partial || body.ownerId !== undefined) {
+        if (typeof body.ownerId !== 'string' || !body.ownerId.trim()) {
+            errors.push({ path: 'ownerId', message: 'Owner is required' });
+        }
+    }
+
+    if (body.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) {
+        errors.push({ path: 'email', message: 'Invalid email address' });
+    }
+
+    return errors;
+}
+
+// Copy allowed fields that are present in the body
+function pickFields(body, fields) {
+    return fields.reduce((acc, field) => {
+        if (body[field] !== undefined) {
+            acc[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        }
+        return acc;
+    }, {});
+}
+
+// Last touch plus activity timeline for an account or contact
+function buildTimeline(entry, activities) {
+    return {
+        lastTouchedAt: entry.lastTouchedAt || null,
+        lastTouchedBy: entry.lastTouchedBy || null,
+        totalActivities: activities.length,
+        activities
+    };
+}
+
+// Accounts
+
+router.get('/accounts', async (req, res) => {
+    const { q, ownerId } = req.query;
+
+    try {
+        const accounts = await accountService.searchAccounts({ q, ownerId });
+        res.json(accounts);
+    } catch (error) {
+        console.error('Error searching accounts:', error);
+        res.status(500).json({ error: 'Failed to search accounts' });
+    }
+});
+
+router.post('/accounts', async (req, res) => {
+    const errors = validateEntry(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const account = await accountService.createAccount(pickFields(req.body, ACCOUNT_FIELDS));
+        res.status(201).json({ success: true, account });
+    } catch (error) {
+        console.error('Error creating account:', error);
+        res.status(500).json({ error: 'Failed to create account' });
+    }
+});
+
+router.get('/accounts/:id', async (req, res) => {
+    try {
+        const account = await accountService.getAccount(req.params.id);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const contacts = await accountService.getAccountContacts(req.params.id);
+        res.json({ ...account, contacts });
+    } catch (error) {
+        console.error('Error getting account:', error);
+        res.status(500).json({ error: 'Failed to get account' });
+    }
+});
+
+// Update account (changing ownerId reassigns it to another rep)
+router.put('/accounts/:id', async (req, res) => {
+    const errors = validateEntry(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const account = await accountService.updateAccount(req.params.id, pickFields(req.body, ACCOUNT_FIELDS));
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        res.json({ success: true, account });
+    } catch (error) {
+        console.error('Error updating account:', error);
+        res.status(500).json({ error: 'Failed to update account' });
+    }
+});
+
+// Merge a duplicate account (sourceId) into this one
+router.post('/accounts/:id/merge', async (req, res) => {
+    const { sourceId } = req.body;
+
+    if (!sourceId || sourceId === req.params.id) {
+        return res.status(400).json({ errors: [{ path: 'sourceId', message: 'A different sourceId is required' }] });
+    }
+
+    try {
+        const account = await accountService.mergeAccounts(req.params.id, sourceId);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const movedActivities = await firestoreService.reassignCustomerActivities('accountId', sourceId, req.params.id);
+        res.json({ success: true, account, movedActivities });
+    } catch (error) {
+        console.error('Error merging accounts:', error);
+        res.status(500).json({ error: 'Failed to merge accounts' });
+    }
+});
+
+router.get('/accounts/:id/timeline', async (req, res) => {
+    try {
+        const account = await accountService.getAccount(req.params.id);
+        if (!account) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+
+        const activities = await firestoreService.getCustomerActivities('accountId', req.params.id);
+        res.json({ account, ...buildTimeline(account, activities) });
+    } catch (error) {
+        console.error('Error getting account timeline:', error);
+        res.status(500).json({ error: 'Failed to get account timeline' });
+    }
+});
+
+// Contacts
+
+router.get('/contacts', async (req, res) => {
+    const { q, ownerId, accountId } = req.query;
+
+    try {
+        const contacts = await accountService.searchContacts({ q, ownerId, accountId });
+        res.json(contacts);
+    } catch (error) {
+        console.error('Error searching contacts:', error);
+        res.status(500).json({ error: 'Failed to search contacts' });
+    }
+});
+
+router.post('/contacts', async (req, res) => {
+    const errors = validateEntry(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        if (req.body.accountId && !(await accountService.getAccount(req.body.accountId))) {
+            return res.status(400).json({ errors: [{ path: 'accountId', message: 'Account not found' }] });
+        }
+
+        const contact = await accountService.createContact(pickFields(req.body, CONTACT_FIELDS));
+        res.status(201).json({ success: true, contact });
+    } catch (error) {
+        console.error('Error creating contact:', error);
+        res.status(500).json({ error: 'Failed to create contact' });
+    }
+});
+
+router.get('/contacts/:id', async (req, res) => {
+    try {
+        const contact = await accountService.getContact(req.params.id);
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        res.json(contact);
+    } catch (error) {
+        console.error('Error getting contact:', error);
+        res.status(500).json({ error: 'Failed to get contact' });
+    }
+});
+
+router.put('/contacts/:id', async (req, res) => {
+    const errors = validateEntry(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const contact = await accountService.updateContact(req.params.id, pickFields(req.body, CONTACT_FIELDS));
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        res.json({ success: true, contact });
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        res.status(500).json({ error: 'Failed to update contact' });
+    }
+});
+
+// Merge a duplicate contact (sourceId) into this one
+router.post('/contacts/:id/merge', async (req, res) => {
+    const { sourceId } = req.body;
+
+    if (!sourceId || sourceId === req.params.id) {
+        return res.status(400).json({ errors: [{ path: 'sourceId', message: 'A different sourceId is required' }] });
+    }
+
+    try {
+        const contact = await accountService.mergeContacts(req.params.id, sourceId);
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+
+        const movedActivities = await firestoreService.reassignCustomerActivities('contactId', sourceId, req.params.id);
+        res.json({ success: true, contact, movedActivities });
+    } catch (error) {
+        console.error('Error merging contacts:', error);
+        res.status(500).json({ error: 'Failed to merge contacts' });
+    }
+});
+
+router.get('/contacts/:id/timeline', async (req, res) => {
+    try {
+        const contact = await accountService.getContact(req.params.id);
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+
+        const activities = await firestoreService.getCustomerActivities('contactId', req.params.id);
+        res.json({ contact, ...buildTimeline(contact, activities) });
+    } catch (error) {
+        console.error('Error getting contact timeline:', error);
+        res.status(500).json({ error: 'Failed to get contact timeline' });
+    }
+});
+
+module.exports = router;
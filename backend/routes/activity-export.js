@@ -0,0 +1,33 @@
+/**
+ * Activity Export Routes
+ * Filtered downloads of the activity store (CSV, XLSX or JSON) for managers
+ * reporting on their team
+ */
+
+const express = require('express');
+const router = express.Router();
+const activityExportService = require('../services/activity-export.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+
+// ?from=&to= (required) with optional &teamId=&userIds=a,b&types=phone,meeting&format=csv|xlsx|json&lang=en|th
+router.get('/admin/activities/export', requireAdminToken, async (req, res) => {
+    const errors = activityExportService.validateFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const filters = activityExportService.parseFilters(req.query);
+        const rows = await activityExportService.buildRows(filters);
+        const file = activityExportService.render(rows, filters);
+
+        res.set('Content-Type', file.contentType);
+        res.attachment(file.filename);
+        res.send(file.body);
+    } catch (error) {
+        console.error('Error exporting activities:', error);
+        res.status(500).json({ error: 'Failed to export activities' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+/**
+ * Activity Type Routes
+ * Serves the activity catalog to clients and lets admins manage it
+ */
+
+const express = require('express');
+const router = express.Router();
+const activityTypeService = require('../services/activity-type.service');
+const pointRuleService = require('../services/point-rule.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+const { requireFirestore } = require('../middleware/firestore-only');
+const { getBusinessDate } = require('../utils/business-date');
+
+const SUPPORTED_LANGUAGES = ['en', 'th'];
+
+/**
+ * Validate a catalog entry from a request body
+ */
+function validateType(body) {
+    const errors = [];
+    const { names, emoji, points, dailyCap, aliases, active, sortOrder } = body;
+
+    if (names !== undefined) {
+        const validNames = names && typeof names === 'object' &&
+            Object.entries(names).every(([lang, name]) =>
+                SUPPORTED_LANGUAGES.includes(lang) && typeof name === 'string' && name.trim());
+        if (!validNames) {
+            errors.push({ path: 'names', message: `Names must map ${SUPPORTED_LANGUAGES.join('/')} to non-empty strings` });
+        }
+    }
+
+    if (emoji !== undefined && (typeof emoji !== 'string' || !emoji.trim())) {
+        errors.push({ path: 'emoji', message: 'Emoji must be a non-empty string' });
+    }
+
+    if (points !== undefined && (!Number.isInteger(points) || points < 0 || points > 1000)) {
+        errors.push({ path: 'points', message: 'Points must be an integer between 0 and 1000' });
+    }
+
+    if (dailyCap !== undefined && dailyCap !== null && (!Number.isInteger(dailyCap) || dailyCap < 1)) {
+        errors.push({ path: 'dailyCap', message: 'Daily cap must be a positive integer or null' });
+    }
+
+    if (aliases !== undefined && (!Array.isArray(aliases) || !aliases.every(a => typeof a === 'string'))) {
+        errors.push({ path: 'aliases', message: 'Aliases must be an array of strings' });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+        errors.push({ path: 'active', message: 'Active must be a boolean' });
+    }
+
+    if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+        errors.push({ path: 'sortOrder', message: 'Sort order must be an integer' });
+    }
+
+    if (body.effectiveFrom !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(body.effectiveFrom)) {
+        errors.push({ path: 'effectiveFrom', message: 'Effective date must be YYYY-MM-DD' });
+    }
+
+    return errors;
+}
+
+// Public catalog for all clients; ?lang=th|en adds a localized `name`
+router.get('/activity-types', async (req, res) => {
+    const lang = SUPPORTED_LANGUAGES.includes(req.query.lang) ? req.query.lang : 'en';
+
+    try {
+        const catalog = await activityTypeService.getCatalog();
+        res.json(catalog.map(type => ({
+            id: type.id,
+            name: type.names[lang] || type.names.en,
+            names: type.names,
+            emoji: type.emoji,
+            points: type.points,
+            dailyCap: type.dailyCap
+        })));
+    } catch (error) {
+        console.error('Error getting activity types:', error);
+        res.status(500).json({ error: 'Failed to get activity types' });
+    }
+});
+
+// Admin: full catalog including disabled types and aliases
+router.get('/admin/activity-types', requireAdminToken, async (req, res) => {
+    try {
+        const catalog = await activityTypeService.getCatalog(true);
+        res.json(catalog);
+    } catch (error) {
+        console.error('Error getting activity types:', error);
+        res.status(500).json({ error: 'Failed to get activity types' });
+    }
+});
+
+// Admin: create or update a type. Point or cap changes are recorded as a
+// new point rule version (effective today, the business date in the default
+// timezone, unless effectiveFrom is given).
+// Overrides are kept in Firestore; other adapters serve the built-in catalog.
+router.put('/admin/activity-types/:id', requireAdminToken, requireFirestore('Activity type changes'), async (req, res) => {
+    const typeId = req.params.id.toLowerCase();
+
+    if (!/^[a-z0-9_]{1,32}$/.test(typeId)) {
+        return res.status(400).json({ errors: [{ path: 'id', message: 'Id must be 1-32 lowercase letters, digits or underscores' }] });
+    }
+
+    const errors = validateType(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    const updates = {};
+    ['names', 'emoji', 'points', 'dailyCap', 'aliases', 'active', 'sortOrder'].forEach(field => {
+        if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+        }
+    });
+
+    try {
+        const existing = (await activityTypeService.getCatalog(true)).find(type => type.id === typeId);
+        if (!existing && (!updates.names || !updates.names.en || !updates.emoji || updates.points === undefined)) {
+            return res.status(400).json({ error: 'New activity types need names.en, emoji and points' });
+        }
+
+        if (updates.points !== undefined || updates.dailyCap !== undefined) {
+            const effectiveFrom = req.body.effectiveFrom || getBusinessDate();
+            const current = existing ? await pointRuleService.applyRules(existing, effectiveFrom) : {};
+            await pointRuleService.createVersion({
+                effectiveFrom,
+                rules: {
+                    [typeId]: {
+                        points: updates.points !== undefined ? updates.points : current.points,
+                        dailyCap: updates.dailyCap !== undefined ? updates.dailyCap : (current.dailyCap || null)
+                    }
+                },
+                note: `Catalog update: ${typeId}`
+            });
+        }
+
+        const activityType = await activityTypeService.upsertType(typeId, updates);
+        res.json({ success: true, activityType });
+    } catch (error) {
+        console.error('Error saving activity type:', error);
+        res.status(500).json({ error: 'Failed to save activity type' });
+    }
+});
+
+// Admin: disable a type (kept for historical activities)
+router.delete('/admin/activity-types/:id', requireAdminToken, requireFirestore('Activity type changes'), async (req, res) => {
+    try {
+        const existing = (await activityTypeService.getCatalog(true)).find(type => type.id === req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Activity type not found' });
+        }
+
+        const activityType = await activityTypeService.deactivateType(req.params.id);
+        res.json({ success: true, activityType });
+    } catch (error) {
+        console.error('Error disabling activity type:', error);
+        res.status(500).json({ error: 'Failed to disable activity type' });
+    }
+});
+
+module.exports = router;
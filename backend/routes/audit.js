@@ -0,0 +1,28 @@
+/**
+ * Audit Routes
+ * Read access to the append-only log of changes to activities, achievements,
+ * streaks and group registrations
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/audit.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+
+// Filter with ?entityType=&entityId=&action=&actorId=&lineUserId=&teamId=&from=&to=&limit=
+router.get('/admin/audit', requireAdminToken, async (req, res) => {
+    const errors = auditService.validateQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const entries = await auditService.query(req.query);
+        res.json({ entries, count: entries.length });
+    } catch (error) {
+        console.error('Error querying audit log:', error);
+        res.status(500).json({ error: 'Failed to query audit log' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+/**
+ * Deal Routes
+ * CRUD for sales opportunities and the activities logged against them
+ */
+
+const express = require('express');
+const router = express.Router();
+const dealService = require('../services/deal.service');
+const firestoreService = require('../services/firestore.service');
+const auditService = require('../services/audit.service');
+
+/**
+ * Validate deal fields from a request body.
+ * When partial is true (updates), only the fields present are checked.
+ */
+function validateDeal(body, partial = false) {
+    const errors = [];
+    const { customer, value, stage, expectedCloseDate, ownerId } = body;
+
+    if (!partial || customer !== undefined) {
+        if (typeof customer !== 'string' || !customer.trim()) {
+            errors.push({ path: 'customer', message: 'Customer is required' });
+        }
+    }
+
+    if (!partial || ownerId !== undefined) {
+        if (typeof ownerId !== 'string' || !ownerId.trim()) {
+            errors.push({ path: 'ownerId', message: 'Owner is required' });
+        }
+    }
+
+    if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        errors.push({ path: 'value', message: 'Value must be a non-negative number' });
+    }
+
+    if (stage !== undefined && !dealService.STAGES.includes(stage)) {
+        errors.push({
+            path: 'stage',
+            message: `Invalid stage. Must be one of: ${dealService.STAGES.join(', ')}`
+        });
+    }
+
+    if (expectedCloseDate !== undefined && expectedCloseDate !== null &&
+        !/^\d{4}-\d{2}-\d{2}$/.test(expectedCloseDate)) {
+        errors.push({ path: 'expectedCloseDate', message: 'Expected close date must be YYYY-MM-DD' });
+    }
+
+    return errors;
+}
+
+// List deals (optionally by owner and stage)
+router.get('/deals', async (req, res) => {
+    const { ownerId, stage } = req.query;
+
+    if (stage && !dealService.STAGES.includes(stage)) {
+        return res.status(400).json({
+            errors: [{ path: 'stage', message: `Invalid stage. Must be one of: ${dealService.STAGES.join(', ')}` }]
+        });
+    }
+
+    try {
+        const deals = await dealService.listDeals({ ownerId, stage });
+        res.json(deals);
+    } catch (error) {
+        console.error('Error listing deals:', error);
+        res.status(500).json({ error: 'Failed to list deals' });
+    }
+});
+
+// Pipeline summary: value per stage and which open deals are moving
+router.get('/deals/pipeline', async (req, res) => {
+    try {
+        const summary = await dealService.getPipelineSummary({ ownerId: req.query.ownerId });
+        res.json(summary);
+    } catch (error) {
+        console.error('Error getting pipeline summary:', error);
+        res.status(500).json({ error: 'Failed to get pipeline summary' });
+    }
+});
+
+// Create deal
+router.post('/deals', async (req, res) => {
+    const errors = validateDeal(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    const { customer, value, stage, expectedCloseDate, ownerId } = req.body;
+
+    try {
+        const deal = await dealService.createDeal({
+            customer: customer.trim(),
+            value,
+            stage,
+            expectedCloseDate,
+            ownerId
+        });
+        res.status(201).json({ success: true, deal });
+    } catch (error) {
+        console.error('Error creating deal:', error);
+        res.status(500).json({ error: 'Failed to create deal' });
+    }
+});
+
+// Get deal
+router.get('/deals/:id', async (req, res) => {
+    try {
+        const deal = await dealService.getDeal(req.params.id);
+        if (!deal) {
+            return res.status(404).json({ error: 'Deal not found' });
+        }
+        res.json(deal);
+    } catch (error) {
+        console.error('Error getting deal:', error);
+        res.status(500).json({ error: 'Failed to get deal' });
+    }
+});
+
+// Update deal (stage changes are recorded in stageHistory)
+router.put('/deals/:id', async (req, res) => {
+    const errors = validateDeal(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    const updates = {};
+    ['customer', 'value', 'stage', 'expectedCloseDate', 'ownerId'].forEach(field => {
+        if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+        }
+    });
+
+    try {
+        const deal = await dealService.updateDeal(req.params.id, updates);
+        if (!deal) {
+            return res.status(404).json({ error: 'Deal not found' });
+        }
+        res.json({ success: true, deal });
+    } catch (error) {
+        console.error('Error updating deal:', error);
+        res.status(500).json({ error: 'Failed to update deal' });
+    }
+});
+
+// Delete deal (its activities are kept but detached)
+router.delete('/deals/:id', async (req, res) => {
+    try {
+        const deal = await dealService.getDeal(req.params.id);
+        if (!deal) {
+            return res.status(404).json({ error: 'Deal not found' });
+        }
+
+        await firestoreService.detachActivitiesFromDeal(req.params.id);
+        await dealService.deleteDeal(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting deal:', error);
+        res.status(500).json({ error: 'Failed to delete deal' });
+    }
+});
+
+// Activities logged against a deal
+router.get('/deals/:id/activities', async (req, res) => {
+    try {
+        const deal = await dealService.getDeal(req.params.id);
+        if (!deal) {
+            return res.status(404).json({ error: 'Deal not found' });
+        }
+
+        const activities = await firestoreService.getDealActivities(req.params.id);
+        res.json({
+            deal,
+            totalPoints: activities.reduce((sum, a) => sum + (a.points || 0), 0),
+            activities
+        });
+    } catch (error) {
+        console.error('Error getting deal activities:', error);
+        res.status(500).json({ error: 'Failed to get deal activities' });
+    }
+});
+
+// Attach an already logged activity to a deal
+router.post('/deals/:id/activities', async (req, res) => {
+    const { activityId } = req.body;
+
+    if (!activityId) {
+        return res.status(400).json({ errors: [{ path: 'activityId', message: 'activityId is required' }] });
+    }
+
+    try {
+        const [deal, activity] = await Promise.all([
+            dealService.getDeal(req.params.id),
+            firestoreService.getActivity(activityId)
+        ]);
+
+        if (!deal) {
+            return res.status(404).json({ error: 'Deal not found' });
+        }
+        if (!activity) {
+            return res.status(404).json({ error: 'Activity not found' });
+        }
+
+        await firestoreService.attachActivityToDeal(activityId, deal.id);
+        await dealService.recordActivity(deal.id, activity);
+        await auditService.record({
+            entityType: 'activity',
+            entityId: activityId,
+            action: 'update',
+            lineUserId: activity.lineUserId,
+            teamId: activity.teamId,
+            before: activity,
+            after: { ...activity, dealId: deal.id }
+        }, auditService.actorFromRequest(req));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error attaching activity to deal:', error);
+        res.status(500).json({ error: 'Failed to attach activity' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Group Notification Settings Routes
+ * The message categories, quiet hours, minimum points and language of a LINE
+ * group, as set with /settings (and /lang) in the group
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../storage');
+const groupPreferencesService = require('../services/group-preferences.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+
+router.get('/groups/:groupId/settings', async (req, res) => {
+    try {
+        const group = await getStorage().getGroup(req.params.groupId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        res.json({
+            groupId: group.id,
+            notificationsEnabled: group.notificationsEnabled,
+            ...groupPreferencesService.getPreferences(group)
+        });
+    } catch (error) {
+        console.error('Error getting group settings:', error);
+        res.status(500).json({ error: 'Failed to get group settings' });
+    }
+});
+
+// Body: any of { categories: { [category]: boolean }, quietHours: { start, end } | null, minPoints, language }
+router.put('/groups/:groupId/settings', requireAdminToken, async (req, res) => {
+    const errors = groupPreferencesService.validate(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const preferences = await groupPreferencesService.update(req.params.groupId, req.body, { source: 'admin' });
+        if (!preferences) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const group = await getStorage().getGroup(req.params.groupId);
+        res.json({ groupId: group.id, notificationsEnabled: group.notificationsEnabled, ...preferences });
+    } catch (error) {
+        console.error('Error updating group settings:', error);
+        res.status(500).json({ error: 'Failed to update group settings' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Scheduled Job Routes
+ * Lets admins see the recurring jobs with their last and next runs, run one
+ * now, and pause or resume it on every instance
+ */
+
+const express = require('express');
+const router = express.Router();
+const schedulerService = require('../services/scheduler.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+
+router.get('/admin/jobs', requireAdminToken, async (req, res) => {
+    try {
+        res.json({ jobs: await schedulerService.listJobs() });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ error: 'Failed to list jobs' });
+    }
+});
+
+// Body: { teamId } to run a team job for one team only
+router.post('/admin/jobs/:id/run', requireAdminToken, async (req, res) => {
+    const { teamId } = req.body || {};
+    if (teamId !== undefined && (typeof teamId !== 'string' || !teamId.trim())) {
+        return res.status(400).json({ errors: [{ path: 'teamId', message: 'teamId must be a non-empty string' }] });
+    }
+
+    try {
+        const runs = await schedulerService.trigger(req.params.id, teamId);
+        if (!runs) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (runs.length === 0) {
+            return res.status(404).json({ error: 'Team not found for this job' });
+        }
+        // Every target was already running on some instance
+        if (runs.every(run => run.status === 'skipped')) {
+            return res.status(409).json({ error: 'Job is already running', runs });
+        }
+
+        res.json({ runs });
+    } catch (error) {
+        console.error('Error running job:', error);
+        res.status(500).json({ error: 'Failed to run job' });
+    }
+});
+
+['pause', 'resume'].forEach(action => {
+    router.post(`/admin/jobs/:id/${action}`, requireAdminToken, async (req, res) => {
+        try {
+            const job = await schedulerService.setPaused(req.params.id, action === 'pause');
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            res.json(job);
+        } catch (error) {
+            console.error(`Error ${action === 'pause' ? 'pausing' : 'resuming'} job:`, error);
+            res.status(500).json({ error: `Failed to ${action} job` });
+        }
+    });
+});
+
+module.exports = router;
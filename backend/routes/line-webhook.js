@@ -3,10 +3,82 @@ const express = require('express');
 const router = express.Router();
 const line = require('@line/bot-sdk');
 const { handleMessage, handlePostback, lineConfig, client } = require('../line-chatbot');
+const teamService = require('../services/team.service');
+const auditService = require('../services/audit.service');
+const groupPreferencesService = require('../services/group-preferences.service');
+const lineOutboxService = require('../services/line-outbox.service');
+const { RECAP_PERIODS } = require('../period-recap');
+const { createGroupSettingsFlex } = require('../group-settings-flex');
+const { t, groupLanguage, isLanguage } = require('../utils/i18n');
 
 // Middleware to verify LINE signature
 const lineMiddleware = line.middleware(lineConfig);
 
+/**
+ * Reply to /settings (and its postback buttons) in a group: apply the
+ * arguments, if any, then show the group's notification settings
+ * @param {Array} args - Lowercased words after /settings
+ */
+async function replyGroupSettings(lineClient, storage, event, args) {
+    const { replyToken, source } = event;
+    const group = await storage.getGroup(source.groupId);
+
+    if (!group) {
+        return lineClient.replyMessage(replyToken, {
+            type: 'text',
+            text: t(groupLanguage(group), 'group.notRegistered')
+        });
+    }
+
+    const changes = groupPreferencesService.parseCommand(args);
+    const errors = changes ? groupPreferencesService.validate(changes) : [];
+    if (!changes || errors.length > 0) {
+        return lineClient.replyMessage(replyToken, {
+            type: 'text',
+            text: [
+                ...errors.map(error => `❌ ${error.message}`),
+                t(groupLanguage(group), 'settings.usage')
+            ].join('\n')
+        });
+    }
+
+    const preferences = Object.keys(changes).length > 0
+        ? await groupPreferencesService.update(group.id, changes, { lineUserId: source.userId, source: 'line' })
+        : groupPreferencesService.getPreferences(group);
+
+    return lineClient.replyMessage(replyToken, createGroupSettingsFlex(preferences, group.notificationsEnabled));
+}
+
+/**
+ * Reply to /lang in a group: show or change the language of the group's
+ * messages (replies and team notifications)
+ * @param {string} [value] - Lowercased language argument
+ */
+async function replyGroupLanguage(lineClient, storage, event, value) {
+    const { replyToken, source } = event;
+    const group = await storage.getGroup(source.groupId);
+    const language = groupLanguage(group);
+
+    if (!group) {
+        return lineClient.replyMessage(replyToken, { type: 'text', text: t(language, 'group.notRegistered') });
+    }
+    if (!value) {
+        return lineClient.replyMessage(replyToken, {
+            type: 'text',
+            text: [
+                t(language, 'lang.current', { language: t(language, `lang.name.${language}`) }),
+                t(language, 'lang.usage')
+            ].join('\n')
+        });
+    }
+    if (!isLanguage(value)) {
+        return lineClient.replyMessage(replyToken, { type: 'text', text: t(language, 'lang.unknown', { value }) });
+    }
+
+    await groupPreferencesService.update(group.id, { language: value }, { lineUserId: source.userId, source: 'line' });
+    return lineClient.replyMessage(replyToken, { type: 'text', text: t(value, 'lang.groupChanged') });
+}
+
 // LINE Webhook endpoint
 router.post('/webhook', lineMiddleware, async (req, res) => {
     try {
@@ -14,7 +86,7 @@ router.post('/webhook', lineMiddleware, async (req, res) => {
         
         // Get services from app
         const lineClient = req.app.get('lineClient') || client;
-        const firestoreService = req.app.get('firestoreService');
+        const storage = req.app.get('storage');
         
         // Process all events
         await Promise.all(events.map(async (event) => {
@@ -25,41 +97,137 @@ router.post('/webhook', lineMiddleware, async (req, res) => {
                     if (event.message.type === 'text') {
                         const { replyToken, source, message } = event;
                         
-                        // Handle group registration
-                        if (message.text === '/register' && source.type === 'group') {
+                        // Handle group registration (/register <teamId> routes a team's notifications here)
+                        if (/^\/register(\s|$)/.test(message.text) && source.type === 'group') {
                             const groupId = source.groupId;
                             const userId = source.userId;
+                            const teamId = message.text.split(/\s+/)[1] || null;
+                            const team = teamId ? await teamService.getTeam(teamId) : null;
+                            const before = await storage.getGroup(groupId);
+                            const language = groupLanguage(before);
+                            
+                            if (teamId && !team) {
+                                await lineClient.replyMessage(replyToken, {
+                                    type: 'text',
+                                    text: t(language, 'group.teamNotFound', { team: teamId })
+                                });
+                                return;
+                            }
                             
                             // Register the group
-                            await firestoreService.registerGroup(groupId, null, userId);
+                            await storage.registerGroup(groupId, null, userId, team ? team.id : null);
+                            await auditService.record({
+                                entityType: 'group',
+                                entityId: groupId,
+                                action: before ? 'update' : 'create',
+                                teamId: team ? team.id : null,
+                                before,
+                                after: await storage.getGroup(groupId)
+                            }, { lineUserId: userId, source: 'line' });
                             
                             await lineClient.replyMessage(replyToken, {
                                 type: 'text',
-                                text: '✅ Group registered successfully!\nActivity notifications will be sent to this group.'
+                                text: team
+                                    ? t(language, 'group.registeredTeam', { team: team.name })
+                                    : t(language, 'group.registered')
                             });
                         } 
                         // Handle notification toggle
                         else if (message.text === '/toggle' && source.type === 'group') {
                             const groupId = source.groupId;
-                            const newStatus = await firestoreService.toggleGroupNotifications(groupId);
+                            const before = await storage.getGroup(groupId);
+                            const newStatus = await storage.toggleGroupNotifications(groupId);
                             
+                            if (before) {
+                                await auditService.record({
+                                    entityType: 'group',
+                                    entityId: groupId,
+                                    action: 'update',
+                                    teamId: before.teamId,
+                                    before,
+                                    after: { ...before, notificationsEnabled: newStatus }
+                                }, { lineUserId: source.userId, source: 'line' });
+                            }
+                            
+                            await lineClient.replyMessage(replyToken, {
+                                type: 'text',
+                                text: t(groupLanguage(before), newStatus ? 'group.notificationsOn' : 'group.notificationsOff')
+                            });
+                        }
+                        // Handle recap opt-in (/recap [weekly|monthly] [on|off], both periods by default)
+                        else if (/^\/recap(\s|$)/.test(message.text) && source.type === 'group') {
+                            const groupId = source.groupId;
+                            const args = message.text.trim().split(/\s+/).slice(1).map(arg => arg.toLowerCase());
+                            const periods = RECAP_PERIODS.filter(period => args.includes(period));
+                            const group = await storage.getGroup(groupId);
+                            const language = groupLanguage(group);
+
+                            if (!group) {
+                                await lineClient.replyMessage(replyToken, {
+                                    type: 'text',
+                                    text: t(language, 'group.notRegistered')
+                                });
+                                return;
+                            }
+
+                            const settings = group.settings || {};
+                            let recaps = settings.recaps || [];
+                            if (args.includes('on') || args.includes('off')) {
+                                const targets = periods.length > 0 ? periods : RECAP_PERIODS;
+                                recaps = args.includes('on')
+                                    ? RECAP_PERIODS.filter(period => recaps.includes(period) || targets.includes(period))
+                                    : recaps.filter(period => !targets.includes(period));
+
+                                await storage.updateGroupSettings(groupId, { ...settings, recaps });
+                                await auditService.record({
+                                    entityType: 'group',
+                                    entityId: groupId,
+                                    action: 'update',
+                                    teamId: group.teamId,
+                                    before: group,
+                                    after: { ...group, settings: { ...settings, recaps } }
+                                }, { lineUserId: source.userId, source: 'line' });
+                            }
+
                             await lineClient.replyMessage(replyToken, {
                                 type: 'text',
-                                text: newStatus 
-                                    ? '🔔 Notifications enabled' 
-                                    : '🔕 Notifications disabled'
+                                text: [
+                                    t(language, 'recap.weeklyState', { state: t(language, recaps.includes('weekly') ? 'common.on' : 'common.off') }),
+                                    t(language, 'recap.monthlyState', { state: t(language, recaps.includes('monthly') ? 'common.on' : 'common.off') }),
+                                    t(language, 'recap.usage')
+                                ].join('\n')
                             });
                         }
+                        // Handle notification preferences (/settings [<category> on|off|quiet ...|minpoints ...])
+                        else if (/^\/settings(\s|$)/.test(message.text) && source.type === 'group') {
+                            const args = message.text.trim().split(/\s+/).slice(1).map(arg => arg.toLowerCase());
+                            await replyGroupSettings(lineClient, storage, event, args);
+                        }
+                        // Handle the group's language (/lang [th|en])
+                        else if (/^\/lang(\s|$)/.test(message.text) && source.type === 'group') {
+                            const value = message.text.trim().split(/\s+/)[1];
+                            await replyGroupLanguage(lineClient, storage, event, value && value.toLowerCase());
+                        }
                         // Handle other messages with chatbot
                         else {
-                            await handleMessage(event, firestoreService);
+                            await handleMessage(event, storage, { undoActivity: req.app.get('activityUndo') });
                         }
                     }
                     break;
                     
-                case 'postback':
-                    await handlePostback(event, firestoreService);
+                case 'postback': {
+                    // Buttons of the /settings message post back its arguments
+                    const data = new URLSearchParams(event.postback.data);
+                    if (data.get('action') === 'group-settings' && event.source.type === 'group') {
+                        await replyGroupSettings(lineClient, storage, event, (data.get('args') || '').split(/\s+/).filter(Boolean));
+                    } else {
+                        await handlePostback(event, storage, {
+                            logActivities: req.app.get('activityLogger'),
+                            removeActivity: req.app.get('activityRemover')
+                        });
+                    }
                     break;
+                }
                     
                 case 'follow':
                     // User added the bot
@@ -98,32 +266,31 @@ router.get('/webhook', (req, res) => {
     });
 });
 
-// Send broadcast message to all users
+// Send broadcast message to all users, through the LINE outbox: pushes LINE
+// fails are left pending for the line-outbox job to retry
 router.post('/broadcast', async (req, res) => {
     try {
         const { message } = req.body;
-        const db = req.app.get('db');
-        
-        // Get all users with LINE ID
-        const users = await db.all('SELECT lineUserId FROM users WHERE lineUserId IS NOT NULL');
-        
-        // Send message to each user
-        const results = await Promise.allSettled(
-            users.map(user => 
-                client.pushMessage(user.lineUserId, {
-                    type: 'text',
-                    text: message
-                })
-            )
-        );
-        
-        const successful = results.filter(r => r.status === 'fulfilled').length;
-        const failed = results.filter(r => r.status === 'rejected').length;
-        
+        const storage = req.app.get('storage');
+        const users = (await storage.findUsers()).filter(user => user.id);
+        const outcomes = { sent: 0, retrying: 0, failed: 0 };
+
+        for (const user of users) {
+            const outcome = await lineOutboxService.send({
+                to: user.id,
+                message: { type: 'text', text: message },
+                type: 'system',
+                teamId: user.teamId
+            }, lineConfig.channelAccessToken);
+
+            if (outcome.status === 'sent') outcomes.sent++;
+            if (outcome.status === 'pending') outcomes.retrying++;
+            if (outcome.status === 'failed') outcomes.failed++;
+        }
+
         res.json({
             success: true,
-            sent: successful,
-            failed: failed,
+            ...outcomes,
             total: users.length
         });
     } catch (error) {
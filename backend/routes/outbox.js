@@ -0,0 +1,59 @@
+/**
+ * LINE Outbox Routes
+ * Lets admins see the LINE pushes waiting for delivery or given up on, and
+ * retry one now
+ */
+
+const express = require('express');
+const router = express.Router();
+const lineOutboxService = require('../services/line-outbox.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+
+// Query: status (pending, sent, failed), limit
+router.get('/admin/outbox', requireAdminToken, async (req, res) => {
+    const errors = lineOutboxService.validateQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        res.json({ messages: await lineOutboxService.list(req.query) });
+    } catch (error) {
+        console.error('Error listing outbox messages:', error);
+        res.status(500).json({ error: 'Failed to list outbox messages' });
+    }
+});
+
+router.get('/admin/outbox/:id', requireAdminToken, async (req, res) => {
+    try {
+        const message = await lineOutboxService.getMessage(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Outbox message not found' });
+        }
+        res.json(message);
+    } catch (error) {
+        console.error('Error getting outbox message:', error);
+        res.status(500).json({ error: 'Failed to get outbox message' });
+    }
+});
+
+router.post('/admin/outbox/:id/retry', requireAdminToken, async (req, res) => {
+    try {
+        const message = await lineOutboxService.getMessage(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Outbox message not found' });
+        }
+        if (message.status === 'sent') {
+            return res.status(409).json({ error: 'Outbox message was already sent' });
+        }
+
+        // The server's LINE config holds the token loaded at startup
+        const config = req.app.get('lineConfig') || { channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN };
+        res.json(await lineOutboxService.retry(message, config.channelAccessToken));
+    } catch (error) {
+        console.error('Error retrying outbox message:', error);
+        res.status(500).json({ error: 'Failed to retry outbox message' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Point Rule Routes
+ * Versioned point rules with effective dates and the rescoring job
+ */
+
+const express = require('express');
+const router = express.Router();
+const pointRuleService = require('../services/point-rule.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate the rules map of a new version
+ */
+function validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules) || Object.keys(rules).length === 0) {
+        return 'Rules must map activity type ids to { points, dailyCap }';
+    }
+
+    const invalid = Object.entries(rules).find(([, rule]) =>
+        !rule || !Number.isInteger(rule.points) || rule.points < 0 || rule.points > 1000 ||
+        (rule.dailyCap !== undefined && rule.dailyCap !== null && (!Number.isInteger(rule.dailyCap) || rule.dailyCap < 1)));
+
+    return invalid ? `Invalid rule for ${invalid[0]}: points must be 0-1000 and dailyCap a positive integer or null` : null;
+}
+
+router.get('/admin/point-rules', requireAdminToken, async (req, res) => {
+    try {
+        const versions = await pointRuleService.listVersions();
+        res.json(versions);
+    } catch (error) {
+        console.error('Error getting point rules:', error);
+        res.status(500).json({ error: 'Failed to get point rules' });
+    }
+});
+
+// Create a new rule version that applies from effectiveFrom onwards
+router.post('/admin/point-rules', requireAdminToken, async (req, res) => {
+    const { effectiveFrom, rules, note } = req.body;
+    const errors = [];
+
+    if (!effectiveFrom || !DATE_PATTERN.test(effectiveFrom)) {
+        errors.push({ path: 'effectiveFrom', message: 'Effective date must be YYYY-MM-DD' });
+    }
+
+    const rulesError = validateRules(rules);
+    if (rulesError) {
+        errors.push({ path: 'rules', message: rulesError });
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const version = await pointRuleService.createVersion({ effectiveFrom, rules, note });
+        res.status(201).json({ success: true, version });
+    } catch (error) {
+        console.error('Error creating point rule version:', error);
+        res.status(500).json({ error: 'Failed to create point rule version' });
+    }
+});
+
+// Recompute stored points for a date range; dry run unless dryRun is explicitly false
+router.post('/admin/point-rules/rescore', requireAdminToken, async (req, res) => {
+    const { from, to, version } = req.body;
+    const dryRun = req.body.dryRun !== false;
+    const errors = [];
+
+    if (!from || !DATE_PATTERN.test(from)) {
+        errors.push({ path: 'from', message: 'From date must be YYYY-MM-DD' });
+    }
+    if (!to || !DATE_PATTERN.test(to)) {
+        errors.push({ path: 'to', message: 'To date must be YYYY-MM-DD' });
+    }
+    if (version !== undefined && version !== null && !Number.isInteger(version)) {
+        errors.push({ path: 'version', message: 'Version must be an integer' });
+    }
+
+    if (errors.length === 0) {
+        const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+        if (days < 0) {
+            errors.push({ path: 'to', message: 'To date must not be before from date' });
+        } else if (days >= pointRuleService.MAX_RESCORE_DAYS) {
+            errors.push({ path: 'to', message: `Rescoring is limited to ${pointRuleService.MAX_RESCORE_DAYS} days per run` });
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        if (version !== undefined && version !== null && !(await pointRuleService.getVersion(version))) {
+            return res.status(404).json({ error: 'Point rule version not found' });
+        }
+
+        const report = await pointRuleService.rescore({ from, to, version: version ?? null, dryRun });
+        res.json(report);
+    } catch (error) {
+        console.error('Error rescoring activities:', error);
+        res.status(500).json({ error: 'Failed to rescore activities' });
+    }
+});
+
+module.exports = router;
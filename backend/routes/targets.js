@@ -0,0 +1,198 @@
+/**
+ * Target Routes
+ * Personal and team targets with progress, pace and projected attainment
+ */
+
+const express = require('express');
+const router = express.Router();
+const targetService = require('../services/target.service');
+const teamService = require('../services/team.service');
+const activityTypeService = require('../services/activity-type.service');
+const firestoreService = require('../services/firestore.service');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate target fields from a request body.
+ * When partial is true (updates), only the fields present are checked.
+ */
+function validateTarget(body, partial = false) {
+    const errors = [];
+
+    if (!partial) {
+        if (!targetService.SCOPES.includes(body.scope)) {
+            errors.push({ path: 'scope', message: `Scope must be one of: ${targetService.SCOPES.join(', ')}` });
+        }
+        if (typeof body.ownerId !== 'string' || !body.ownerId.trim()) {
+            errors.push({ path: 'ownerId', message: 'Owner is required' });
+        }
+    }
+
+    if (!partial || body.period !== undefined) {
+        if (!targetService.PERIODS.includes(body.period)) {
+            errors.push({ path: 'period', message: `Period must be one of: ${targetService.PERIODS.join(', ')}` });
+        }
+    }
+
+    if (!partial || body.metric !== undefined) {
+        if (typeof body.metric !== 'string' || !body.metric.trim()) {
+            errors.push({ path: 'metric', message: `Metric must be "${targetService.POINTS_METRIC}" or an activity type` });
+        }
+    }
+
+    if (!partial || body.targetValue !== undefined) {
+        if (!Number.isInteger(body.targetValue) || body.targetValue < 1) {
+            errors.push({ path: 'targetValue', message: 'Target value must be a positive integer' });
+        }
+    }
+
+    return errors;
+}
+
+// Canonical metric: 'points' or a catalog activity type id (aliases accepted)
+async function resolveMetric(metric) {
+    if (metric === targetService.POINTS_METRIC) return metric;
+
+    const activityType = await activityTypeService.resolveType(metric);
+    return activityType ? activityType.id : null;
+}
+
+router.get('/targets', async (req, res) => {
+    const { scope, ownerId } = req.query;
+
+    if (!targetService.SCOPES.includes(scope) || !ownerId) {
+        return res.status(400).json({ error: 'scope (user or team) and ownerId are required' });
+    }
+
+    try {
+        const targets = await targetService.listTargets(scope, ownerId);
+        res.json(targets);
+    } catch (error) {
+        console.error('Error listing targets:', error);
+        res.status(500).json({ error: 'Failed to list targets' });
+    }
+});
+
+router.post('/targets', async (req, res) => {
+    const errors = validateTarget(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const metric = await resolveMetric(req.body.metric);
+        if (!metric) {
+            return res.status(400).json({ errors: [{ path: 'metric', message: 'Unknown activity type' }] });
+        }
+
+        const owner = req.body.scope === 'user'
+            ? await firestoreService.getUser(req.body.ownerId)
+            : await teamService.getTeam(req.body.ownerId);
+        if (!owner) {
+            return res.status(400).json({ errors: [{ path: 'ownerId', message: `${req.body.scope === 'user' ? 'User' : 'Team'} not found` }] });
+        }
+
+        const target = await targetService.createTarget({
+            scope: req.body.scope,
+            ownerId: req.body.ownerId,
+            period: req.body.period,
+            metric,
+            targetValue: req.body.targetValue,
+            createdBy: req.body.createdBy
+        });
+        res.status(201).json({ success: true, target });
+    } catch (error) {
+        console.error('Error creating target:', error);
+        res.status(500).json({ error: 'Failed to create target' });
+    }
+});
+
+// Progress of a user's own and team targets
+router.get('/targets/progress/:lineUserId', async (req, res) => {
+    const { date } = req.query;
+
+    if (date && !DATE_PATTERN.test(date)) {
+        return res.status(400).json({ errors: [{ path: 'date', message: 'Date must be YYYY-MM-DD' }] });
+    }
+
+    try {
+        const user = await firestoreService.getUser(req.params.lineUserId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const progress = await targetService.getUserProgress(user, date);
+        res.json(progress);
+    } catch (error) {
+        console.error('Error getting target progress:', error);
+        res.status(500).json({ error: 'Failed to get target progress' });
+    }
+});
+
+router.get('/targets/:id/progress', async (req, res) => {
+    const { date } = req.query;
+
+    if (date && !DATE_PATTERN.test(date)) {
+        return res.status(400).json({ errors: [{ path: 'date', message: 'Date must be YYYY-MM-DD' }] });
+    }
+
+    try {
+        const target = await targetService.getTarget(req.params.id);
+        if (!target) {
+            return res.status(404).json({ error: 'Target not found' });
+        }
+
+        const progress = await targetService.getProgress(target, date);
+        res.json(progress);
+    } catch (error) {
+        console.error('Error getting target progress:', error);
+        res.status(500).json({ error: 'Failed to get target progress' });
+    }
+});
+
+router.put('/targets/:id', async (req, res) => {
+    const errors = validateTarget(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    const updates = {};
+    ['period', 'targetValue'].forEach(field => {
+        if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+        }
+    });
+
+    try {
+        if (req.body.metric !== undefined) {
+            updates.metric = await resolveMetric(req.body.metric);
+            if (!updates.metric) {
+                return res.status(400).json({ errors: [{ path: 'metric', message: 'Unknown activity type' }] });
+            }
+        }
+
+        const target = await targetService.updateTarget(req.params.id, updates);
+        if (!target) {
+            return res.status(404).json({ error: 'Target not found' });
+        }
+        res.json({ success: true, target });
+    } catch (error) {
+        console.error('Error updating target:', error);
+        res.status(500).json({ error: 'Failed to update target' });
+    }
+});
+
+router.delete('/targets/:id', async (req, res) => {
+    try {
+        const target = await targetService.deactivateTarget(req.params.id);
+        if (!target) {
+            return res.status(404).json({ error: 'Target not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting target:', error);
+        res.status(500).json({ error: 'Failed to delete target' });
+    }
+});
+
+module.exports = router;
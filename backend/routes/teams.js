@@ -0,0 +1,241 @@
+/**
+ * Organization & Team Routes
+ * Sales teams, their members and the LINE groups that receive their notifications
+ */
+
+const express = require('express');
+const router = express.Router();
+const teamService = require('../services/team.service');
+const firestoreService = require('../services/firestore.service');
+const auditService = require('../services/audit.service');
+const { requireAdminToken } = require('../middleware/admin-auth');
+const { isValidTimezone, getBusinessDate } = require('../utils/business-date');
+
+/**
+ * Validate team fields from a request body.
+ * When partial is true (updates), only the fields present are checked.
+ */
+function validateTeam(body, partial = false) {
+    const errors = [];
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            errors.push({ path: 'name', message: 'Name is required' });
+        }
+    }
+
+    // null clears the team timezone so members fall back to their own settings
+    if (body.timezone !== undefined && body.timezone !== null && !isValidTimezone(body.timezone)) {
+        errors.push({ path: 'timezone', message: 'Invalid IANA timezone' });
+    }
+
+    if (body.dailyMessageLimit !== undefined && body.dailyMessageLimit !== null &&
+        (!Number.isInteger(body.dailyMessageLimit) || body.dailyMessageLimit < 1)) {
+        errors.push({ path: 'dailyMessageLimit', message: 'Daily message limit must be a positive integer or null' });
+    }
+
+    return errors;
+}
+
+// Organizations
+
+router.get('/organizations', async (req, res) => {
+    try {
+        const organizations = await teamService.listOrganizations();
+        res.json(organizations);
+    } catch (error) {
+        console.error('Error listing organizations:', error);
+        res.status(500).json({ error: 'Failed to list organizations' });
+    }
+});
+
+router.post('/organizations', requireAdminToken, async (req, res) => {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ errors: [{ path: 'name', message: 'Name is required' }] });
+    }
+
+    try {
+        const organization = await teamService.createOrganization({ name: name.trim() });
+        res.status(201).json({ success: true, organization });
+    } catch (error) {
+        console.error('Error creating organization:', error);
+        res.status(500).json({ error: 'Failed to create organization' });
+    }
+});
+
+router.get('/organizations/:id/teams', async (req, res) => {
+    try {
+        const organization = await teamService.getOrganization(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const teams = await teamService.listTeams(req.params.id);
+        res.json({ ...organization, teams });
+    } catch (error) {
+        console.error('Error listing teams:', error);
+        res.status(500).json({ error: 'Failed to list teams' });
+    }
+});
+
+// Teams
+
+router.post('/teams', requireAdminToken, async (req, res) => {
+    const errors = validateTeam(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        if (!req.body.organizationId || !(await teamService.getOrganization(req.body.organizationId))) {
+            return res.status(400).json({ errors: [{ path: 'organizationId', message: 'Organization not found' }] });
+        }
+
+        const { organizationId, name, timezone, dailyMessageLimit } = req.body;
+        const team = await teamService.createTeam({ organizationId, name: name.trim(), timezone, dailyMessageLimit });
+        res.status(201).json({ success: true, team });
+    } catch (error) {
+        console.error('Error creating team:', error);
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+});
+
+router.get('/teams/:id', async (req, res) => {
+    try {
+        const team = await teamService.getTeam(req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const [members, groups] = await Promise.all([
+            firestoreService.getTeamUsers(req.params.id),
+            firestoreService.getTeamGroups(req.params.id)
+        ]);
+
+        res.json({
+            ...team,
+            members: members.map(({ id, displayName, pictureUrl, totalPoints }) => ({ lineUserId: id, displayName, pictureUrl, totalPoints })),
+            groups: groups.map(({ id, groupName, notificationsEnabled }) => ({ id, groupName, notificationsEnabled }))
+        });
+    } catch (error) {
+        console.error('Error getting team:', error);
+        res.status(500).json({ error: 'Failed to get team' });
+    }
+});
+
+router.put('/teams/:id', requireAdminToken, async (req, res) => {
+    const errors = validateTeam(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    const updates = {};
+    ['name', 'timezone', 'dailyMessageLimit'].forEach(field => {
+        if (req.body[field] !== undefined) {
+            updates[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+        }
+    });
+
+    try {
+        const team = await teamService.updateTeam(req.params.id, updates);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        res.json({ success: true, team });
+    } catch (error) {
+        console.error('Error updating team:', error);
+        res.status(500).json({ error: 'Failed to update team' });
+    }
+});
+
+router.get('/teams/:id/stats', async (req, res) => {
+    try {
+        const team = await teamService.getTeam(req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        // "Today" is the team's business day
+        const today = getBusinessDate(team.timezone || teamService.DEFAULT_TIMEZONE);
+        const stats = await firestoreService.getTeamStats(req.params.id, today);
+        res.json(stats);
+    } catch (error) {
+        console.error('Error getting team stats:', error);
+        res.status(500).json({ error: 'Failed to get team statistics' });
+    }
+});
+
+// Membership (a user belongs to one team; joining moves them)
+router.post('/teams/:id/members', requireAdminToken, async (req, res) => {
+    const { lineUserId } = req.body;
+
+    if (!lineUserId) {
+        return res.status(400).json({ errors: [{ path: 'lineUserId', message: 'lineUserId is required' }] });
+    }
+
+    try {
+        const team = await teamService.getTeam(req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const user = await teamService.addMember(team, lineUserId);
+        if (!user) {
+            return res.status(400).json({ errors: [{ path: 'lineUserId', message: 'User not found' }] });
+        }
+
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('Error adding team member:', error);
+        res.status(500).json({ error: 'Failed to add team member' });
+    }
+});
+
+router.delete('/teams/:id/members/:lineUserId', requireAdminToken, async (req, res) => {
+    try {
+        const user = await firestoreService.getUser(req.params.lineUserId);
+        if (!user || user.teamId !== req.params.id) {
+            return res.status(404).json({ error: 'Team member not found' });
+        }
+
+        await teamService.removeMember(req.params.lineUserId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing team member:', error);
+        res.status(500).json({ error: 'Failed to remove team member' });
+    }
+});
+
+// Route a registered LINE group's notifications to this team
+router.put('/teams/:id/groups/:groupId', requireAdminToken, async (req, res) => {
+    try {
+        const team = await teamService.getTeam(req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const before = await firestoreService.getGroup(req.params.groupId);
+        const updated = await firestoreService.setGroupTeam(req.params.groupId, team.id);
+        if (!updated) {
+            return res.status(404).json({ error: 'Group not registered' });
+        }
+
+        await auditService.record({
+            entityType: 'group',
+            entityId: req.params.groupId,
+            action: 'update',
+            teamId: team.id,
+            before,
+            after: { ...before, teamId: team.id }
+        }, { source: 'admin' });
+
+        res.json({ success: true, groupId: req.params.groupId, teamId: team.id });
+    } catch (error) {
+        console.error('Error assigning group to team:', error);
+        res.status(500).json({ error: 'Failed to assign group' });
+    }
+});
+
+module.exports = router;
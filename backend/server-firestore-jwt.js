@@ -10,6 +10,18 @@ require('dotenv').config();
 const firestoreService = require('./services/firestore.service');
 const { createActivitySubmissionFlex, sendFlexMessage } = require('./activity-flex-message-compact');
 const lineQuotaService = require('./services/line-quota.service');
+const teamService = require('./services/team.service');
+const leaderboardService = require('./services/leaderboard.service');
+const activityTypeService = require('./services/activity-type.service');
+const pointRuleService = require('./services/point-rule.service');
+const activityEditService = require('./services/activity-edit.service');
+const auditService = require('./services/audit.service');
+const streakService = require('./services/streak.service');
+const activityExportService = require('./services/activity-export.service');
+const schedulerService = require('./services/scheduler.service');
+const { registerJobs } = require('./services/scheduled-jobs');
+const businessDate = require('./utils/business-date');
+const { ROLES, canAccessUser, canModifyActivity, canAccessTeam, loadActor, requireRole, authorizeUserParam } = require('./middleware/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -105,6 +117,20 @@ const asyncHandler = (fn) => (req, res, next) => {
 const versionMonitorRoutes = require('./routes/version-monitor');
 app.use('/api', versionMonitorRoutes);
 
+// Recurring jobs (started with the server) and their admin routes
+registerJobs({ getChannelAccessToken: () => lineConfig.channelAccessToken });
+const jobRoutes = require('./routes/jobs');
+app.use('/api', jobRoutes);
+
+// LINE outbox admin routes (retries read the token loaded at startup from here)
+app.set('lineConfig', lineConfig);
+const outboxRoutes = require('./routes/outbox');
+app.use('/api', outboxRoutes);
+
+// Group notification settings routes
+const groupSettingsRoutes = require('./routes/group-settings');
+app.use('/api', groupSettingsRoutes);
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     // Use APP_VERSION from environment if available, fallback to package.json
@@ -226,17 +252,13 @@ app.post('/api/auth/google', [
 }));
 
 // Get user data with JWT authentication
-app.get('/api/users/:userId', authenticateToken, [
+// Authorization: reps see themselves, managers their team, admins everyone
+app.get('/api/users/:userId', authenticateToken, loadActor, [
     param('userId').isLength({ min: 1 }).escape(),
     validate
-], asyncHandler(async (req, res) => {
+], authorizeUserParam('userId'), asyncHandler(async (req, res) => {
     const { userId } = req.params;
     
-    // Authorization: Users can only access their own data
-    if (req.user.lineUserId !== userId) {
-        return res.status(403).json({ error: 'Cannot access other users data' });
-    }
-    
     const user = await firestoreService.getUser(userId);
     
     if (!user) {
@@ -286,14 +308,36 @@ app.post('/api/users', [
     });
 }));
 
+// Change a user's role (admin only); managers must belong to a team
+app.put('/api/users/:userId/role', authenticateToken, loadActor, requireRole('admin'), [
+    param('userId').isLength({ min: 1 }).escape(),
+    body('role').isIn(ROLES),
+    validate
+], asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+    
+    const user = await firestoreService.getUser(userId);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (role === 'manager' && !user.teamId) {
+        return res.status(400).json({ error: 'Managers must belong to a team' });
+    }
+    
+    await firestoreService.updateUserRole(userId, role);
+    res.json({ success: true, user: { lineUserId: userId, role, teamId: user.teamId || null } });
+}));
+
 // Create activity with JWT authentication
-app.post('/api/activities', authenticateToken, [
+app.post('/api/activities', authenticateToken, loadActor, [
     body('lineUserId').optional().isString().notEmpty().trim().escape(),
     body('userId').optional().isString().notEmpty().trim().escape(),
     body('activityType').optional().isString().trim(),
     body('type').optional().isString().trim(),
     body('title').optional().isString().isLength({ min: 1, max: 200 }).trim().escape(),
-    body('points').isInt({ min: 0, max: 1000 }),
+    body('points').optional().isInt({ min: 0, max: 1000 }),
     body('quantity').optional().isInt({ min: 1, max: 100 }).toInt(),
     body('timestamp').optional().isISO8601(),
     body('date').optional().isISO8601(),
@@ -303,7 +347,6 @@ app.post('/api/activities', authenticateToken, [
         lineUserId, userId, 
         activityType, type,
         title,
-        points,
         quantity = 1,
         timestamp,
         date
@@ -312,40 +355,66 @@ app.post('/api/activities', authenticateToken, [
     // Support both parameter formats
     const userIdParam = lineUserId || userId;
     const typeParam = activityType || type;
-    const titleParam = title || `${typeParam} activity`;
-    const dateParam = date || (timestamp ? new Date(timestamp).toISOString().split('T')[0] : new Date().toISOString().split('T')[0]);
     
-    if (!userIdParam || !typeParam || points === undefined) {
-        return res.status(400).json({ error: 'userId, type, and points are required' });
+    if (!userIdParam || !typeParam) {
+        return res.status(400).json({ error: 'userId and type are required' });
     }
     
-    // Authorization: Users can only create activities for themselves
-    if (req.user.lineUserId !== userIdParam) {
+    // Authorization: reps log for themselves; managers may log corrections for their team
+    const owner = req.actor.lineUserId === userIdParam
+        ? { lineUserId: userIdParam, teamId: req.actor.teamId }
+        : await firestoreService.getUser(userIdParam);
+    
+    if (!canAccessUser(req.actor, owner)) {
         return res.status(403).json({ error: 'Cannot create activities for other users' });
     }
     
-    // Map frontend activity types to backend types
-    const activityTypeMap = {
-        'phone': 'โทร',
-        'meeting': 'นัด', 
-        'quote': 'ชิง',
-        'collab': 'ข่าวสาร',
-        'present': 'เริ่มเซน',
-        'training': 'เริ่มเซน',
-        'contract': 'ชิง',
-        'other': 'ข่าวสาร'
-    };
+    // Validate activity type against the catalog (ids, legacy aliases and names)
+    const activityTypeEntry = await activityTypeService.resolveType(typeParam);
+    if (!activityTypeEntry) {
+        const catalog = await activityTypeService.getCatalog();
+        return res.status(400).json({
+            errors: [{
+                path: 'activityType',
+                message: `Invalid activity type. Must be one of: ${catalog.map(t => t.id).join(', ')}`
+            }]
+        });
+    }
+    
+    // Business day of the rep's team (or own) timezone
+    const timezone = await teamService.getUserTimezone(await firestoreService.getUser(userIdParam));
+    const dateParam = businessDate.toBusinessDate(date || timestamp || new Date(), timezone);
     
-    const mappedType = activityTypeMap[typeParam] || 'ข่าวสาร';
+    // Points come from the rule version in effect on the activity date, never
+    // from the client; daily caps count what the rep already logged that day
+    const scoringType = await pointRuleService.applyRules(activityTypeEntry, dateParam);
+    const loggedToday = (await firestoreService.getUserActivities(userIdParam, dateParam))
+        .filter(a => a.activityType === activityTypeEntry.id)
+        .reduce((sum, a) => sum + (a.count || 1), 0);
+    const score = activityTypeService.calculatePoints(scoringType, quantity, loggedToday);
     
     const activity = await firestoreService.createActivity({
         lineUserId: userIdParam,
-        activityType: mappedType,
-        title: titleParam,
-        points: points * quantity,
-        date: dateParam
+        activityType: activityTypeEntry.id,
+        title: title || activityTypeEntry.names.en,
+        points: score.points,
+        basePoints: score.basePoints,
+        ruleVersion: scoringType.ruleVersion,
+        count: quantity,
+        date: dateParam,
+        teamId: owner.teamId || null,
+        loggedBy: req.actor.lineUserId
     });
     
+    await auditService.record({
+        entityType: 'activity',
+        entityId: activity.id,
+        action: 'create',
+        lineUserId: userIdParam,
+        teamId: owner.teamId,
+        after: activity
+    }, req.actor);
+    
     res.status(201).json({ 
         success: true,
         activity
@@ -353,70 +422,223 @@ app.post('/api/activities', authenticateToken, [
 }));
 
 // Get user activities with JWT authentication
-app.get('/api/activities/:lineUserId', authenticateToken, [
+app.get('/api/activities/:lineUserId', authenticateToken, loadActor, [
     param('lineUserId').isLength({ min: 1 }).escape(),
     validate
-], asyncHandler(async (req, res) => {
+], authorizeUserParam('lineUserId'), asyncHandler(async (req, res) => {
     const { lineUserId } = req.params;
     
-    // Authorization: Users can only access their own activities
-    if (req.user.lineUserId !== lineUserId) {
-        return res.status(403).json({ error: 'Cannot access other users activities' });
-    }
-    
     const activities = await firestoreService.getUserActivities(lineUserId);
     
-    // Map backend format to frontend format
-    const mappedActivities = activities.map(activity => ({
-        id: activity.id,
-        type: mapBackendToFrontendType(activity.activityType),
-        points: activity.points,
-        timestamp: activity.createdAt,
-        title: activity.title,
-        description: activity.description || ''
+    // Catalog ids go to the frontend as they are; legacy Thai codes resolve through aliases
+    const mappedActivities = await Promise.all(activities.map(async activity => {
+        const activityType = await activityTypeService.resolveType(activity.activityType, true);
+        return {
+            id: activity.id,
+            type: activityType ? activityType.id : 'other',
+            points: activity.points,
+            timestamp: activity.createdAt,
+            title: activity.title,
+            description: activity.description || ''
+        };
     }));
     
     res.json(mappedActivities);
 }));
 
-// Helper function to map backend types to frontend types
-function mapBackendToFrontendType(backendType) {
-    const typeMap = {
-        'โทร': 'phone',
-        'นัด': 'meeting',
-        'ชิง': 'quote',
-        'ข่าวสาร': 'collab',
-        'เริ่มเซน': 'present'
-    };
-    return typeMap[backendType] || 'other';
-}
+// Edit an activity within the edit window with JWT authentication
+// (activityType/type, count/quantity, notes, date; points are rescored)
+app.patch('/api/activities/:id', [
+    param('id').isLength({ min: 1 }),
+    validate
+], authenticateToken, loadActor, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    const before = await firestoreService.getActivity(id);
+    
+    if (!before) {
+        return res.status(404).json({ error: 'Activity not found' });
+    }
+    
+    // The same people who may delete an activity may edit it
+    if (!canModifyActivity(req.actor, before)) {
+        return res.status(403).json({ error: 'Cannot edit other users activities' });
+    }
+    
+    const prepared = await activityEditService.prepare(before, req.body);
+    if (prepared.errors) {
+        return res.status(400).json({ errors: prepared.errors });
+    }
+    
+    if (Object.keys(prepared.changes).length === 0) {
+        return res.json({ success: true, activity: before, points: before.points });
+    }
+    
+    const activity = await firestoreService.updateActivity(id, prepared.changes);
+    await auditService.record({
+        entityType: 'activity',
+        entityId: id,
+        action: 'update',
+        lineUserId: before.lineUserId,
+        teamId: before.teamId,
+        before,
+        after: activity
+    }, req.actor);
+    
+    if (activity.date !== before.date) {
+        await streakService.recalculate(before.lineUserId, req.actor);
+    }
+    
+    res.json({
+        success: true,
+        activity,
+        points: activity.points,
+        capped: prepared.score ? prepared.score.capped : false
+    });
+}));
 
 // Delete activity with JWT authentication
 app.delete('/api/activities/:id', [
     param('id').isLength({ min: 1 }),
     validate
-], authenticateToken, asyncHandler(async (req, res) => {
+], authenticateToken, loadActor, asyncHandler(async (req, res) => {
     const { id } = req.params;
     
-    // Get activity to check ownership
-    const activities = await firestoreService.getUserActivities(req.user.lineUserId);
-    const activity = activities.find(a => a.id === id);
+    const activity = await firestoreService.getActivity(id);
     
     if (!activity) {
         return res.status(404).json({ error: 'Activity not found' });
     }
     
+    // Authorization: owner, a manager of the activity's team, or an admin
+    if (!canModifyActivity(req.actor, activity)) {
+        return res.status(403).json({ error: 'Cannot delete other users activities' });
+    }
+    
+    // Soft delete: POST /api/activities/:id/restore brings it back
     await firestoreService.deleteActivity(id);
+    await auditService.record({
+        entityType: 'activity',
+        entityId: id,
+        action: 'delete',
+        lineUserId: activity.lineUserId,
+        teamId: activity.teamId,
+        before: activity
+    }, req.actor);
+    await streakService.recalculate(activity.lineUserId, req.actor);
     res.json({ message: 'Activity deleted successfully' });
 }));
 
+// Restore a deleted activity with JWT authentication
+app.post('/api/activities/:id/restore', [
+    param('id').isLength({ min: 1 }),
+    validate
+], authenticateToken, loadActor, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    const deleted = await firestoreService.getDeletedActivity(id);
+    
+    if (!deleted) {
+        return res.status(404).json({ error: 'Deleted activity not found' });
+    }
+    
+    // The same people who may delete an activity may restore it
+    if (!canModifyActivity(req.actor, deleted)) {
+        return res.status(403).json({ error: 'Cannot restore other users activities' });
+    }
+    
+    const activity = await firestoreService.restoreActivity(id);
+    if (!activity) {
+        return res.status(404).json({ error: 'Deleted activity not found' });
+    }
+    
+    await auditService.record({
+        entityType: 'activity',
+        entityId: id,
+        action: 'restore',
+        lineUserId: activity.lineUserId,
+        teamId: activity.teamId,
+        after: activity
+    }, req.actor);
+    await streakService.recalculate(activity.lineUserId, req.actor);
+    res.json({ success: true, activity });
+}));
+
+// Get a team's activities (managers of the team and admins)
+app.get('/api/teams/:teamId/activities', authenticateToken, loadActor, [
+    param('teamId').isLength({ min: 1 }).escape(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    validate
+], asyncHandler(async (req, res) => {
+    const { teamId } = req.params;
+    
+    if (!canAccessTeam(req.actor, teamId)) {
+        return res.status(403).json({ error: 'Cannot access other teams data' });
+    }
+    
+    const activities = await firestoreService.getTeamActivities(teamId, req.query.limit || 100);
+    res.json(activities);
+}));
+
+// Query the audit log (managers see their own team's entries, admins everyone's)
+app.get('/api/audit', authenticateToken, loadActor, requireRole('manager', 'admin'), [
+    query('entityType').optional().isIn(auditService.ENTITY_TYPES),
+    query('action').optional().isIn(auditService.ACTIONS),
+    query('limit').optional().isInt({ min: 1, max: auditService.MAX_LIMIT }),
+    validate
+], asyncHandler(async (req, res) => {
+    const errors = auditService.validateQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    const filters = { ...req.query };
+    if (req.actor.role === 'manager') {
+        if (filters.teamId && !canAccessTeam(req.actor, filters.teamId)) {
+            return res.status(403).json({ error: 'Cannot access other teams data' });
+        }
+        filters.teamId = req.actor.teamId;
+    }
+    
+    const entries = await auditService.query(filters);
+    res.json({ entries, count: entries.length });
+}));
+
+// Export activities as CSV, XLSX or JSON (managers export their own team, admins anyone's)
+app.get('/api/export/activities', authenticateToken, loadActor, requireRole('manager', 'admin'), asyncHandler(async (req, res) => {
+    const errors = activityExportService.validateFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    const filters = activityExportService.parseFilters(req.query);
+    if (req.actor.role === 'manager') {
+        // A manager without a team has no team to export
+        const teamId = filters.teamId || req.actor.teamId;
+        if (!teamId || !canAccessTeam(req.actor, teamId)) {
+            return res.status(403).json({ error: 'Cannot access other teams data' });
+        }
+        filters.teamId = teamId;
+    }
+    
+    const file = activityExportService.render(await activityExportService.buildRows(filters), filters);
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    res.send(file.body);
+}));
+
 // Get leaderboard (public endpoint)
+// ?period= is a calendar day/week/month; ?from=&to= an explicit date range.
+// Entries carry their movement against the previous equivalent period.
+// ?mode= ranks by points (default), meetings, conversion, contracts or composite.
 app.get('/api/leaderboard', [
-    query('period').isIn(['today', 'week', 'month']),
+    query('period').optional().isIn(['today', 'week', 'month']),
+    query('mode').optional().isIn(leaderboardService.MODES),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
     validate
 ], asyncHandler(async (req, res) => {
-    const { period } = req.query;
+    const { period = 'today', from, to, mode } = req.query;
+    const filters = mode ? { mode } : {};
     
     const periodMap = {
         'today': 'daily',
@@ -424,9 +646,23 @@ app.get('/api/leaderboard', [
         'month': 'monthly'
     };
     
-    const leaderboard = await firestoreService.getLeaderboard(periodMap[period]);
+    let leaderboard;
+    if (from !== undefined || to !== undefined) {
+        const errors = leaderboardService.validateRange(from, to);
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+        leaderboard = await leaderboardService.getRangeLeaderboard(from, to, filters);
+    } else {
+        leaderboard = await leaderboardService.getPeriodLeaderboard(periodMap[period], businessDate.getBusinessDate(), filters);
+    }
     
     res.json({ 
+        period: leaderboard.period,
+        mode: leaderboard.mode,
+        startDate: leaderboard.startDate,
+        endDate: leaderboard.endDate,
+        previous: leaderboard.previous,
         leaderboard: leaderboard.entries.map((entry, index) => ({
             ...entry,
             line_user_id: entry.userId,
@@ -439,59 +675,55 @@ app.get('/api/leaderboard', [
 }));
 
 // Get user achievements with JWT authentication
-app.get('/api/achievements/:lineUserId', authenticateToken, [
+app.get('/api/achievements/:lineUserId', authenticateToken, loadActor, [
     param('lineUserId').isLength({ min: 1 }).escape(),
     validate
-], asyncHandler(async (req, res) => {
+], authorizeUserParam('lineUserId'), asyncHandler(async (req, res) => {
     const { lineUserId } = req.params;
     
-    // Authorization check
-    if (req.user.lineUserId !== lineUserId) {
-        return res.status(403).json({ error: 'Cannot access other users achievements' });
-    }
-    
     const achievements = await firestoreService.getUserAchievements(lineUserId);
     res.json(achievements);
 }));
 
 // Get user streak with JWT authentication
-app.get('/api/streak/:lineUserId', authenticateToken, [
+app.get('/api/streak/:lineUserId', authenticateToken, loadActor, [
     param('lineUserId').isLength({ min: 1 }).escape(),
     validate
-], asyncHandler(async (req, res) => {
+], authorizeUserParam('lineUserId'), asyncHandler(async (req, res) => {
     const { lineUserId } = req.params;
     
-    // Authorization check
-    if (req.user.lineUserId !== lineUserId) {
-        return res.status(403).json({ error: 'Cannot access other users streak' });
-    }
-    
     const streak = await firestoreService.getUserStreak(lineUserId);
     res.json(streak);
 }));
 
-// Update user streak with JWT authentication
-app.put('/api/streak/:lineUserId', authenticateToken, [
+// Update user streak with JWT authentication (managers may correct their team)
+app.put('/api/streak/:lineUserId', authenticateToken, loadActor, [
     param('lineUserId').isLength({ min: 1 }).escape(),
     body('currentStreak').isInt({ min: 0 }),
     body('longestStreak').isInt({ min: 0 }),
     body('lastActivityDate').optional().isISO8601(),
     validate
-], asyncHandler(async (req, res) => {
+], authorizeUserParam('lineUserId'), asyncHandler(async (req, res) => {
     const { lineUserId } = req.params;
     const { currentStreak, longestStreak, lastActivityDate } = req.body;
     
-    // Authorization check
-    if (req.user.lineUserId !== lineUserId) {
-        return res.status(403).json({ error: 'Cannot update other users streak' });
-    }
-    
+    const before = await firestoreService.getUserStreak(lineUserId);
     await firestoreService.updateUserStreak(lineUserId, {
         currentStreak,
         longestStreak,
         lastActivityDate
     });
     
+    await auditService.record({
+        entityType: 'streak',
+        entityId: lineUserId,
+        action: 'update',
+        lineUserId,
+        teamId: (await firestoreService.getUser(lineUserId))?.teamId,
+        before,
+        after: await firestoreService.getUserStreak(lineUserId)
+    }, req.actor);
+    
     res.json({ success: true });
 }));
 
@@ -530,7 +762,15 @@ async function handleLineMessage(event) {
         }
         
         const groupId = source.groupId || source.roomId;
+        const before = await firestoreService.getGroup(groupId);
         await firestoreService.registerGroup(groupId, '', source.userId);
+        await auditService.record({
+            entityType: 'group',
+            entityId: groupId,
+            action: before ? 'update' : 'create',
+            before,
+            after: await firestoreService.getGroup(groupId)
+        }, { lineUserId: source.userId, source: 'line' });
         
         await lineClient.replyMessage(replyToken, {
             type: 'text',
@@ -554,10 +794,8 @@ async function startServer() {
         // Initialize LINE client
         await initializeLineClient();
         
-        // Start cleanup interval for cache
-        setInterval(() => {
-            firestoreService.cleanupExpiredCache();
-        }, 60 * 60 * 1000); // Every hour
+        // Recurring jobs (cache cleanup, quota records, daily leaderboard)
+        schedulerService.start();
         
         app.listen(PORT, () => {
             console.log(`✅ Server running on port ${PORT}`);
@@ -4,11 +4,35 @@ const bodyParser = require('body-parser');
 const { Client } = require('@line/bot-sdk');
 require('dotenv').config();
 
-// Import Firestore service
-const firestoreService = require('./services/firestore.service');
-const { createActivitySubmissionFlex, sendFlexMessage } = require('./activity-flex-message-compact');
+// Storage adapter selected by STORAGE_ADAPTER (firestore, sqlite or memory)
+const { getStorage, getStorageType, usesFirestore } = require('./storage');
+// Initializes firebase-admin, which the feature services below use on load
+require('./services/firestore.service');
+const { createActivitySubmissionFlex } = require('./activity-flex-message-compact');
 const lineQuotaService = require('./services/line-quota.service');
+const dealService = require('./services/deal.service');
+const accountService = require('./services/account.service');
+const activityTypeService = require('./services/activity-type.service');
+const pointRuleService = require('./services/point-rule.service');
+const activityEditService = require('./services/activity-edit.service');
+const teamService = require('./services/team.service');
+const leaderboardService = require('./services/leaderboard.service');
+const auditService = require('./services/audit.service');
+const streakService = require('./services/streak.service');
+const activityImportService = require('./services/activity-import.service');
+const schedulerService = require('./services/scheduler.service');
+const notificationDigestService = require('./services/notification-digest.service');
+const lineOutboxService = require('./services/line-outbox.service');
+const groupPreferencesService = require('./services/group-preferences.service');
+const targetService = require('./services/target.service');
+const { registerJobs } = require('./services/scheduled-jobs');
+const { achievementName } = require('./period-recap');
+const businessDate = require('./utils/business-date');
+const { escapeHtml } = require('./utils/html');
+const { activityTime } = require('./utils/leaderboard-ranking');
+const { t, isLanguage, LANGUAGES, groupLanguage, perLanguage, typeName } = require('./utils/i18n');
 const { OAuth2Client } = require('google-auth-library');
+const { requireAdminToken } = require('./middleware/admin-auth');
 
 // Rate limiting
 let rateLimit;
@@ -19,6 +43,8 @@ try {
     console.warn('express-rate-limit not available, rate limiting disabled');
 }
 
+const storage = getStorage();
+
 const app = express();
 const PORT = process.env.PORT || 10000;
 
@@ -78,6 +104,8 @@ if (rateLimit) {
 
 // Middleware
 app.use(cors());
+// Imported spreadsheets arrive as JSON (CSV text or base64 XLSX)
+app.use('/api/admin/activities/import', bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -100,15 +128,70 @@ app.use('/api', versionMonitorRoutes);
 const lineWebhookRoutes = require('./routes/line-webhook');
 app.use('/', lineWebhookRoutes);
 
+// Activity type catalog routes
+const activityTypeRoutes = require('./routes/activity-types');
+app.use('/api', activityTypeRoutes);
+
+// Audit log query routes
+const auditRoutes = require('./routes/audit');
+app.use('/api', auditRoutes);
+
+// Filtered activity export routes
+const activityExportRoutes = require('./routes/activity-export');
+app.use('/api', activityExportRoutes);
+
+// Scheduled job admin routes
+const jobRoutes = require('./routes/jobs');
+app.use('/api', jobRoutes);
+
+// LINE outbox admin routes
+const outboxRoutes = require('./routes/outbox');
+app.use('/api', outboxRoutes);
+
+// Group notification settings routes
+const groupSettingsRoutes = require('./routes/group-settings');
+app.use('/api', groupSettingsRoutes);
+
+// Features kept in Firestore only; with the sqlite or memory adapter their
+// paths answer 501 and the routes are not mounted
+const { requireFirestore } = require('./middleware/firestore-only');
+app.use('/api/deals', requireFirestore('Deals'));
+app.use(['/api/accounts', '/api/contacts'], requireFirestore('Accounts and contacts'));
+app.use('/api/admin/point-rules', requireFirestore('Point rules'));
+app.use(['/api/organizations', '/api/teams'], requireFirestore('Teams'));
+app.use('/api/targets', requireFirestore('Targets'));
+
+if (usesFirestore()) {
+    // Deal pipeline routes
+    const dealRoutes = require('./routes/deals');
+    app.use('/api', dealRoutes);
+
+    // Customer account & contact directory routes
+    const accountRoutes = require('./routes/accounts');
+    app.use('/api', accountRoutes);
+
+    // Versioned point rules and rescoring
+    const pointRuleRoutes = require('./routes/point-rules');
+    app.use('/api', pointRuleRoutes);
+
+    // Organization & team routes
+    const teamRoutes = require('./routes/teams');
+    app.use('/api', teamRoutes);
+
+    // Personal & team target routes
+    const targetRoutes = require('./routes/targets');
+    app.use('/api', targetRoutes);
+}
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     // Use APP_VERSION from environment if available, fallback to package.json
     const packageVersion = process.env.APP_VERSION || require('./package.json').version;
     
-    // Quick Firestore health check
+    // Quick storage health check
     let dbStatus = 'unknown';
     try {
-        await firestoreService.getUser('health-check');
+        await storage.getUser('health-check');
         dbStatus = 'healthy';
     } catch (error) {
         dbStatus = 'error';
@@ -118,7 +201,7 @@ app.get('/health', async (req, res) => {
         status: 'OK', 
         message: 'Sales Tracker LINE Backend is running',
         version: packageVersion,
-        database: 'firestore',
+        database: getStorageType(),
         dbStatus,
         lineStatus: lineClient ? 'connected' : 'disconnected',
         timestamp: new Date().toISOString() 
@@ -128,11 +211,11 @@ app.get('/health', async (req, res) => {
 // Debug endpoint to check registered groups
 app.get('/api/debug/groups', async (req, res) => {
     try {
-        const groups = await firestoreService.getAllGroups();
+        const groups = await storage.getAllGroups();
         res.json({ 
             groups: groups || [],
             count: groups.length,
-            database: 'firestore',
+            database: getStorageType(),
             hasToken: !!lineConfig.channelAccessToken
         });
     } catch (error) {
@@ -140,18 +223,47 @@ app.get('/api/debug/groups', async (req, res) => {
     }
 });
 
+// Register group for notifications (the LINE /register command does the same)
+app.post('/api/groups/register', async (req, res) => {
+    const { groupId, groupName, registeredBy } = req.body;
+    
+    if (!groupId || !registeredBy) {
+        return res.status(400).json({ error: 'groupId and registeredBy are required' });
+    }
+    
+    try {
+        const before = await storage.getGroup(groupId);
+        await storage.registerGroup(groupId, groupName || null, registeredBy);
+        await auditService.record({
+            entityType: 'group',
+            entityId: groupId,
+            action: before ? 'update' : 'create',
+            teamId: before ? before.teamId : null,
+            before,
+            after: await storage.getGroup(groupId)
+        }, auditService.actorFromRequest(req, registeredBy));
+        res.json({ success: true, message: 'Group registered for notifications' });
+    } catch (error) {
+        console.error('Error registering group:', error);
+        res.status(500).json({ error: 'Failed to register group' });
+    }
+});
+
 // Basic API info
 app.get('/', (req, res) => {
     const packageVersion = process.env.APP_VERSION || require('./package.json').version;
     res.json({ 
-        message: 'Sales Tracker API (Firestore)',
+        message: 'Sales Tracker API',
         status: 'running',
         version: packageVersion,
-        database: 'firestore',
+        database: getStorageType(),
         endpoints: [
             '/health', 
             '/api/users', 
             '/api/activities', 
+            '/api/activities/sync',
+            '/api/activities/:id',
+            '/api/activities/:id/restore',
             '/api/achievements/:lineUserId',
             '/api/achievements',
             '/api/streak/:lineUserId',
@@ -160,7 +272,42 @@ app.get('/', (req, res) => {
             '/api/analytics/trends',
             '/api/analytics/breakdown', 
             '/api/analytics/performance',
+            '/api/leaderboard',
             '/api/leaderboard/:period',
+            '/api/groups/register',
+            '/api/groups/:groupId/settings',
+            '/api/user/login',
+            '/api/user/:lineUserId/settings',
+            '/api/user/:lineUserId/dashboard',
+            '/api/deals',
+            '/api/deals/pipeline',
+            '/api/deals/:id/activities',
+            '/api/accounts',
+            '/api/accounts/:id/timeline',
+            '/api/contacts',
+            '/api/contacts/:id/timeline',
+            '/api/activity-types',
+            '/api/admin/activity-types',
+            '/api/admin/point-rules',
+            '/api/admin/point-rules/rescore',
+            '/api/admin/audit',
+            '/api/admin/activities/import',
+            '/api/admin/activities/import/preview',
+            '/api/admin/activities/export',
+            '/api/admin/jobs',
+            '/api/admin/jobs/:id/run',
+            '/api/admin/jobs/:id/pause',
+            '/api/admin/jobs/:id/resume',
+            '/api/admin/outbox',
+            '/api/admin/outbox/:id',
+            '/api/admin/outbox/:id/retry',
+            '/api/organizations',
+            '/api/teams/:id',
+            '/api/teams/:id/stats',
+            '/api/teams/:id/members',
+            '/api/targets',
+            '/api/targets/progress/:lineUserId',
+            '/api/targets/:id/progress',
             '/webhook', 
             '/api/debug/groups', 
             '/api/version', 
@@ -193,12 +340,12 @@ app.post('/api/auth/google', async (req, res) => {
         const name = payload['name'];
         const picture = payload['picture'];
         
-        // Get or create user in Firestore
-        let user = await firestoreService.getUser(googleId);
+        // Get or create the user
+        let user = await storage.getUser(googleId);
         
         if (!user) {
             // Create new user
-            await firestoreService.createOrUpdateUser(googleId, {
+            await storage.createOrUpdateUser(googleId, {
                 displayName: name,
                 email: email,
                 pictureUrl: picture,
@@ -238,7 +385,7 @@ app.post('/api/users', async (req, res) => {
     }
     
     try {
-        const user = await firestoreService.createOrUpdateUser(userIdParam, {
+        const user = await storage.createOrUpdateUser(userIdParam, {
             displayName: nameParam,
             pictureUrl
         });
@@ -260,7 +407,7 @@ app.post('/api/users', async (req, res) => {
 // Get user profile
 app.get('/api/users/:lineUserId', async (req, res) => {
     try {
-        const user = await firestoreService.getUser(req.params.lineUserId);
+        const user = await storage.getUser(req.params.lineUserId);
         
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
@@ -273,13 +420,31 @@ app.get('/api/users/:lineUserId', async (req, res) => {
     }
 });
 
+// Errors of the user settings the server reads: the timezone defines the
+// user's business day when their team has none, the language the bot's replies
+function validateUserSettings(settings) {
+    const errors = [];
+    if (settings.timezone !== undefined && !businessDate.isValidTimezone(settings.timezone)) {
+        errors.push({ path: 'timezone', message: 'Invalid IANA timezone' });
+    }
+    if (settings.language !== undefined && !isLanguage(settings.language)) {
+        errors.push({ path: 'language', message: `language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+    return errors;
+}
+
 // Update user settings
 app.put('/api/users/:lineUserId/settings', async (req, res) => {
     const { lineUserId } = req.params;
     const settings = req.body;
     
+    const errors = validateUserSettings(settings);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
     try {
-        await firestoreService.updateUserSettings(lineUserId, settings);
+        await storage.updateUserSettings(lineUserId, settings);
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating settings:', error);
@@ -287,147 +452,966 @@ app.put('/api/users/:lineUserId/settings', async (req, res) => {
     }
 });
 
-// Valid activity types
-const VALID_ACTIVITY_TYPES = ['call', 'email', 'meeting', 'proposal', 'demo', 'deal', 'โทร', 'เยี่ยม', 'ส่ง', 'อื่นๆ'];
+// Settings of the legacy web app (/api/user/:lineUserId/settings)
+const DEFAULT_APP_SETTINGS = {
+    userName: '',
+    userEmail: '',
+    dailyGoal: 50,
+    weeklyGoal: 300,
+    notifications: true,
+    lineNotifications: true,
+    soundEffects: true
+};
+
+// Legacy settings endpoints (originally served by the SQLite server)
+app.get('/api/user/:lineUserId/settings', async (req, res) => {
+    try {
+        const user = await storage.getUser(req.params.lineUserId);
+        res.json({ ...DEFAULT_APP_SETTINGS, ...(user?.settings || {}) });
+    } catch (error) {
+        console.error('Error fetching settings:', error);
+        res.status(500).json({ error: 'Failed to fetch settings' });
+    }
+});
+
+app.post('/api/user/:lineUserId/settings', async (req, res) => {
+    const { lineUserId } = req.params;
+    
+    const errors = validateUserSettings(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    try {
+        const user = await storage.getUser(lineUserId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        await storage.updateUserSettings(lineUserId, { ...(user.settings || {}), ...req.body });
+        res.json({ 
+            success: true, 
+            message: 'Settings saved successfully'
+        });
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        res.status(500).json({ error: 'Failed to save settings' });
+    }
+});
+
+// User login notification (legacy web app)
+app.post('/api/user/login', async (req, res) => {
+    const { userId, userProfile } = req.body;
+    
+    if (!userId || !userProfile) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    try {
+        await storage.createOrUpdateUser(userId, {
+            displayName: userProfile.displayName,
+            pictureUrl: userProfile.pictureUrl,
+            lastLogin: new Date().toISOString()
+        });
+        
+        console.log(`User logged in: ${userProfile.displayName} (${userId})`);
+        
+        res.json({ 
+            success: true, 
+            message: 'Login recorded successfully',
+            userId
+        });
+    } catch (error) {
+        console.error('Login notification error:', error);
+        res.status(500).json({ error: 'Failed to record login' });
+    }
+});
+
+// Dashboard statistics (legacy web app)
+app.get('/api/user/:lineUserId/dashboard', async (req, res) => {
+    const { lineUserId } = req.params;
+    
+    try {
+        const today = businessDate.getBusinessDate(await resolveTimezone({ lineUserId }));
+        const [user, allActivities, weekActivities] = await Promise.all([
+            storage.getUser(lineUserId),
+            storage.getUserActivities(lineUserId),
+            storage.getActivitiesByDateRange(lineUserId, businessDate.addDays(today, -7), today)
+        ]);
+        
+        const sumPoints = (activities) => activities.reduce((sum, a) => sum + (a.points || 0), 0);
+        const totalPoints = user?.totalPoints || 0;
+        const lastActivityDate = allActivities.reduce((latest, a) => (!latest || a.date > latest ? a.date : latest), null);
+        
+        res.json({
+            totalPoints,
+            currentLevel: Math.floor(totalPoints / 100) + 1,
+            todayPoints: sumPoints(weekActivities.filter(a => a.date === today)),
+            weekPoints: sumPoints(weekActivities),
+            totalActivities: user?.totalActivities || 0,
+            lastActivityDate
+        });
+    } catch (error) {
+        console.error('Error fetching dashboard stats:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard data' });
+    }
+});
+
+// Validate an optional dealStage filter; returns an error response body or null
+function validateDealStage(dealStage) {
+    if (dealStage && !usesFirestore()) {
+        return {
+            errors: [{
+                path: 'dealStage',
+                message: `Deals are not available with the ${getStorageType()} storage adapter`
+            }]
+        };
+    }
+    
+    if (dealStage && !dealService.STAGES.includes(dealStage)) {
+        return {
+            errors: [{
+                path: 'dealStage',
+                message: `Invalid deal stage. Must be one of: ${dealService.STAGES.join(', ')}`
+            }]
+        };
+    }
+    return null;
+}
 
-// HTML escape function
-function escapeHtml(unsafe) {
-    if (!unsafe) return '';
-    return String(unsafe)
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#039;");
+// Keep only activities attached to deals currently in the given stage
+async function filterByDealStage(activities, dealStage) {
+    if (!dealStage) return activities;
+    
+    const dealIds = new Set(await dealService.getDealIdsByStage(dealStage));
+    return activities.filter(activity => activity.dealId && dealIds.has(activity.dealId));
 }
 
-// Create activity  
-app.post('/api/activities', async (req, res) => {
-    const { lineUserId, activityType, title, subtitle, points, count, date, userId, type, quantity, timestamp } = req.body;
+// Keep only activities logged for the given team
+function filterByTeam(activities, teamId) {
+    if (!teamId) return activities;
+    return activities.filter(activity => activity.teamId === teamId);
+}
+
+// Timezone whose calendar defines "today" for a request: the team's when one
+// is given, else the user's (team or own settings), else the default
+async function resolveTimezone({ teamId, lineUserId }) {
+    if (teamId) {
+        return teamService.getTeamTimezone(teamId);
+    }
+    if (lineUserId) {
+        return teamService.getUserTimezone(await storage.getUser(lineUserId));
+    }
+    return businessDate.DEFAULT_TIMEZONE;
+}
+
+// Client-generated activity IDs (UUID) make offline sync retries idempotent
+const CLIENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_SYNC_BATCH = 100;
+
+// Edit window (days) and notes limit, shared with activity edits
+const { EDIT_WINDOW_DAYS, MAX_NOTES_LENGTH } = activityEditService;
+// /undo in the LINE chat removes the last activity logged at most this many minutes ago
+const UNDO_WINDOW_MINUTES = parseInt(process.env.LINE_UNDO_WINDOW_MINUTES, 10) || 15;
+
+/**
+ * Validate and score one activity the way it will be stored.
+ * Shared by single submissions, offline sync and imports so all score identically.
+ * @param {string} userIdParam - LINE user ID of the rep
+ * @param {Object} input - Activity fields from the request body
+ * @param {Array} pending - Prepared activities not stored yet that daily caps must count (imports)
+ * @returns {Promise<Object>} { errors } when invalid, otherwise { user, activityData, score, titleParam }
+ */
+async function prepareActivity(userIdParam, input, pending = []) {
+    const { activityType, title, subtitle, notes, points, count, date, type, quantity, timestamp, dealId, contactId } = input;
+    let { accountId } = input;
     
     // Support both parameter formats
-    const userIdParam = lineUserId || userId;
     const typeParam = activityType || type;
     const countParam = count || quantity || 1;
-    const dateParam = date || (timestamp ? new Date(timestamp).toISOString().split('T')[0] : new Date().toISOString().split('T')[0]);
-    const titleParam = title || `${typeParam} activity`;
     
-    if (!userIdParam || !typeParam || points === undefined) {
-        return res.status(400).json({ 
-            error: 'userId, type, and points are required' 
-        });
+    if (!typeParam) {
+        return { errors: [{ path: 'activityType', message: 'Activity type is required' }] };
     }
     
-    // Validate activity type
-    if (!VALID_ACTIVITY_TYPES.includes(typeParam)) {
-        return res.status(400).json({
+    // The activity counts for the business day of the rep's team (or own) timezone;
+    // timestamps are converted, plain dates are taken as already local
+    const user = await storage.getUser(userIdParam);
+    const timezone = await teamService.getUserTimezone(user);
+    const dateParam = businessDate.toBusinessDate(date || timestamp || new Date(), timezone);
+    if (!dateParam) {
+        return { errors: [{ path: 'date', message: 'Invalid date' }] };
+    }
+    
+    // Points are computed from the catalog; a client-sent value is only sanity-checked
+    if (points !== undefined) {
+        const pointsNum = parseInt(points);
+        if (isNaN(pointsNum) || pointsNum < 0) {
+            return {
+                errors: [{
+                    path: 'points',
+                    message: 'Points must be a non-negative number'
+                }]
+            };
+        }
+        
+        if (pointsNum > 1000) {
+            return {
+                errors: [{
+                    path: 'points',
+                    message: 'Points cannot exceed 1000'
+                }]
+            };
+        }
+    }
+    
+    const quantityNum = parseInt(countParam);
+    if (isNaN(quantityNum) || quantityNum < 1) {
+        return {
+            errors: [{
+                path: 'count',
+                message: 'Count must be a positive number'
+            }]
+        };
+    }
+    
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+        return {
+            errors: [{
+                path: 'notes',
+                message: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters`
+            }]
+        };
+    }
+    
+    // Validate activity type against the catalog (ids, legacy aliases and names)
+    const activityTypeEntry = await activityTypeService.resolveType(typeParam);
+    if (!activityTypeEntry) {
+        const catalog = await activityTypeService.getCatalog();
+        return {
             errors: [{
                 path: 'activityType',
-                message: `Invalid activity type. Must be one of: ${VALID_ACTIVITY_TYPES.join(', ')}`
+                message: `Invalid activity type. Must be one of: ${catalog.map(t => t.id).join(', ')}`
+            }]
+        };
+    }
+    
+    // Deals and customers are kept in Firestore; other storage has none to link to
+    const linkable = usesFirestore();
+    
+    // Optional deal this activity advances
+    if (dealId) {
+        const deal = linkable ? await dealService.getDeal(dealId) : null;
+        if (!deal) {
+            return {
+                errors: [{
+                    path: 'dealId',
+                    message: 'Deal not found'
+                }]
+            };
+        }
+    }
+    
+    // Optional customer the rep talked to; a contact implies its account
+    if (contactId) {
+        const contact = linkable ? await accountService.getContact(contactId) : null;
+        if (!contact) {
+            return {
+                errors: [{
+                    path: 'contactId',
+                    message: 'Contact not found'
+                }]
+            };
+        }
+        accountId = accountId || contact.accountId;
+    }
+    
+    if (accountId && !(linkable && await accountService.getAccount(accountId))) {
+        return {
+            errors: [{
+                path: 'accountId',
+                message: 'Account not found'
             }]
+        };
+    }
+    
+    // Score under the point rule version in effect on the activity date;
+    // daily caps count what the rep already logged of this type that day
+    const scoringType = await pointRuleService.applyRules(activityTypeEntry, dateParam);
+    const todayActivities = await storage.getUserActivities(userIdParam, dateParam);
+    const pendingToday = pending.filter(a => a.lineUserId === userIdParam && a.date === dateParam);
+    const loggedToday = [...todayActivities, ...pendingToday]
+        .filter(a => a.activityType === activityTypeEntry.id)
+        .reduce((sum, a) => sum + (a.count || 1), 0);
+    const score = activityTypeService.calculatePoints(scoringType, quantityNum, loggedToday);
+    const titleParam = title || activityTypeEntry.names.en;
+    
+    // Activities count for the team the rep belongs to when logging
+    const teamId = user?.teamId || null;
+    
+    return {
+        user,
+        score,
+        titleParam,
+        activityData: {
+            lineUserId: userIdParam,
+            activityType: activityTypeEntry.id,
+            title: escapeHtml(titleParam),
+            subtitle: escapeHtml(subtitle),
+            points: score.points,
+            basePoints: score.basePoints,
+            ruleVersion: scoringType.ruleVersion,
+            count: quantityNum,
+            date: dateParam,
+            dealId: dealId || null,
+            accountId: accountId || null,
+            contactId: contactId || null,
+            teamId,
+            ...(notes ? { notes: escapeHtml(notes) } : {})
+        }
+    };
+}
+
+/**
+ * Store a prepared activity and link it to its deal and customer.
+ * With a clientId the write is idempotent: an activity already stored under
+ * that ID is returned with duplicate set instead of being added again.
+ * New activities are recorded in the audit log as created by actor.
+ */
+async function saveActivity(activityData, clientId = null, actor = {}) {
+    let activity;
+    
+    if (clientId) {
+        const result = await storage.createActivityOnce(clientId, activityData);
+        if (!result.created) {
+            return { duplicate: true, activity: result.activity };
+        }
+        activity = result.activity;
+    } else {
+        activity = await storage.createActivity(activityData);
+    }
+    
+    await auditService.record({
+        entityType: 'activity',
+        entityId: activity.id,
+        action: 'create',
+        lineUserId: activityData.lineUserId,
+        teamId: activityData.teamId,
+        after: activity
+    }, actor);
+    
+    if (activityData.dealId) {
+        await dealService.recordActivity(activityData.dealId, activity);
+    }
+    
+    if (activityData.accountId || activityData.contactId) {
+        await accountService.recordTouch(
+            { accountId: activityData.accountId, contactId: activityData.contactId },
+            activityData.lineUserId
+        );
+    }
+    
+    return { duplicate: false, activity };
+}
+
+// Send one activity notification to the team's registered groups with quota check
+// (activities: [{ id, title, subtitle, points }])
+async function notifyTeamGroups(user, teamId, activities, totalPoints) {
+    try {
+        // Nothing to build or count against the quota without a group that wants
+        // it (notifications and activity category on, outside quiet hours, enough points)
+        const timezone = await teamService.getUserTimezone(user);
+        const groups = await storage.getTeamGroups(teamId);
+        const enabledGroups = groupPreferencesService.filterGroups(groups, 'activity', { timezone, points: totalPoints });
+        if (enabledGroups.length === 0) return;
+        
+        // While the quota is predicted to run out today, hold the notification for
+        // the groups' next digest instead (usage is only tracked in Firestore)
+        if (usesFirestore() && (await lineQuotaService.getDeliveryMode()).mode === 'digest') {
+            await notificationDigestService.hold(enabledGroups, { user, teamId, activities, totalPoints });
+            return;
+        }
+        
+        const team = await teamService.getUserTeam(user);
+        const today = businessDate.getBusinessDate(timezone);
+        
+        // Get team stats and today's leaderboard for compact message
+        const teamStats = await storage.getTeamStats(teamId, today);
+        const todayLeaderboard = await storage.getLeaderboard('daily', today, { teamId });
+        
+        // Check quota before sending any messages (usage is tracked in Firestore;
+        // other storage sends without quota accounting, as the SQLite server did)
+        const quotaCheck = usesFirestore()
+            ? await lineQuotaService.canSendMessage('activity', false, team)
+            : { allowed: true, remaining: enabledGroups.length };
+        
+        if (!quotaCheck.allowed) {
+            console.warn(`LINE quota exceeded: ${quotaCheck.reason}`);
+            // Still save the activity, just skip notifications
+            return;
+        }
+        
+        // Check if we have enough quota for all groups
+        if (quotaCheck.remaining < enabledGroups.length) {
+            console.warn(`Not enough quota for all groups. Remaining: ${quotaCheck.remaining}, Need: ${enabledGroups.length}`);
+        }
+        
+        const flexMessage = perLanguage(language => createActivitySubmissionFlex(
+            user?.displayName || t(language, 'common.unknown'),
+            activities,
+            totalPoints,
+            teamStats,
+            user,
+            todayLeaderboard,
+            language
+        ));
+        
+        // Queue for groups (up to remaining quota); the outbox retries failed pushes.
+        // Keyed by the activities, so a notification is only queued once per group
+        const activityIds = activities.map(activity => activity.id).filter(Boolean);
+        for (const group of enabledGroups.slice(0, quotaCheck.remaining)) {
+            await lineOutboxService.send({
+                to: group.id,
+                message: flexMessage(groupLanguage(group)),
+                type: 'activity',
+                teamId,
+                dedupKey: activityIds.length > 0 ? `activity:${activityIds.join(',')}:${group.id}` : null
+            }, lineConfig.channelAccessToken);
+        }
+        
+        if (quotaCheck.warning) {
+            console.warn(`LINE quota warning: ${quotaCheck.remaining} messages remaining today`);
+        }
+    } catch (notificationError) {
+        console.error('Failed to send notifications:', notificationError);
+    }
+}
+
+// LINE quota message type of each announcement category
+const ANNOUNCEMENT_TYPES = { achievements: 'achievement', milestones: 'milestone' };
+
+// Send an achievement or milestone announcement to the user's team groups that
+// want its category, built by message(language) in each group's language; the
+// dedup key (suffixed with the group ID) sends it once
+async function announceToTeamGroups(user, category, message, dedupKey) {
+    try {
+        const teamId = user.teamId || null;
+        const timezone = await teamService.getUserTimezone(user);
+        const groups = groupPreferencesService.filterGroups(await storage.getTeamGroups(teamId), category, { timezone });
+        if (groups.length === 0) return;
+        
+        const type = ANNOUNCEMENT_TYPES[category];
+        const quotaCheck = usesFirestore()
+            ? await lineQuotaService.canSendMessage(type, false, await teamService.getUserTeam(user))
+            : { allowed: true, remaining: groups.length };
+        if (!quotaCheck.allowed) {
+            console.warn(`LINE quota exceeded, ${type} announcement not sent: ${quotaCheck.reason}`);
+            return;
+        }
+        
+        for (const group of groups.slice(0, quotaCheck.remaining)) {
+            await lineOutboxService.send({
+                to: group.id,
+                message: message(groupLanguage(group)),
+                type,
+                teamId,
+                dedupKey: `${dedupKey}:${group.id}`
+            }, lineConfig.channelAccessToken);
+        }
+    } catch (announcementError) {
+        console.error('Failed to send announcement:', announcementError);
+    }
+}
+
+// Announce the targets (the user's and their team's) that newly logged
+// activities completed: reached in their period now, and not without them.
+// Targets are kept in Firestore only
+async function announceMilestones(user, activities) {
+    if (!usesFirestore() || !user) return;
+    
+    try {
+        for (const progress of await targetService.getUserProgress(user)) {
+            const added = activities
+                .filter(activity => activity.date >= progress.startDate && activity.date <= progress.endDate)
+                .reduce((sum, activity) => {
+                    if (progress.metric === targetService.POINTS_METRIC) {
+                        return sum + (activity.points || 0);
+                    }
+                    return activity.activityType === progress.metric ? sum + (activity.count || 1) : sum;
+                }, 0);
+            if (progress.status !== 'achieved' || added === 0 || progress.actual - added >= progress.targetValue) {
+                continue;
+            }
+            
+            const activityType = progress.metric === targetService.POINTS_METRIC
+                ? null
+                : await activityTypeService.resolveType(progress.metric, true);
+            await announceToTeamGroups(user, 'milestones', perLanguage(language => ({
+                type: 'text',
+                text: t(language, 'announce.milestone', {
+                    name: progress.scope === 'team' ? t(language, 'announce.team') : (user.displayName || t(language, 'common.teammate')),
+                    period: t(language, `period.${progress.period}`),
+                    metric: activityType ? typeName(activityType, language) : t(language, 'metric.points'),
+                    actual: progress.actual,
+                    target: progress.targetValue
+                })
+            })), `milestone:${progress.targetId}:${progress.startDate}`);
+        }
+    } catch (milestoneError) {
+        console.error('Failed to check target milestones:', milestoneError);
+    }
+}
+
+// Account named exactly as a customer typed in chat (customer accounts are kept in Firestore only)
+async function findAccountByName(name) {
+    if (!name || !usesFirestore()) return null;
+    
+    const accounts = await accountService.searchAccounts({ q: name });
+    return accounts.find(account => (account.name || '').toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Log activities a rep confirmed in the LINE chat: scored, stored, announced
+ * and checked for completed targets like a sync batch. An item whose
+ * clientId is already stored is reported as a duplicate.
+ * @param {string} lineUserId - LINE user ID of the rep
+ * @param {Array} items - [{ activityType, count, date, customer (name), clientId }]
+ * @param {Object} actor - { lineUserId, role, source } for the audit log
+ * @returns {Promise<Object>} { results: [{ status (accepted, duplicate, rejected), activity, errors }], totalPoints }
+ */
+async function logActivities(lineUserId, items, actor) {
+    const results = [];
+    const accepted = [];
+    const saved = [];
+    let user = null;
+    let teamId = null;
+    
+    // The rep's own earlier confirmation, or a clash with someone else's activity
+    const duplicateResult = (activity) => (activity.lineUserId === lineUserId
+        ? { status: 'duplicate', activity }
+        : { status: 'rejected', errors: [{ path: 'clientId', message: 'clientId already in use' }] });
+    
+    for (const item of items) {
+        const existing = item.clientId ? await storage.getActivity(item.clientId) : null;
+        if (existing) {
+            results.push(duplicateResult(existing));
+            continue;
+        }
+        
+        // The customer shows as the activity's subtitle, linked when it names an account
+        const account = await findAccountByName(item.customer);
+        const prepared = await prepareActivity(lineUserId, {
+            activityType: item.activityType,
+            count: item.count,
+            date: item.date,
+            subtitle: item.customer || undefined,
+            accountId: account ? account.id : undefined
+        });
+        if (prepared.errors) {
+            results.push({ status: 'rejected', errors: prepared.errors });
+            continue;
+        }
+        
+        const { duplicate, activity } = await saveActivity(prepared.activityData, item.clientId || null, actor);
+        if (duplicate) {
+            results.push(duplicateResult(activity));
+            continue;
+        }
+        
+        results.push({ status: 'accepted', activity, capped: prepared.score.capped });
+        accepted.push({ id: activity.id, title: prepared.titleParam, subtitle: item.customer || undefined, points: activity.points });
+        saved.push(activity);
+        user = prepared.user;
+        teamId = prepared.activityData.teamId;
+    }
+    
+    const totalPoints = accepted.reduce((sum, activity) => sum + activity.points, 0);
+    if (accepted.length > 0) {
+        await notifyTeamGroups(user, teamId, accepted, totalPoints);
+        await announceMilestones(user, saved);
+    }
+    
+    return { results, totalPoints };
+}
+
+/**
+ * Soft-delete a stored activity, keep it in the audit log and recompute the
+ * rep's streak
+ * @param {Object} activity - The stored activity
+ * @param {Object} actor - { lineUserId, role, source } for the audit log
+ */
+async function deleteActivity(activity, actor) {
+    await storage.deleteActivity(activity.id);
+    await auditService.record({
+        entityType: 'activity',
+        entityId: activity.id,
+        action: 'delete',
+        lineUserId: activity.lineUserId,
+        teamId: activity.teamId,
+        before: activity
+    }, actor);
+    await streakService.recalculate(activity.lineUserId, actor);
+}
+
+/**
+ * Remove one of a rep's own activities from the LINE chat
+ * @param {string} lineUserId - LINE user ID of the rep
+ * @param {string} activityId - Activity to remove
+ * @param {Object} actor - { lineUserId, role, source } for the audit log
+ * @returns {Promise<Object>} { status (removed, not_found), activity }
+ */
+async function removeActivity(lineUserId, activityId, actor) {
+    const activity = await storage.getActivity(activityId);
+    if (!activity || activity.lineUserId !== lineUserId) {
+        return { status: 'not_found' };
+    }
+    
+    await deleteActivity(activity, actor);
+    return { status: 'removed', activity };
+}
+
+/**
+ * Remove the activity a rep logged last, if that was at most
+ * UNDO_WINDOW_MINUTES ago (activities dated up to EDIT_WINDOW_DAYS back count)
+ * @param {string} lineUserId - LINE user ID of the rep
+ * @param {Object} actor - { lineUserId, role, source } for the audit log
+ * @returns {Promise<Object>} { status (removed, expired, none), activity, windowMinutes }
+ */
+async function undoLastActivity(lineUserId, actor) {
+    const today = businessDate.getBusinessDate(await resolveTimezone({ lineUserId }));
+    const activities = await storage.getActivitiesByDateRange(lineUserId, businessDate.addDays(today, -EDIT_WINDOW_DAYS), today);
+    const last = activities.sort((a, b) => activityTime(b) - activityTime(a))[0];
+    
+    if (!last) {
+        return { status: 'none', windowMinutes: UNDO_WINDOW_MINUTES };
+    }
+    if (Date.now() - activityTime(last) > UNDO_WINDOW_MINUTES * 60 * 1000) {
+        return { status: 'expired', activity: last, windowMinutes: UNDO_WINDOW_MINUTES };
+    }
+    
+    await deleteActivity(last, actor);
+    return { status: 'removed', activity: last, windowMinutes: UNDO_WINDOW_MINUTES };
+}
+
+// Create activity  
+app.post('/api/activities', async (req, res) => {
+    const { lineUserId, userId, clientId } = req.body;
+    const userIdParam = lineUserId || userId;
+    
+    if (!userIdParam || !(req.body.activityType || req.body.type)) {
+        return res.status(400).json({ 
+            error: 'userId and type are required' 
         });
     }
     
-    // Validate points
-    const pointsNum = parseInt(points);
-    if (isNaN(pointsNum) || pointsNum < 0) {
+    if (clientId !== undefined && (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId))) {
         return res.status(400).json({
             errors: [{
-                path: 'points',
-                message: 'Points must be a non-negative number'
+                path: 'clientId',
+                message: 'clientId must be a UUID'
             }]
         });
     }
     
-    if (pointsNum > 1000) {
+    // A retried submission: nothing new to score or announce
+    const respondDuplicate = (activity) => {
+        if (activity.lineUserId !== userIdParam) {
+            return res.status(409).json({ error: 'clientId already in use' });
+        }
+        return res.json({ success: true, duplicate: true, activity, points: activity.points });
+    };
+    
+    try {
+        const existing = clientId ? await storage.getActivity(clientId) : null;
+        if (existing) {
+            return respondDuplicate(existing);
+        }
+        
+        const prepared = await prepareActivity(userIdParam, req.body);
+        if (prepared.errors) {
+            return res.status(400).json({ errors: prepared.errors });
+        }
+        
+        const { user, score, titleParam, activityData } = prepared;
+        const { duplicate, activity } = await saveActivity(activityData, clientId, auditService.actorFromRequest(req, userIdParam));
+        if (duplicate) {
+            return respondDuplicate(activity);
+        }
+        
+        await notifyTeamGroups(
+            user,
+            activityData.teamId,
+            [{ id: activity.id, title: titleParam, subtitle: req.body.subtitle, points: score.points }], // Pass as array for compact format
+            score.points
+        );
+        await announceMilestones(user, [activity]);
+        
+        res.json({ success: true, activity, points: score.points, capped: score.capped });
+    } catch (error) {
+        console.error('Error creating activity:', error);
+        res.status(500).json({ error: 'Failed to save activity' });
+    }
+});
+
+// Sync activities queued offline (batch submission).
+// Each item carries a client-generated clientId; retrying a batch reports the
+// items already stored as duplicates instead of counting them twice.
+app.post('/api/activities/sync', async (req, res) => {
+    const { lineUserId, userId, userName, userPicture, activities } = req.body;
+    const userIdParam = lineUserId || userId;
+    
+    if (!userIdParam || !Array.isArray(activities)) {
+        return res.status(400).json({ error: 'userId and activities are required' });
+    }
+    
+    if (activities.length > MAX_SYNC_BATCH) {
         return res.status(400).json({
             errors: [{
-                path: 'points',
-                message: 'Points cannot exceed 1000'
+                path: 'activities',
+                message: `Cannot sync more than ${MAX_SYNC_BATCH} activities at once`
             }]
         });
     }
     
     try {
-        const activity = await firestoreService.createActivity({
-            lineUserId: userIdParam,
-            activityType: typeParam,
-            title: escapeHtml(titleParam),
-            subtitle: escapeHtml(subtitle),
-            points: pointsNum,
-            count: parseInt(countParam),
-            date: dateParam
-        });
+        if (userName) {
+            await storage.createOrUpdateUser(userIdParam, {
+                displayName: userName,
+                pictureUrl: userPicture
+            });
+        }
         
-        // Send notification to registered groups with quota check
-        try {
-            const groups = await firestoreService.getAllGroups();
-            const user = await firestoreService.getUser(userIdParam);
+        // The rep's own retry, or a clash with someone else's activity
+        const duplicateResult = (clientId, activity) => (activity.lineUserId === userIdParam
+            ? { clientId, status: 'duplicate', activityId: activity.id, points: activity.points }
+            : { clientId, status: 'rejected', errors: [{ path: 'clientId', message: 'clientId already in use' }] });
+        
+        // One at a time, in order, so daily caps see the items synced before them
+        const results = [];
+        const accepted = [];
+        const saved = [];
+        let user = null;
+        let teamId = null;
+        
+        for (const item of activities) {
+            const clientId = item && item.clientId;
+            
+            if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+                results.push({
+                    clientId: clientId || null,
+                    status: 'rejected',
+                    errors: [{ path: 'clientId', message: 'clientId must be a UUID' }]
+                });
+                continue;
+            }
             
-            // Get team stats and today's leaderboard for compact message
-            const teamStats = await firestoreService.getTeamStats();
-            const todayLeaderboard = await firestoreService.getLeaderboard('daily');
+            // Already stored by an earlier attempt: report it without re-validating
+            const existing = await storage.getActivity(clientId);
+            if (existing) {
+                results.push(duplicateResult(clientId, existing));
+                continue;
+            }
             
-            // Check quota before sending any messages
-            const quotaCheck = await lineQuotaService.canSendMessage('activity', false);
+            const prepared = await prepareActivity(userIdParam, item);
+            if (prepared.errors) {
+                results.push({ clientId, status: 'rejected', errors: prepared.errors });
+                continue;
+            }
             
-            if (!quotaCheck.allowed) {
-                console.warn(`LINE quota exceeded: ${quotaCheck.reason}`);
-                // Still save the activity, just skip notifications
-            } else {
-                // Count enabled groups
-                const enabledGroups = groups.filter(g => g.notificationsEnabled);
-                
-                if (enabledGroups.length > 0) {
-                    // Check if we have enough quota for all groups
-                    if (quotaCheck.remaining < enabledGroups.length) {
-                        console.warn(`Not enough quota for all groups. Remaining: ${quotaCheck.remaining}, Need: ${enabledGroups.length}`);
-                    }
-                    
-                    // Send to groups (up to remaining quota)
-                    let sentCount = 0;
-                    for (const group of enabledGroups) {
-                        if (sentCount >= quotaCheck.remaining) break;
-                        
-                        try {
-                            const flexMessage = createActivitySubmissionFlex(
-                                user?.displayName || 'Unknown User',
-                                [{title: titleParam, subtitle, points}], // Pass as array for compact format
-                                points,
-                                teamStats,
-                                user,
-                                todayLeaderboard
-                            );
-                            
-                            await sendFlexMessage(
-                                flexMessage,
-                                lineConfig.channelAccessToken,
-                                group.id
-                            );
-                            
-                            await lineQuotaService.recordMessage('activity', group.id, 1);
-                            sentCount++;
-                        } catch (sendError) {
-                            console.error(`Failed to send to group ${group.id}:`, sendError);
-                        }
-                    }
-                    
-                    if (quotaCheck.warning) {
-                        console.warn(`LINE quota warning: ${quotaCheck.remaining} messages remaining today`);
-                    }
+            const { duplicate, activity } = await saveActivity(prepared.activityData, clientId, auditService.actorFromRequest(req, userIdParam));
+            if (duplicate) {
+                results.push(duplicateResult(clientId, activity));
+                continue;
+            }
+            
+            results.push({ clientId, status: 'accepted', activityId: activity.id, points: activity.points, capped: prepared.score.capped });
+            accepted.push({ id: activity.id, title: prepared.titleParam, subtitle: item.subtitle, points: activity.points });
+            saved.push(activity);
+            user = prepared.user;
+            teamId = prepared.activityData.teamId;
+        }
+        
+        const summary = results.reduce((counts, result) => {
+            counts[result.status]++;
+            return counts;
+        }, { accepted: 0, duplicate: 0, rejected: 0 });
+        const totalPoints = accepted.reduce((sum, activity) => sum + activity.points, 0);
+        
+        // One notification for the whole batch, only when something new was logged
+        if (accepted.length > 0) {
+            await notifyTeamGroups(user, teamId, accepted, totalPoints);
+            await announceMilestones(user, saved);
+        }
+        
+        res.json({ success: true, ...summary, totalPoints, results });
+    } catch (error) {
+        console.error('Error syncing activities:', error);
+        res.status(500).json({ error: 'Failed to sync activities' });
+    }
+});
+
+/**
+ * Read an import file and prepare each row the way /api/activities/sync
+ * prepares an item. Rows are prepared in file order and daily caps count the
+ * rows before them. Nothing is stored.
+ * @param {Object} body - { format, content, mapping, teamId } (teamId lets rows name reps by display name)
+ * @returns {Promise<Object>} { errors } when the file cannot be read, otherwise
+ *                            { rows: [{ row, status, errors | activityData, capped }] }
+ */
+async function prepareImport(body) {
+    const read = activityImportService.readRows(body);
+    if (read.errors) {
+        return { errors: read.errors };
+    }
+    
+    const members = body.teamId ? await storage.getTeamUsers(body.teamId) : [];
+    const pending = [];
+    const rows = [];
+    
+    for (const { row, values, errors } of read.rows) {
+        if (errors.length > 0) {
+            rows.push({ row, status: 'invalid', errors });
+            continue;
+        }
+        
+        // Names with a slash are no valid Firestore document ID, so no LINE user ID either
+        const user = values.user.includes('/') ? null : await storage.getUser(values.user);
+        const lineUserId = activityImportService.matchUser(values.user, user, members);
+        if (!lineUserId) {
+            rows.push({ row, status: 'invalid', errors: [{ path: 'user', message: `Unknown user "${values.user}"` }] });
+            continue;
+        }
+        
+        const prepared = await prepareActivity(lineUserId, {
+            activityType: values.type,
+            quantity: values.quantity,
+            date: values.date,
+            notes: values.notes || undefined
+        }, pending);
+        if (prepared.errors) {
+            rows.push({ row, status: 'invalid', errors: prepared.errors });
+            continue;
+        }
+        
+        pending.push(prepared.activityData);
+        rows.push({ row, status: 'valid', activityData: prepared.activityData, capped: prepared.score.capped });
+    }
+    
+    return { rows };
+}
+
+// Row-by-row outcome of an import as returned by preview and commit
+function summarizeImport(rows) {
+    const valid = rows.filter(row => row.status === 'valid');
+    
+    return {
+        totalRows: rows.length,
+        validRows: valid.length,
+        invalidRows: rows.length - valid.length,
+        totalPoints: valid.reduce((sum, row) => sum + row.activityData.points, 0),
+        rows: rows.map(({ row, status, errors, activityData, capped }) => (status === 'valid'
+            ? {
+                row,
+                status,
+                activity: {
+                    lineUserId: activityData.lineUserId,
+                    activityType: activityData.activityType,
+                    count: activityData.count,
+                    date: activityData.date,
+                    points: activityData.points,
+                    capped
                 }
             }
-        } catch (notificationError) {
-            console.error('Failed to send notifications:', notificationError);
+            : { row, status, errors }))
+    };
+}
+
+// Preview an import: every row validated and scored, nothing stored.
+// Body: { format: 'csv' | 'xlsx', content, mapping: { user, type, quantity, date, notes }, teamId }
+app.post('/api/admin/activities/import/preview', requireAdminToken, async (req, res) => {
+    const errors = activityImportService.validateRequest(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    try {
+        const prepared = await prepareImport(req.body);
+        if (prepared.errors) {
+            return res.status(400).json({ errors: prepared.errors });
         }
         
-        res.json({ success: true, activity });
+        res.json(summarizeImport(prepared.rows));
     } catch (error) {
-        console.error('Error creating activity:', error);
-        res.status(500).json({ error: 'Failed to save activity' });
+        console.error('Error previewing import:', error);
+        res.status(500).json({ error: 'Failed to preview import' });
     }
 });
 
+// Import activities: all rows or none. Any invalid row rejects the whole file
+// (with the row-by-row preview); a failed write takes back the rows already stored.
+// Imports are backfills, so no group notifications are sent.
+app.post('/api/admin/activities/import', requireAdminToken, async (req, res) => {
+    const errors = activityImportService.validateRequest(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    
+    let prepared;
+    try {
+        prepared = await prepareImport(req.body);
+    } catch (error) {
+        console.error('Error preparing import:', error);
+        return res.status(500).json({ error: 'Failed to import activities' });
+    }
+    
+    if (prepared.errors) {
+        return res.status(400).json({ errors: prepared.errors });
+    }
+    
+    const summary = summarizeImport(prepared.rows);
+    if (summary.invalidRows > 0) {
+        return res.status(400).json({
+            errors: [{ path: 'rows', message: `${summary.invalidRows} of ${summary.totalRows} rows are invalid; nothing was imported` }],
+            ...summary
+        });
+    }
+    
+    const actor = { ...auditService.actorFromRequest(req), source: 'import' };
+    const stored = [];
+    try {
+        for (const { activityData } of prepared.rows) {
+            const { activity } = await saveActivity(activityData, null, actor);
+            stored.push(activity);
+        }
+    } catch (error) {
+        console.error('Error importing activities, taking back stored rows:', error);
+        for (const activity of stored) {
+            await storage.deleteActivity(activity.id).catch(console.error);
+            await auditService.record({
+                entityType: 'activity',
+                entityId: activity.id,
+                action: 'delete',
+                lineUserId: activity.lineUserId,
+                teamId: activity.teamId,
+                before: activity
+            }, actor);
+        }
+        return res.status(500).json({ error: 'Failed to import activities; nothing was imported' });
+    }
+    
+    // Backdated activities can extend or join streaks
+    for (const lineUserId of new Set(stored.map(activity => activity.lineUserId))) {
+        await streakService.recalculate(lineUserId, actor);
+    }
+    
+    res.json({
+        success: true,
+        imported: stored.length,
+        totalPoints: summary.totalPoints,
+        activityIds: stored.map(activity => activity.id)
+    });
+});
+
 // Get user activities with pagination
 app.get('/api/activities/:lineUserId', async (req, res) => {
     const { limit = 50 } = req.query;
@@ -444,7 +1428,7 @@ app.get('/api/activities/:lineUserId', async (req, res) => {
     }
     
     try {
-        const activities = await firestoreService.getUserActivities(req.params.lineUserId);
+        const activities = await storage.getUserActivities(req.params.lineUserId);
         // Apply limit
         const limitedActivities = activities.slice(0, limitNum);
         res.json(limitedActivities);
@@ -459,7 +1443,7 @@ app.get('/api/activities/user/:lineUserId', async (req, res) => {
     const { date } = req.query;
     
     try {
-        const activities = await firestoreService.getUserActivities(req.params.lineUserId, date);
+        const activities = await storage.getUserActivities(req.params.lineUserId, date);
         res.json(activities);
     } catch (error) {
         console.error('Error getting activities:', error);
@@ -467,10 +1451,66 @@ app.get('/api/activities/user/:lineUserId', async (req, res) => {
     }
 });
 
-// Delete activity
-app.delete('/api/activities/:id', async (req, res) => {
+// Edits, deletes and restores here need the admin token: this server has no
+// sign-in, so reps and managers change their own activities through the LINE
+// bot or the JWT server (server-firestore-jwt.js), which checks who may.
+// X-Line-User-Id only names the admin in the audit log.
+const adminActor = (req) => ({ ...auditService.actorFromRequest(req), role: 'admin' });
+
+// Edit an activity (activityType/type, count/quantity, notes, date) within the edit window.
+// It keeps its ID and original timestamp; points, leaderboards and the streak follow the edit.
+app.patch('/api/activities/:id', requireAdminToken, async (req, res) => {
+    try {
+        const actor = adminActor(req);
+        const before = await storage.getActivity(req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: 'Activity not found' });
+        }
+        
+        const prepared = await activityEditService.prepare(before, req.body);
+        if (prepared.errors) {
+            return res.status(400).json({ errors: prepared.errors });
+        }
+        
+        if (Object.keys(prepared.changes).length === 0) {
+            return res.json({ success: true, activity: before, points: before.points });
+        }
+        
+        const activity = await storage.updateActivity(req.params.id, prepared.changes);
+        await auditService.record({
+            entityType: 'activity',
+            entityId: req.params.id,
+            action: 'update',
+            lineUserId: before.lineUserId,
+            teamId: before.teamId,
+            before,
+            after: activity
+        }, actor);
+        
+        if (activity.date !== before.date) {
+            await streakService.recalculate(before.lineUserId, actor);
+        }
+        
+        res.json({
+            success: true,
+            activity,
+            points: activity.points,
+            capped: prepared.score ? prepared.score.capped : false
+        });
+    } catch (error) {
+        console.error('Error updating activity:', error);
+        res.status(500).json({ error: 'Failed to update activity' });
+    }
+});
+
+// Delete activity. Deletes are soft: POST /api/activities/:id/restore brings it back,
+// and the deleted activity is kept in the audit log
+app.delete('/api/activities/:id', requireAdminToken, async (req, res) => {
     try {
-        await firestoreService.deleteActivity(req.params.id);
+        const before = await storage.getActivity(req.params.id);
+        if (before) {
+            await deleteActivity(before, adminActor(req));
+        }
         res.json({ success: true });
     } catch (error) {
         console.error('Error deleting activity:', error);
@@ -478,10 +1518,43 @@ app.delete('/api/activities/:id', async (req, res) => {
     }
 });
 
-// Get team statistics
+// Restore a deleted activity under its original ID and timestamp
+app.post('/api/activities/:id/restore', requireAdminToken, async (req, res) => {
+    try {
+        const actor = adminActor(req);
+        const deleted = await storage.getDeletedActivity(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Deleted activity not found' });
+        }
+        
+        const activity = await storage.restoreActivity(req.params.id);
+        if (!activity) {
+            return res.status(404).json({ error: 'Deleted activity not found' });
+        }
+        
+        await auditService.record({
+            entityType: 'activity',
+            entityId: req.params.id,
+            action: 'restore',
+            lineUserId: activity.lineUserId,
+            teamId: activity.teamId,
+            after: activity
+        }, actor);
+        await streakService.recalculate(activity.lineUserId, actor);
+        
+        res.json({ success: true, activity });
+    } catch (error) {
+        console.error('Error restoring activity:', error);
+        res.status(500).json({ error: 'Failed to restore activity' });
+    }
+});
+
+// Get team statistics (all teams unless ?teamId= is given)
 app.get('/api/team/stats', async (req, res) => {
     try {
-        const stats = await firestoreService.getTeamStats();
+        const teamId = req.query.teamId || null;
+        const today = businessDate.getBusinessDate(await resolveTimezone({ teamId }));
+        const stats = await storage.getTeamStats(teamId, today);
         res.json(stats);
     } catch (error) {
         console.error('Error getting team stats:', error);
@@ -491,18 +1564,22 @@ app.get('/api/team/stats', async (req, res) => {
 
 // Analytics endpoint - Activity trends over time
 app.get('/api/analytics/trends', async (req, res) => {
-    const { lineUserId, days = 30 } = req.query;
+    const { lineUserId, days = 30, dealStage, teamId } = req.query;
+    
+    const stageError = validateDealStage(dealStage);
+    if (stageError) {
+        return res.status(400).json(stageError);
+    }
     
     try {
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - parseInt(days));
+        const endDate = businessDate.getBusinessDate(await resolveTimezone({ teamId, lineUserId }));
+        const startDate = businessDate.addDays(endDate, -parseInt(days));
         
-        const activities = await firestoreService.getActivitiesByDateRange(
+        const activities = await filterByDealStage(filterByTeam(await storage.getActivitiesByDateRange(
             lineUserId,
-            startDate.toISOString().split('T')[0],
-            endDate.toISOString().split('T')[0]
-        );
+            startDate,
+            endDate
+        ), teamId), dealStage);
         
         // Group by date and activity type
         const trends = {};
@@ -518,6 +1595,8 @@ app.get('/api/analytics/trends', async (req, res) => {
         
         res.json({
             period: `${days} days`,
+            dealStage: dealStage || null,
+            teamId: teamId || null,
             data: Object.values(trends).sort((a, b) => a.date.localeCompare(b.date))
         });
     } catch (error) {
@@ -528,23 +1607,27 @@ app.get('/api/analytics/trends', async (req, res) => {
 
 // Analytics endpoint - Activity type breakdown
 app.get('/api/analytics/breakdown', async (req, res) => {
-    const { lineUserId, period = 'monthly' } = req.query;
+    const { lineUserId, period = 'monthly', dealStage, teamId } = req.query;
+    
+    const stageError = validateDealStage(dealStage);
+    if (stageError) {
+        return res.status(400).json(stageError);
+    }
     
     try {
-        let startDate = new Date();
-        if (period === 'daily') {
-            startDate.setHours(0, 0, 0, 0);
-        } else if (period === 'weekly') {
-            startDate.setDate(startDate.getDate() - 7);
-        } else {
-            startDate.setMonth(startDate.getMonth() - 1);
+        const today = businessDate.getBusinessDate(await resolveTimezone({ teamId, lineUserId }));
+        let startDate = today;
+        if (period === 'weekly') {
+            startDate = businessDate.addDays(today, -7);
+        } else if (period !== 'daily') {
+            startDate = businessDate.addMonths(today, -1);
         }
         
-        const activities = await firestoreService.getActivitiesByDateRange(
+        const activities = await filterByDealStage(filterByTeam(await storage.getActivitiesByDateRange(
             lineUserId,
-            startDate.toISOString().split('T')[0],
-            new Date().toISOString().split('T')[0]
-        );
+            startDate,
+            today
+        ), teamId), dealStage);
         
         // Calculate breakdown by activity type
         const breakdown = {};
@@ -572,6 +1655,8 @@ app.get('/api/analytics/breakdown', async (req, res) => {
         
         res.json({
             period,
+            dealStage: dealStage || null,
+            teamId: teamId || null,
             totalPoints,
             breakdown: Object.values(breakdown).sort((a, b) => b.points - a.points)
         });
@@ -583,27 +1668,36 @@ app.get('/api/analytics/breakdown', async (req, res) => {
 
 // Analytics endpoint - Performance metrics
 app.get('/api/analytics/performance', async (req, res) => {
-    const { lineUserId } = req.query;
+    const { lineUserId, dealStage, teamId } = req.query;
+    
+    const stageError = validateDealStage(dealStage);
+    if (stageError) {
+        return res.status(400).json(stageError);
+    }
     
     try {
-        // Get current month performance
-        const now = new Date();
-        const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-        const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0);
+        // Get current month performance (months and days of the business calendar)
+        const today = businessDate.getBusinessDate(await resolveTimezone({ teamId, lineUserId }));
+        const currentMonth = businessDate.getPeriodRange('monthly', today);
+        const lastMonth = businessDate.getPeriodRange('monthly', businessDate.addDays(currentMonth.startDate, -1));
         
-        const [currentActivities, lastMonthActivities, user] = await Promise.all([
-            firestoreService.getActivitiesByDateRange(
+        const [currentMonthActivities, lastMonthAllActivities, user] = await Promise.all([
+            storage.getActivitiesByDateRange(
                 lineUserId,
-                currentMonthStart.toISOString().split('T')[0],
-                now.toISOString().split('T')[0]
+                currentMonth.startDate,
+                today
             ),
-            firestoreService.getActivitiesByDateRange(
+            storage.getActivitiesByDateRange(
                 lineUserId,
-                lastMonthStart.toISOString().split('T')[0],
-                lastMonthEnd.toISOString().split('T')[0]
+                lastMonth.startDate,
+                lastMonth.endDate
             ),
-            firestoreService.getUser(lineUserId)
+            storage.getUser(lineUserId)
+        ]);
+        
+        const [currentActivities, lastMonthActivities] = await Promise.all([
+            filterByDealStage(filterByTeam(currentMonthActivities, teamId), dealStage),
+            filterByDealStage(filterByTeam(lastMonthAllActivities, teamId), dealStage)
         ]);
         
         const currentPoints = currentActivities.reduce((sum, a) => sum + a.points, 0);
@@ -614,7 +1708,7 @@ app.get('/api/analytics/performance', async (req, res) => {
             Math.round(((currentPoints - lastMonthPoints) / lastMonthPoints) * 100) : 100;
         
         // Calculate daily average
-        const daysInCurrentMonth = now.getDate();
+        const daysInCurrentMonth = parseInt(today.substring(8), 10);
         const dailyAverage = Math.round(currentPoints / daysInCurrentMonth);
         
         // Calculate streak
@@ -622,13 +1716,12 @@ app.get('/api/analytics/performance', async (req, res) => {
             b.date.localeCompare(a.date)
         );
         let streak = 0;
-        let checkDate = new Date();
+        let checkDate = today;
         
         for (let i = 0; i < 30; i++) {
-            const dateStr = checkDate.toISOString().split('T')[0];
-            if (sortedActivities.some(a => a.date === dateStr)) {
+            if (sortedActivities.some(a => a.date === checkDate)) {
                 streak++;
-                checkDate.setDate(checkDate.getDate() - 1);
+                checkDate = businessDate.addDays(checkDate, -1);
             } else {
                 break;
             }
@@ -652,7 +1745,9 @@ app.get('/api/analytics/performance', async (req, res) => {
                 days: streak,
                 isActive: streak > 0
             },
-            rank: user?.rank || 'Unranked'
+            rank: user?.rank || 'Unranked',
+            dealStage: dealStage || null,
+            teamId: teamId || null
         });
     } catch (error) {
         console.error('Error getting performance:', error);
@@ -660,17 +1755,117 @@ app.get('/api/analytics/performance', async (req, res) => {
     }
 });
 
-// Get leaderboard
+// Leaderboard filters from query parameters (the deal stage is resolved to its deals)
+async function getLeaderboardFilters({ teamId, dealStage, mode }) {
+    const filters = {};
+    if (mode) {
+        filters.mode = mode;
+    }
+    if (teamId) {
+        filters.teamId = teamId;
+    }
+    if (dealStage) {
+        filters.dealStage = dealStage;
+        filters.dealIds = await dealService.getDealIdsByStage(dealStage);
+    }
+    return filters;
+}
+
+// Legacy rows of ?period=today|week|month, shaped like the SQLite server's
+const LEGACY_PERIODS = { today: 'daily', week: 'weekly', month: 'monthly' };
+
+// Leaderboard of an explicit date range (?from=YYYY-MM-DD&to=YYYY-MM-DD), or the
+// legacy ?period= rows. Both compare against the previous equivalent period.
+// ?mode= ranks by points (default), meetings, conversion, contracts or composite.
+app.get('/api/leaderboard', async (req, res) => {
+    const { date, period = 'today', from, to, dealStage, teamId, mode } = req.query;
+    const isRange = from !== undefined || to !== undefined;
+    
+    if (isRange) {
+        const errors = leaderboardService.validateRange(from, to);
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+    } else if (!LEGACY_PERIODS[period]) {
+        return res.status(400).json({ error: 'Invalid period. Use today, week, or month' });
+    } else if (date !== undefined && !businessDate.isValidDate(date)) {
+        return res.status(400).json({
+            errors: [{
+                path: 'date',
+                message: 'date must be a date (YYYY-MM-DD)'
+            }]
+        });
+    }
+    
+    const modeErrors = leaderboardService.validateMode(mode);
+    if (modeErrors.length > 0) {
+        return res.status(400).json({ errors: modeErrors });
+    }
+    
+    const stageError = validateDealStage(dealStage);
+    if (stageError) {
+        return res.status(400).json(stageError);
+    }
+    
+    try {
+        const filters = await getLeaderboardFilters({ teamId, dealStage, mode });
+        
+        if (isRange) {
+            return res.json(await leaderboardService.getRangeLeaderboard(from, to, filters));
+        }
+        
+        const targetDate = date || businessDate.getBusinessDate(await resolveTimezone({ teamId }));
+        const leaderboard = await leaderboardService.getPeriodLeaderboard(LEGACY_PERIODS[period], targetDate, filters);
+        
+        res.json(leaderboard.entries.slice(0, 20).map(entry => ({
+            display_name: entry.displayName,
+            picture_url: entry.pictureUrl || null,
+            total_points: entry.points,
+            activity_count: entry.activities,
+            score: entry.score,
+            rank: entry.rank,
+            change: entry.change
+        })));
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+});
+
+// Get leaderboard of the calendar day/week/month containing ?date=, ranked by ?mode=
 app.get('/api/leaderboard/:period', async (req, res) => {
     const { period } = req.params;
-    const { date } = req.query;
+    const { date, dealStage, teamId, mode } = req.query;
     
-    if (!['daily', 'weekly', 'monthly'].includes(period)) {
+    if (!leaderboardService.PERIODS.includes(period)) {
         return res.status(400).json({ error: 'Invalid period. Use daily, weekly, or monthly' });
     }
     
+    if (date !== undefined && !businessDate.isValidDate(date)) {
+        return res.status(400).json({
+            errors: [{
+                path: 'date',
+                message: 'date must be a date (YYYY-MM-DD)'
+            }]
+        });
+    }
+    
+    const modeErrors = leaderboardService.validateMode(mode);
+    if (modeErrors.length > 0) {
+        return res.status(400).json({ errors: modeErrors });
+    }
+    
+    const stageError = validateDealStage(dealStage);
+    if (stageError) {
+        return res.status(400).json(stageError);
+    }
+    
     try {
-        const leaderboard = await firestoreService.getLeaderboard(period, date);
+        const filters = await getLeaderboardFilters({ teamId, dealStage, mode });
+        
+        // Without a date the period containing the team's business day today
+        const targetDate = date || businessDate.getBusinessDate(await resolveTimezone({ teamId }));
+        const leaderboard = await leaderboardService.getPeriodLeaderboard(period, targetDate, filters);
         res.json(leaderboard);
     } catch (error) {
         console.error('Error getting leaderboard:', error);
@@ -678,10 +1873,23 @@ app.get('/api/leaderboard/:period', async (req, res) => {
     }
 });
 
-// Get LINE quota status
+// Get LINE quota status (with a team's share when ?teamId= is given)
 app.get('/api/quota/status', async (req, res) => {
+    if (!usesFirestore()) {
+        return res.status(501).json({ error: `Quota tracking is not available with the ${getStorageType()} storage adapter` });
+    }
+    
     try {
-        const stats = await lineQuotaService.getQuotaStats();
+        let team = null;
+        if (req.query.teamId) {
+            team = await teamService.getTeam(req.query.teamId);
+            if (!team) {
+                return res.status(404).json({ error: 'Team not found' });
+            }
+        }
+        
+        const stats = await lineQuotaService.getQuotaStats(team);
+        stats.delivery = { ...stats.delivery, heldNotifications: await notificationDigestService.countHeld() };
         res.json(stats);
     } catch (error) {
         console.error('Error getting quota status:', error);
@@ -694,7 +1902,7 @@ app.get('/api/achievements/:lineUserId', async (req, res) => {
     const { lineUserId } = req.params;
     
     try {
-        const achievements = await firestoreService.getUserAchievements(lineUserId);
+        const achievements = await storage.getUserAchievements(lineUserId);
         res.json(achievements);
     } catch (error) {
         console.error('Error fetching achievements:', error);
@@ -711,7 +1919,28 @@ app.post('/api/achievements', async (req, res) => {
     }
     
     try {
-        const result = await firestoreService.unlockAchievement(lineUserId, achievementId);
+        const result = await storage.unlockAchievement(lineUserId, achievementId);
+        if (result.newUnlock) {
+            const user = await storage.getUser(lineUserId);
+            await auditService.record({
+                entityType: 'achievement',
+                entityId: `${lineUserId}:${achievementId}`,
+                action: 'create',
+                lineUserId,
+                teamId: user?.teamId,
+                after: { lineUserId, achievementId }
+            }, auditService.actorFromRequest(req, lineUserId));
+            
+            if (user) {
+                await announceToTeamGroups(user, 'achievements', perLanguage(language => ({
+                    type: 'text',
+                    text: t(language, 'announce.achievement', {
+                        name: user.displayName || t(language, 'common.teammate'),
+                        achievement: achievementName(achievementId)
+                    })
+                })), `achievement:${lineUserId}:${achievementId}`);
+            }
+        }
         res.json({
             success: true,
             newUnlock: result.newUnlock,
@@ -728,8 +1957,16 @@ app.get('/api/streak/:lineUserId', async (req, res) => {
     const { lineUserId } = req.params;
     
     try {
-        const streak = await firestoreService.getUserStreak(lineUserId);
-        res.json(streak || { current_streak: 0, longest_streak: 0, last_activity_date: null });
+        const streak = await storage.getUserStreak(lineUserId) || { current_streak: 0, longest_streak: 0, last_activity_date: null };
+        
+        // A streak is only current if the last activity was today or yesterday
+        // on the user's business calendar
+        if (streak.last_activity_date) {
+            const currentStreak = streakService.getCurrentStreak(streak, await resolveTimezone({ lineUserId }));
+            return res.json({ ...streak, current_streak: currentStreak });
+        }
+        
+        res.json(streak);
     } catch (error) {
         console.error('Error fetching streak:', error);
         res.status(500).json({ error: 'Failed to fetch streak' });
@@ -745,11 +1982,21 @@ app.post('/api/streak', async (req, res) => {
     }
     
     try {
-        await firestoreService.updateUserStreak(lineUserId, {
+        const before = await storage.getUserStreak(lineUserId);
+        await storage.updateUserStreak(lineUserId, {
             currentStreak,
             longestStreak,
             lastActivityDate
         });
+        await auditService.record({
+            entityType: 'streak',
+            entityId: lineUserId,
+            action: 'update',
+            lineUserId,
+            teamId: (await storage.getUser(lineUserId))?.teamId,
+            before,
+            after: await storage.getUserStreak(lineUserId)
+        }, auditService.actorFromRequest(req, lineUserId));
         res.json({ success: true });
     } catch (error) {
         console.error('Error updating streak:', error);
@@ -760,7 +2007,11 @@ app.post('/api/streak', async (req, res) => {
 // Export LINE client for use in routes
 app.set('lineClient', lineClient);
 app.set('lineConfig', lineConfig);
-app.set('firestoreService', firestoreService);
+app.set('storage', storage);
+// Activities confirmed in the LINE chat are saved through the same pipeline as the API
+app.set('activityLogger', logActivities);
+app.set('activityRemover', removeActivity);
+app.set('activityUndo', undoLastActivity);
 
 // Authentication routes for mobile-first LINE app
 app.post('/api/auth/line', async (req, res) => {
@@ -771,8 +2022,8 @@ app.post('/api/auth/line', async (req, res) => {
     }
     
     try {
-        // Create or update user in Firestore
-        const user = await firestoreService.createOrUpdateUser(lineUserId, {
+        // Create or update the user
+        const user = await storage.createOrUpdateUser(lineUserId, {
             displayName,
             pictureUrl,
             statusMessage,
@@ -800,7 +2051,7 @@ app.post('/api/auth/line', async (req, res) => {
 app.post('/api/demo/login', async (req, res) => {
     try {
         const demoUserId = `demo_${Date.now()}`;
-        const user = await firestoreService.createOrUpdateUser(demoUserId, {
+        const user = await storage.createOrUpdateUser(demoUserId, {
             displayName: 'Demo User',
             pictureUrl: null,
             isDemo: true
@@ -833,7 +2084,7 @@ app.get('/api/user', async (req, res) => {
         const decoded = Buffer.from(token, 'base64').toString();
         const [lineUserId] = decoded.split(':');
         
-        const user = await firestoreService.getUser(lineUserId);
+        const user = await storage.getUser(lineUserId);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
@@ -853,7 +2104,7 @@ app.get('/api/activities', async (req, res) => {
     if (lineUserId) {
         // Direct access with lineUserId parameter
         try {
-            const activities = await firestoreService.getUserActivities(lineUserId);
+            const activities = await storage.getUserActivities(lineUserId);
             res.json(activities); // Return array directly, not wrapped in object
         } catch (error) {
             console.error('Error getting activities:', error);
@@ -873,7 +2124,7 @@ app.get('/api/activities', async (req, res) => {
         const decoded = Buffer.from(token, 'base64').toString();
         const [userId] = decoded.split(':');
         
-        const activities = await firestoreService.getUserActivities(userId);
+        const activities = await storage.getUserActivities(userId);
         res.json({ activities });
     } catch (error) {
         console.error('Error getting activities:', error);
@@ -881,11 +2132,8 @@ app.get('/api/activities', async (req, res) => {
     }
 });
 
-// Cleanup expired cache and old quota records periodically
-setInterval(() => {
-    firestoreService.cleanupExpiredCache().catch(console.error);
-    lineQuotaService.cleanupOldRecords().catch(console.error);
-}, 15 * 60 * 1000); // Every 15 minutes
+// Recurring jobs (run by startServer; admins manage them under /api/admin/jobs)
+registerJobs({ getChannelAccessToken: () => lineConfig.channelAccessToken });
 
 // 404 handler for non-existent endpoints
 app.use((req, res) => {
@@ -916,8 +2164,9 @@ async function startServer() {
         await initializeLineClient();
         
         app.listen(PORT, () => {
+            schedulerService.start();
             console.log(`🚀 Server is running on port ${PORT}`);
-            console.log(`📊 Using Firestore database`);
+            console.log(`📊 Using ${getStorageType()} storage`);
             console.log(`🔒 Secrets managed by: ${process.env.NODE_ENV === 'production' ? 'Secret Manager' : 'Environment Variables'}`);
         });
     } catch (error) {
@@ -10,6 +10,14 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
+// Data lives in SQLite here, so the built-in activity catalog applies
+// unless STORAGE_ADAPTER says otherwise
+process.env.STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'sqlite';
+const activityTypeService = require('./services/activity-type.service');
+const pointRuleService = require('./services/point-rule.service');
+// There are no teams here, so activities fall on days in the default business timezone
+const { getBusinessDate, DEFAULT_TIMEZONE } = require('./utils/business-date');
+
 const app = express();
 const PORT = process.env.PORT || 10000;
 
@@ -81,6 +89,29 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Activity types come from the catalog, so the table does not restrict them;
+// count is the quantity logged, points the total it scored
+const createActivitiesTable = (name) => `
+    CREATE TABLE IF NOT EXISTS ${name} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        line_user_id TEXT NOT NULL,
+        activity_type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        points INTEGER NOT NULL CHECK(points >= 0),
+        count INTEGER DEFAULT 1,
+        date DATE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (line_user_id) REFERENCES users(line_user_id)
+    )
+`;
+
+const ACTIVITY_INDEXES = [
+    `CREATE INDEX IF NOT EXISTS idx_activities_user_date ON activities(line_user_id, date)`,
+    `CREATE INDEX IF NOT EXISTS idx_activities_date ON activities(date)`,
+    `CREATE INDEX IF NOT EXISTS idx_activities_created ON activities(created_at)`
+];
+
 // Initialize database with indexes
 db.serialize(() => {
     // Create tables with proper constraints
@@ -97,19 +128,7 @@ db.serialize(() => {
         )
     `);
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS activities (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            line_user_id TEXT NOT NULL,
-            activity_type TEXT NOT NULL CHECK(activity_type IN ('โทร', 'นัด', 'ชิง', 'ข่าวสาร', 'เริ่มเซน')),
-            title TEXT NOT NULL,
-            description TEXT,
-            points INTEGER NOT NULL CHECK(points >= 0 AND points <= 1000),
-            date DATE NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (line_user_id) REFERENCES users(line_user_id)
-        )
-    `);
+    db.run(createActivitiesTable('activities'));
 
     db.run(`
         CREATE TABLE IF NOT EXISTS group_registrations (
@@ -147,16 +166,110 @@ db.serialize(() => {
         )
     `);
 
+    // Append-only audit log of changes to activities, achievements and streaks
+    db.run(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entity_type TEXT NOT NULL,
+            entity_id TEXT NOT NULL,
+            action TEXT NOT NULL,
+            actor_id TEXT,
+            actor_role TEXT,
+            actor_source TEXT,
+            line_user_id TEXT,
+            team_id TEXT,
+            before_data TEXT,
+            after_data TEXT,
+            created_at TEXT NOT NULL
+        )
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+
     // Create indexes for better performance
-    db.run(`CREATE INDEX IF NOT EXISTS idx_activities_user_date ON activities(line_user_id, date)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_activities_date ON activities(date)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_activities_created ON activities(created_at)`);
+    ACTIVITY_INDEXES.forEach(statement => db.run(statement));
     db.run(`CREATE INDEX IF NOT EXISTS idx_users_line_id ON users(line_user_id)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_groups_id ON group_registrations(group_id)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_achievements_user ON user_achievements(line_user_id)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_streaks_user ON user_streaks(line_user_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)`);
 });
 
+// Databases created before the activity catalog only accepted the legacy Thai
+// type codes; rebuild their activities table without that CHECK (old rows keep
+// their codes, which the catalog resolves as aliases)
+db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'activities'`, (err, row) => {
+    if (err || !row || !row.sql.includes('CHECK(activity_type')) return;
+
+    db.serialize(() => {
+        db.run('BEGIN');
+        db.run(createActivitiesTable('activities_migrated'));
+        db.run(`
+            INSERT INTO activities_migrated (id, line_user_id, activity_type, title, description, points, date, created_at)
+            SELECT id, line_user_id, activity_type, title, description, points, date, created_at FROM activities
+        `);
+        db.run('DROP TABLE activities');
+        db.run('ALTER TABLE activities_migrated RENAME TO activities');
+        ACTIVITY_INDEXES.forEach(statement => db.run(statement));
+        db.run('COMMIT', (commitErr) => {
+            if (commitErr) console.error('Error migrating activities table:', commitErr);
+        });
+    });
+});
+
+// Append a change to the audit log; errors are logged, the change itself already happened
+const recordAudit = ({ entityType, entityId, action, lineUserId, before = null, after = null }, actorId) => {
+    db.run(`
+        INSERT INTO audit_log (entity_type, entity_id, action, actor_id, actor_source,
+            line_user_id, before_data, after_data, created_at)
+        VALUES (?, ?, ?, ?, 'api', ?, ?, ?, ?)
+    `, [
+        entityType,
+        String(entityId),
+        action,
+        actorId || null,
+        lineUserId || null,
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        new Date().toISOString()
+    ], (err) => {
+        if (err) console.error('Error recording audit entry:', err);
+    });
+};
+
+// Score an activity with the catalog and the point rule version in effect on
+// its date; points sent by the client are never trusted. Daily caps count what
+// the rep already logged of the type that day.
+const scoreActivity = async (lineUserId, typeParam, quantity, date) => {
+    const activityType = await activityTypeService.resolveType(typeParam);
+    if (!activityType) {
+        const catalog = await activityTypeService.getCatalog();
+        return {
+            errors: [{
+                path: 'activityType',
+                message: `Invalid activity type. Must be one of: ${catalog.map(t => t.id).join(', ')}`
+            }]
+        };
+    }
+
+    const scoringType = await pointRuleService.applyRules(activityType, date);
+    const loggedToday = await new Promise((resolve, reject) => {
+        db.get(
+            `SELECT COALESCE(SUM(count), 0) AS quantity FROM activities WHERE line_user_id = ? AND date = ? AND activity_type = ?`,
+            [lineUserId, date, activityType.id],
+            (err, row) => (err ? reject(err) : resolve(row.quantity))
+        );
+    });
+
+    return { activityType, score: activityTypeService.calculatePoints(scoringType, quantity, loggedToday) };
+};
+
 // Validation middleware
 const validate = (req, res, next) => {
     const errors = validationResult(req);
@@ -333,7 +446,7 @@ app.delete('/api/activities/:id', [
     
     // First check if activity belongs to user
     const activity = await new Promise((resolve, reject) => {
-        db.get('SELECT line_user_id FROM activities WHERE id = ?', [id], (err, row) => {
+        db.get('SELECT * FROM activities WHERE id = ?', [id], (err, row) => {
             if (err) reject(err);
             else resolve(row);
         });
@@ -357,6 +470,7 @@ app.delete('/api/activities/:id', [
             return res.status(404).json({ error: 'Activity not found' });
         }
         
+        recordAudit({ entityType: 'activity', entityId: id, action: 'delete', lineUserId: activity.line_user_id, before: activity }, req.user.lineUserId);
         res.json({ message: 'Activity deleted successfully' });
     });
 }));
@@ -368,7 +482,7 @@ app.post('/api/activities', authenticateToken, [
     body('activityType').optional().isString().trim(),
     body('type').optional().isString().trim(),
     body('title').optional().isString().isLength({ min: 1, max: 200 }).trim().escape(),
-    body('points').isInt({ min: 0, max: 1000 }),
+    body('points').optional().isInt({ min: 0, max: 1000 }),
     body('quantity').optional().isInt({ min: 1, max: 100 }).toInt(),
     body('timestamp').optional().isISO8601(),
     body('date').optional().isISO8601(),
@@ -378,7 +492,6 @@ app.post('/api/activities', authenticateToken, [
         lineUserId, userId, 
         activityType, type,
         title,
-        points,
         quantity = 1,
         timestamp,
         date
@@ -387,11 +500,10 @@ app.post('/api/activities', authenticateToken, [
     // Support both parameter formats
     const userIdParam = lineUserId || userId;
     const typeParam = activityType || type;
-    const titleParam = title || `${typeParam} activity`;
-    const dateParam = date || (timestamp ? new Date(timestamp).toISOString().split('T')[0] : new Date().toISOString().split('T')[0]);
+    const dateParam = date || getBusinessDate(DEFAULT_TIMEZONE, timestamp ? new Date(timestamp) : new Date());
     
-    if (!userIdParam || !typeParam || points === undefined) {
-        return res.status(400).json({ error: 'userId, type, and points are required' });
+    if (!userIdParam || !typeParam) {
+        return res.status(400).json({ error: 'userId and type are required' });
     }
     
     // Authorization: Users can only create activities for themselves
@@ -399,41 +511,38 @@ app.post('/api/activities', authenticateToken, [
         return res.status(403).json({ error: 'Cannot create activities for other users' });
     }
     
-    // Map frontend activity types to backend types
-    const activityTypeMap = {
-        'phone': 'โทร',
-        'meeting': 'นัด', 
-        'quote': 'ชิง',
-        'collab': 'ข่าวสาร',
-        'present': 'เริ่มเซน',
-        'training': 'เริ่มเซน',
-        'contract': 'ชิง',
-        'other': 'ข่าวสาร'
-    };
-    
-    const mappedType = activityTypeMap[typeParam] || 'ข่าวสาร';
+    const scored = await scoreActivity(userIdParam, typeParam, quantity, dateParam);
+    if (scored.errors) {
+        return res.status(400).json({ errors: scored.errors });
+    }
+    const { activityType: activityTypeEntry, score } = scored;
+    const titleParam = title || activityTypeEntry.names.en;
     
     const query = `
-        INSERT INTO activities (line_user_id, activity_type, title, description, points, date)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO activities (line_user_id, activity_type, title, description, points, count, date)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
     
-    db.run(query, [userIdParam, mappedType, titleParam, '', points * quantity, dateParam], function(err) {
+    db.run(query, [userIdParam, activityTypeEntry.id, titleParam, '', score.points, quantity, dateParam], function(err) {
         if (err) {
             console.error('Error creating activity:', err);
             return res.status(500).json({ error: 'Failed to create activity' });
         }
         
+        const activity = {
+            id: this.lastID,
+            lineUserId: userIdParam,
+            activityType: activityTypeEntry.id,
+            title: titleParam,
+            points: score.points,
+            count: quantity,
+            date: dateParam
+        };
+        recordAudit({ entityType: 'activity', entityId: activity.id, action: 'create', lineUserId: userIdParam, after: activity }, req.user.lineUserId);
+        
         res.status(201).json({ 
             success: true,
-            activity: {
-                id: this.lastID,
-                lineUserId: userIdParam,
-                activityType: mappedType,
-                title: titleParam,
-                points: points * quantity,
-                date: dateParam
-            }
+            activity
         });
     });
 }));
@@ -459,36 +568,36 @@ app.get('/api/activities/:lineUserId', authenticateToken, [
         LIMIT ?
     `;
     
-    db.all(query, [lineUserId, parseInt(limit)], (err, rows) => {
+    db.all(query, [lineUserId, parseInt(limit)], async (err, rows) => {
         if (err) {
             console.error('Error fetching activities:', err);
             return res.status(500).json({ error: 'Failed to fetch activities' });
         }
         
-        // Map backend format to frontend format
-        const activities = rows.map(row => ({
-            id: row.id,
-            type: mapBackendToFrontendType(row.activity_type),
-            points: row.points,
-            timestamp: row.created_at,
-            title: row.title,
-            description: row.description
-        }));
-        
-        res.json(activities);
+        // Out of asyncHandler's reach in this callback, so catch here
+        try {
+            // Map backend format to frontend format
+            const activities = await Promise.all(rows.map(async row => ({
+                id: row.id,
+                type: await mapBackendToFrontendType(row.activity_type),
+                points: row.points,
+                timestamp: row.created_at,
+                title: row.title,
+                description: row.description
+            })));
+            
+            res.json(activities);
+        } catch (error) {
+            console.error('Error mapping activities:', error);
+            res.status(500).json({ error: 'Failed to fetch activities' });
+        }
     });
 }));
 
-// Helper function to map backend types to frontend types
-function mapBackendToFrontendType(backendType) {
-    const typeMap = {
-        'โทร': 'phone',
-        'นัด': 'meeting',
-        'ชิง': 'quote',
-        'ข่าวสาร': 'collab',
-        'เริ่มเซน': 'present'
-    };
-    return typeMap[backendType] || 'other';
+// Catalog id for the frontend; legacy Thai codes resolve through their aliases
+async function mapBackendToFrontendType(backendType) {
+    const activityType = await activityTypeService.resolveType(backendType, true);
+    return activityType ? activityType.id : 'other';
 }
 
 // Get user achievements
@@ -536,6 +645,10 @@ app.post('/api/achievements', authenticateToken, [
             return res.status(500).json({ error: 'Failed to unlock achievement' });
         }
         
+        if (this.changes > 0) {
+            recordAudit({ entityType: 'achievement', entityId: `${lineUserId}:${achievementId}`, action: 'create', lineUserId, after: { lineUserId, achievementId } }, req.user.lineUserId);
+        }
+        
         res.json({ 
             success: true, 
             newUnlock: this.changes > 0,
@@ -589,12 +702,27 @@ app.post('/api/streak', authenticateToken, [
         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
     `;
     
+    const before = await new Promise((resolve, reject) => {
+        db.get('SELECT current_streak, longest_streak, last_activity_date FROM user_streaks WHERE line_user_id = ?', [lineUserId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+    
     db.run(query, [lineUserId, currentStreak, longestStreak, lastActivityDate], function(err) {
         if (err) {
             console.error('Error updating streak:', err);
             return res.status(500).json({ error: 'Failed to update streak' });
         }
         
+        recordAudit({
+            entityType: 'streak',
+            entityId: lineUserId,
+            action: 'update',
+            lineUserId,
+            before,
+            after: { current_streak: currentStreak, longest_streak: longestStreak, last_activity_date: lastActivityDate || null }
+        }, req.user.lineUserId);
         res.json({ success: true });
     });
 }));
@@ -609,7 +737,7 @@ app.post('/api/frontend/activities', [
     body('activityType').optional().isString().trim(),
     body('type').optional().isString().trim(),
     body('title').optional().isString().isLength({ min: 1, max: 200 }).trim().escape(),
-    body('points').isInt({ min: 0, max: 1000 }),
+    body('points').optional().isInt({ min: 0, max: 1000 }),
     body('quantity').optional().isInt({ min: 1, max: 100 }).toInt(),
     body('timestamp').optional().isISO8601(),
     body('date').optional().isISO8601(),
@@ -619,7 +747,6 @@ app.post('/api/frontend/activities', [
         lineUserId, userId, 
         activityType, type,
         title,
-        points,
         quantity = 1,
         timestamp,
         date
@@ -628,48 +755,44 @@ app.post('/api/frontend/activities', [
     // Support both parameter formats
     const userIdParam = lineUserId || userId;
     const typeParam = activityType || type;
-    const titleParam = title || `${typeParam} activity`;
-    const dateParam = date || (timestamp ? new Date(timestamp).toISOString().split('T')[0] : new Date().toISOString().split('T')[0]);
+    const dateParam = date || getBusinessDate(DEFAULT_TIMEZONE, timestamp ? new Date(timestamp) : new Date());
     
-    if (!userIdParam || !typeParam || points === undefined) {
-        return res.status(400).json({ error: 'userId, type, and points are required' });
+    if (!userIdParam || !typeParam) {
+        return res.status(400).json({ error: 'userId and type are required' });
     }
     
-    // Map frontend activity types to backend types
-    const activityTypeMap = {
-        'phone': 'โทร',
-        'meeting': 'นัด', 
-        'quote': 'ชิง',
-        'collab': 'ข่าวสาร',
-        'present': 'เริ่มเซน',
-        'training': 'เริ่มเซน',
-        'contract': 'ชิง',
-        'other': 'ข่าวสาร'
-    };
-    
-    const mappedType = activityTypeMap[typeParam] || 'ข่าวสาร';
+    const scored = await scoreActivity(userIdParam, typeParam, quantity, dateParam);
+    if (scored.errors) {
+        return res.status(400).json({ errors: scored.errors });
+    }
+    const { activityType: activityTypeEntry, score } = scored;
+    const titleParam = title || activityTypeEntry.names.en;
     
     const query = `
-        INSERT INTO activities (line_user_id, activity_type, title, description, points, date)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO activities (line_user_id, activity_type, title, description, points, count, date)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
     
-    db.run(query, [userIdParam, mappedType, titleParam, '', points * quantity, dateParam], function(err) {
+    db.run(query, [userIdParam, activityTypeEntry.id, titleParam, '', score.points, quantity, dateParam], function(err) {
         if (err) {
             console.error('Error creating activity:', err);
             return res.status(500).json({ error: 'Failed to create activity' });
         }
         
+        const activity = {
+            id: this.lastID,
+            lineUserId: userIdParam,
+            activityType: activityTypeEntry.id,
+            title: titleParam,
+            points: score.points,
+            count: quantity,
+            date: dateParam
+        };
+        recordAudit({ entityType: 'activity', entityId: activity.id, action: 'create', lineUserId: userIdParam, after: activity }, userIdParam);
+        
         res.status(201).json({ 
             success: true,
-            activity: {
-                id: this.lastID,
-                lineUserId: userIdParam,
-                activityType: mappedType,
-                title: titleParam,
-                points: points * quantity,
-                date: dateParam
-            }
+            activity
         });
     });
 }));
@@ -690,23 +813,29 @@ app.get('/api/frontend/activities/:lineUserId', [
         LIMIT ?
     `;
     
-    db.all(query, [lineUserId, parseInt(limit)], (err, rows) => {
+    db.all(query, [lineUserId, parseInt(limit)], async (err, rows) => {
         if (err) {
             console.error('Error fetching activities:', err);
             return res.status(500).json({ error: 'Failed to fetch activities' });
         }
         
-        // Map backend format to frontend format
-        const activities = rows.map(row => ({
-            id: row.id,
-            type: mapBackendToFrontendType(row.activity_type),
-            points: row.points,
-            timestamp: row.created_at,
-            title: row.title,
-            description: row.description
-        }));
-        
-        res.json(activities);
+        // Out of asyncHandler's reach in this callback, so catch here
+        try {
+            // Map backend format to frontend format
+            const activities = await Promise.all(rows.map(async row => ({
+                id: row.id,
+                type: await mapBackendToFrontendType(row.activity_type),
+                points: row.points,
+                timestamp: row.created_at,
+                title: row.title,
+                description: row.description
+            })));
+            
+            res.json(activities);
+        } catch (error) {
+            console.error('Error mapping activities:', error);
+            res.status(500).json({ error: 'Failed to fetch activities' });
+        }
     });
 }));
 
@@ -745,6 +874,10 @@ app.post('/api/frontend/achievements', [
             return res.status(500).json({ error: 'Failed to unlock achievement' });
         }
         
+        if (this.changes > 0) {
+            recordAudit({ entityType: 'achievement', entityId: `${lineUserId}:${achievementId}`, action: 'create', lineUserId, after: { lineUserId, achievementId } }, lineUserId);
+        }
+        
         res.json({ 
             success: true, 
             newUnlock: this.changes > 0,
@@ -788,12 +921,27 @@ app.post('/api/frontend/streak', [
         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
     `;
     
+    const before = await new Promise((resolve, reject) => {
+        db.get('SELECT current_streak, longest_streak, last_activity_date FROM user_streaks WHERE line_user_id = ?', [lineUserId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+    
     db.run(query, [lineUserId, currentStreak, longestStreak, lastActivityDate], function(err) {
         if (err) {
             console.error('Error updating streak:', err);
             return res.status(500).json({ error: 'Failed to update streak' });
         }
         
+        recordAudit({
+            entityType: 'streak',
+            entityId: lineUserId,
+            action: 'update',
+            lineUserId,
+            before,
+            after: { current_streak: currentStreak, longest_streak: longestStreak, last_activity_date: lastActivityDate || null }
+        }, lineUserId);
         res.json({ success: true });
     });
 }));
@@ -835,4 +983,6 @@ process.on('SIGTERM', () => {
     });
 });
 
+app.set('db', db);
+
 module.exports = app; // For testing
\ No newline at end of file
@@ -0,0 +1,254 @@
+const admin = require('firebase-admin');
+
+class AccountService {
+    constructor() {
+        this.db = admin.firestore();
+        this.accountsCollection = 'accounts';
+        this.contactsCollection = 'contacts';
+        this.SEARCH_LIMIT = 20;
+    }
+
+    /**
+     * Create a customer account
+     * @param {Object} accountData - name, ownerId, industry, phone, address
+     */
+    async createAccount(accountData) {
+        const now = new Date().toISOString();
+        const account = {
+            name: accountData.name,
+            nameLower: accountData.name.toLowerCase(),
+            ownerId: accountData.ownerId,
+            industry: accountData.industry || null,
+            phone: accountData.phone || null,
+            address: accountData.address || null,
+            mergedFrom: [],
+            lastTouchedAt: null,
+            lastTouchedBy: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const docRef = await this.db.collection(this.accountsCollection).add(account);
+        return { id: docRef.id, ...account };
+    }
+
+    /**
+     * Get a single account
+     * @param {string} accountId - Account document ID
+     */
+    async getAccount(accountId) {
+        return this.getDocument(this.accountsCollection, accountId);
+    }
+
+    /**
+     * Update an account
+     * @param {string} accountId - Account document ID
+     * @param {Object} updates - Any of name, ownerId, industry, phone, address
+     */
+    async updateAccount(accountId, updates) {
+        return this.updateDocument(this.accountsCollection, accountId, updates);
+    }
+
+    /**
+     * Search accounts by name prefix, optionally limited to one rep's accounts
+     * @param {Object} filters - { q, ownerId }
+     */
+    async searchAccounts(filters = {}) {
+        return this.search(this.accountsCollection, filters);
+    }
+
+    /**
+     * Create a contact person, optionally belonging to an account
+     * @param {Object} contactData - name, ownerId, accountId, position, phone, email
+     */
+    async createContact(contactData) {
+        const now = new Date().toISOString();
+        const contact = {
+            name: contactData.name,
+            nameLower: contactData.name.toLowerCase(),
+            ownerId: contactData.ownerId,
+            accountId: contactData.accountId || null,
+            position: contactData.position || null,
+            phone: contactData.phone || null,
+            email: contactData.email || null,
+            mergedFrom: [],
+            lastTouchedAt: null,
+            lastTouchedBy: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const docRef = await this.db.collection(this.contactsCollection).add(contact);
+        return { id: docRef.id, ...contact };
+    }
+
+    /**
+     * Get a single contact
+     * @param {string} contactId - Contact document ID
+     */
+    async getContact(contactId) {
+        return this.getDocument(this.contactsCollection, contactId);
+    }
+
+    /**
+     * Update a contact
+     * @param {string} contactId - Contact document ID
+     * @param {Object} updates - Any of name, ownerId, accountId, position, phone, email
+     */
+    async updateContact(contactId, updates) {
+        return this.updateDocument(this.contactsCollection, contactId, updates);
+    }
+
+    /**
+     * Search contacts by name prefix
+     * @param {Object} filters - { q, ownerId, accountId }
+     */
+    async searchContacts(filters = {}) {
+        return this.search(this.contactsCollection, filters);
+    }
+
+    /**
+     * Get all contacts of an account
+     * @param {string} accountId - Account document ID
+     */
+    async getAccountContacts(accountId) {
+        const snapshot = await this.db.collection(this.contactsCollection)
+            .where('accountId', '==', accountId)
+            .get();
+
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    /**
+     * Merge a duplicate account into another. Contacts of the source move to
+     * the target and the source account is deleted. Activities are re-pointed
+     * by the caller (they live in the activities collection).
+     * @param {string} targetId - Account that is kept
+     * @param {string} sourceId - Duplicate account that is removed
+     */
+    async mergeAccounts(targetId, sourceId) {
+        const [target, source] = await Promise.all([this.getAccount(targetId), this.getAccount(sourceId)]);
+        if (!target || !source) return null;
+
+        const contacts = await this.getAccountContacts(sourceId);
+        const batch = this.db.batch();
+
+        contacts.forEach(contact => {
+            batch.update(this.db.collection(this.contactsCollection).doc(contact.id), { accountId: targetId });
+        });
+
+        const merged = this.mergeFields(target, source);
+        batch.update(this.db.collection(this.accountsCollection).doc(targetId), merged);
+        batch.delete(this.db.collection(this.accountsCollection).doc(sourceId));
+
+        await batch.commit();
+        return { ...target, ...merged, movedContacts: contacts.length };
+    }
+
+    /**
+     * Merge a duplicate contact into another and delete the duplicate
+     * @param {string} targetId - Contact that is kept
+     * @param {string} sourceId - Duplicate contact that is removed
+     */
+    async mergeContacts(targetId, sourceId) {
+        const [target, source] = await Promise.all([this.getContact(targetId), this.getContact(sourceId)]);
+        if (!target || !source) return null;
+
+        const merged = this.mergeFields(target, source);
+        ['accountId', 'position', 'phone', 'email'].forEach(field => {
+            if (!target[field] && source[field]) {
+                merged[field] = source[field];
+            }
+        });
+
+        const batch = this.db.batch();
+        batch.update(this.db.collection(this.contactsCollection).doc(targetId), merged);
+        batch.delete(this.db.collection(this.contactsCollection).doc(sourceId));
+
+        await batch.commit();
+        return { ...target, ...merged };
+    }
+
+    /**
+     * Record that a rep touched a customer (activity logged against it)
+     * @param {Object} refs - { accountId, contactId }
+     * @param {string} lineUserId - Rep who logged the activity
+     */
+    async recordTouch(refs, lineUserId) {
+        const touch = {
+            lastTouchedAt: new Date().toISOString(),
+            lastTouchedBy: lineUserId
+        };
+
+        const batch = this.db.batch();
+        if (refs.accountId) {
+            batch.update(this.db.collection(this.accountsCollection).doc(refs.accountId), touch);
+        }
+        if (refs.contactId) {
+            batch.update(this.db.collection(this.contactsCollection).doc(refs.contactId), touch);
+        }
+
+        await batch.commit();
+    }
+
+    // Helper methods
+
+    async getDocument(collection, id) {
+        const doc = await this.db.collection(collection).doc(id).get();
+        if (!doc.exists) return null;
+
+        return { id: doc.id, ...doc.data() };
+    }
+
+    async updateDocument(collection, id, updates) {
+        const docRef = this.db.collection(collection).doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) return null;
+
+        const changes = { ...updates, updatedAt: new Date().toISOString() };
+        if (updates.name) {
+            changes.nameLower = updates.name.toLowerCase();
+        }
+
+        await docRef.update(changes);
+        return { id, ...doc.data(), ...changes };
+    }
+
+    async search(collection, filters) {
+        let query = this.db.collection(collection);
+
+        if (filters.q) {
+            // Prefix match on the lower-cased name
+            const q = filters.q.toLowerCase();
+            query = query
+                .where('nameLower', '>=', q)
+                .where('nameLower', '<=', q + '\uf8ff');
+        }
+
+        const snapshot = await query.limit(filters.ownerId || filters.accountId ? 200 : this.SEARCH_LIMIT).get();
+
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(item => !filters.ownerId || item.ownerId === filters.ownerId)
+            .filter(item => !filters.accountId || item.accountId === filters.accountId)
+            .slice(0, this.SEARCH_LIMIT);
+    }
+
+    // Fields shared by merged accounts and contacts
+    mergeFields(target, source) {
+        const lastTouchedAt = [target.lastTouchedAt, source.lastTouchedAt]
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+
+        return {
+            mergedFrom: [...(target.mergedFrom || []), source.id, ...(source.mergedFrom || [])],
+            lastTouchedAt,
+            lastTouchedBy: lastTouchedAt === source.lastTouchedAt ? source.lastTouchedBy : target.lastTouchedBy,
+            createdAt: [target.createdAt, source.createdAt].filter(Boolean).sort()[0] || target.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new AccountService();
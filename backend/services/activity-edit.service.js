@@ -0,0 +1,132 @@
+const { getStorage } = require('../storage');
+const activityTypeService = require('./activity-type.service');
+const pointRuleService = require('./point-rule.service');
+const teamService = require('./team.service');
+const businessDate = require('../utils/business-date');
+const { escapeHtml } = require('../utils/html');
+
+class ActivityEditService {
+    constructor() {
+        // Activities can be corrected while their business date is at most this many days old
+        this.EDIT_WINDOW_DAYS = parseInt(process.env.ACTIVITY_EDIT_WINDOW_DAYS, 10) || 7;
+        this.MAX_NOTES_LENGTH = 500;
+    }
+
+    /**
+     * Validate and rescore an edit of a stored activity: its type, quantity, notes
+     * and date. The activity's current date and a new one must both lie within the
+     * edit window. A new type, quantity or date is scored like a new submission
+     * (daily caps count the rep's other activities of that day).
+     * @param {Object} activity - The stored activity
+     * @param {Object} input - Fields from the request body
+     * @returns {Promise<Object>} { errors } when invalid, otherwise { changes, score } (score null when points are kept)
+     */
+    async prepare(activity, input) {
+        const { activityType, type, count, quantity, notes, date } = input;
+        const typeParam = activityType || type;
+        const countParam = count !== undefined ? count : quantity;
+
+        const user = await getStorage().getUser(activity.lineUserId);
+        const timezone = await teamService.getUserTimezone(user);
+        const today = businessDate.getBusinessDate(timezone);
+        const oldestEditable = businessDate.addDays(today, -this.EDIT_WINDOW_DAYS);
+
+        if (activity.date < oldestEditable) {
+            return {
+                errors: [{
+                    path: 'date',
+                    message: `Activities older than ${this.EDIT_WINDOW_DAYS} days can no longer be edited`
+                }]
+            };
+        }
+
+        const changes = {};
+
+        if (notes !== undefined) {
+            if (typeof notes !== 'string' || notes.length > this.MAX_NOTES_LENGTH) {
+                return {
+                    errors: [{
+                        path: 'notes',
+                        message: `Notes must be text of at most ${this.MAX_NOTES_LENGTH} characters`
+                    }]
+                };
+            }
+            changes.notes = escapeHtml(notes);
+        }
+
+        let dateParam = activity.date;
+        if (date !== undefined) {
+            dateParam = businessDate.toBusinessDate(date, timezone);
+            if (!dateParam) {
+                return { errors: [{ path: 'date', message: 'Invalid date' }] };
+            }
+            if (dateParam < oldestEditable || dateParam > today) {
+                return {
+                    errors: [{
+                        path: 'date',
+                        message: `Date must be between ${oldestEditable} and ${today}`
+                    }]
+                };
+            }
+        }
+
+        let quantityNum = activity.count || 1;
+        if (countParam !== undefined) {
+            quantityNum = parseInt(countParam);
+            if (isNaN(quantityNum) || quantityNum < 1) {
+                return {
+                    errors: [{
+                        path: 'count',
+                        message: 'Count must be a positive number'
+                    }]
+                };
+            }
+        }
+
+        const rescore = (typeParam && typeParam !== activity.activityType)
+            || quantityNum !== (activity.count || 1)
+            || dateParam !== activity.date;
+        if (!rescore) {
+            return { changes, score: null };
+        }
+
+        const activityTypeEntry = await activityTypeService.resolveType(typeParam || activity.activityType);
+        if (!activityTypeEntry) {
+            const catalog = await activityTypeService.getCatalog();
+            return {
+                errors: [{
+                    path: 'activityType',
+                    message: `Invalid activity type. Must be one of: ${catalog.map(t => t.id).join(', ')}`
+                }]
+            };
+        }
+
+        const scoringType = await pointRuleService.applyRules(activityTypeEntry, dateParam);
+        const sameDayActivities = await getStorage().getUserActivities(activity.lineUserId, dateParam);
+        const loggedThatDay = sameDayActivities
+            .filter(a => a.id !== activity.id && a.activityType === activityTypeEntry.id)
+            .reduce((sum, a) => sum + (a.count || 1), 0);
+        const score = activityTypeService.calculatePoints(scoringType, quantityNum, loggedThatDay);
+
+        Object.assign(changes, {
+            activityType: activityTypeEntry.id,
+            count: quantityNum,
+            date: dateParam,
+            points: score.points,
+            basePoints: score.basePoints,
+            ruleVersion: scoringType.ruleVersion
+        });
+
+        // A title that named the old type names the new one
+        if (activityTypeEntry.id !== activity.activityType) {
+            const previousType = await activityTypeService.resolveType(activity.activityType);
+            if (!activity.title || (previousType && activity.title === escapeHtml(previousType.names.en))) {
+                changes.title = escapeHtml(activityTypeEntry.names.en);
+            }
+        }
+
+        return { changes, score };
+    }
+}
+
+module.exports = new ActivityEditService();
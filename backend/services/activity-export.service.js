@@ -0,0 +1,217 @@
+const { getStorage } = require('../storage');
+const activityTypeService = require('./activity-type.service');
+const businessDate = require('../utils/business-date');
+const ranking = require('../utils/leaderboard-ranking');
+const { toCsv, writeXlsx } = require('../utils/spreadsheet');
+
+// Comma-separated query values (?userIds=a,b) or repeated ones (?userIds=a&userIds=b)
+function list(value) {
+    if (value === undefined) return [];
+    return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+class ActivityExportService {
+    constructor() {
+        this.FORMATS = ['csv', 'xlsx', 'json'];
+        this.LANGUAGES = ['en', 'th'];
+        this.MAX_RANGE_DAYS = 366;
+        this.CONTENT_TYPES = {
+            csv: 'text/csv; charset=utf-8',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            json: 'application/json; charset=utf-8'
+        };
+        // Row keys (JSON) and column headers (CSV/XLSX), in column order
+        this.COLUMNS = [
+            { key: 'date', header: 'Date' },
+            { key: 'week', header: 'Week' },
+            { key: 'lineUserId', header: 'Rep ID' },
+            { key: 'displayName', header: 'Rep' },
+            { key: 'teamId', header: 'Team' },
+            { key: 'activityType', header: 'Type ID' },
+            { key: 'typeName', header: 'Type' },
+            { key: 'title', header: 'Title' },
+            { key: 'count', header: 'Quantity' },
+            { key: 'points', header: 'Points' },
+            { key: 'dayPoints', header: 'Points (day)' },
+            { key: 'dayRank', header: 'Rank (day)' },
+            { key: 'notes', header: 'Notes' },
+            { key: 'dealId', header: 'Deal ID' },
+            { key: 'loggedAt', header: 'Logged at' },
+            { key: 'id', header: 'Activity ID' }
+        ];
+    }
+
+    /**
+     * Validate export query parameters
+     * @param {Object} query - { format, from, to, teamId, userIds, types, lang }
+     * @returns {Array} Validation errors ({ path, message }), empty when valid
+     */
+    validateFilters(query = {}) {
+        const errors = [];
+
+        if (query.format !== undefined && !this.FORMATS.includes(query.format)) {
+            errors.push({ path: 'format', message: `format must be one of: ${this.FORMATS.join(', ')}` });
+        }
+        if (query.lang !== undefined && !this.LANGUAGES.includes(query.lang)) {
+            errors.push({ path: 'lang', message: `lang must be one of: ${this.LANGUAGES.join(', ')}` });
+        }
+
+        ['from', 'to'].forEach(path => {
+            if (!businessDate.isValidDate(query[path])) {
+                errors.push({ path, message: `${path} is required as a date (YYYY-MM-DD)` });
+            }
+        });
+
+        if (errors.every(error => error.path !== 'from' && error.path !== 'to')) {
+            const days = businessDate.daysBetween(query.from, query.to);
+            if (days < 0) {
+                errors.push({ path: 'to', message: 'to must not be before from' });
+            } else if (days >= this.MAX_RANGE_DAYS) {
+                errors.push({ path: 'to', message: `Cannot export more than ${this.MAX_RANGE_DAYS} days at once` });
+            }
+        }
+
+        if (query.teamId !== undefined && (typeof query.teamId !== 'string' || !query.teamId.trim())) {
+            errors.push({ path: 'teamId', message: 'teamId must be a non-empty string' });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Filters of a validated export query
+     * @param {Object} query - { format, from, to, teamId, userIds, types, lang }
+     */
+    parseFilters(query) {
+        return {
+            format: query.format || 'csv',
+            from: query.from,
+            to: query.to,
+            teamId: query.teamId || null,
+            userIds: list(query.userIds),
+            types: list(query.types),
+            lang: query.lang || 'en'
+        };
+    }
+
+    /**
+     * Activities matching the filters as export rows, oldest first. Computed
+     * columns: the ISO week of the date, and the rep's points and rank on that
+     * day's points leaderboard (of the team when filtering by team). The rank
+     * covers every rep in scope, whichever reps and types are exported.
+     * @param {Object} filters - From parseFilters
+     * @returns {Promise<Array>} Rows keyed by COLUMNS keys
+     */
+    async buildRows(filters) {
+        const storage = getStorage();
+        const activities = (await storage.getActivitiesByDateRange(null, filters.from, filters.to))
+            .filter(activity => !filters.teamId || activity.teamId === filters.teamId);
+
+        // Daily points leaderboards of everyone in scope
+        const days = {};
+        activities.forEach(activity => {
+            const day = days[activity.date] || (days[activity.date] = {});
+            if (!day[activity.lineUserId]) {
+                day[activity.lineUserId] = { userId: activity.lineUserId, ...ranking.createStats() };
+            }
+            ranking.addActivity(day[activity.lineUserId], activity);
+        });
+
+        const standings = {};
+        Object.entries(days).forEach(([date, entries]) => {
+            standings[date] = {};
+            ranking.rankEntries(Object.values(entries), 'points').forEach(entry => {
+                standings[date][entry.userId] = entry;
+            });
+        });
+
+        // Types are given as catalog ids, aliases or names
+        const typeIds = new Set();
+        for (const key of filters.types) {
+            const type = await activityTypeService.resolveType(key, true);
+            typeIds.add(type ? type.id : key);
+        }
+        const userIds = new Set(filters.userIds);
+
+        const selected = activities
+            .filter(activity => userIds.size === 0 || userIds.has(activity.lineUserId))
+            .filter(activity => typeIds.size === 0 || typeIds.has(activity.activityType))
+            .map(activity => ({ activity, time: ranking.activityTime(activity) }))
+            .sort((a, b) => a.activity.date.localeCompare(b.activity.date) || a.time - b.time);
+
+        const catalog = await activityTypeService.getCatalog(true);
+        const typeNames = {};
+        catalog.forEach(type => {
+            typeNames[type.id] = (type.names && (type.names[filters.lang] || type.names.en)) || type.id;
+        });
+
+        const users = {};
+        for (const { activity } of selected) {
+            if (!(activity.lineUserId in users)) {
+                users[activity.lineUserId] = await storage.getUser(activity.lineUserId);
+            }
+        }
+
+        return selected.map(({ activity, time }) => {
+            const standing = standings[activity.date][activity.lineUserId];
+            const user = users[activity.lineUserId];
+
+            return {
+                date: activity.date,
+                week: businessDate.getIsoWeek(activity.date),
+                lineUserId: activity.lineUserId,
+                displayName: (user && user.displayName) || null,
+                teamId: activity.teamId || null,
+                activityType: activity.activityType,
+                typeName: typeNames[activity.activityType] || activity.activityType,
+                title: activity.title || null,
+                count: activity.count || 1,
+                points: activity.points || 0,
+                dayPoints: standing.points,
+                dayRank: standing.rank,
+                notes: activity.notes || null,
+                dealId: activity.dealId || null,
+                loggedAt: time ? new Date(time).toISOString() : null,
+                id: activity.id !== undefined ? String(activity.id) : null
+            };
+        });
+    }
+
+    /**
+     * Render export rows as a file
+     * @param {Array} rows - From buildRows
+     * @param {Object} filters - From parseFilters
+     * @returns {Object} { filename, contentType, body } (body is a string or Buffer)
+     */
+    render(rows, filters) {
+        const { format } = filters;
+        const filename = `activities_${filters.teamId ? `${filters.teamId}_` : ''}${filters.from}_${filters.to}.${format}`
+            .replace(/[^\w.-]/g, '_');
+
+        let body;
+        if (format === 'json') {
+            body = JSON.stringify({
+                exportedAt: new Date().toISOString(),
+                filters: {
+                    from: filters.from,
+                    to: filters.to,
+                    teamId: filters.teamId,
+                    userIds: filters.userIds,
+                    types: filters.types
+                },
+                count: rows.length,
+                rows
+            }, null, 2);
+        } else {
+            const table = [
+                this.COLUMNS.map(column => column.header),
+                ...rows.map(row => this.COLUMNS.map(column => row[column.key]))
+            ];
+            body = format === 'xlsx' ? writeXlsx(table, 'Activities') : toCsv(table);
+        }
+
+        return { filename, contentType: this.CONTENT_TYPES[format], body };
+    }
+}
+
+module.exports = new ActivityExportService();
@@ -0,0 +1,130 @@
+const { parseCsv, readXlsx, excelSerialToDate } = require('../utils/spreadsheet');
+
+class ActivityImportService {
+    constructor() {
+        this.FORMATS = ['csv', 'xlsx'];
+        this.FIELDS = ['user', 'type', 'quantity', 'date', 'notes'];
+        this.REQUIRED_FIELDS = ['user', 'type', 'date'];
+        this.MAX_ROWS = 1000;
+    }
+
+    /**
+     * Validate an import request
+     * @param {Object} body - { format, content, mapping, teamId }
+     * @returns {Array} Validation errors ({ path, message }), empty when valid
+     */
+    validateRequest(body = {}) {
+        const errors = [];
+        const { format, content, mapping } = body;
+
+        if (!this.FORMATS.includes(format)) {
+            errors.push({ path: 'format', message: `format must be one of: ${this.FORMATS.join(', ')}` });
+        }
+        if (typeof content !== 'string' || content.length === 0) {
+            errors.push({ path: 'content', message: 'content must be the CSV text or the base64-encoded XLSX file' });
+        }
+
+        if (mapping !== undefined) {
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                errors.push({ path: 'mapping', message: `mapping must map fields (${this.FIELDS.join(', ')}) to column headers` });
+            } else {
+                Object.entries(mapping).forEach(([field, column]) => {
+                    if (!this.FIELDS.includes(field)) {
+                        errors.push({ path: `mapping.${field}`, message: `Unknown field. Map one of: ${this.FIELDS.join(', ')}` });
+                    } else if (typeof column !== 'string' || !column.trim()) {
+                        errors.push({ path: `mapping.${field}`, message: 'Column header must be a non-empty string' });
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Read the rows of an import file with its columns mapped to activity fields.
+     * The first non-blank row holds the column headers; a field without a
+     * mapping is read from the column named like it (case-insensitive).
+     * @param {Object} body - { format, content, mapping }
+     * @returns {Object} { errors } when the file cannot be read, otherwise
+     *                   { rows: [{ row, values: { user, type, quantity, date, notes }, errors }] }
+     */
+    readRows({ format, content, mapping = {} }) {
+        let sheet;
+        try {
+            sheet = format === 'xlsx' ? readXlsx(Buffer.from(content, 'base64')) : parseCsv(content);
+        } catch (error) {
+            return { errors: [{ path: 'content', message: `Could not read the ${format.toUpperCase()} file: ${error.message}` }] };
+        }
+
+        const headerIndex = sheet.findIndex(cells => cells.some(cell => String(cell).trim()));
+        if (headerIndex < 0) {
+            return { errors: [{ path: 'content', message: 'The file is empty' }] };
+        }
+
+        const headers = sheet[headerIndex].map(cell => String(cell).trim().toLowerCase());
+        const columns = {};
+        const errors = [];
+
+        this.FIELDS.forEach(field => {
+            const header = (mapping[field] || field).trim();
+            const index = headers.indexOf(header.toLowerCase());
+
+            if (index >= 0) {
+                columns[field] = index;
+            } else if (mapping[field] || this.REQUIRED_FIELDS.includes(field)) {
+                errors.push({ path: `mapping.${field}`, message: `Column "${header}" not found` });
+            }
+        });
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const rows = [];
+        sheet.slice(headerIndex + 1).forEach((cells, offset) => {
+            if (!cells.some(cell => String(cell).trim())) return;
+
+            const values = {};
+            Object.entries(columns).forEach(([field, index]) => {
+                values[field] = String(cells[index] === undefined ? '' : cells[index]).trim();
+            });
+            values.date = excelSerialToDate(values.date) || values.date;
+
+            rows.push({
+                row: headerIndex + offset + 2,
+                values,
+                errors: this.REQUIRED_FIELDS
+                    .filter(field => !values[field])
+                    .map(field => ({ path: field, message: `${field} is required` }))
+            });
+        });
+
+        if (rows.length === 0) {
+            return { errors: [{ path: 'content', message: 'The file has no rows below its headers' }] };
+        }
+        if (rows.length > this.MAX_ROWS) {
+            return { errors: [{ path: 'content', message: `Cannot import more than ${this.MAX_ROWS} rows at once` }] };
+        }
+
+        return { rows };
+    }
+
+    /**
+     * LINE user ID for the user column of a row: a LINE user ID, else the
+     * display name (case-insensitive) of exactly one of the given members
+     * @param {string} value - Cell value
+     * @param {Object} user - The user stored under value as an ID, if any
+     * @param {Array} members - Users whose display names may be used
+     */
+    matchUser(value, user, members = []) {
+        if (user) {
+            return user.id || value;
+        }
+
+        const name = value.toLowerCase();
+        const matches = members.filter(member => (member.displayName || '').trim().toLowerCase() === name);
+        return matches.length === 1 ? matches[0].id : null;
+    }
+}
+
+module.exports = new ActivityImportService();
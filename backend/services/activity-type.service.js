@@ -0,0 +1,134 @@
+const admin = require('firebase-admin');
+const { usesFirestore } = require('../storage');
+
+// Built-in catalog. Firestore documents with the same id override these;
+// aliases keep legacy ids from older clients (chatbot, Thai SQLite codes) working.
+const DEFAULT_ACTIVITY_TYPES = [
+    { id: 'phone', names: { en: 'Phone Call', th: 'โทร' }, emoji: '📱', points: 20, dailyCap: null, aliases: ['call', 'phone_call', 'โทร'] },
+    { id: 'meeting', names: { en: 'Meeting', th: 'นัดพบลูกค้า' }, emoji: '🤝', points: 50, dailyCap: null, aliases: ['appointment', 'meeting_scheduled', 'นัด', 'เยี่ยม'] },
+    { id: 'quote', names: { en: 'Quotation', th: 'เสนอราคา' }, emoji: '📋', points: 10, dailyCap: null, aliases: ['proposal', 'ชิง', 'ส่ง'] },
+    { id: 'collab', names: { en: 'Collaboration', th: 'ประสานงาน' }, emoji: '👥', points: 15, dailyCap: null, aliases: ['ข่าวสาร'] },
+    { id: 'present', names: { en: 'Presentation', th: 'นำเสนอ' }, emoji: '📊', points: 30, dailyCap: null, aliases: ['demo', 'เริ่มเซน'] },
+    { id: 'training', names: { en: 'Training', th: 'อบรม' }, emoji: '🎓', points: 40, dailyCap: null, aliases: [] },
+    { id: 'contract', names: { en: 'Contract', th: 'ปิดสัญญา' }, emoji: '📄', points: 25, dailyCap: null, aliases: ['deal', 'contract_sent', 'project_booked'] },
+    { id: 'email', names: { en: 'Email', th: 'อีเมล' }, emoji: '📧', points: 10, dailyCap: null, aliases: [] },
+    { id: 'other', names: { en: 'Other', th: 'อื่นๆ' }, emoji: '✨', points: 15, dailyCap: null, aliases: ['follow_up', 'อื่นๆ'] }
+];
+
+class ActivityTypeService {
+    constructor() {
+        this.typesCollection = 'activity_types';
+        this.DEFAULT_TYPES = DEFAULT_ACTIVITY_TYPES;
+        this.CACHE_TTL = 5 * 60 * 1000; // Reload catalog from Firestore every 5 minutes
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    // Opened on first use: without Firestore the built-in catalog needs no Firebase app
+    get db() {
+        return admin.firestore();
+    }
+
+    /**
+     * Get the activity type catalog (defaults merged with Firestore overrides)
+     * @param {boolean} includeInactive - Include types disabled by an admin
+     */
+    async getCatalog(includeInactive = false) {
+        if (!this.cache || Date.now() - this.cachedAt > this.CACHE_TTL) {
+            // Admin overrides are kept in Firestore; other storage uses the built-in catalog
+            const snapshot = usesFirestore() ? await this.db.collection(this.typesCollection).get() : [];
+            const types = {};
+
+            this.DEFAULT_TYPES.forEach((type, index) => {
+                types[type.id] = { ...type, active: true, sortOrder: index };
+            });
+
+            snapshot.forEach(doc => {
+                types[doc.id] = {
+                    active: true,
+                    aliases: [],
+                    dailyCap: null,
+                    sortOrder: Object.keys(types).length,
+                    ...types[doc.id],
+                    ...doc.data(),
+                    id: doc.id
+                };
+            });
+
+            this.cache = Object.values(types).sort((a, b) => a.sortOrder - b.sortOrder);
+            this.cachedAt = Date.now();
+        }
+
+        return includeInactive ? this.cache : this.cache.filter(type => type.active);
+    }
+
+    /**
+     * Find an activity type by id, alias or display name (as on call sheets)
+     * @param {string} typeIdOrAlias - Catalog id, a legacy alias or an English/Thai name
+     * @param {boolean} includeInactive - Also match disabled types (for scoring history)
+     */
+    async resolveType(typeIdOrAlias, includeInactive = false) {
+        if (!typeIdOrAlias) return null;
+
+        const catalog = await this.getCatalog(includeInactive);
+        const key = String(typeIdOrAlias).trim().toLowerCase();
+
+        return catalog.find(type => type.id === key) ||
+            catalog.find(type => (type.aliases || []).some(alias => alias.toLowerCase() === key)) ||
+            catalog.find(type => Object.values(type.names || {}).some(name => name.toLowerCase() === key)) ||
+            null;
+    }
+
+    /**
+     * Calculate points for logging an activity.
+     * Quantity beyond the type's daily cap is recorded but earns no points.
+     * @param {Object} activityType - Catalog entry
+     * @param {number} quantity - How many were logged in this submission
+     * @param {number} loggedToday - Quantity of this type already logged today
+     */
+    calculatePoints(activityType, quantity, loggedToday = 0) {
+        let scoredQuantity = quantity;
+
+        if (activityType.dailyCap) {
+            scoredQuantity = Math.max(0, Math.min(quantity, activityType.dailyCap - loggedToday));
+        }
+
+        return {
+            basePoints: activityType.points,
+            scoredQuantity,
+            points: activityType.points * scoredQuantity,
+            capped: scoredQuantity < quantity
+        };
+    }
+
+    /**
+     * Create or update a catalog entry
+     * @param {string} typeId - Catalog id
+     * @param {Object} data - names, emoji, points, dailyCap, aliases, active, sortOrder
+     */
+    async upsertType(typeId, data) {
+        await this.db.collection(this.typesCollection).doc(typeId).set({
+            ...data,
+            updatedAt: new Date().toISOString()
+        }, { merge: true });
+
+        this.invalidateCache();
+        const catalog = await this.getCatalog(true);
+        return catalog.find(type => type.id === typeId);
+    }
+
+    /**
+     * Disable a type so it can no longer be logged (history keeps its id)
+     * @param {string} typeId - Catalog id
+     */
+    async deactivateType(typeId) {
+        return this.upsertType(typeId, { active: false });
+    }
+
+    invalidateCache() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+}
+
+module.exports = new ActivityTypeService();
@@ -0,0 +1,129 @@
+const { getStorage } = require('../storage');
+const businessDate = require('../utils/business-date');
+
+// Plain JSON copy of a record for the log; Firestore Timestamps become ISO strings
+function snapshot(record) {
+    if (record === undefined || record === null) {
+        return null;
+    }
+
+    return JSON.parse(JSON.stringify(record, function (key, value) {
+        const original = this[key];
+        return original && typeof original.toDate === 'function' ? original.toDate().toISOString() : value;
+    }));
+}
+
+class AuditService {
+    constructor() {
+        this.ENTITY_TYPES = ['activity', 'achievement', 'streak', 'group'];
+        this.ACTIONS = ['create', 'update', 'delete', 'restore'];
+        this.DEFAULT_LIMIT = 100;
+        this.MAX_LIMIT = 500;
+    }
+
+    /**
+     * Append a change to the audit log. Failures are logged rather than
+     * thrown: by the time a change is recorded it has already been stored.
+     * @param {Object} change - { entityType, entityId, action, lineUserId, teamId, before, after }
+     * @param {Object} actor - { lineUserId, role, source } of whoever made the change
+     */
+    async record(change, actor = {}) {
+        const entry = {
+            entityType: change.entityType,
+            entityId: String(change.entityId),
+            action: change.action,
+            actor: {
+                lineUserId: actor.lineUserId || null,
+                role: actor.role || null,
+                source: actor.source || 'api'
+            },
+            lineUserId: change.lineUserId || null,
+            teamId: change.teamId || null,
+            before: snapshot(change.before),
+            after: snapshot(change.after),
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            return await getStorage().appendAuditEntry(entry);
+        } catch (error) {
+            console.error('Error recording audit entry:', error, entry);
+            return null;
+        }
+    }
+
+    /**
+     * Actor of a request to the API without sign-in: the LINE user named by
+     * the X-Line-User-Id header, else the user the request acts for
+     * @param {Object} req - Express request
+     * @param {string} lineUserId - User the request acts for (optional)
+     */
+    actorFromRequest(req, lineUserId = null) {
+        return {
+            lineUserId: req.get('X-Line-User-Id') || lineUserId || null,
+            role: null,
+            source: 'api'
+        };
+    }
+
+    /**
+     * Audit entries matching a query, newest first.
+     * from/to take a date (YYYY-MM-DD, whole UTC days) or an ISO timestamp.
+     * @param {Object} filters - { entityType, entityId, action, actorId, lineUserId, teamId, from, to, limit }
+     */
+    async query(filters = {}) {
+        const criteria = {};
+        ['entityType', 'entityId', 'action', 'actorId', 'lineUserId', 'teamId'].forEach(key => {
+            if (filters[key]) {
+                criteria[key] = filters[key];
+            }
+        });
+
+        if (filters.from) {
+            criteria.from = businessDate.isValidDate(filters.from)
+                ? `${filters.from}T00:00:00.000Z`
+                : new Date(filters.from).toISOString();
+        }
+        if (filters.to) {
+            criteria.to = businessDate.isValidDate(filters.to)
+                ? `${filters.to}T23:59:59.999Z`
+                : new Date(filters.to).toISOString();
+        }
+        criteria.limit = filters.limit ? parseInt(filters.limit, 10) : this.DEFAULT_LIMIT;
+
+        return getStorage().findAuditEntries(criteria);
+    }
+
+    /**
+     * Validate audit query parameters
+     * @returns {Array} Validation errors ({ path, message }), empty when valid
+     */
+    validateQuery(filters = {}) {
+        const errors = [];
+
+        if (filters.entityType !== undefined && !this.ENTITY_TYPES.includes(filters.entityType)) {
+            errors.push({ path: 'entityType', message: `entityType must be one of: ${this.ENTITY_TYPES.join(', ')}` });
+        }
+        if (filters.action !== undefined && !this.ACTIONS.includes(filters.action)) {
+            errors.push({ path: 'action', message: `action must be one of: ${this.ACTIONS.join(', ')}` });
+        }
+
+        ['from', 'to'].forEach(path => {
+            const value = filters[path];
+            if (value !== undefined && !businessDate.isValidDate(value) && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+                errors.push({ path, message: `${path} must be a date (YYYY-MM-DD) or ISO timestamp` });
+            }
+        });
+
+        if (filters.limit !== undefined) {
+            const limit = Number(filters.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > this.MAX_LIMIT) {
+                errors.push({ path: 'limit', message: `limit must be between 1 and ${this.MAX_LIMIT}` });
+            }
+        }
+
+        return errors;
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,166 @@
+const admin = require('firebase-admin');
+
+class DealService {
+    constructor() {
+        this.db = admin.firestore();
+        this.dealsCollection = 'deals';
+        this.STAGES = ['lead', 'qualified', 'proposal', 'negotiation', 'won', 'lost'];
+        this.CLOSED_STAGES = ['won', 'lost'];
+        this.STALE_AFTER_DAYS = 14; // Open deals without activity for this long are "stalled"
+    }
+
+    /**
+     * Create a new deal
+     * @param {Object} dealData - customer, value, stage, expectedCloseDate, ownerId
+     */
+    async createDeal(dealData) {
+        const now = new Date().toISOString();
+        const stage = dealData.stage || 'lead';
+
+        const deal = {
+            customer: dealData.customer,
+            value: dealData.value || 0,
+            stage,
+            expectedCloseDate: dealData.expectedCloseDate || null,
+            ownerId: dealData.ownerId,
+            stageHistory: [{ stage, changedAt: now }],
+            lastActivityAt: null,
+            lastActivityDate: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const docRef = await this.db.collection(this.dealsCollection).add(deal);
+        return { id: docRef.id, ...deal };
+    }
+
+    /**
+     * Get a single deal
+     * @param {string} dealId - Deal document ID
+     */
+    async getDeal(dealId) {
+        const doc = await this.db.collection(this.dealsCollection).doc(dealId).get();
+        if (!doc.exists) return null;
+
+        return { id: doc.id, ...doc.data() };
+    }
+
+    /**
+     * List deals, optionally filtered by owner and/or stage
+     * @param {Object} filters - { ownerId, stage }
+     */
+    async listDeals(filters = {}) {
+        let query = this.db.collection(this.dealsCollection);
+
+        if (filters.ownerId) {
+            query = query.where('ownerId', '==', filters.ownerId);
+        }
+        if (filters.stage) {
+            query = query.where('stage', '==', filters.stage);
+        }
+
+        const snapshot = await query.get();
+        const deals = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        // Most recently touched deals first
+        deals.sort((a, b) => (b.lastActivityAt || b.createdAt || '').localeCompare(a.lastActivityAt || a.createdAt || ''));
+        return deals;
+    }
+
+    /**
+     * Update a deal. Stage changes are appended to the deal's stage history.
+     * @param {string} dealId - Deal document ID
+     * @param {Object} updates - Any of customer, value, stage, expectedCloseDate, ownerId
+     */
+    async updateDeal(dealId, updates) {
+        const docRef = this.db.collection(this.dealsCollection).doc(dealId);
+        const doc = await docRef.get();
+        if (!doc.exists) return null;
+
+        const current = doc.data();
+        const now = new Date().toISOString();
+        const changes = { ...updates, updatedAt: now };
+
+        if (updates.stage && updates.stage !== current.stage) {
+            changes.stageHistory = [...(current.stageHistory || []), { stage: updates.stage, changedAt: now }];
+        }
+
+        await docRef.update(changes);
+        return { id: dealId, ...current, ...changes };
+    }
+
+    /**
+     * Delete a deal
+     * @param {string} dealId - Deal document ID
+     */
+    async deleteDeal(dealId) {
+        await this.db.collection(this.dealsCollection).doc(dealId).delete();
+        return true;
+    }
+
+    /**
+     * Get IDs of all deals currently in a stage (used to filter activities)
+     * @param {string} stage - Deal stage
+     */
+    async getDealIdsByStage(stage) {
+        const snapshot = await this.db.collection(this.dealsCollection)
+            .where('stage', '==', stage)
+            .get();
+
+        return snapshot.docs.map(doc => doc.id);
+    }
+
+    /**
+     * Mark a deal as touched by a logged activity
+     * @param {string} dealId - Deal document ID
+     * @param {Object} activity - The activity that was attached ({ date })
+     */
+    async recordActivity(dealId, activity) {
+        await this.db.collection(this.dealsCollection).doc(dealId).update({
+            lastActivityAt: new Date().toISOString(),
+            lastActivityDate: activity.date || null
+        });
+    }
+
+    /**
+     * Summarize the pipeline per stage, separating deals that are moving
+     * (recent activity) from stalled ones
+     * @param {Object} filters - { ownerId }
+     */
+    async getPipelineSummary(filters = {}) {
+        const deals = await this.listDeals({ ownerId: filters.ownerId });
+        const staleCutoff = new Date(Date.now() - this.STALE_AFTER_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        const stages = {};
+        this.STAGES.forEach(stage => {
+            stages[stage] = { stage, count: 0, value: 0, moving: 0, stalled: 0 };
+        });
+
+        deals.forEach(deal => {
+            const summary = stages[deal.stage];
+            if (!summary) return;
+
+            summary.count++;
+            summary.value += deal.value || 0;
+
+            if (this.CLOSED_STAGES.includes(deal.stage)) return;
+
+            if (deal.lastActivityAt && deal.lastActivityAt >= staleCutoff) {
+                summary.moving++;
+            } else {
+                summary.stalled++;
+            }
+        });
+
+        return {
+            totalDeals: deals.length,
+            openValue: deals
+                .filter(d => !this.CLOSED_STAGES.includes(d.stage))
+                .reduce((sum, d) => sum + (d.value || 0), 0),
+            staleAfterDays: this.STALE_AFTER_DAYS,
+            stages: Object.values(stages)
+        };
+    }
+}
+
+module.exports = new DealService();
@@ -4,6 +4,9 @@
  */
 
 const admin = require('firebase-admin');
+const businessDate = require('../utils/business-date');
+const ranking = require('../utils/leaderboard-ranking');
+const Repository = require('../storage/repository');
 
 // Initialize Firebase Admin if not already initialized
 if (!admin.apps.length) {
@@ -38,12 +41,23 @@ const db = admin.firestore();
 const collections = {
   users: db.collection('users'),
   activities: db.collection('activities'),
+  // Soft-deleted activities, under their original document ID
+  deletedActivities: db.collection('deleted_activities'),
   groups: db.collection('groups'),
   cache: db.collection('cache'),
-  stats: db.collection('stats')
+  stats: db.collection('stats'),
+  leaderboardAggregates: db.collection('leaderboard_aggregates'),
+  auditLog: db.collection('audit_log'),
+  jobState: db.collection('job_state'),
+  digestEntries: db.collection('digest_entries'),
+  outbox: db.collection('line_outbox')
 };
 
-class FirestoreService {
+// Calendar periods kept as per-user leaderboard aggregate documents
+const AGGREGATE_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// The Firestore storage adapter (see storage/repository.js for the contract)
+class FirestoreService extends Repository {
   // User operations
   async createOrUpdateUser(lineUserId, userData) {
     try {
@@ -93,6 +107,93 @@ class FirestoreService {
     }
   }
 
+  async findUsers(criteria = {}) {
+    try {
+      const query = criteria.teamId
+        ? collections.users.where('teamId', '==', criteria.teamId)
+        : collections.users;
+      const snapshot = await query.get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error finding users:', error);
+      throw error;
+    }
+  }
+
+  // Team membership operations
+  async getTeamUsers(teamId) {
+    try {
+      const snapshot = await collections.users
+        .where('teamId', '==', teamId)
+        .get();
+      
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting team users:', error);
+      throw error;
+    }
+  }
+
+  // Move a user into a team. Activities logged before the user had a team
+  // are claimed by the new team, and their leaderboard aggregates move with
+  // them; activities logged for another team stay there.
+  async setUserTeam(lineUserId, teamId, organizationId) {
+    try {
+      const userRef = collections.users.doc(lineUserId);
+      const doc = await userRef.get();
+      
+      if (!doc.exists) return null;
+      
+      const writes = [batch => batch.update(userRef, {
+        teamId: teamId || null,
+        organizationId: organizationId || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      })];
+      
+      if (teamId) {
+        const snapshot = await collections.activities
+          .where('lineUserId', '==', lineUserId)
+          .get();
+        
+        const unassigned = snapshot.docs.filter(activity => !activity.data().teamId);
+        unassigned.forEach(activity => {
+          writes.push(batch => batch.update(activity.ref, { teamId }));
+        });
+        writes.push(...await this.moveAggregates(
+          unassigned.map(activity => activity.data()),
+          teamId,
+          { ...doc.data(), lineUserId }
+        ));
+      }
+      
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < writes.length; i += 500) {
+        const batch = db.batch();
+        writes.slice(i, i + 500).forEach(write => write(batch));
+        await batch.commit();
+      }
+      
+      return { id: lineUserId, ...doc.data(), teamId: teamId || null, organizationId: organizationId || null };
+    } catch (error) {
+      console.error('Error setting user team:', error);
+      throw error;
+    }
+  }
+
+  async updateUserRole(lineUserId, role) {
+    try {
+      await collections.users.doc(lineUserId).update({
+        role,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return true;
+    } catch (error) {
+      console.error('Error updating user role:', error);
+      throw error;
+    }
+  }
+
   async updateUserSettings(lineUserId, settings) {
     try {
       await collections.users.doc(lineUserId).update({
@@ -109,13 +210,21 @@ class FirestoreService {
   // Activity operations
   async createActivity(activityData) {
     try {
-      const docRef = await collections.activities.add({
-        ...activityData,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      const docRef = collections.activities.doc();
+      
+      // The activity and its leaderboard aggregates are written together
+      await db.runTransaction(async (transaction) => {
+        const writeAggregates = await this.readAggregates(transaction, { added: { ...activityData, createdAt: new Date() } });
+        
+        transaction.create(docRef, {
+          ...activityData,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        writeAggregates();
       });
       
-      // Update user stats
-      await this.updateUserStats(activityData.lineUserId);
+      // Update user stats and cached leaderboards
+      await this.refreshAfterActivityWrite(activityData);
       
       return { id: docRef.id, ...activityData };
     } catch (error) {
@@ -124,6 +233,44 @@ class FirestoreService {
     }
   }
 
+  // Create an activity keyed by its client-generated ID. A retried sync finds the
+  // existing document instead of adding a second one: { created, activity }
+  async createActivityOnce(clientId, activityData) {
+    try {
+      const docRef = collections.activities.doc(clientId);
+      const deletedRef = collections.deletedActivities.doc(clientId);
+
+      const existing = await db.runTransaction(async (transaction) => {
+        // A retry of an activity deleted since is not stored again
+        const [doc, deletedDoc] = await transaction.getAll(docRef, deletedRef);
+        if (doc.exists || deletedDoc.exists) {
+          const found = doc.exists ? doc : deletedDoc;
+          return { id: found.id, ...found.data() };
+        }
+
+        const writeAggregates = await this.readAggregates(transaction, { added: { ...activityData, createdAt: new Date() } });
+        transaction.create(docRef, {
+          ...activityData,
+          clientId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        writeAggregates();
+        return null;
+      });
+
+      if (existing) {
+        return { created: false, activity: existing };
+      }
+
+      await this.refreshAfterActivityWrite(activityData);
+
+      return { created: true, activity: { id: clientId, ...activityData, clientId } };
+    } catch (error) {
+      console.error('Error creating activity:', error);
+      throw error;
+    }
+  }
+
   async getUserActivities(lineUserId, date = null) {
     try {
       let query = collections.activities
@@ -155,9 +302,80 @@ class FirestoreService {
     }
   }
 
+  async getActivity(activityId) {
+    try {
+      const doc = await collections.activities.doc(activityId).get();
+      if (!doc.exists) return null;
+      
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting activity:', error);
+      throw error;
+    }
+  }
+
+  async updateActivity(activityId, changes) {
+    try {
+      const docRef = collections.activities.doc(activityId);
+      
+      // Move the activity between aggregates as its date, type or points change
+      const result = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          return null;
+        }
+        
+        const before = doc.data();
+        const after = { ...before, ...changes };
+        const writeAggregates = await this.readAggregates(transaction, { removed: before, added: after });
+        transaction.update(docRef, {
+          ...changes,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        writeAggregates();
+        return { before, after };
+      });
+      
+      if (!result) {
+        return null;
+      }
+      
+      await this.refreshAfterActivityWrite(result.after);
+      if (result.before.date !== result.after.date) {
+        await this.invalidateLeaderboardCache(result.before.date).catch(() => {});
+      }
+      return { id: activityId, ...result.after };
+    } catch (error) {
+      console.error('Error updating activity:', error);
+      throw error;
+    }
+  }
+
+  // Soft delete: the document moves to deleted_activities under the same ID
   async deleteActivity(activityId) {
     try {
-      await collections.activities.doc(activityId).delete();
+      const docRef = collections.activities.doc(activityId);
+      
+      // Take the activity out of its leaderboard aggregates as it is deleted
+      const activity = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          return null;
+        }
+        
+        const writeAggregates = await this.readAggregates(transaction, { removed: doc.data() });
+        transaction.set(collections.deletedActivities.doc(activityId), {
+          ...doc.data(),
+          deletedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.delete(docRef);
+        writeAggregates();
+        return doc.data();
+      });
+      
+      if (activity) {
+        await this.refreshAfterActivityWrite(activity);
+      }
       return true;
     } catch (error) {
       console.error('Error deleting activity:', error);
@@ -165,6 +383,65 @@ class FirestoreService {
     }
   }
 
+  async getDeletedActivity(activityId) {
+    try {
+      const doc = await collections.deletedActivities.doc(activityId).get();
+      if (!doc.exists) return null;
+      
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting deleted activity:', error);
+      throw error;
+    }
+  }
+
+  async restoreActivity(activityId) {
+    try {
+      const deletedRef = collections.deletedActivities.doc(activityId);
+      
+      const activity = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(deletedRef);
+        if (!doc.exists) {
+          return null;
+        }
+        
+        const { deletedAt, ...data } = doc.data();
+        const writeAggregates = await this.readAggregates(transaction, { added: data });
+        transaction.create(collections.activities.doc(activityId), data);
+        transaction.delete(deletedRef);
+        writeAggregates();
+        return data;
+      });
+      
+      if (!activity) {
+        return null;
+      }
+      
+      await this.refreshAfterActivityWrite(activity);
+      return { id: activityId, ...activity };
+    } catch (error) {
+      console.error('Error restoring activity:', error);
+      throw error;
+    }
+  }
+
+  // Activities logged for a team, newest first
+  async getTeamActivities(teamId, limit = 100) {
+    try {
+      const snapshot = await collections.activities
+        .where('teamId', '==', teamId)
+        .get();
+      
+      const activities = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      activities.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+      
+      return activities.slice(0, limit);
+    } catch (error) {
+      console.error('Error getting team activities:', error);
+      throw error;
+    }
+  }
+
   // Get activities by date range
   async getActivitiesByDateRange(lineUserId, startDate, endDate) {
     try {
@@ -190,11 +467,127 @@ class FirestoreService {
     }
   }
 
+  // Deal-linked activity operations
+  async getDealActivities(dealId) {
+    try {
+      const snapshot = await collections.activities
+        .where('dealId', '==', dealId)
+        .get();
+      
+      const activities = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      activities.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+      
+      return activities;
+    } catch (error) {
+      console.error('Error getting deal activities:', error);
+      throw error;
+    }
+  }
+
+  async attachActivityToDeal(activityId, dealId) {
+    try {
+      await collections.activities.doc(activityId).update({ dealId });
+      return true;
+    } catch (error) {
+      console.error('Error attaching activity to deal:', error);
+      throw error;
+    }
+  }
+
+  async detachActivitiesFromDeal(dealId) {
+    try {
+      const snapshot = await collections.activities
+        .where('dealId', '==', dealId)
+        .get();
+      
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + 500).forEach(doc => {
+          batch.update(doc.ref, { dealId: null });
+        });
+        await batch.commit();
+      }
+      
+      return snapshot.size;
+    } catch (error) {
+      console.error('Error detaching activities from deal:', error);
+      throw error;
+    }
+  }
+
+  // Customer-linked activity operations (field is 'accountId' or 'contactId')
+  async getCustomerActivities(field, customerId, limit = 100) {
+    try {
+      const snapshot = await collections.activities
+        .where(field, '==', customerId)
+        .get();
+      
+      const activities = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      activities.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+      
+      return activities.slice(0, limit);
+    } catch (error) {
+      console.error('Error getting customer activities:', error);
+      throw error;
+    }
+  }
+
+  async reassignCustomerActivities(field, fromId, toId) {
+    try {
+      const snapshot = await collections.activities
+        .where(field, '==', fromId)
+        .get();
+      
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + 500).forEach(doc => {
+          batch.update(doc.ref, { [field]: toId });
+        });
+        await batch.commit();
+      }
+      
+      return snapshot.size;
+    } catch (error) {
+      console.error('Error reassigning customer activities:', error);
+      throw error;
+    }
+  }
+
+  // Rescoring: write recomputed points back to activities
+  // scores: [{ id, points, basePoints, ruleVersion }]
+  // Leaderboard aggregates of the rescored range need rebuildLeaderboardAggregates afterwards
+  async updateActivityScores(scores) {
+    try {
+      const rescoredAt = admin.firestore.FieldValue.serverTimestamp();
+      
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < scores.length; i += 500) {
+        const batch = db.batch();
+        scores.slice(i, i + 500).forEach(({ id, points, basePoints, ruleVersion }) => {
+          batch.update(collections.activities.doc(id), { points, basePoints, ruleVersion, rescoredAt });
+        });
+        await batch.commit();
+      }
+      
+      return scores.length;
+    } catch (error) {
+      console.error('Error updating activity scores:', error);
+      throw error;
+    }
+  }
+
   // Team/Stats operations
-  async getTeamStats() {
+  // teamId limits stats to one sales team; without it stats cover everyone.
+  // date is the business date counted as "today" (default timezone when omitted)
+  async getTeamStats(teamId = null, date = null) {
     try {
+      const today = date || businessDate.getBusinessDate();
+      const cacheKey = `${teamId ? `team_stats_${teamId}` : 'team_stats'}_${today}`;
+      
       // Check cache first
-      const cacheDoc = await collections.cache.doc('team_stats').get();
+      const cacheDoc = await collections.cache.doc(cacheKey).get();
       
       if (cacheDoc.exists) {
         const cacheData = cacheDoc.data();
@@ -204,10 +597,10 @@ class FirestoreService {
       }
       
       // Calculate fresh stats
-      const stats = await this.calculateTeamStats();
+      const stats = await this.calculateTeamStats(teamId, today);
       
       // Cache for 1 hour
-      await collections.cache.doc('team_stats').set({
+      await collections.cache.doc(cacheKey).set({
         data: stats,
         expiresAt: admin.firestore.Timestamp.fromDate(
           new Date(Date.now() + 60 * 60 * 1000)
@@ -221,10 +614,11 @@ class FirestoreService {
     }
   }
 
-  async calculateTeamStats() {
+  async calculateTeamStats(teamId = null, date = null) {
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const today = date || businessDate.getBusinessDate();
       const stats = {
+        teamId,
         totalUsers: 0,
         totalPoints: 0,
         totalActivities: 0,
@@ -233,12 +627,14 @@ class FirestoreService {
         topPerformers: []
       };
       
-      // Get all users
-      const usersSnapshot = await collections.users.get();
+      // Get all users (of the team)
+      const usersQuery = teamId ? collections.users.where('teamId', '==', teamId) : collections.users;
+      const usersSnapshot = await usersQuery.get();
       stats.totalUsers = usersSnapshot.size;
       
-      // Get all activities
-      const activitiesSnapshot = await collections.activities.get();
+      // Get all activities (logged for the team)
+      const activitiesQuery = teamId ? collections.activities.where('teamId', '==', teamId) : collections.activities;
+      const activitiesSnapshot = await activitiesQuery.get();
       const userPoints = {};
       
       activitiesSnapshot.forEach(doc => {
@@ -282,9 +678,23 @@ class FirestoreService {
   }
 
   // Leaderboard operations
-  async getLeaderboard(period = 'daily', date = null) {
+  // filters.dealStage / filters.dealIds restrict the board to activities on deals in that stage
+  // filters.teamId restricts it to activities logged by members of one team
+  // filters.mode picks the ranking (utils/leaderboard-ranking.js, points by default)
+  async getLeaderboard(period = 'daily', date = null, filters = {}) {
+    const { startDate, endDate } = this.getPeriodRange(period, date);
+    const leaderboard = await this.getLeaderboardForRange(startDate, endDate, filters);
+    
+    return { ...leaderboard, period };
+  }
+  
+  // Leaderboard of any date range (inclusive); its period is 'custom'
+  async getLeaderboardForRange(startDate, endDate, filters = {}) {
     try {
-      const cacheKey = `leaderboard_${period}_${date || 'current'}`;
+      const stageSuffix = filters.dealStage ? `_${filters.dealStage}` : '';
+      const teamSuffix = filters.teamId ? `_team_${filters.teamId}` : '';
+      const modeSuffix = filters.mode && filters.mode !== ranking.DEFAULT_MODE ? `_mode_${filters.mode}` : '';
+      const cacheKey = `leaderboard_${startDate}_${endDate}${stageSuffix}${teamSuffix}${modeSuffix}`;
       
       // Check cache
       const cacheDoc = await collections.cache.doc(cacheKey).get();
@@ -296,11 +706,13 @@ class FirestoreService {
       }
       
       // Calculate fresh leaderboard
-      const leaderboard = await this.calculateLeaderboard(period, date);
+      const leaderboard = await this.calculateLeaderboard(startDate, endDate, filters);
       
-      // Cache for 5 minutes
+      // Cache for 5 minutes; the range lets writes drop only the boards they change
       await collections.cache.doc(cacheKey).set({
         data: leaderboard,
+        startDate,
+        endDate,
         expiresAt: admin.firestore.Timestamp.fromDate(
           new Date(Date.now() + 5 * 60 * 1000)
         )
@@ -313,34 +725,23 @@ class FirestoreService {
     }
   }
 
-  async calculateLeaderboard(period, date) {
+  // First and last date (YYYY-MM-DD) of the daily/weekly/monthly period containing date
+  // (today's business date in the default timezone when omitted)
+  getPeriodRange(period, date = null) {
+    return businessDate.getPeriodRange(period, date || businessDate.getBusinessDate());
+  }
+
+  async calculateLeaderboard(startDate, endDate, filters = {}) {
+    // Aggregates hold every activity of a user, so boards limited to some
+    // deals are still calculated from the activities themselves
+    if (!filters.dealIds) {
+      return this.calculateLeaderboardFromAggregates(startDate, endDate, filters);
+    }
+    
     try {
-      const targetDate = date || new Date().toISOString().split('T')[0];
-      let startDate, endDate;
-      
-      switch (period) {
-        case 'daily':
-          startDate = targetDate;
-          endDate = targetDate;
-          break;
-        case 'weekly':
-          // Get start of week (Monday)
-          const d = new Date(targetDate);
-          const day = d.getDay();
-          const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-          startDate = new Date(d.setDate(diff)).toISOString().split('T')[0];
-          endDate = new Date(d.setDate(diff + 6)).toISOString().split('T')[0];
-          break;
-        case 'monthly':
-          startDate = targetDate.substring(0, 7) + '-01';
-          const lastDay = new Date(targetDate.substring(0, 4), targetDate.substring(5, 7), 0);
-          endDate = lastDay.toISOString().split('T')[0];
-          break;
-      }
-      
       // Get activities within date range
       let query = collections.activities;
-      if (period === 'daily') {
+      if (startDate === endDate) {
         query = query.where('date', '==', startDate);
       } else {
         query = query
@@ -349,19 +750,20 @@ class FirestoreService {
       }
       
       const snapshot = await query.get();
+      const mode = filters.mode || ranking.DEFAULT_MODE;
       const userStats = {};
+      const dealIds = filters.dealIds ? new Set(filters.dealIds) : null;
       
-      // Aggregate points and activities by user
+      // Aggregate points, activities and the ranking metrics by user
       snapshot.forEach(doc => {
         const activity = doc.data();
+        if (dealIds && !dealIds.has(activity.dealId)) return;
+        if (filters.teamId && activity.teamId !== filters.teamId) return;
+        
         if (!userStats[activity.lineUserId]) {
-          userStats[activity.lineUserId] = {
-            points: 0,
-            activities: 0
-          };
+          userStats[activity.lineUserId] = ranking.createStats();
         }
-        userStats[activity.lineUserId].points += activity.points || 0;
-        userStats[activity.lineUserId].activities++;
+        ranking.addActivity(userStats[activity.lineUserId], activity);
       });
       
       // Get user details and create leaderboard
@@ -379,36 +781,311 @@ class FirestoreService {
         }
       }
       
-      // Sort by points
-      leaderboard.sort((a, b) => b.points - a.points);
+      // Score, sort (ties to whoever reached their score first) and rank
+      const entries = ranking.rankEntries(leaderboard, mode);
+      
+      return {
+        period: 'custom',
+        startDate,
+        endDate,
+        mode,
+        dealStage: filters.dealStage || null,
+        teamId: filters.teamId || null,
+        entries,
+        totalParticipants: entries.length
+      };
+    } catch (error) {
+      console.error('Error calculating leaderboard:', error);
+      throw error;
+    }
+  }
+
+  // Leaderboard from aggregate documents only: the period's own documents for
+  // a calendar day/week/month, otherwise the daily documents of the range
+  async calculateLeaderboardFromAggregates(startDate, endDate, filters = {}) {
+    try {
+      const mode = filters.mode || ranking.DEFAULT_MODE;
+      const period = businessDate.getCalendarPeriod(startDate, endDate);
+      
+      let query = collections.leaderboardAggregates;
+      if (period) {
+        query = query
+          .where('period', '==', period)
+          .where('startDate', '==', startDate);
+      } else {
+        query = query
+          .where('period', '==', 'daily')
+          .where('startDate', '>=', startDate)
+          .where('startDate', '<=', endDate);
+      }
+      if (filters.teamId) {
+        query = query.where('teamId', '==', filters.teamId);
+      }
+      
+      // A user has one document per team they logged for in the period
+      const snapshot = await query.get();
+      const userStats = {};
       
-      // Add rankings
-      leaderboard.forEach((entry, index) => {
-        entry.rank = index + 1;
+      snapshot.forEach(doc => {
+        const aggregate = doc.data();
+        if (!userStats[aggregate.userId]) {
+          userStats[aggregate.userId] = {
+            userId: aggregate.userId,
+            displayName: aggregate.displayName,
+            pictureUrl: aggregate.pictureUrl,
+            ...ranking.createStats()
+          };
+        }
+        ranking.mergeStats(userStats[aggregate.userId], aggregate);
       });
       
+      const entries = ranking.rankEntries(Object.values(userStats), mode);
+      
       return {
-        period,
+        period: 'custom',
         startDate,
         endDate,
-        entries: leaderboard,
-        totalParticipants: leaderboard.length
+        mode,
+        dealStage: filters.dealStage || null,
+        teamId: filters.teamId || null,
+        entries,
+        totalParticipants: entries.length
       };
     } catch (error) {
-      console.error('Error calculating leaderboard:', error);
+      console.error('Error calculating leaderboard from aggregates:', error);
+      throw error;
+    }
+  }
+
+  // Leaderboard aggregates
+  // One document per user, team and calendar day/week/month holds the user's
+  // ranking totals (utils/leaderboard-ranking.js) with their name and picture,
+  // written in the same transaction as the activity it changes.
+
+  // Aggregate documents an activity counts towards: its day, week and month
+  getAggregateTargets(activity) {
+    const date = (activity.date || '').split('T')[0];
+    if (!businessDate.isValidDate(date)) {
+      return [];
+    }
+    
+    return AGGREGATE_PERIODS.map(period => {
+      const { startDate, endDate } = businessDate.getPeriodRange(period, date);
+      const docId = `${period}_${startDate}_${activity.teamId || 'none'}_${activity.lineUserId}`;
+      return { period, startDate, endDate, ref: collections.leaderboardAggregates.doc(docId) };
+    });
+  }
+
+  // Read the aggregates of an activity write and its user inside a transaction
+  // (Firestore needs every read before the first write). An edit passes the
+  // activity as it was (removed) and as it will be (added). Returns a function
+  // that writes the aggregates back with the change applied.
+  async readAggregates(transaction, { added = null, removed = null }) {
+    const targets = new Map();
+    [['removed', removed], ['added', added]].forEach(([change, activity]) => {
+      if (!activity) return;
+      
+      this.getAggregateTargets(activity).forEach(target => {
+        const entry = targets.get(target.ref.path) || target;
+        targets.set(target.ref.path, { ...entry, [change]: activity });
+      });
+    });
+    if (targets.size === 0) {
+      return () => {};
+    }
+    
+    const owner = added || removed;
+    const entries = [...targets.values()];
+    const [userDoc, ...aggregateDocs] = await transaction.getAll(
+      collections.users.doc(owner.lineUserId),
+      ...entries.map(target => target.ref)
+    );
+    const user = userDoc.exists ? userDoc.data() : {};
+    
+    return () => {
+      entries.forEach((target, index) => {
+        const doc = aggregateDocs[index];
+        const stats = doc.exists ? { ...ranking.createStats(), ...doc.data() } : ranking.createStats();
+        
+        if (target.removed) {
+          ranking.removeActivity(stats, target.removed);
+        }
+        if (target.added) {
+          ranking.addActivity(stats, target.added);
+        }
+        
+        if (stats.activities === 0) {
+          transaction.delete(target.ref);
+          return;
+        }
+        
+        transaction.set(target.ref, {
+          ...stats,
+          userId: owner.lineUserId,
+          teamId: owner.teamId || null,
+          period: target.period,
+          startDate: target.startDate,
+          endDate: target.endDate,
+          displayName: user.displayName || null,
+          pictureUrl: user.pictureUrl || null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    };
+  }
+
+  // Batch writes that move a user's activities from their aggregates to the
+  // aggregates of another team (setUserTeam); user is { lineUserId, displayName, pictureUrl }
+  async moveAggregates(activities, teamId, user) {
+    const targets = new Map();
+    activities.forEach(activity => {
+      [['removed', activity], ['added', { ...activity, teamId }]].forEach(([change, version]) => {
+        this.getAggregateTargets(version).forEach(target => {
+          const entry = targets.get(target.ref.path) ||
+            { ...target, teamId: version.teamId || null, removed: [], added: [] };
+          entry[change].push(version);
+          targets.set(target.ref.path, entry);
+        });
+      });
+    });
+    if (targets.size === 0) {
+      return [];
+    }
+    
+    const entries = [...targets.values()];
+    const aggregateDocs = await db.getAll(...entries.map(target => target.ref));
+    
+    return entries.map((target, index) => {
+      const doc = aggregateDocs[index];
+      const stats = doc.exists ? { ...ranking.createStats(), ...doc.data() } : ranking.createStats();
+      target.removed.forEach(activity => ranking.removeActivity(stats, activity));
+      target.added.forEach(activity => ranking.addActivity(stats, activity));
+      
+      if (stats.activities === 0) {
+        return batch => batch.delete(target.ref);
+      }
+      return batch => batch.set(target.ref, {
+        ...stats,
+        userId: user.lineUserId,
+        teamId: target.teamId,
+        period: target.period,
+        startDate: target.startDate,
+        endDate: target.endDate,
+        displayName: user.displayName || null,
+        pictureUrl: user.pictureUrl || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  }
+
+  /**
+   * Recompute aggregate documents from the activities, for activities stored
+   * before aggregates existed or changed in bulk (rescoring). A range is
+   * widened to whole weeks and months so each period it touches is rebuilt
+   * completely; without one every aggregate is rebuilt.
+   * @param {string} startDate - YYYY-MM-DD first day (optional)
+   * @param {string} endDate - YYYY-MM-DD last day (optional)
+   * @returns {number} Aggregate documents written
+   */
+  async rebuildLeaderboardAggregates(startDate = null, endDate = null) {
+    try {
+      let from = null;
+      let to = null;
+      if (startDate && endDate) {
+        const starts = AGGREGATE_PERIODS.map(period => businessDate.getPeriodRange(period, startDate).startDate);
+        const ends = AGGREGATE_PERIODS.map(period => businessDate.getPeriodRange(period, endDate).endDate);
+        from = starts.sort()[0];
+        to = ends.sort()[ends.length - 1];
+      }
+      
+      // Only periods entirely inside the widened range are rebuilt
+      const covered = (aggregate) => !from || (aggregate.startDate >= from && aggregate.endDate <= to);
+      
+      let activityQuery = collections.activities;
+      let aggregateQuery = collections.leaderboardAggregates;
+      if (from) {
+        activityQuery = activityQuery.where('date', '>=', from).where('date', '<=', `${to}\uf8ff`);
+        aggregateQuery = aggregateQuery.where('startDate', '>=', from).where('startDate', '<=', to);
+      }
+      
+      const [activitySnapshot, aggregateSnapshot] = await Promise.all([
+        activityQuery.get(),
+        aggregateQuery.get()
+      ]);
+      
+      const aggregates = new Map();
+      activitySnapshot.forEach(doc => {
+        const activity = doc.data();
+        this.getAggregateTargets(activity).filter(covered).forEach(target => {
+          if (!aggregates.has(target.ref.id)) {
+            aggregates.set(target.ref.id, {
+              ref: target.ref,
+              data: {
+                ...ranking.createStats(),
+                userId: activity.lineUserId,
+                teamId: activity.teamId || null,
+                period: target.period,
+                startDate: target.startDate,
+                endDate: target.endDate
+              }
+            });
+          }
+          ranking.addActivity(aggregates.get(target.ref.id).data, activity);
+        });
+      });
+      
+      // Names and pictures of everyone with an aggregate
+      const userIds = [...new Set([...aggregates.values()].map(aggregate => aggregate.data.userId))];
+      const userDocs = userIds.length > 0
+        ? await db.getAll(...userIds.map(userId => collections.users.doc(userId)))
+        : [];
+      const users = new Map(userDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+      
+      const writes = [];
+      aggregateSnapshot.forEach(doc => {
+        if (covered(doc.data()) && !aggregates.has(doc.id)) {
+          writes.push(batch => batch.delete(doc.ref));
+        }
+      });
+      aggregates.forEach(({ ref, data }) => {
+        const user = users.get(data.userId) || {};
+        writes.push(batch => batch.set(ref, {
+          ...data,
+          displayName: user.displayName || null,
+          pictureUrl: user.pictureUrl || null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+      });
+      
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < writes.length; i += 500) {
+        const batch = db.batch();
+        writes.slice(i, i + 500).forEach(write => write(batch));
+        await batch.commit();
+      }
+      
+      return aggregates.size;
+    } catch (error) {
+      console.error('Error rebuilding leaderboard aggregates:', error);
       throw error;
     }
   }
 
   // Group operations
-  async registerGroup(groupId, groupName, registeredBy) {
+  async registerGroup(groupId, groupName, registeredBy, teamId = null) {
     try {
-      await collections.groups.doc(groupId).set({
-        groupName,
+      const groupRef = collections.groups.doc(groupId);
+      const existing = await groupRef.get();
+      
+      // Registering again keeps the group's settings, creation time and,
+      // unless a new one is given, its name and team
+      await groupRef.set({
         registeredBy,
         notificationsEnabled: true,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+        ...(groupName || !existing.exists ? { groupName } : {}),
+        ...(teamId || !existing.exists ? { teamId } : {}),
+        ...(!existing.exists ? { createdAt: admin.firestore.FieldValue.serverTimestamp() } : {})
+      }, { merge: true });
       return true;
     } catch (error) {
       console.error('Error registering group:', error);
@@ -444,6 +1121,32 @@ class FirestoreService {
     }
   }
 
+  // Groups that receive a team's notifications; teamId null means unassigned groups
+  async getTeamGroups(teamId) {
+    try {
+      const groups = await this.getAllGroups();
+      return groups.filter(group => (group.teamId || null) === (teamId || null));
+    } catch (error) {
+      console.error('Error getting team groups:', error);
+      throw error;
+    }
+  }
+
+  async setGroupTeam(groupId, teamId) {
+    try {
+      const groupRef = collections.groups.doc(groupId);
+      const doc = await groupRef.get();
+      
+      if (!doc.exists) return false;
+      
+      await groupRef.update({ teamId: teamId || null });
+      return true;
+    } catch (error) {
+      console.error('Error setting group team:', error);
+      throw error;
+    }
+  }
+
   async toggleGroupNotifications(groupId) {
     try {
       const groupRef = collections.groups.doc(groupId);
@@ -463,7 +1166,31 @@ class FirestoreService {
     }
   }
 
+  async updateGroupSettings(groupId, settings) {
+    try {
+      const groupRef = collections.groups.doc(groupId);
+      const doc = await groupRef.get();
+      
+      if (!doc.exists) return false;
+      
+      await groupRef.update({ settings });
+      return true;
+    } catch (error) {
+      console.error('Error updating group settings:', error);
+      throw error;
+    }
+  }
+
   // Helper methods
+
+  // Recompute the user's totals and drop cached boards covering the activity's date
+  async refreshAfterActivityWrite(activity) {
+    await this.updateUserStats(activity.lineUserId);
+    
+    // The write itself succeeded; a stale cache expires within 5 minutes anyway
+    await this.invalidateLeaderboardCache(activity.date).catch(() => {});
+  }
+
   async updateUserStats(lineUserId) {
     try {
       const activities = await this.getUserActivities(lineUserId);
@@ -550,6 +1277,252 @@ class FirestoreService {
     }
   }
 
+  // Audit log (append-only: entries are only ever added)
+  async appendAuditEntry(entry) {
+    try {
+      const docRef = await collections.auditLog.add(entry);
+      return { id: docRef.id, ...entry };
+    } catch (error) {
+      console.error('Error appending audit entry:', error);
+      throw error;
+    }
+  }
+
+  async findAuditEntries(criteria = {}) {
+    try {
+      let query = collections.auditLog;
+      const filters = [
+        ['entityType', 'entityType'],
+        ['entityId', 'entityId'],
+        ['action', 'action'],
+        ['actorId', 'actor.lineUserId'],
+        ['lineUserId', 'lineUserId'],
+        ['teamId', 'teamId']
+      ];
+      
+      filters.forEach(([key, field]) => {
+        if (criteria[key]) {
+          query = query.where(field, '==', criteria[key]);
+        }
+      });
+      if (criteria.from) {
+        query = query.where('createdAt', '>=', criteria.from);
+      }
+      if (criteria.to) {
+        query = query.where('createdAt', '<=', criteria.to);
+      }
+      
+      const snapshot = await query
+        .orderBy('createdAt', 'desc')
+        .limit(criteria.limit || 100)
+        .get();
+      
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error finding audit entries:', error);
+      throw error;
+    }
+  }
+
+  // Scheduled jobs
+  async getJobState(key) {
+    try {
+      const doc = await collections.jobState.doc(key).get();
+      return doc.exists ? { ...doc.data(), key } : null;
+    } catch (error) {
+      console.error('Error getting job state:', error);
+      throw error;
+    }
+  }
+
+  async listJobStates() {
+    try {
+      const snapshot = await collections.jobState.get();
+      return snapshot.docs.map(doc => ({ ...doc.data(), key: doc.id }));
+    } catch (error) {
+      console.error('Error listing job states:', error);
+      throw error;
+    }
+  }
+
+  async updateJobState(key, changes) {
+    try {
+      const docRef = collections.jobState.doc(key);
+      const fields = Object.fromEntries(Object.entries(changes).filter(([field, value]) => field !== 'key' && value !== undefined));
+      
+      await docRef.set(fields, { merge: true });
+      const doc = await docRef.get();
+      return { ...doc.data(), key };
+    } catch (error) {
+      console.error('Error updating job state:', error);
+      throw error;
+    }
+  }
+
+  // The check and the claim run in one transaction, so of several
+  // instances waking up for the same run only one claims it
+  async claimJobRun(key, { owner, scheduledFor, lockedUntil, now }) {
+    try {
+      const docRef = collections.jobState.doc(key);
+      
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        const state = doc.exists ? doc.data() : {};
+        
+        if ((state.lockedUntil && state.lockedUntil > now) ||
+            (state.lastScheduledFor && state.lastScheduledFor >= scheduledFor)) {
+          return false;
+        }
+        
+        transaction.set(docRef, { lockedBy: owner, lockedUntil, lastScheduledFor: scheduledFor }, { merge: true });
+        return true;
+      });
+    } catch (error) {
+      console.error('Error claiming job run:', error);
+      throw error;
+    }
+  }
+
+  // Notification digests
+  async appendDigestEntry(entry) {
+    try {
+      const docRef = await collections.digestEntries.add(entry);
+      return { id: docRef.id, ...entry };
+    } catch (error) {
+      console.error('Error appending digest entry:', error);
+      throw error;
+    }
+  }
+
+  async listDigestEntries(groupId = null) {
+    try {
+      const query = groupId ? collections.digestEntries.where('groupId', '==', groupId) : collections.digestEntries;
+      const snapshot = await query.get();
+      
+      // Sorted here so the group filter needs no composite index
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+      console.error('Error listing digest entries:', error);
+      throw error;
+    }
+  }
+
+  async deleteDigestEntries(ids) {
+    try {
+      // Batches hold at most 500 writes
+      for (let i = 0; i < ids.length; i += 500) {
+        const batch = db.batch();
+        ids.slice(i, i + 500).forEach(id => batch.delete(collections.digestEntries.doc(id)));
+        await batch.commit();
+      }
+      return ids.length;
+    } catch (error) {
+      console.error('Error deleting digest entries:', error);
+      throw error;
+    }
+  }
+
+  // LINE outbox (messages are addressed by their id, derived from the dedup key)
+  async createOutboxMessageOnce(message) {
+    try {
+      const docRef = collections.outbox.doc(message.id);
+      
+      const existing = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (doc.exists) {
+          return { ...doc.data(), id: doc.id };
+        }
+        
+        transaction.create(docRef, message);
+        return null;
+      });
+      
+      return existing ? { created: false, message: existing } : { created: true, message };
+    } catch (error) {
+      console.error('Error creating outbox message:', error);
+      throw error;
+    }
+  }
+
+  async getOutboxMessage(id) {
+    try {
+      const doc = await collections.outbox.doc(id).get();
+      return doc.exists ? { ...doc.data(), id: doc.id } : null;
+    } catch (error) {
+      console.error('Error getting outbox message:', error);
+      throw error;
+    }
+  }
+
+  async updateOutboxMessage(id, changes) {
+    try {
+      const docRef = collections.outbox.doc(id);
+      const doc = await docRef.get();
+      if (!doc.exists) return null;
+      
+      const fields = Object.fromEntries(Object.entries(changes).filter(([field, value]) => field !== 'id' && value !== undefined));
+      await docRef.update(fields);
+      return { ...doc.data(), ...fields, id };
+    } catch (error) {
+      console.error('Error updating outbox message:', error);
+      throw error;
+    }
+  }
+
+  async findOutboxMessages(criteria = {}) {
+    try {
+      const limit = criteria.limit || 100;
+      
+      // Due messages by one range on nextAttemptAt (only pending ones have it set),
+      // so this needs no composite index either
+      if (criteria.dueBefore) {
+        const snapshot = await collections.outbox
+          .where('nextAttemptAt', '<=', criteria.dueBefore)
+          .orderBy('nextAttemptAt')
+          .limit(limit)
+          .get();
+        return snapshot.docs
+          .map(doc => ({ ...doc.data(), id: doc.id }))
+          .filter(message => !criteria.status || message.status === criteria.status);
+      }
+      
+      // A status filter is sorted here, so it needs no composite index
+      if (criteria.status) {
+        const snapshot = await collections.outbox.where('status', '==', criteria.status).get();
+        return snapshot.docs
+          .map(doc => ({ ...doc.data(), id: doc.id }))
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+          .slice(0, limit);
+      }
+      
+      const snapshot = await collections.outbox.orderBy('createdAt', 'desc').limit(limit).get();
+      return snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+    } catch (error) {
+      console.error('Error finding outbox messages:', error);
+      throw error;
+    }
+  }
+
+  async deleteOutboxMessages(before) {
+    try {
+      const snapshot = await collections.outbox.where('updatedAt', '<', before).get();
+      const finished = snapshot.docs.filter(doc => doc.data().status !== 'pending');
+      
+      // Batches hold at most 500 writes
+      for (let i = 0; i < finished.length; i += 500) {
+        const batch = db.batch();
+        finished.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+      return finished.length;
+    } catch (error) {
+      console.error('Error deleting outbox messages:', error);
+      throw error;
+    }
+  }
+
   // Streak operations
   async getUserStreak(lineUserId) {
     try {
@@ -586,6 +1559,51 @@ class FirestoreService {
     }
   }
 
+  // Drop cached leaderboards and team stats after stored points change.
+  // With a date only the leaderboards whose range includes it are dropped.
+  async invalidateLeaderboardCache(date = null) {
+    try {
+      const documentId = admin.firestore.FieldPath.documentId();
+      let leaderboardDocs;
+      
+      if (date) {
+        const snapshot = await collections.cache
+          .where('endDate', '>=', date)
+          .get();
+        leaderboardDocs = snapshot.docs.filter(doc =>
+          doc.id.startsWith('leaderboard_') && doc.data().startDate <= date);
+      } else {
+        const snapshot = await collections.cache
+          .where(documentId, '>=', 'leaderboard_')
+          .where(documentId, '<', 'leaderboard_\uf8ff')
+          .get();
+        leaderboardDocs = snapshot.docs;
+      }
+      
+      // Team stats are cached per team as team_stats_<teamId>
+      const teamStatsSnapshot = await collections.cache
+        .where(documentId, '>=', 'team_stats')
+        .where(documentId, '<', 'team_stats\uf8ff')
+        .get();
+      
+      // A cache doc per stage, team, mode and range can add up past the 500
+      // writes a Firestore batch is limited to
+      const staleDocs = [...leaderboardDocs, ...teamStatsSnapshot.docs];
+      for (let i = 0; i < staleDocs.length; i += 500) {
+        const batch = db.batch();
+        staleDocs.slice(i, i + 500).forEach(doc => {
+          batch.delete(doc.ref);
+        });
+        await batch.commit();
+      }
+      
+      return leaderboardDocs.length;
+    } catch (error) {
+      console.error('Error invalidating leaderboard cache:', error);
+      throw error;
+    }
+  }
+
   // Cache cleanup
   async cleanupExpiredCache() {
     try {
@@ -0,0 +1,253 @@
+const { getStorage } = require('../storage');
+const auditService = require('./audit.service');
+const { wallClock } = require('../utils/cron');
+const { DEFAULT_TIMEZONE } = require('../utils/business-date');
+const { RECAP_PERIODS } = require('../period-recap');
+const { LANGUAGES, groupLanguage } = require('../utils/i18n');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "22:30" -> minutes since midnight
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Group notification preferences.
+ *
+ * Besides the /toggle master switch (notificationsEnabled), each group
+ * chooses which kinds of message it receives, quiet hours (in its team's
+ * timezone) during which nothing is pushed to it, the points an activity
+ * notification needs and the language of its messages. They are kept in
+ * the group's settings: categories in settings.notifications, except the
+ * weekly and monthly recaps, which stay the settings.recaps opt-in that
+ * /recap sets.
+ */
+class GroupPreferencesService {
+    constructor() {
+        this.CATEGORIES = ['activity', 'achievements', 'milestones', 'dailyLeaderboard', 'weeklyRecap', 'monthlyRecap'];
+        // Categories kept in settings.recaps, and their recap period
+        this.RECAP_CATEGORIES = { weeklyRecap: 'weekly', monthlyRecap: 'monthly' };
+        // /settings <name> on|off
+        this.COMMAND_NAMES = {
+            activity: 'activity',
+            achievements: 'achievements',
+            milestones: 'milestones',
+            daily: 'dailyLeaderboard',
+            weekly: 'weeklyRecap',
+            monthly: 'monthlyRecap'
+        };
+        this.MAX_MIN_POINTS = 1000;
+    }
+
+    /**
+     * Preferences of a group, defaults filled in: every category on except
+     * the recaps, which groups opt in to
+     * @param {Object} group - Group registration
+     * @returns {Object} { categories: { [category]: boolean }, quietHours ({ start, end } or null), minPoints, language }
+     */
+    getPreferences(group) {
+        const settings = (group && group.settings) || {};
+        const stored = settings.notifications || {};
+        const recaps = settings.recaps || [];
+
+        const categories = {};
+        this.CATEGORIES.forEach(category => {
+            const period = this.RECAP_CATEGORIES[category];
+            categories[category] = period ? recaps.includes(period) : stored[category] !== false;
+        });
+
+        return {
+            categories,
+            quietHours: settings.quietHours || null,
+            minPoints: settings.minPoints || 0,
+            language: groupLanguage(group)
+        };
+    }
+
+    /**
+     * Validate preference changes (any of categories, quietHours, minPoints, language)
+     * @returns {Array} [{ path, message }], empty when valid
+     */
+    validate(changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return [{ path: '', message: 'Preferences must be an object' }];
+        }
+
+        const errors = [];
+        Object.keys(changes)
+            .filter(key => !['categories', 'quietHours', 'minPoints', 'language'].includes(key))
+            .forEach(key => errors.push({ path: key, message: `Unknown preference ${key}` }));
+
+        if (changes.categories !== undefined) {
+            if (!changes.categories || typeof changes.categories !== 'object' || Array.isArray(changes.categories)) {
+                errors.push({ path: 'categories', message: 'categories must be an object' });
+            } else {
+                Object.entries(changes.categories).forEach(([category, enabled]) => {
+                    if (!this.CATEGORIES.includes(category)) {
+                        errors.push({ path: `categories.${category}`, message: `Category must be one of: ${this.CATEGORIES.join(', ')}` });
+                    } else if (typeof enabled !== 'boolean') {
+                        errors.push({ path: `categories.${category}`, message: 'Must be true or false' });
+                    }
+                });
+            }
+        }
+
+        // null turns quiet hours off; a start after the end spans midnight
+        if (changes.quietHours !== undefined && changes.quietHours !== null) {
+            const { start, end } = changes.quietHours || {};
+            if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+                errors.push({ path: 'quietHours', message: 'quietHours must be { start, end } as HH:MM, or null' });
+            } else if (start === end) {
+                errors.push({ path: 'quietHours', message: 'Quiet hours must start and end at different times' });
+            }
+        }
+
+        if (changes.minPoints !== undefined &&
+            (!Number.isInteger(changes.minPoints) || changes.minPoints < 0 || changes.minPoints > this.MAX_MIN_POINTS)) {
+            errors.push({ path: 'minPoints', message: `minPoints must be an integer from 0 to ${this.MAX_MIN_POINTS}` });
+        }
+
+        if (changes.language !== undefined && !LANGUAGES.includes(changes.language)) {
+            errors.push({ path: 'language', message: `language must be one of: ${LANGUAGES.join(', ')}` });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Group settings with valid preference changes applied
+     * @param {Object} settings - The group's current settings
+     * @param {Object} changes - { categories, quietHours, minPoints, language }, all optional
+     */
+    applyChanges(settings, changes) {
+        const next = { ...settings };
+
+        if (changes.categories) {
+            const notifications = { ...(settings.notifications || {}) };
+            let recaps = settings.recaps || [];
+
+            Object.entries(changes.categories).forEach(([category, enabled]) => {
+                const period = this.RECAP_CATEGORIES[category];
+                if (!period) {
+                    notifications[category] = enabled;
+                } else {
+                    recaps = enabled
+                        ? RECAP_PERIODS.filter(p => recaps.includes(p) || p === period)
+                        : recaps.filter(p => p !== period);
+                }
+            });
+
+            next.notifications = notifications;
+            next.recaps = recaps;
+        }
+        if (changes.quietHours !== undefined) {
+            next.quietHours = changes.quietHours && { start: changes.quietHours.start, end: changes.quietHours.end };
+        }
+        if (changes.minPoints !== undefined) {
+            next.minPoints = changes.minPoints;
+        }
+        if (changes.language !== undefined) {
+            next.language = changes.language;
+        }
+
+        return next;
+    }
+
+    /**
+     * Store preference changes of a group (validate them first)
+     * @param {string} groupId - LINE group ID
+     * @param {Object} changes - { categories, quietHours, minPoints, language }, all optional
+     * @param {Object} actor - { lineUserId, role, source } for the audit log
+     * @returns {Promise<Object|null>} The group's preferences, null for unknown groups
+     */
+    async update(groupId, changes, actor = {}) {
+        const storage = getStorage();
+        const group = await storage.getGroup(groupId);
+        if (!group) return null;
+
+        const settings = this.applyChanges(group.settings || {}, changes);
+        await storage.updateGroupSettings(groupId, settings);
+        await auditService.record({
+            entityType: 'group',
+            entityId: groupId,
+            action: 'update',
+            teamId: group.teamId,
+            before: group,
+            after: { ...group, settings }
+        }, actor);
+
+        return this.getPreferences({ ...group, settings });
+    }
+
+    /**
+     * Preference changes of /settings arguments (also the postback buttons of
+     * the settings message): <category> on|off, quiet HH:MM-HH:MM|off,
+     * minpoints <n>, lang <language>. Not validated.
+     * @param {Array} args - Lowercased words after /settings
+     * @returns {Object|null} Changes, empty for no arguments; null when the arguments are not understood
+     */
+    parseCommand(args) {
+        const [name, value] = args;
+        if (!name) return {};
+
+        if (name === 'quiet' && value) {
+            if (value === 'off') return { quietHours: null };
+            const [start, end] = value.split('-');
+            return { quietHours: { start, end } };
+        }
+        if (name === 'minpoints' && /^\d+$/.test(value || '')) {
+            return { minPoints: Number(value) };
+        }
+        if (name === 'lang' && value) {
+            return { language: value };
+        }
+        if (this.COMMAND_NAMES[name] && (value === 'on' || value === 'off')) {
+            return { categories: { [this.COMMAND_NAMES[name]]: value === 'on' } };
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether now falls within quiet hours
+     * @param {Object} quietHours - { start, end } (HH:MM) or null
+     * @param {string} timezone - Timezone the hours are in
+     * @param {Date} now - Current time
+     */
+    isQuietTime(quietHours, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+        if (!quietHours) return false;
+
+        const clock = wallClock(now, timezone);
+        const minute = clock.hour * 60 + clock.minute;
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+
+        return start < end
+            ? minute >= start && minute < end
+            : minute >= start || minute < end;
+    }
+
+    /**
+     * Groups that receive a message of a category now: notifications on,
+     * the category on, outside quiet hours, and for activity notifications
+     * at least the group's minimum points
+     * @param {Array} groups - Group registrations
+     * @param {string} category - One of CATEGORIES
+     * @param {Object} options - { timezone (of the quiet hours), points (of an activity notification), now }
+     */
+    filterGroups(groups, category, { timezone = DEFAULT_TIMEZONE, points = null, now = new Date() } = {}) {
+        return groups.filter(group => {
+            if (!group.notificationsEnabled) return false;
+
+            const preferences = this.getPreferences(group);
+            if (!preferences.categories[category]) return false;
+            if (category === 'activity' && points !== null && points < preferences.minPoints) return false;
+
+            return !this.isQuietTime(preferences.quietHours, timezone, now);
+        });
+    }
+}
+
+module.exports = new GroupPreferencesService();
@@ -0,0 +1,128 @@
+const { getStorage } = require('../storage');
+const businessDate = require('../utils/business-date');
+const ranking = require('../utils/leaderboard-ranking');
+
+class LeaderboardService {
+    constructor() {
+        this.PERIODS = ['daily', 'weekly', 'monthly'];
+        this.MAX_RANGE_DAYS = 366;
+        this.MODES = ranking.RANKING_MODES;
+    }
+
+    /**
+     * Leaderboard of the calendar period containing date, compared with the
+     * period before it (previous day, Monday-Sunday week or month)
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {string} date - YYYY-MM-DD business date inside the period
+     * @param {Object} filters - { teamId, dealStage, dealIds, mode }
+     */
+    async getPeriodLeaderboard(period, date, filters = {}) {
+        const storage = getStorage();
+        const { startDate, endDate } = businessDate.getPeriodRange(period, date);
+        const previousRange = businessDate.getPreviousRange(period, startDate, endDate);
+
+        const [current, previous] = await Promise.all([
+            storage.getLeaderboard(period, startDate, filters),
+            storage.getLeaderboard(period, previousRange.startDate, filters)
+        ]);
+
+        return this.compare(current, previous, previousRange);
+    }
+
+    /**
+     * Leaderboard of an explicit date range, compared with the same number of
+     * days immediately before it
+     * @param {string} startDate - YYYY-MM-DD first day (inclusive)
+     * @param {string} endDate - YYYY-MM-DD last day (inclusive)
+     * @param {Object} filters - { teamId, dealStage, dealIds, mode }
+     */
+    async getRangeLeaderboard(startDate, endDate, filters = {}) {
+        const storage = getStorage();
+        const previousRange = businessDate.getPreviousRange('custom', startDate, endDate);
+
+        const [current, previous] = await Promise.all([
+            storage.getLeaderboardForRange(startDate, endDate, filters),
+            storage.getLeaderboardForRange(previousRange.startDate, previousRange.endDate, filters)
+        ]);
+
+        return this.compare(current, previous, previousRange);
+    }
+
+    /**
+     * Add movement against the previous period to each entry:
+     * change (ranks moved up, negative when down, 0 for newcomers),
+     * previousRank (null for newcomers), previousPoints, pointsChange,
+     * previousScore and scoreChange (score of the board's ranking mode)
+     * @param {Object} current - Leaderboard of the period
+     * @param {Object} previous - Leaderboard of the period before it
+     * @param {Object} previousRange - { startDate, endDate } of the previous period
+     */
+    compare(current, previous, previousRange) {
+        const previousEntries = new Map(((previous && previous.entries) || []).map(entry => [entry.userId, entry]));
+
+        const entries = ((current && current.entries) || []).map(entry => {
+            const before = previousEntries.get(entry.userId);
+            const previousRank = before ? before.rank : null;
+            const previousPoints = before ? before.points : 0;
+            const previousScore = before ? before.score : 0;
+
+            return {
+                ...entry,
+                change: previousRank ? previousRank - entry.rank : 0,
+                previousRank,
+                previousPoints,
+                pointsChange: entry.points - previousPoints,
+                previousScore,
+                scoreChange: Math.round((entry.score - previousScore) * 10000) / 10000
+            };
+        });
+
+        return {
+            ...current,
+            entries,
+            previous: {
+                startDate: previousRange.startDate,
+                endDate: previousRange.endDate,
+                totalParticipants: (previous && previous.totalParticipants) || 0
+            }
+        };
+    }
+
+    /**
+     * Validate from/to query values for a custom range
+     * @returns {Array} Validation errors ({ path, message }), empty when valid
+     */
+    validateRange(from, to) {
+        const errors = [];
+
+        if (!businessDate.isValidDate(from)) {
+            errors.push({ path: 'from', message: 'from must be a date (YYYY-MM-DD)' });
+        }
+        if (!businessDate.isValidDate(to)) {
+            errors.push({ path: 'to', message: 'to must be a date (YYYY-MM-DD)' });
+        }
+        if (errors.length > 0) return errors;
+
+        const days = businessDate.daysBetween(from, to) + 1;
+        if (days < 1) {
+            errors.push({ path: 'to', message: 'to must not be before from' });
+        } else if (days > this.MAX_RANGE_DAYS) {
+            errors.push({ path: 'to', message: `Range cannot exceed ${this.MAX_RANGE_DAYS} days` });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a ranking mode query value (omitted means points)
+     * @returns {Array} Validation errors ({ path, message }), empty when valid
+     */
+    validateMode(mode) {
+        if (mode === undefined || ranking.isValidMode(mode)) {
+            return [];
+        }
+        return [{ path: 'mode', message: `mode must be one of: ${this.MODES.join(', ')}` }];
+    }
+}
+
+module.exports = new LeaderboardService();
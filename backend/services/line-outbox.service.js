@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { getStorage, usesFirestore } = require('../storage');
+const lineQuotaService = require('./line-quota.service');
+const teamService = require('./team.service');
+const { sendFlexMessage } = require('../activity-flex-message-compact');
+
+/**
+ * LINE outbox.
+ *
+ * Every push to a LINE group goes through here: it is stored first, tried
+ * right away, and when LINE fails it stays pending for the line-outbox job,
+ * which retries it with exponential backoff. Sent messages are counted against
+ * the LINE quota (LineQuotaService.recordMessage). A push given a dedup key is
+ * stored once however often it is sent, and its id doubles as LINE's retry
+ * key, so a retry LINE already accepted is not delivered twice.
+ */
+class LineOutboxService {
+    constructor() {
+        this.STATUSES = ['pending', 'sent', 'failed'];
+        this.MAX_ATTEMPTS = 8;
+        this.BASE_DELAY = 30 * 1000; // Doubles per failed attempt: 30s, 1m, 2m, ...
+        this.MAX_DELAY = 60 * 60 * 1000;
+        // Undelivered this long after it was queued, a push is stale (yesterday's leaderboard)
+        this.MAX_AGE = 24 * 60 * 60 * 1000;
+        // An attempt holds its message this long; the job takes over one whose instance died
+        this.SEND_TIMEOUT = 2 * 60 * 1000;
+        this.BATCH_SIZE = 50;
+        this.DEFAULT_LIMIT = 100;
+        this.MAX_LIMIT = 500;
+        this.RETENTION_DAYS = 7;
+    }
+
+    // Message id of a dedup key: a UUID, as LINE retry keys must be
+    messageId(dedupKey) {
+        const hex = crypto.createHash('sha256').update(dedupKey).digest('hex');
+        return [
+            hex.substring(0, 8),
+            hex.substring(8, 12),
+            `5${hex.substring(13, 16)}`,
+            `${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.substring(17, 20)}`,
+            hex.substring(20, 32)
+        ].join('-');
+    }
+
+    // Wait before the next attempt after a number of failed ones
+    backoff(attempts) {
+        return Math.min(this.BASE_DELAY * 2 ** Math.max(0, attempts - 1), this.MAX_DELAY);
+    }
+
+    /**
+     * Queue a push and try it right away
+     * @param {Object} push - { to (group or user ID), message (LINE message object),
+     *                          type (quota message type), teamId, dedupKey }
+     * @param {string} channelAccessToken - LINE channel access token
+     * @returns {Promise<Object>} The stored message after the attempt (status sent,
+     *                            pending or failed); duplicate: true when its dedup key was queued before
+     */
+    async send(push, channelAccessToken) {
+        const now = new Date();
+        const { created, message } = await getStorage().createOutboxMessageOnce({
+            id: push.dedupKey ? this.messageId(push.dedupKey) : crypto.randomUUID(),
+            dedupKey: push.dedupKey || null,
+            to: push.to,
+            type: push.type || 'system',
+            teamId: push.teamId || null,
+            message: push.message,
+            status: 'pending',
+            attempts: 0,
+            // Held for the attempt below
+            nextAttemptAt: new Date(now.getTime() + this.SEND_TIMEOUT).toISOString(),
+            lastError: null,
+            sentAt: null,
+            queuedAt: now.toISOString(),
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        });
+
+        if (!created) {
+            return { ...message, duplicate: true };
+        }
+        return this.attempt(message, channelAccessToken);
+    }
+
+    /**
+     * Push a stored message once and store the outcome. LINE refusing the
+     * message itself (a 4xx other than 429) is not retried.
+     */
+    async attempt(message, channelAccessToken) {
+        const storage = getStorage();
+        const attempts = (message.attempts || 0) + 1;
+
+        try {
+            await sendFlexMessage(message.message, channelAccessToken, message.to, message.id);
+        } catch (error) {
+            // 409: an earlier attempt with this retry key got through
+            if (error.statusCode !== 409) {
+                console.error(`Failed to push LINE message ${message.id} to ${message.to}:`, error);
+                const rejected = error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429;
+                const giveUp = rejected || attempts >= this.MAX_ATTEMPTS;
+                const failedAt = new Date();
+
+                return storage.updateOutboxMessage(message.id, {
+                    status: giveUp ? 'failed' : 'pending',
+                    attempts,
+                    lastError: error.message,
+                    nextAttemptAt: giveUp ? null : new Date(failedAt.getTime() + this.backoff(attempts)).toISOString(),
+                    updatedAt: failedAt.toISOString()
+                });
+            }
+        }
+
+        const sentAt = new Date().toISOString();
+        const sent = await storage.updateOutboxMessage(message.id, {
+            status: 'sent',
+            attempts,
+            lastError: null,
+            nextAttemptAt: null,
+            sentAt,
+            updatedAt: sentAt
+        });
+
+        // Quota usage is tracked in Firestore only
+        if (usesFirestore()) {
+            await lineQuotaService.recordMessage(message.type, message.to, 1, message.teamId);
+        }
+        return sent;
+    }
+
+    /**
+     * Retry the pending messages that are due, oldest due first (the line-outbox job)
+     * @param {string} channelAccessToken - LINE channel access token
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} { due, sent, retrying, failed, expired, deferred } for the job's last run
+     */
+    async deliverDue(channelAccessToken, now = new Date()) {
+        const storage = getStorage();
+        const due = await storage.findOutboxMessages({
+            status: 'pending',
+            dueBefore: now.toISOString(),
+            limit: this.BATCH_SIZE
+        });
+
+        const result = { due: due.length, sent: 0, retrying: 0, failed: 0, expired: 0, deferred: 0 };
+        for (const message of due) {
+            if (now.getTime() - Date.parse(message.queuedAt || message.createdAt) > this.MAX_AGE) {
+                await storage.updateOutboxMessage(message.id, {
+                    status: 'failed',
+                    lastError: 'Not delivered within a day',
+                    nextAttemptAt: null,
+                    updatedAt: now.toISOString()
+                });
+                result.expired++;
+                continue;
+            }
+
+            // Out of quota: try again later without using up an attempt
+            if (usesFirestore()) {
+                const team = message.teamId ? await teamService.getTeam(message.teamId) : null;
+                const quotaCheck = await lineQuotaService.canSendMessage(message.type, false, team);
+                if (!quotaCheck.allowed) {
+                    await storage.updateOutboxMessage(message.id, {
+                        nextAttemptAt: new Date(now.getTime() + this.backoff(message.attempts)).toISOString(),
+                        updatedAt: now.toISOString()
+                    });
+                    result.deferred++;
+                    continue;
+                }
+            }
+
+            const leased = await storage.updateOutboxMessage(message.id, {
+                nextAttemptAt: new Date(now.getTime() + this.SEND_TIMEOUT).toISOString(),
+                updatedAt: now.toISOString()
+            });
+            const outcome = await this.attempt(leased, channelAccessToken);
+            result[{ sent: 'sent', pending: 'retrying', failed: 'failed' }[outcome.status]]++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Retry a pending or failed message now, with a fresh set of attempts
+     * @returns {Promise<Object>} The stored message after the attempt
+     */
+    async retry(message, channelAccessToken) {
+        const now = new Date().toISOString();
+        const reset = await getStorage().updateOutboxMessage(message.id, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date(Date.now() + this.SEND_TIMEOUT).toISOString(),
+            queuedAt: now,
+            updatedAt: now
+        });
+
+        return this.attempt(reset, channelAccessToken);
+    }
+
+    async getMessage(id) {
+        return getStorage().getOutboxMessage(id);
+    }
+
+    /**
+     * Validate a listing query
+     * @returns {Array} [{ path, message }], empty when valid
+     */
+    validateQuery(query) {
+        const errors = [];
+
+        if (query.status !== undefined && !this.STATUSES.includes(query.status)) {
+            errors.push({ path: 'status', message: `status must be one of: ${this.STATUSES.join(', ')}` });
+        }
+        if (query.limit !== undefined) {
+            const limit = Number(query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > this.MAX_LIMIT) {
+                errors.push({ path: 'limit', message: `limit must be an integer from 1 to ${this.MAX_LIMIT}` });
+            }
+        }
+
+        return errors;
+    }
+
+    // Messages newest first
+    async list(query = {}) {
+        return getStorage().findOutboxMessages({
+            status: query.status,
+            limit: query.limit ? Number(query.limit) : this.DEFAULT_LIMIT
+        });
+    }
+
+    // Remove sent and failed messages older than the retention period
+    async prune(now = new Date()) {
+        const before = new Date(now.getTime() - this.RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        return { removed: await getStorage().deleteOutboxMessages(before) };
+    }
+}
+
+module.exports = new LineOutboxService();
@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { forecastUsage } = require('../utils/quota-forecast');
 
 class LineQuotaService {
     constructor() {
@@ -7,6 +8,11 @@ class LineQuotaService {
         this.DAILY_LIMIT = 300; // LINE free tier limit
         this.WARNING_THRESHOLD = 280; // Warn at 280 messages
         this.CRITICAL_THRESHOLD = 295; // Stop non-critical messages at 295
+        this.FORECAST_MIN_MESSAGES = 20; // Too few messages before this to forecast from
+        // Group activity notifications are batched this often (1-59 minutes, a cron
+        // minute step) while the quota is predicted to run out
+        const digestInterval = parseInt(process.env.LINE_DIGEST_INTERVAL_MINUTES, 10);
+        this.DIGEST_INTERVAL_MINUTES = digestInterval >= 1 && digestInterval <= 59 ? digestInterval : 30;
     }
 
     /**
@@ -30,12 +36,43 @@ class LineQuotaService {
 
     /**
      * Check if we can send a message based on quota
-     * @param {string} messageType - Type of message (activity, leaderboard, system)
+     * @param {string} messageType - Type of message (activity, digest, leaderboard, recap, achievement, milestone, system)
      * @param {boolean} isCritical - Whether this is a critical message
+     * @param {Object} team - Sending team; its dailyMessageLimit caps its share of the channel quota
      */
-    async canSendMessage(messageType = 'activity', isCritical = false) {
+    async canSendMessage(messageType = 'activity', isCritical = false, team = null) {
         const usage = await this.getCurrentUsage();
+        const result = this.checkChannelQuota(usage, isCritical);
         
+        if (!result.allowed || !team || !team.dailyMessageLimit) {
+            return result;
+        }
+        
+        const teamUsed = (usage.teamCounts && usage.teamCounts[team.id]) || 0;
+        const teamRemaining = Math.max(0, team.dailyMessageLimit - teamUsed);
+        
+        if (teamRemaining === 0 && !isCritical) {
+            console.warn(`LINE team quota exhausted for ${team.id}: ${teamUsed}/${team.dailyMessageLimit}`);
+            return {
+                ...result,
+                allowed: false,
+                remaining: 0,
+                reason: 'Team daily quota exhausted'
+            };
+        }
+        
+        return {
+            ...result,
+            remaining: Math.min(result.remaining, teamRemaining)
+        };
+    }
+
+    /**
+     * Check the shared channel quota
+     * @param {Object} usage - Today's usage document
+     * @param {boolean} isCritical - Whether this is a critical message
+     */
+    checkChannelQuota(usage, isCritical) {
         // Always allow critical system messages
         if (isCritical) {
             return {
@@ -66,13 +103,23 @@ class LineQuotaService {
         };
     }
 
+    /**
+     * Whether today's usage reached the critical threshold, after which only
+     * critical messages go out
+     */
+    async isCritical() {
+        const usage = await this.getCurrentUsage();
+        return this.checkChannelQuota(usage, false).critical;
+    }
+
     /**
      * Record a sent message
      * @param {string} messageType - Type of message sent
      * @param {string} recipient - Recipient ID (user or group)
      * @param {number} messageCount - Number of messages sent (default 1)
+     * @param {string} teamId - Team the message was sent for, if any
      */
-    async recordMessage(messageType, recipient, messageCount = 1) {
+    async recordMessage(messageType, recipient, messageCount = 1, teamId = null) {
         const today = new Date().toISOString().split('T')[0];
         const timestamp = new Date().toISOString();
         
@@ -85,10 +132,12 @@ class LineQuotaService {
                 transaction.set(docRef, {
                     date: today,
                     count: messageCount,
+                    teamCounts: teamId ? { [teamId]: messageCount } : {},
                     details: [{
                         timestamp,
                         type: messageType,
                         recipient,
+                        teamId,
                         count: messageCount
                     }],
                     lastReset: timestamp,
@@ -96,12 +145,18 @@ class LineQuotaService {
                 });
             } else {
                 const data = doc.data();
+                const teamCounts = { ...(data.teamCounts || {}) };
+                if (teamId) {
+                    teamCounts[teamId] = (teamCounts[teamId] || 0) + messageCount;
+                }
                 transaction.update(docRef, {
                     count: data.count + messageCount,
+                    teamCounts,
                     details: [...data.details, {
                         timestamp,
                         type: messageType,
                         recipient,
+                        teamId,
                         count: messageCount
                     }]
                 });
@@ -109,10 +164,48 @@ class LineQuotaService {
         });
     }
 
+    /**
+     * Forecast today's usage from the rate so far. The day is the one usage is
+     * counted on (the usage document's UTC date).
+     * @param {Object} usage - Today's usage document (read when not given)
+     * @param {Date} now - Current time
+     */
+    async getForecast(usage = null, now = new Date()) {
+        const current = usage || await this.getCurrentUsage();
+        const dayStart = new Date(`${current.date}T00:00:00Z`);
+
+        return forecastUsage({
+            used: current.count,
+            threshold: this.CRITICAL_THRESHOLD,
+            dayStart,
+            dayEnd: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+            now,
+            minMessages: this.FORECAST_MIN_MESSAGES
+        });
+    }
+
+    /**
+     * How group activity notifications go out: 'immediate' (one message per
+     * activity) or, while the quota is predicted to run out before the day
+     * ends, 'digest' (one combined message per group every DIGEST_INTERVAL_MINUTES)
+     * @param {Object} usage - Today's usage document (read when not given)
+     * @returns {Promise<Object>} { mode, digestIntervalMinutes, forecast }
+     */
+    async getDeliveryMode(usage = null) {
+        const forecast = await this.getForecast(usage);
+
+        return {
+            mode: forecast.exhaustionPredicted ? 'digest' : 'immediate',
+            digestIntervalMinutes: this.DIGEST_INTERVAL_MINUTES,
+            forecast
+        };
+    }
+
     /**
      * Get quota statistics
+     * @param {Object} team - Include this team's share of today's usage
      */
-    async getQuotaStats() {
+    async getQuotaStats(team = null) {
         const usage = await this.getCurrentUsage();
         const percentage = Math.round((usage.count / this.DAILY_LIMIT) * 100);
         
@@ -127,7 +220,7 @@ class LineQuotaService {
             });
         }
         
-        return {
+        const stats = {
             date: usage.date,
             used: usage.count,
             limit: this.DAILY_LIMIT,
@@ -136,8 +229,21 @@ class LineQuotaService {
             isWarning: usage.count >= this.WARNING_THRESHOLD,
             isCritical: usage.count >= this.CRITICAL_THRESHOLD,
             breakdown: typeBreakdown,
-            willResetAt: this.getNextResetTime()
+            willResetAt: this.getNextResetTime(),
+            delivery: await this.getDeliveryMode(usage)
         };
+        
+        if (team) {
+            const teamUsed = (usage.teamCounts && usage.teamCounts[team.id]) || 0;
+            stats.team = {
+                teamId: team.id,
+                used: teamUsed,
+                limit: team.dailyMessageLimit || null,
+                remaining: team.dailyMessageLimit ? Math.max(0, team.dailyMessageLimit - teamUsed) : null
+            };
+        }
+        
+        return stats;
     }
 
     /**
@@ -0,0 +1,111 @@
+const { getStorage, usesFirestore } = require('../storage');
+const lineQuotaService = require('./line-quota.service');
+const teamService = require('./team.service');
+const lineOutboxService = require('./line-outbox.service');
+const groupPreferencesService = require('./group-preferences.service');
+const { createActivityDigestFlex } = require('../activity-flex-message-compact');
+const { groupLanguage } = require('../utils/i18n');
+
+/**
+ * Notification digests.
+ *
+ * While LINE quota is predicted to run out before the day ends (see
+ * LineQuotaService.getDeliveryMode), activity notifications are held in
+ * storage instead of pushed one by one, and the notification-digests job
+ * sends each group one combined message for everything held since its last
+ * digest.
+ */
+class NotificationDigestService {
+    /**
+     * Hold an activity notification for the next digest of each group
+     * @param {Array} groups - Groups the notification was meant for
+     * @param {Object} notification - { user, teamId, activities, totalPoints }
+     * @returns {Promise<number>} Number of entries held
+     */
+    async hold(groups, { user, teamId, activities, totalPoints }) {
+        const storage = getStorage();
+        const createdAt = new Date().toISOString();
+
+        for (const group of groups) {
+            await storage.appendDigestEntry({
+                groupId: group.id,
+                teamId: teamId || null,
+                lineUserId: user ? user.id || user.lineUserId || null : null,
+                displayName: (user && user.displayName) || null,
+                activities: activities.map(activity => ({ title: activity.title || null, points: activity.points || 0 })),
+                totalPoints,
+                createdAt
+            });
+        }
+        return groups.length;
+    }
+
+    /**
+     * Send every group its held notifications as one message (through the LINE
+     * outbox). Entries of a group that was removed or turned notifications (or
+     * activity notifications) off are dropped; entries of a group in its quiet
+     * hours, or that the quota does not allow sending, stay held for the next
+     * digest.
+     * @param {string} channelAccessToken - LINE channel access token
+     * @returns {Promise<Object>} { groups, sent, entries (handed to the outbox), dropped, held } for the job's last run
+     */
+    async flush(channelAccessToken) {
+        const storage = getStorage();
+        const byGroup = new Map();
+        (await storage.listDigestEntries()).forEach(entry => {
+            byGroup.set(entry.groupId, [...(byGroup.get(entry.groupId) || []), entry]);
+        });
+
+        const result = { groups: byGroup.size, sent: 0, entries: 0, dropped: 0, held: 0 };
+        for (const [groupId, entries] of byGroup) {
+            const ids = entries.map(entry => entry.id);
+            const group = await storage.getGroup(groupId);
+            const preferences = groupPreferencesService.getPreferences(group);
+
+            if (!group || !group.notificationsEnabled || !preferences.categories.activity) {
+                result.dropped += await storage.deleteDigestEntries(ids);
+                continue;
+            }
+
+            // Quiet hours and the digest times are in the team's timezone
+            const teamId = entries[0].teamId;
+            const team = teamId && usesFirestore() ? await teamService.getTeam(teamId) : null;
+            const timezone = (team && team.timezone) || teamService.DEFAULT_TIMEZONE;
+            if (groupPreferencesService.isQuietTime(preferences.quietHours, timezone)) {
+                result.held += entries.length;
+                continue;
+            }
+
+            // Usage is tracked in Firestore, the only storage entries are held in
+            const quotaCheck = usesFirestore()
+                ? await lineQuotaService.canSendMessage('digest', false, team)
+                : { allowed: true };
+            if (!quotaCheck.allowed) {
+                console.warn(`LINE quota exceeded, digest for group ${groupId} held: ${quotaCheck.reason}`);
+                result.held += entries.length;
+                continue;
+            }
+
+            // Once queued the outbox owns delivery (and retries), so the entries go
+            const outcome = await lineOutboxService.send({
+                to: groupId,
+                message: createActivityDigestFlex(entries, groupLanguage(group), timezone),
+                type: 'digest',
+                teamId,
+                dedupKey: `digest:${ids.join(',')}`
+            }, channelAccessToken);
+            await storage.deleteDigestEntries(ids);
+            if (outcome.status === 'sent') result.sent++;
+            result.entries += entries.length;
+        }
+
+        return result;
+    }
+
+    // Number of notifications waiting for a digest
+    async countHeld() {
+        return (await getStorage().listDigestEntries()).length;
+    }
+}
+
+module.exports = new NotificationDigestService();
@@ -0,0 +1,277 @@
+const admin = require('firebase-admin');
+const activityTypeService = require('./activity-type.service');
+const auditService = require('./audit.service');
+const { usesFirestore } = require('../storage');
+
+// Versions before the first explicit change cover all history
+const BASELINE_EFFECTIVE_FROM = '1970-01-01';
+
+class PointRuleService {
+    constructor() {
+        this.versionsCollection = 'point_rule_versions';
+        this.runsCollection = 'point_rule_runs';
+        this.CACHE_TTL = 5 * 60 * 1000; // Reload versions every 5 minutes
+        this.MAX_RESCORE_DAYS = 366;
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    // Opened on first use: without Firestore there are no rule versions to read
+    get db() {
+        return admin.firestore();
+    }
+
+    // Loaded on first use: loading it initializes Firebase, and only a rescore needs it
+    get firestoreService() {
+        return require('./firestore.service');
+    }
+
+    /**
+     * List all rule versions, oldest first
+     */
+    async listVersions() {
+        // Rule versions are kept in Firestore only; without them the live catalog applies
+        if (!usesFirestore()) return [];
+
+        if (!this.cache || Date.now() - this.cachedAt > this.CACHE_TTL) {
+            const snapshot = await this.db.collection(this.versionsCollection).get();
+            this.cache = snapshot.docs
+                .map(doc => doc.data())
+                .sort((a, b) => a.version - b.version);
+            this.cachedAt = Date.now();
+        }
+
+        return this.cache;
+    }
+
+    /**
+     * Get a single rule version
+     * @param {number} version - Version number
+     */
+    async getVersion(version) {
+        const versions = await this.listVersions();
+        return versions.find(v => v.version === version) || null;
+    }
+
+    /**
+     * Create a new rule version. Each version stores a full snapshot of
+     * points and daily caps so historical scoring never depends on the
+     * live catalog. The first version also records a baseline with the
+     * catalog as it was, so dates before the change keep their old rules.
+     * @param {Object} data - { effectiveFrom: 'YYYY-MM-DD', rules: { typeId: { points, dailyCap } }, note }
+     * @param {string} createdBy - Who made the change
+     */
+    async createVersion(data, createdBy = 'admin') {
+        const catalog = await activityTypeService.getCatalog(true);
+        const snapshot = {};
+        catalog.forEach(type => {
+            snapshot[type.id] = { points: type.points, dailyCap: type.dailyCap || null };
+        });
+
+        const versionsRef = this.db.collection(this.versionsCollection);
+        const created = await this.db.runTransaction(async (transaction) => {
+            const latest = await transaction.get(versionsRef.orderBy('version', 'desc').limit(1));
+            let nextVersion = latest.empty ? 1 : latest.docs[0].data().version + 1;
+            const now = new Date().toISOString();
+
+            if (latest.empty) {
+                transaction.set(versionsRef.doc(String(nextVersion)), {
+                    version: nextVersion,
+                    effectiveFrom: BASELINE_EFFECTIVE_FROM,
+                    rules: snapshot,
+                    note: 'Baseline from activity catalog',
+                    createdBy,
+                    createdAt: now
+                });
+                nextVersion++;
+            }
+
+            const version = {
+                version: nextVersion,
+                effectiveFrom: data.effectiveFrom,
+                rules: { ...snapshot, ...(latest.empty ? {} : latest.docs[0].data().rules), ...data.rules },
+                note: data.note || null,
+                createdBy,
+                createdAt: now
+            };
+            transaction.set(versionsRef.doc(String(nextVersion)), version);
+            return version;
+        });
+
+        this.invalidateCache();
+        return created;
+    }
+
+    /**
+     * Rule version in effect on a date (latest effectiveFrom <= date)
+     * @param {string} date - YYYY-MM-DD
+     */
+    async getVersionForDate(date) {
+        return this.pickVersion(await this.listVersions(), date);
+    }
+
+    /**
+     * Apply the rules in effect on a date to a catalog entry
+     * @param {Object} activityType - Catalog entry
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object} Catalog entry with points/dailyCap from the rule version and its ruleVersion
+     */
+    async applyRules(activityType, date) {
+        const version = await this.getVersionForDate(date);
+        return this.applyVersion(activityType, version);
+    }
+
+    /**
+     * Recompute stored points for a date range.
+     * With a version, every activity is scored under that version; without
+     * one, each activity is scored under the version effective on its date.
+     * A dry run only reports how each rep's totals would change; a real run
+     * records each changed activity in the audit log.
+     * @param {Object} options - { from, to, version, dryRun = true }
+     * @param {string} requestedBy - Who started the job
+     */
+    async rescore({ from, to, version = null, dryRun = true }, requestedBy = 'admin') {
+        const versions = await this.listVersions();
+        const chosenVersion = version !== null ? versions.find(v => v.version === version) : null;
+        if (version !== null && !chosenVersion) {
+            throw new Error(`Rule version ${version} not found`);
+        }
+
+        const activities = await this.firestoreService.getActivitiesByDateRange(null, from, to);
+
+        // Daily caps depend on order within a day, so score chronologically
+        activities.sort((a, b) =>
+            (a.date || '').localeCompare(b.date || '') || this.createdAtMillis(a) - this.createdAtMillis(b));
+
+        const loggedByDay = {};
+        const reps = {};
+        const changes = [];
+        const audits = [];
+        let skipped = 0;
+
+        for (const activity of activities) {
+            const activityType = await activityTypeService.resolveType(activity.activityType, true);
+            const rep = reps[activity.lineUserId] || (reps[activity.lineUserId] = {
+                lineUserId: activity.lineUserId,
+                before: 0,
+                after: 0,
+                delta: 0,
+                activitiesChanged: 0
+            });
+            const before = activity.points || 0;
+            rep.before += before;
+
+            if (!activityType) {
+                // Unknown legacy type: keep its stored points
+                skipped++;
+                rep.after += before;
+                continue;
+            }
+
+            const date = (activity.date || '').split('T')[0];
+            const ruleVersion = chosenVersion || this.pickVersion(versions, date);
+            const scoringType = this.applyVersion(activityType, ruleVersion);
+            const quantity = activity.count || 1;
+            const dayKey = `${activity.lineUserId}|${date}|${activityType.id}`;
+            const score = activityTypeService.calculatePoints(scoringType, quantity, loggedByDay[dayKey] || 0);
+            loggedByDay[dayKey] = (loggedByDay[dayKey] || 0) + quantity;
+
+            rep.after += score.points;
+            if (score.points !== before || activity.ruleVersion !== scoringType.ruleVersion) {
+                rep.activitiesChanged++;
+                const change = {
+                    id: activity.id,
+                    points: score.points,
+                    basePoints: score.basePoints,
+                    ruleVersion: scoringType.ruleVersion
+                };
+                changes.push(change);
+                audits.push({
+                    entityType: 'activity',
+                    entityId: activity.id,
+                    action: 'update',
+                    lineUserId: activity.lineUserId,
+                    teamId: activity.teamId,
+                    before: { points: before, basePoints: activity.basePoints ?? null, ruleVersion: activity.ruleVersion ?? null },
+                    after: { points: change.points, basePoints: change.basePoints, ruleVersion: change.ruleVersion }
+                });
+            }
+        }
+
+        const repDiffs = Object.values(reps)
+            .map(rep => ({ ...rep, delta: rep.after - rep.before }))
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+        const report = {
+            from,
+            to,
+            version: chosenVersion ? chosenVersion.version : null,
+            dryRun,
+            activitiesScanned: activities.length,
+            activitiesChanged: changes.length,
+            skipped,
+            totalDelta: repDiffs.reduce((sum, rep) => sum + rep.delta, 0),
+            reps: repDiffs
+        };
+
+        if (!dryRun && changes.length > 0) {
+            await this.firestoreService.updateActivityScores(changes);
+            await this.firestoreService.rebuildLeaderboardAggregates(from, to);
+
+            const actor = { lineUserId: null, role: 'admin', source: 'rescore' };
+            for (const audit of audits) {
+                await auditService.record(audit, actor);
+            }
+
+            const affectedReps = repDiffs.filter(rep => rep.activitiesChanged > 0);
+            for (const rep of affectedReps) {
+                await this.firestoreService.updateUserStats(rep.lineUserId);
+            }
+            await this.firestoreService.invalidateLeaderboardCache();
+
+            await this.db.collection(this.runsCollection).add({
+                ...report,
+                requestedBy,
+                completedAt: new Date().toISOString()
+            });
+        }
+
+        return report;
+    }
+
+    // Helper methods
+
+    pickVersion(versions, date) {
+        return versions
+            .filter(v => v.effectiveFrom <= date)
+            .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.version - a.version)[0] || null;
+    }
+
+    applyVersion(activityType, version) {
+        const rule = version && version.rules[activityType.id];
+        if (!rule) {
+            return { ...activityType, ruleVersion: null };
+        }
+
+        return {
+            ...activityType,
+            points: rule.points,
+            dailyCap: rule.dailyCap || null,
+            ruleVersion: version.version
+        };
+    }
+
+    createdAtMillis(activity) {
+        const createdAt = activity.createdAt;
+        if (!createdAt) return 0;
+        if (typeof createdAt.toMillis === 'function') return createdAt.toMillis();
+        return new Date(createdAt).getTime() || 0;
+    }
+
+    invalidateCache() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+}
+
+module.exports = new PointRuleService();
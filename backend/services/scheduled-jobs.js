@@ -0,0 +1,276 @@
+/**
+ * Scheduled Jobs
+ * The recurring jobs both servers run through the scheduler
+ * (services/scheduler.service.js); admins manage them under /api/admin/jobs.
+ */
+
+const { getStorage, usesFirestore } = require('../storage');
+const schedulerService = require('./scheduler.service');
+const lineQuotaService = require('./line-quota.service');
+const teamService = require('./team.service');
+const notificationDigestService = require('./notification-digest.service');
+const lineOutboxService = require('./line-outbox.service');
+const groupPreferencesService = require('./group-preferences.service');
+const businessDate = require('../utils/business-date');
+const { groupLanguage, perLanguage } = require('../utils/i18n');
+const { getDailyLeaderboard, createDailyLeaderboardFlex } = require('../daily-leaderboard');
+const { getRecapRange, buildRecap, createRecapCarousel } = require('../period-recap');
+
+/**
+ * Push a message to groups through the LINE outbox, each in its own language
+ * @param {Array} groups - Groups to push to
+ * @param {Object} push - { message (a function of the group's language), type, teamId,
+ *                        dedupKey (suffixed with the group ID) }
+ * @returns {Promise<Object>} { sent, retrying }: pushes delivered, and left to the outbox to retry
+ */
+async function pushToGroups(groups, push, channelAccessToken) {
+    const outcomes = { sent: 0, retrying: 0 };
+
+    for (const group of groups) {
+        const outcome = await lineOutboxService.send({
+            ...push,
+            message: push.message(groupLanguage(group)),
+            to: group.id,
+            dedupKey: push.dedupKey ? `${push.dedupKey}:${group.id}` : null
+        }, channelAccessToken);
+
+        if (outcome.status === 'sent') outcomes.sent++;
+        if (outcome.status === 'pending') outcomes.retrying++;
+    }
+    return outcomes;
+}
+
+/**
+ * Post a team's leaderboard of today (its business day) to the team's
+ * groups that receive it (notifications and the dailyLeaderboard category
+ * on, outside quiet hours); teamId null posts the overall board to groups
+ * without a team. Nothing is sent on a day without activity.
+ * @param {string} teamId - Team ID, null for groups without a team
+ * @param {string} timezone - The team's timezone
+ * @param {string} channelAccessToken - LINE channel access token
+ * @param {string} runKey - Identifies the run (its scheduled time), so a
+ *                          retried run does not post twice
+ * @returns {Promise<Object>} { date, groups, sent, retrying, skipped } for the job's last run
+ */
+async function postDailyLeaderboard(teamId, timezone, channelAccessToken, runKey = null) {
+    const storage = getStorage();
+    const date = businessDate.getBusinessDate(timezone);
+    const groups = groupPreferencesService.filterGroups(await storage.getTeamGroups(teamId), 'dailyLeaderboard', { timezone });
+
+    const activities = (await storage.getActivitiesByDateRange(null, date, date))
+        .filter(activity => !teamId || activity.teamId === teamId);
+    if (groups.length === 0 || activities.length === 0) {
+        return { date, groups: groups.length, sent: 0, skipped: groups.length === 0 ? 'no groups' : 'no activity' };
+    }
+
+    const displayNames = {};
+    for (const lineUserId of new Set(activities.map(activity => activity.lineUserId))) {
+        const user = await storage.getUser(lineUserId);
+        displayNames[lineUserId] = user && user.displayName;
+    }
+    const leaderboard = getDailyLeaderboard(activities, displayNames);
+    const flexMessage = perLanguage(language => createDailyLeaderboardFlex(leaderboard, date, language));
+
+    // Quota usage is tracked in Firestore; other storage sends without it
+    const team = teamId && usesFirestore() ? await teamService.getTeam(teamId) : null;
+    const quotaCheck = usesFirestore()
+        ? await lineQuotaService.canSendMessage('leaderboard', false, team)
+        : { allowed: true, remaining: groups.length };
+    if (!quotaCheck.allowed) {
+        console.warn(`LINE quota exceeded, daily leaderboard not sent: ${quotaCheck.reason}`);
+        return { date, groups: groups.length, sent: 0, skipped: 'quota' };
+    }
+
+    const outcomes = await pushToGroups(groups.slice(0, quotaCheck.remaining), {
+        message: flexMessage,
+        type: 'leaderboard',
+        teamId,
+        dedupKey: runKey && `daily-leaderboard:${runKey}`
+    }, channelAccessToken);
+
+    return { date, groups: groups.length, ...outcomes };
+}
+
+// Unlock time of an achievement: a Firestore Timestamp, an ISO string or SQLite's UTC 'YYYY-MM-DD HH:MM:SS'
+function unlockedAt(achievement) {
+    const value = achievement.unlocked_at;
+    if (value && typeof value.toDate === 'function') return value.toDate();
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return new Date(`${value.replace(' ', 'T')}Z`);
+    }
+    return value ? new Date(value) : null;
+}
+
+/**
+ * Gather a team's recap of the period that ended yesterday (its business day)
+ * @param {string} period - 'weekly' or 'monthly'
+ * @param {string} teamId - Team ID, null for every team
+ * @param {string} timezone - The team's timezone
+ * @returns {Promise<Object>} Recap from buildRecap
+ */
+async function collectRecap(period, teamId, timezone) {
+    const storage = getStorage();
+    const range = getRecapRange(period, businessDate.getBusinessDate(timezone));
+    const filters = teamId ? { teamId } : {};
+
+    const current = await storage.getLeaderboardForRange(range.startDate, range.endDate, filters);
+    const previous = await storage.getLeaderboardForRange(range.previousStartDate, range.previousEndDate, filters);
+
+    const streaks = [];
+    const achievements = [];
+    for (const entry of current.entries) {
+        // Only streaks still running on the period's last day
+        const streak = await storage.getUserStreak(entry.userId);
+        if (streak && streak.last_activity_date >= range.endDate) {
+            streaks.push({ userId: entry.userId, displayName: entry.displayName, currentStreak: streak.current_streak || 0 });
+        }
+
+        for (const achievement of await storage.getUserAchievements(entry.userId)) {
+            const at = unlockedAt(achievement);
+            const date = at && businessDate.toBusinessDate(at, timezone);
+            if (date && date >= range.startDate && date <= range.endDate) {
+                achievements.push({ userId: entry.userId, displayName: entry.displayName, achievementId: achievement.achievement_id });
+            }
+        }
+    }
+
+    return buildRecap({
+        period,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        entries: current.entries,
+        previousEntries: previous.entries,
+        streaks,
+        achievements
+    });
+}
+
+/**
+ * Post a team's weekly or monthly recap to the team's groups that opted in
+ * to it (group settings.recaps, set with /recap or /settings) and are
+ * outside quiet hours. Nothing is sent for a period without activity.
+ * @param {string} period - 'weekly' or 'monthly'
+ * @param {string} teamId - Team ID, null for groups without a team
+ * @param {string} timezone - The team's timezone
+ * @param {string} channelAccessToken - LINE channel access token
+ * @param {string} runKey - Identifies the run (its scheduled time), so a
+ *                          retried run does not post twice
+ * @returns {Promise<Object>} { startDate, endDate, groups, sent, retrying, skipped } for the job's last run
+ */
+async function postPeriodRecap(period, teamId, timezone, channelAccessToken, runKey = null) {
+    const storage = getStorage();
+    const groups = groupPreferencesService.filterGroups(await storage.getTeamGroups(teamId), `${period}Recap`, { timezone });
+
+    if (groups.length === 0) {
+        return { groups: 0, sent: 0, skipped: 'no groups' };
+    }
+
+    const recap = await collectRecap(period, teamId, timezone);
+    const summary = { startDate: recap.startDate, endDate: recap.endDate, groups: groups.length };
+    if (recap.team.participants === 0) {
+        return { ...summary, sent: 0, skipped: 'no activity' };
+    }
+
+    const team = teamId && usesFirestore() ? await teamService.getTeam(teamId) : null;
+    const quotaCheck = usesFirestore()
+        ? await lineQuotaService.canSendMessage('recap', false, team)
+        : { allowed: true, remaining: groups.length };
+    if (!quotaCheck.allowed) {
+        console.warn(`LINE quota exceeded, ${period} recap not sent: ${quotaCheck.reason}`);
+        return { ...summary, sent: 0, skipped: 'quota' };
+    }
+
+    const outcomes = await pushToGroups(groups.slice(0, quotaCheck.remaining), {
+        message: perLanguage(language => createRecapCarousel(recap, language)),
+        type: 'recap',
+        teamId,
+        dedupKey: runKey && `${period}-recap:${runKey}`
+    }, channelAccessToken);
+
+    return { ...summary, ...outcomes };
+}
+
+/**
+ * Register the recurring jobs with the scheduler (started by the server)
+ * @param {Object} options - { getChannelAccessToken }: the LINE token, read
+ *                           when a job runs as it may be loaded after startup
+ */
+function registerJobs({ getChannelAccessToken }) {
+    schedulerService.register({
+        id: 'daily-leaderboard',
+        description: "Post each team's daily leaderboard to its LINE groups",
+        schedule: process.env.DAILY_LEADERBOARD_CRON || '0 18 * * *',
+        perTeam: true,
+        run: ({ teamId, timezone, scheduledFor }) =>
+            postDailyLeaderboard(teamId, timezone, getChannelAccessToken(), `${teamId || 'none'}:${scheduledFor}`)
+    });
+
+    // Monday and first-of-the-month mornings, covering the period that just ended
+    schedulerService.register({
+        id: 'weekly-recap',
+        description: "Post last week's recap to LINE groups that opted in",
+        schedule: process.env.WEEKLY_RECAP_CRON || '0 8 * * 1',
+        perTeam: true,
+        run: ({ teamId, timezone, scheduledFor }) =>
+            postPeriodRecap('weekly', teamId, timezone, getChannelAccessToken(), `${teamId || 'none'}:${scheduledFor}`)
+    });
+
+    schedulerService.register({
+        id: 'monthly-recap',
+        description: "Post last month's recap to LINE groups that opted in",
+        schedule: process.env.MONTHLY_RECAP_CRON || '0 8 1 * *',
+        perTeam: true,
+        run: ({ teamId, timezone, scheduledFor }) =>
+            postPeriodRecap('monthly', teamId, timezone, getChannelAccessToken(), `${teamId || 'none'}:${scheduledFor}`)
+    });
+
+    schedulerService.register({
+        id: 'line-outbox',
+        description: 'Retry LINE pushes that failed, with exponential backoff',
+        schedule: '* * * * *',
+        run: () => lineOutboxService.deliverDue(getChannelAccessToken())
+    });
+
+    schedulerService.register({
+        id: 'cleanup-outbox',
+        description: `Remove sent and failed LINE pushes older than ${lineOutboxService.RETENTION_DAYS} days`,
+        schedule: '45 0 * * *',
+        run: () => lineOutboxService.prune()
+    });
+
+    schedulerService.register({
+        id: 'cleanup-expired-cache',
+        description: 'Remove expired cached stats and leaderboards',
+        schedule: '*/15 * * * *',
+        run: async () => {
+            await getStorage().cleanupExpiredCache();
+        }
+    });
+
+    // LINE quota usage is tracked in Firestore only
+    if (usesFirestore()) {
+        schedulerService.register({
+            id: 'cleanup-quota-records',
+            description: 'Remove LINE quota records older than 7 days',
+            schedule: '30 0 * * *',
+            run: async () => {
+                await lineQuotaService.cleanupOldRecords();
+            }
+        });
+
+        // Notifications are only held while the quota forecast says so; an empty run sends nothing
+        schedulerService.register({
+            id: 'notification-digests',
+            description: 'Send each LINE group one message combining its held activity notifications',
+            schedule: `*/${lineQuotaService.DIGEST_INTERVAL_MINUTES} * * * *`,
+            run: () => notificationDigestService.flush(getChannelAccessToken())
+        });
+    }
+}
+
+module.exports = {
+    postDailyLeaderboard,
+    collectRecap,
+    postPeriodRecap,
+    registerJobs
+};
@@ -0,0 +1,282 @@
+const os = require('os');
+const crypto = require('crypto');
+const { getStorage, usesFirestore } = require('../storage');
+const teamService = require('./team.service');
+const cron = require('../utils/cron');
+const { DEFAULT_TIMEZONE } = require('../utils/business-date');
+
+/**
+ * In-process scheduler for recurring jobs.
+ *
+ * Every instance ticks once a minute. Job state lives in storage (see the
+ * scheduled jobs section of storage/repository.js), so when several instances
+ * run, each run is claimed by exactly one of them, and the last run survives
+ * restarts. A team job runs once per team on the team's timezone (plus once
+ * for groups without a team, on the default timezone).
+ */
+class SchedulerService {
+    constructor() {
+        this.TICK_INTERVAL = 60 * 1000;
+        // A run holding its lock longer than this is taken to have died with its instance
+        this.LOCK_TTL = 10 * 60 * 1000;
+        this.owner = `${process.env.GAE_INSTANCE || os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+        this.jobs = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Add a job
+     * @param {Object} job - { id, description, schedule (cron expression), perTeam,
+     *                         timezone (non-team jobs), run: async ({ teamId, timezone, scheduledFor, trigger }) }
+     */
+    register(job) {
+        if (!job.id || typeof job.run !== 'function') {
+            throw new Error('A job needs an id and a run function');
+        }
+        if (this.jobs.has(job.id)) {
+            throw new Error(`Job "${job.id}" is already registered`);
+        }
+        cron.parseCron(job.schedule);
+
+        this.jobs.set(job.id, {
+            description: '',
+            perTeam: false,
+            timezone: DEFAULT_TIMEZONE,
+            ...job
+        });
+    }
+
+    getJob(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    // State key of a job (team jobs keep one per team; the job's own key holds paused)
+    stateKey(job, teamId = null) {
+        return job.perTeam ? `${job.id}:${teamId || 'none'}` : job.id;
+    }
+
+    /**
+     * Where a job runs: { teamId, timezone } per team for team jobs
+     * (teams are kept in Firestore), otherwise once on the job's timezone
+     */
+    async getTargets(job) {
+        if (!job.perTeam) {
+            return [{ teamId: null, timezone: job.timezone }];
+        }
+
+        const teams = usesFirestore() ? await teamService.listTeams() : [];
+        return [
+            ...teams.map(team => ({ teamId: team.id, timezone: team.timezone || DEFAULT_TIMEZONE })),
+            { teamId: null, timezone: DEFAULT_TIMEZONE }
+        ];
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.TICK_INTERVAL);
+        // Ticks alone should not keep the process alive
+        if (this.timer.unref) this.timer.unref();
+        this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run every job whose next run is due. A target seen for the first time
+     * gets its next run computed instead: jobs do not catch up on past runs.
+     * @param {Date} now - Current time
+     */
+    async tick(now = new Date()) {
+        // A tick outlasting the interval (a slow job) is not overlapped
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const storage = getStorage();
+
+            for (const job of this.jobs.values()) {
+                const jobState = await storage.getJobState(job.id);
+                if (jobState && jobState.paused) continue;
+
+                for (const target of await this.getTargets(job)) {
+                    const key = this.stateKey(job, target.teamId);
+                    const state = key === job.id ? jobState : await storage.getJobState(key);
+
+                    if (!state || !state.nextRunAt) {
+                        await storage.updateJobState(key, { nextRunAt: this.nextRunAt(job, target, now) });
+                    } else if (this.isAbandoned(state, now)) {
+                        // Claimed by an instance that stopped before storing the outcome
+                        await storage.updateJobState(key, { nextRunAt: this.nextRunAt(job, target, now), lockedBy: null, lockedUntil: null });
+                    } else if (state.nextRunAt <= now.toISOString()) {
+                        await this.runTarget(job, target, state.nextRunAt, 'schedule', now);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error running scheduled jobs:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    // The next run was claimed, yet its lock expired without the run being recorded
+    isAbandoned(state, now) {
+        return Boolean(state.lastScheduledFor && state.lastScheduledFor >= state.nextRunAt &&
+            !(state.lockedUntil && state.lockedUntil > now.toISOString()));
+    }
+
+    nextRunAt(job, target, after) {
+        const next = cron.nextRun(job.schedule, after, target.timezone);
+        return next ? next.toISOString() : null;
+    }
+
+    /**
+     * Claim and run a job for one target, then store the outcome and the next run
+     * @param {Object} job - Registered job
+     * @param {Object} target - { teamId, timezone }
+     * @param {string} scheduledFor - ISO time of the run being claimed
+     * @param {string} trigger - 'schedule' or 'manual'
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} { jobId, teamId, status: 'success'|'failed'|'skipped', result|error }
+     */
+    async runTarget(job, target, scheduledFor, trigger, now = new Date()) {
+        const storage = getStorage();
+        const key = this.stateKey(job, target.teamId);
+        const outcome = { jobId: job.id, teamId: target.teamId, scheduledFor, trigger };
+
+        const claimed = await storage.claimJobRun(key, {
+            owner: this.owner,
+            scheduledFor,
+            lockedUntil: new Date(now.getTime() + this.LOCK_TTL).toISOString(),
+            now: now.toISOString()
+        });
+        if (!claimed) {
+            return { ...outcome, status: 'skipped' };
+        }
+
+        const startedAt = Date.now();
+        let status = 'success';
+        let result = null;
+        let error = null;
+
+        try {
+            result = await job.run({ teamId: target.teamId, timezone: target.timezone, scheduledFor, trigger });
+        } catch (runError) {
+            console.error(`Scheduled job ${key} failed:`, runError);
+            status = 'failed';
+            error = runError.message;
+        }
+
+        const durationMs = Date.now() - startedAt;
+        const finishedAt = new Date(now.getTime() + durationMs);
+        await storage.updateJobState(key, {
+            lastRunAt: finishedAt.toISOString(),
+            lastStatus: status,
+            lastError: error,
+            lastResult: result === undefined ? null : result,
+            lastTrigger: trigger,
+            lastDurationMs: durationMs,
+            nextRunAt: this.nextRunAt(job, target, finishedAt),
+            lockedBy: null,
+            lockedUntil: null
+        });
+
+        return status === 'success' ? { ...outcome, status, result } : { ...outcome, status, error };
+    }
+
+    /**
+     * Run a job now, for every target or one team. A target whose run is in
+     * progress on any instance is skipped.
+     * @param {string} jobId - Job ID
+     * @param {string} teamId - Team to run a team job for (optional)
+     * @returns {Promise<Array|null>} Outcome per target, null for an unknown job
+     */
+    async trigger(jobId, teamId = null) {
+        const job = this.getJob(jobId);
+        if (!job) return null;
+
+        const targets = (await this.getTargets(job))
+            .filter(target => !teamId || target.teamId === teamId);
+
+        const runs = [];
+        for (const target of targets) {
+            const now = new Date();
+            runs.push(await this.runTarget(job, target, now.toISOString(), 'manual', now));
+        }
+        return runs;
+    }
+
+    /**
+     * Pause or resume a job on every instance
+     * @returns {Promise<Object|null>} The job's listing, null for an unknown job
+     */
+    async setPaused(jobId, paused) {
+        const job = this.getJob(jobId);
+        if (!job) return null;
+
+        await getStorage().updateJobState(job.id, { paused: Boolean(paused) });
+        return this.describe(job);
+    }
+
+    // Last and next run of a stored job state, and whether a run holds its lock
+    runState(state = {}) {
+        const running = Boolean(state.lockedUntil && state.lockedUntil > new Date().toISOString());
+
+        return {
+            lastRunAt: state.lastRunAt || null,
+            lastStatus: state.lastStatus || null,
+            lastError: state.lastError || null,
+            lastTrigger: state.lastTrigger || null,
+            lastDurationMs: state.lastDurationMs === undefined ? null : state.lastDurationMs,
+            lastResult: state.lastResult === undefined ? null : state.lastResult,
+            nextRunAt: state.nextRunAt || null,
+            running,
+            runningOn: running ? state.lockedBy : null
+        };
+    }
+
+    /**
+     * A job's listing with its stored state (per team for team jobs)
+     * @param {Object} job - Registered job
+     * @param {Array} states - All stored job states (read one by one when not given)
+     */
+    async describe(job, states = null) {
+        const storage = getStorage();
+        const stateOf = async (key) => (states ? states.find(state => state.key === key) : await storage.getJobState(key)) || {};
+
+        const jobState = await stateOf(job.id);
+        const listing = {
+            id: job.id,
+            description: job.description,
+            schedule: job.schedule,
+            perTeam: job.perTeam,
+            paused: Boolean(jobState.paused)
+        };
+
+        if (!job.perTeam) {
+            return { ...listing, timezone: job.timezone, ...this.runState(jobState) };
+        }
+
+        const teams = [];
+        for (const target of await this.getTargets(job)) {
+            teams.push({ ...target, ...this.runState(await stateOf(this.stateKey(job, target.teamId))) });
+        }
+        return { ...listing, teams };
+    }
+
+    async listJobs() {
+        const states = await getStorage().listJobStates();
+        const jobs = [];
+        for (const job of this.jobs.values()) {
+            jobs.push(await this.describe(job, states));
+        }
+        return jobs;
+    }
+}
+
+module.exports = new SchedulerService();
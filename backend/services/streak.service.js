@@ -0,0 +1,95 @@
+const { getStorage } = require('../storage');
+const auditService = require('./audit.service');
+const businessDate = require('../utils/business-date');
+
+// Activity dates are business dates; ranges span every date a rep can have
+const FIRST_DATE = '0000-01-01';
+const LAST_DATE = '9999-12-31';
+
+class StreakService {
+    /**
+     * Streak of consecutive business days with at least one activity.
+     * The current streak is the run ending on the last activity date;
+     * GET /api/streak reports it as broken once a day has been missed.
+     * @param {Array<string>} dates - Activity dates (YYYY-MM-DD), any order, repeats allowed
+     * @returns {Object} { currentStreak, longestStreak, lastActivityDate }
+     */
+    calculate(dates) {
+        const days = [...new Set(dates.map(date => String(date || '').split('T')[0]))]
+            .filter(businessDate.isValidDate)
+            .sort();
+
+        let run = 0;
+        let longestStreak = 0;
+        days.forEach((day, index) => {
+            run = index > 0 && businessDate.addDays(days[index - 1], 1) === day ? run + 1 : 1;
+            longestStreak = Math.max(longestStreak, run);
+        });
+
+        return {
+            currentStreak: run,
+            longestStreak,
+            lastActivityDate: days.length > 0 ? days[days.length - 1] : null
+        };
+    }
+
+    /**
+     * Current length of a stored streak: 0 once a business day has been
+     * missed since its last activity
+     * @param {Object} streak - Stored streak (current_streak, last_activity_date), or null
+     * @param {string} timezone - The rep's timezone
+     * @param {Date} now - Current time
+     */
+    getCurrentStreak(streak, timezone = businessDate.DEFAULT_TIMEZONE, now = new Date()) {
+        if (!streak || !streak.current_streak) return 0;
+        if (!streak.last_activity_date) return streak.current_streak;
+
+        const lastActivityDate = businessDate.toBusinessDate(streak.last_activity_date, timezone);
+        const yesterday = businessDate.addDays(businessDate.getBusinessDate(timezone, now), -1);
+        return lastActivityDate && lastActivityDate < yesterday ? 0 : streak.current_streak;
+    }
+
+    /**
+     * Recompute a rep's stored streak from their activities after an activity
+     * was edited, deleted or restored. A change is recorded in the audit log;
+     * failures are logged, as the activity change itself is already stored.
+     * @param {string} lineUserId - LINE user ID of the rep
+     * @param {Object} actor - { lineUserId, role, source } of whoever changed the activity
+     * @returns {Promise<Object|null>} The stored streak, null when it could not be updated
+     */
+    async recalculate(lineUserId, actor = {}) {
+        const storage = getStorage();
+
+        try {
+            const activities = await storage.getActivitiesByDateRange(lineUserId, FIRST_DATE, LAST_DATE);
+            const streak = this.calculate(activities.map(activity => activity.date));
+            const before = await storage.getUserStreak(lineUserId);
+
+            if (before
+                && before.current_streak === streak.currentStreak
+                && before.longest_streak === streak.longestStreak
+                && (before.last_activity_date || null) === streak.lastActivityDate) {
+                return before;
+            }
+
+            await storage.updateUserStreak(lineUserId, streak);
+            const after = await storage.getUserStreak(lineUserId);
+
+            await auditService.record({
+                entityType: 'streak',
+                entityId: lineUserId,
+                action: 'update',
+                lineUserId,
+                teamId: (await storage.getUser(lineUserId))?.teamId,
+                before,
+                after
+            }, actor);
+            return after;
+        } catch (error) {
+            console.error('Error recalculating streak:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = new StreakService();
@@ -0,0 +1,183 @@
+const admin = require('firebase-admin');
+const firestoreService = require('./firestore.service');
+const teamService = require('./team.service');
+const { usesFirestore } = require('../storage');
+const { getBusinessDate } = require('../utils/business-date');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TargetService {
+    constructor() {
+        this.db = admin.firestore();
+        this.targetsCollection = 'targets';
+        this.SCOPES = ['user', 'team'];
+        this.PERIODS = ['daily', 'weekly', 'monthly'];
+        this.POINTS_METRIC = 'points'; // Any other metric is an activity type id (counts quantity)
+        this.ON_TRACK_TOLERANCE = 0.9; // Within 90% of expected pace counts as on track
+    }
+
+    /**
+     * Create a recurring target, e.g. 40 phone calls per week for a rep
+     * or 5000 points per month for a team
+     * @param {Object} data - { scope, ownerId, period, metric, targetValue, createdBy }
+     */
+    async createTarget(data) {
+        const now = new Date().toISOString();
+        const target = {
+            scope: data.scope,
+            ownerId: data.ownerId,
+            period: data.period,
+            metric: data.metric,
+            targetValue: data.targetValue,
+            active: true,
+            createdBy: data.createdBy || null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const docRef = await this.db.collection(this.targetsCollection).add(target);
+        return { id: docRef.id, ...target };
+    }
+
+    /**
+     * Get a single target
+     * @param {string} targetId - Target document ID
+     */
+    async getTarget(targetId) {
+        const doc = await this.db.collection(this.targetsCollection).doc(targetId).get();
+        if (!doc.exists) return null;
+
+        return { id: doc.id, ...doc.data() };
+    }
+
+    /**
+     * List active targets of a user or team
+     * @param {string} scope - 'user' or 'team'
+     * @param {string} ownerId - lineUserId or teamId
+     */
+    async listTargets(scope, ownerId) {
+        // Targets are kept in Firestore only
+        if (!usesFirestore()) return [];
+
+        const snapshot = await this.db.collection(this.targetsCollection)
+            .where('scope', '==', scope)
+            .where('ownerId', '==', ownerId)
+            .get();
+
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(target => target.active);
+    }
+
+    /**
+     * Update a target
+     * @param {string} targetId - Target document ID
+     * @param {Object} updates - Any of period, metric, targetValue, active
+     */
+    async updateTarget(targetId, updates) {
+        const docRef = this.db.collection(this.targetsCollection).doc(targetId);
+        const doc = await docRef.get();
+        if (!doc.exists) return null;
+
+        const changes = { ...updates, updatedAt: new Date().toISOString() };
+        await docRef.update(changes);
+        return { id: targetId, ...doc.data(), ...changes };
+    }
+
+    /**
+     * Stop tracking a target (kept for history)
+     * @param {string} targetId - Target document ID
+     */
+    async deactivateTarget(targetId) {
+        return this.updateTarget(targetId, { active: false });
+    }
+
+    /**
+     * Progress of a target in the period containing date.
+     * pace compares actual against the share of the target expected by now;
+     * projected extrapolates the current rate to the end of the period.
+     * @param {Object} target - Target document
+     * @param {string} date - YYYY-MM-DD (defaults to the owner's business day today)
+     */
+    async getProgress(target, date = null) {
+        const today = date || getBusinessDate(await this.getOwnerTimezone(target));
+        const { startDate, endDate } = firestoreService.getPeriodRange(target.period, today);
+
+        const activities = target.scope === 'user'
+            ? await firestoreService.getActivitiesByDateRange(target.ownerId, startDate, endDate)
+            : (await firestoreService.getActivitiesByDateRange(null, startDate, endDate))
+                .filter(activity => activity.teamId === target.ownerId);
+
+        const actual = activities.reduce((sum, activity) => {
+            if (target.metric === this.POINTS_METRIC) {
+                return sum + (activity.points || 0);
+            }
+            return activity.activityType === target.metric ? sum + (activity.count || 1) : sum;
+        }, 0);
+
+        // Count whole days, including today
+        const totalDays = Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1;
+        const elapsedDays = Math.min(totalDays, Math.round((new Date(today) - new Date(startDate)) / DAY_MS) + 1);
+        const elapsedRatio = elapsedDays / totalDays;
+
+        const expected = target.targetValue * elapsedRatio;
+        const projected = Math.round(actual / elapsedRatio);
+        const pace = expected > 0 ? Math.round((actual / expected) * 100) / 100 : 0;
+
+        let status = 'behind';
+        if (actual >= target.targetValue) {
+            status = 'achieved';
+        } else if (pace >= 1) {
+            status = 'ahead';
+        } else if (pace >= this.ON_TRACK_TOLERANCE) {
+            status = 'on_track';
+        }
+
+        return {
+            targetId: target.id,
+            scope: target.scope,
+            ownerId: target.ownerId,
+            period: target.period,
+            metric: target.metric,
+            targetValue: target.targetValue,
+            startDate,
+            endDate,
+            actual,
+            remaining: Math.max(0, target.targetValue - actual),
+            percentComplete: Math.round((actual / target.targetValue) * 100),
+            elapsedDays,
+            totalDays,
+            expected: Math.round(expected),
+            pace,
+            projected,
+            projectedAttainment: Math.round((projected / target.targetValue) * 100),
+            status
+        };
+    }
+
+    // Timezone of the team or rep a target belongs to
+    async getOwnerTimezone(target) {
+        if (target.scope === 'team') {
+            return teamService.getTeamTimezone(target.ownerId);
+        }
+        return teamService.getUserTimezone(await firestoreService.getUser(target.ownerId));
+    }
+
+    /**
+     * Progress of a user's own targets plus their team's targets
+     * @param {Object} user - User document ({ id/lineUserId, teamId })
+     * @param {string} date - YYYY-MM-DD (defaults to the user's business day today)
+     */
+    async getUserProgress(user, date = null) {
+        const lineUserId = user.lineUserId || user.id;
+        const today = date || getBusinessDate(await teamService.getUserTimezone(user));
+        const [personal, team] = await Promise.all([
+            this.listTargets('user', lineUserId),
+            user.teamId ? this.listTargets('team', user.teamId) : []
+        ]);
+
+        return Promise.all([...personal, ...team].map(target => this.getProgress(target, today)));
+    }
+}
+
+module.exports = new TargetService();
@@ -0,0 +1,165 @@
+const admin = require('firebase-admin');
+const { usesFirestore } = require('../storage');
+const { DEFAULT_TIMEZONE } = require('../utils/business-date');
+
+class TeamService {
+    constructor() {
+        this.organizationsCollection = 'organizations';
+        this.teamsCollection = 'teams';
+        this.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+    }
+
+    // Opened on first use: without Firestore there are no teams to read
+    get db() {
+        return admin.firestore();
+    }
+
+    // Loaded on first use: loading it initializes Firebase, and only membership changes need it
+    get firestoreService() {
+        return require('./firestore.service');
+    }
+
+    /**
+     * Create an organization (a company running one or more sales teams)
+     * @param {Object} data - { name }
+     */
+    async createOrganization(data) {
+        const now = new Date().toISOString();
+        const organization = {
+            name: data.name,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const docRef = await this.db.collection(this.organizationsCollection).add(organization);
+        return { id: docRef.id, ...organization };
+    }
+
+    /**
+     * Get a single organization
+     * @param {string} organizationId - Organization document ID
+     */
+    async getOrganization(organizationId) {
+        const doc = await this.db.collection(this.organizationsCollection).doc(organizationId).get();
+        if (!doc.exists) return null;
+
+        return { id: doc.id, ...doc.data() };
+    }
+
+    async listOrganizations() {
+        const snapshot = await this.db.collection(this.organizationsCollection).get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    /**
+     * Create a sales team inside an organization. Without a timezone the
+     * business day of each member follows their own UserSettings.timezone.
+     * @param {Object} data - { organizationId, name, timezone, dailyMessageLimit }
+     */
+    async createTeam(data) {
+        const now = new Date().toISOString();
+        const team = {
+            organizationId: data.organizationId,
+            name: data.name,
+            timezone: data.timezone || null,
+            dailyMessageLimit: data.dailyMessageLimit || null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const docRef = await this.db.collection(this.teamsCollection).add(team);
+        return { id: docRef.id, ...team };
+    }
+
+    /**
+     * Get a single team
+     * @param {string} teamId - Team document ID
+     */
+    async getTeam(teamId) {
+        // Teams are kept in Firestore only
+        if (!usesFirestore()) return null;
+
+        const doc = await this.db.collection(this.teamsCollection).doc(teamId).get();
+        if (!doc.exists) return null;
+
+        return { id: doc.id, ...doc.data() };
+    }
+
+    /**
+     * List teams, optionally of one organization
+     * @param {string} organizationId - Organization document ID
+     */
+    async listTeams(organizationId = null) {
+        let query = this.db.collection(this.teamsCollection);
+        if (organizationId) {
+            query = query.where('organizationId', '==', organizationId);
+        }
+
+        const snapshot = await query.get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    /**
+     * Update a team
+     * @param {string} teamId - Team document ID
+     * @param {Object} updates - Any of name, timezone, dailyMessageLimit
+     */
+    async updateTeam(teamId, updates) {
+        const docRef = this.db.collection(this.teamsCollection).doc(teamId);
+        const doc = await docRef.get();
+        if (!doc.exists) return null;
+
+        const changes = { ...updates, updatedAt: new Date().toISOString() };
+        await docRef.update(changes);
+        return { id: teamId, ...doc.data(), ...changes };
+    }
+
+    /**
+     * Add a user to a team (a user belongs to one team at a time)
+     * @param {Object} team - Team document
+     * @param {string} lineUserId - User to move into the team
+     */
+    async addMember(team, lineUserId) {
+        return this.firestoreService.setUserTeam(lineUserId, team.id, team.organizationId);
+    }
+
+    /**
+     * Remove a user from their team
+     * @param {string} lineUserId - User to remove
+     */
+    async removeMember(lineUserId) {
+        return this.firestoreService.setUserTeam(lineUserId, null, null);
+    }
+
+    /**
+     * Get the team of a user, or null if the user has none
+     * @param {Object} user - User document
+     */
+    async getUserTeam(user) {
+        if (!user || !user.teamId) return null;
+        return this.getTeam(user.teamId);
+    }
+
+    /**
+     * Timezone of a team's business day (the default when the team has none)
+     * @param {string} teamId - Team document ID
+     */
+    async getTeamTimezone(teamId) {
+        const team = teamId ? await this.getTeam(teamId) : null;
+        return (team && team.timezone) || this.DEFAULT_TIMEZONE;
+    }
+
+    /**
+     * Timezone of a user's business day: their team's, else their own
+     * settings, else the default
+     * @param {Object} user - User document
+     */
+    async getUserTimezone(user) {
+        const team = await this.getUserTeam(user);
+        if (team && team.timezone) return team.timezone;
+
+        return (user && user.settings && user.settings.timezone) || this.DEFAULT_TIMEZONE;
+    }
+}
+
+module.exports = new TeamService();
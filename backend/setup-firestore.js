@@ -52,7 +52,11 @@ async function createIndexes() {
   const indexes = [
     'activities: lineUserId ASC, date DESC',
     'activities: date DESC, points DESC',
-    'activities: lineUserId ASC, created_at DESC'
+    'activities: lineUserId ASC, created_at DESC',
+    'leaderboard_aggregates: period ASC, startDate ASC',
+    'leaderboard_aggregates: period ASC, teamId ASC, startDate ASC',
+    'audit_log: entityType ASC, entityId ASC, createdAt DESC',
+    'audit_log: teamId ASC, createdAt DESC'
   ];
   
   console.log('Please create these composite indexes in Firebase Console:');
@@ -188,6 +192,19 @@ async function migrateFromSQLite() {
   }
 }
 
+// Build per-user leaderboard aggregates for activities written without them
+async function buildLeaderboardAggregates() {
+  console.log('🏆 Building leaderboard aggregates...');
+  
+  try {
+    const firestoreService = require('./services/firestore.service');
+    const written = await firestoreService.rebuildLeaderboardAggregates();
+    console.log(`  ✅ Wrote ${written} leaderboard aggregates`);
+  } catch (error) {
+    console.error('❌ Failed to build leaderboard aggregates:', error);
+  }
+}
+
 // Set up initial data structure
 async function setupCollections() {
   console.log('🏗️  Setting up Firestore collections...');
@@ -233,6 +250,9 @@ async function main() {
     // Migrate existing data
     await migrateFromSQLite();
     
+    // Aggregates for migrated and previously stored activities
+    await buildLeaderboardAggregates();
+    
     console.log('\n✅ Firestore setup completed!');
     console.log('\n📝 Next steps:');
     console.log('1. Create composite indexes in Firebase Console');
@@ -0,0 +1,67 @@
+/**
+ * Storage Adapters
+ * One repository interface for users, activities, groups, achievements and
+ * streaks (see repository.js). STORAGE_ADAPTER selects the implementation:
+ *   firestore (default) - Google Firestore via FirestoreService
+ *   sqlite              - local SQLite file (SQLITE_PATH)
+ *   memory              - process memory; local development needs no cloud project
+ *
+ * Deals, accounts, teams, targets, point rules and catalog overrides are kept
+ * in Firestore only; with another adapter their routes answer 501 Not Implemented.
+ */
+
+const ADAPTERS = ['firestore', 'sqlite', 'memory'];
+
+let instance = null;
+
+function getStorageType() {
+    const type = (process.env.STORAGE_ADAPTER || 'firestore').toLowerCase();
+
+    if (!ADAPTERS.includes(type)) {
+        throw new Error(`Unknown STORAGE_ADAPTER "${type}". Use one of: ${ADAPTERS.join(', ')}`);
+    }
+    return type;
+}
+
+// Whether Firestore-only features (and their Firestore reads) are available
+function usesFirestore() {
+    return getStorageType() === 'firestore';
+}
+
+/**
+ * Create a storage adapter
+ * @param {string} type - 'firestore', 'sqlite' or 'memory' (defaults to STORAGE_ADAPTER)
+ * @param {Object} options - Adapter options, e.g. { filename } for SQLite
+ */
+function createStorage(type = getStorageType(), options = {}) {
+    switch (type) {
+        case 'firestore':
+            return require('../services/firestore.service');
+        case 'sqlite': {
+            const SqliteAdapter = require('./sqlite.adapter');
+            return new SqliteAdapter(options);
+        }
+        case 'memory': {
+            const MemoryAdapter = require('./memory.adapter');
+            return new MemoryAdapter();
+        }
+        default:
+            throw new Error(`Unknown storage adapter "${type}". Use one of: ${ADAPTERS.join(', ')}`);
+    }
+}
+
+// The adapter shared by the app, created on first use
+function getStorage() {
+    if (!instance) {
+        instance = createStorage();
+    }
+    return instance;
+}
+
+module.exports = {
+    ADAPTERS,
+    getStorageType,
+    usesFirestore,
+    createStorage,
+    getStorage
+};
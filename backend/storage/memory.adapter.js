@@ -0,0 +1,367 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps everything in process memory; data is lost on restart.
+ * For local development and tests without a database.
+ */
+
+const Repository = require('./repository');
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+class MemoryAdapter extends Repository {
+    constructor() {
+        super();
+        this.users = new Map();
+        this.activities = new Map();
+        this.groups = new Map();
+        this.auditLog = [];
+        this.jobStates = new Map();
+        this.digestEntries = [];
+        this.outbox = new Map();
+        this.nextActivityId = 1;
+        this.nextAuditId = 1;
+        this.nextDigestId = 1;
+    }
+
+    async findActivities(criteria = {}) {
+        const { lineUserId, teamId, date, startDate, endDate } = criteria;
+
+        return [...this.activities.values()]
+            .filter(activity => !activity.deletedAt)
+            .filter(activity => !lineUserId || activity.lineUserId === lineUserId)
+            .filter(activity => !teamId || activity.teamId === teamId)
+            .filter(activity => !date || activity.date === date)
+            .filter(activity => !startDate || activity.date >= startDate)
+            .filter(activity => !endDate || activity.date <= endDate)
+            .map(clone);
+    }
+
+    async findUsers(criteria = {}) {
+        return [...this.users.values()]
+            .filter(user => !criteria.teamId || user.teamId === criteria.teamId)
+            .map(clone);
+    }
+
+    // User operations
+
+    async createOrUpdateUser(lineUserId, userData) {
+        const now = new Date().toISOString();
+        const existing = this.users.get(lineUserId);
+
+        // Skip undefined values, like the Firestore adapter
+        const cleanData = Object.entries(userData).reduce((acc, [key, value]) => {
+            if (value !== undefined) {
+                acc[key] = value;
+            }
+            return acc;
+        }, {});
+
+        this.users.set(lineUserId, existing
+            ? { ...existing, ...clone(cleanData), updatedAt: now }
+            : { id: lineUserId, ...clone(cleanData), settings: {}, createdAt: now, updatedAt: now });
+
+        return { lineUserId, ...userData };
+    }
+
+    async getUser(lineUserId) {
+        return clone(this.users.get(lineUserId)) || null;
+    }
+
+    async updateUserSettings(lineUserId, settings) {
+        this.updateUser(lineUserId, { settings: clone(settings) });
+        return true;
+    }
+
+    async updateUserStats(lineUserId) {
+        const activities = await this.findActivities({ lineUserId });
+        const user = this.users.get(lineUserId);
+        if (!user) return;
+
+        Object.assign(user, {
+            totalPoints: activities.reduce((sum, activity) => sum + (activity.points || 0), 0),
+            totalActivities: activities.length,
+            lastActivityAt: new Date().toISOString()
+        });
+    }
+
+    // Updates fail for unknown users, as Firestore document updates do
+    updateUser(lineUserId, changes) {
+        const user = this.users.get(lineUserId);
+        if (!user) {
+            throw new Error(`User ${lineUserId} not found`);
+        }
+        Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+        return user;
+    }
+
+    // Activity operations
+
+    async createActivity(activityData) {
+        const id = String(this.nextActivityId++);
+        this.activities.set(id, { id, ...clone(activityData), createdAt: new Date().toISOString() });
+
+        await this.updateUserStats(activityData.lineUserId);
+
+        return { id, ...activityData };
+    }
+
+    async createActivityOnce(clientId, activityData) {
+        const existing = this.activities.get(clientId);
+        if (existing) {
+            return { created: false, activity: clone(existing) };
+        }
+
+        this.activities.set(clientId, { id: clientId, ...clone(activityData), clientId, createdAt: new Date().toISOString() });
+        await this.updateUserStats(activityData.lineUserId);
+
+        return { created: true, activity: { id: clientId, ...activityData, clientId } };
+    }
+
+    async getActivity(activityId) {
+        const activity = this.activities.get(activityId);
+        return activity && !activity.deletedAt ? clone(activity) : null;
+    }
+
+    async updateActivity(activityId, changes) {
+        const activity = this.activities.get(activityId);
+        if (!activity || activity.deletedAt) return null;
+
+        Object.assign(activity, clone(changes), { updatedAt: new Date().toISOString() });
+        await this.updateUserStats(activity.lineUserId);
+
+        return clone(activity);
+    }
+
+    async deleteActivity(activityId) {
+        const activity = this.activities.get(activityId);
+        if (activity && !activity.deletedAt) {
+            activity.deletedAt = new Date().toISOString();
+            await this.updateUserStats(activity.lineUserId);
+        }
+        return true;
+    }
+
+    async getDeletedActivity(activityId) {
+        const activity = this.activities.get(activityId);
+        return activity && activity.deletedAt ? clone(activity) : null;
+    }
+
+    async restoreActivity(activityId) {
+        const activity = this.activities.get(activityId);
+        if (!activity || !activity.deletedAt) return null;
+
+        delete activity.deletedAt;
+        await this.updateUserStats(activity.lineUserId);
+
+        return clone(activity);
+    }
+
+    // Group operations
+
+    async registerGroup(groupId, groupName, registeredBy, teamId = null) {
+        const existing = this.groups.get(groupId) ||
+            { id: groupId, groupName: null, teamId: null, createdAt: new Date().toISOString() };
+
+        // Registering again keeps the group's settings, creation time and,
+        // unless a new one is given, its name and team
+        this.groups.set(groupId, {
+            ...existing,
+            groupName: groupName || existing.groupName,
+            registeredBy,
+            teamId: teamId || existing.teamId,
+            notificationsEnabled: true
+        });
+        return true;
+    }
+
+    async getGroup(groupId) {
+        return clone(this.groups.get(groupId)) || null;
+    }
+
+    async getAllGroups() {
+        return [...this.groups.values()].map(clone);
+    }
+
+    async toggleGroupNotifications(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return false;
+
+        group.notificationsEnabled = !group.notificationsEnabled;
+        return group.notificationsEnabled;
+    }
+
+    async updateGroupSettings(groupId, settings) {
+        const group = this.groups.get(groupId);
+        if (!group) return false;
+
+        group.settings = clone(settings);
+        return true;
+    }
+
+    // Achievement operations
+
+    async getUserAchievements(lineUserId) {
+        const user = this.users.get(lineUserId);
+        return clone((user && user.achievements) || []);
+    }
+
+    async unlockAchievement(lineUserId, achievementId) {
+        const now = new Date().toISOString();
+        let user = this.users.get(lineUserId);
+
+        if (!user) {
+            user = { id: lineUserId, createdAt: now, updatedAt: now };
+            this.users.set(lineUserId, user);
+        }
+
+        const achievements = user.achievements || [];
+        if (achievements.some(a => a.achievement_id === achievementId)) {
+            return { newUnlock: false };
+        }
+
+        user.achievements = [...achievements, { achievement_id: achievementId, unlocked_at: now }];
+        user.updatedAt = now;
+        return { newUnlock: true };
+    }
+
+    // Audit log
+
+    async appendAuditEntry(entry) {
+        const stored = { id: String(this.nextAuditId++), ...clone(entry) };
+        this.auditLog.push(stored);
+        return clone(stored);
+    }
+
+    async findAuditEntries(criteria = {}) {
+        const { entityType, entityId, action, actorId, lineUserId, teamId, from, to, limit = 100 } = criteria;
+
+        return this.auditLog
+            .filter(entry => !entityType || entry.entityType === entityType)
+            .filter(entry => !entityId || entry.entityId === entityId)
+            .filter(entry => !action || entry.action === action)
+            .filter(entry => !actorId || (entry.actor && entry.actor.lineUserId) === actorId)
+            .filter(entry => !lineUserId || entry.lineUserId === lineUserId)
+            .filter(entry => !teamId || entry.teamId === teamId)
+            .filter(entry => !from || entry.createdAt >= from)
+            .filter(entry => !to || entry.createdAt <= to)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || Number(b.id) - Number(a.id))
+            .slice(0, limit)
+            .map(clone);
+    }
+
+    // Scheduled jobs
+
+    async getJobState(key) {
+        return clone(this.jobStates.get(key)) || null;
+    }
+
+    async listJobStates() {
+        return [...this.jobStates.values()].map(clone);
+    }
+
+    async updateJobState(key, changes) {
+        const state = { ...this.jobStates.get(key), ...clone(changes), key };
+        this.jobStates.set(key, state);
+        return clone(state);
+    }
+
+    async claimJobRun(key, { owner, scheduledFor, lockedUntil, now }) {
+        const state = this.jobStates.get(key) || { key };
+
+        if ((state.lockedUntil && state.lockedUntil > now) ||
+            (state.lastScheduledFor && state.lastScheduledFor >= scheduledFor)) {
+            return false;
+        }
+
+        this.jobStates.set(key, { ...state, lockedBy: owner, lockedUntil, lastScheduledFor: scheduledFor });
+        return true;
+    }
+
+    // Notification digests
+
+    async appendDigestEntry(entry) {
+        const stored = { id: String(this.nextDigestId++), ...clone(entry) };
+        this.digestEntries.push(stored);
+        return clone(stored);
+    }
+
+    async listDigestEntries(groupId = null) {
+        return this.digestEntries
+            .filter(entry => !groupId || entry.groupId === groupId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || Number(a.id) - Number(b.id))
+            .map(clone);
+    }
+
+    async deleteDigestEntries(ids) {
+        const before = this.digestEntries.length;
+        this.digestEntries = this.digestEntries.filter(entry => !ids.includes(entry.id));
+        return before - this.digestEntries.length;
+    }
+
+    // LINE outbox
+
+    async createOutboxMessageOnce(message) {
+        const existing = this.outbox.get(message.id);
+        if (existing) {
+            return { created: false, message: clone(existing) };
+        }
+
+        this.outbox.set(message.id, clone(message));
+        return { created: true, message: clone(message) };
+    }
+
+    async getOutboxMessage(id) {
+        return clone(this.outbox.get(id)) || null;
+    }
+
+    async updateOutboxMessage(id, changes) {
+        const message = this.outbox.get(id);
+        if (!message) return null;
+
+        Object.assign(message, clone(changes), { id });
+        return clone(message);
+    }
+
+    async findOutboxMessages(criteria = {}) {
+        const { status, dueBefore, limit = 100 } = criteria;
+
+        return [...this.outbox.values()]
+            .filter(message => !status || message.status === status)
+            .filter(message => !dueBefore || (message.nextAttemptAt && message.nextAttemptAt <= dueBefore))
+            .sort((a, b) => (dueBefore
+                ? a.nextAttemptAt.localeCompare(b.nextAttemptAt)
+                : b.createdAt.localeCompare(a.createdAt)))
+            .slice(0, limit)
+            .map(clone);
+    }
+
+    async deleteOutboxMessages(before) {
+        let removed = 0;
+        for (const [id, message] of this.outbox) {
+            if (message.status !== 'pending' && message.updatedAt < before) {
+                this.outbox.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Streak operations
+
+    async getUserStreak(lineUserId) {
+        const user = this.users.get(lineUserId);
+        return clone(user && user.streak) || { current_streak: 0, longest_streak: 0, last_activity_date: null };
+    }
+
+    async updateUserStreak(lineUserId, streakData) {
+        this.updateUser(lineUserId, {
+            streak: {
+                current_streak: streakData.currentStreak || 0,
+                longest_streak: streakData.longestStreak || 0,
+                last_activity_date: streakData.lastActivityDate
+            }
+        });
+    }
+}
+
+module.exports = MemoryAdapter;
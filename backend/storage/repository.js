@@ -0,0 +1,413 @@
+/**
+ * Repository Interface
+ * The storage contract shared by the Firestore, SQLite and in-memory adapters.
+ *
+ * Records keep the Firestore document shape on every adapter: users and
+ * activities are plain objects with an `id` (the LINE user ID for users, the
+ * client ID for activities synced with one), activity `points` are the
+ * activity's total score and `date` is its business date (YYYY-MM-DD).
+ *
+ * SQLite and in-memory adapters implement the two finders below plus the
+ * record operations; aggregates (team stats, leaderboards, user totals) are
+ * derived here from the finders. Firestore overrides all of it with cached,
+ * query-backed versions.
+ */
+
+const businessDate = require('../utils/business-date');
+const ranking = require('../utils/leaderboard-ranking');
+
+const notImplemented = (name) => {
+    throw new Error(`${name} is not implemented by this storage adapter`);
+};
+
+// Newest first, the order getUserActivities returns on every adapter
+const byNewest = (a, b) => new Date(b.createdAt || b.date) - new Date(a.createdAt || a.date);
+
+class Repository {
+    // Finders (SQLite and in-memory adapters)
+
+    /**
+     * Activities matching all given criteria
+     * @param {Object} criteria - { lineUserId, teamId, date, startDate, endDate }
+     */
+    async findActivities(criteria = {}) {
+        return notImplemented('findActivities');
+    }
+
+    /**
+     * Users, optionally of one team
+     * @param {Object} criteria - { teamId }
+     */
+    async findUsers(criteria = {}) {
+        return notImplemented('findUsers');
+    }
+
+    // User operations
+
+    async createOrUpdateUser(lineUserId, userData) {
+        return notImplemented('createOrUpdateUser');
+    }
+
+    async getUser(lineUserId) {
+        return notImplemented('getUser');
+    }
+
+    async getTeamUsers(teamId) {
+        return this.findUsers({ teamId });
+    }
+
+    async updateUserSettings(lineUserId, settings) {
+        return notImplemented('updateUserSettings');
+    }
+
+    // Recompute totalPoints / totalActivities of a user from their activities
+    async updateUserStats(lineUserId) {
+        return notImplemented('updateUserStats');
+    }
+
+    // Activity operations
+
+    async createActivity(activityData) {
+        return notImplemented('createActivity');
+    }
+
+    /**
+     * Create an activity keyed by its client-generated ID; a retry returns the
+     * stored one (with deletedAt if it was deleted since) instead of adding a
+     * second: { created, activity }
+     */
+    async createActivityOnce(clientId, activityData) {
+        return notImplemented('createActivityOnce');
+    }
+
+    async getActivity(activityId) {
+        return notImplemented('getActivity');
+    }
+
+    // Up to 100 activities of a user (of one date when given), newest first
+    async getUserActivities(lineUserId, date = null) {
+        const activities = await this.findActivities(date ? { lineUserId, date } : { lineUserId });
+        return activities.sort(byNewest).slice(0, 100);
+    }
+
+    // Activities between two dates (inclusive) of one user, or of everyone when lineUserId is null
+    async getActivitiesByDateRange(lineUserId, startDate, endDate) {
+        const criteria = { startDate, endDate };
+        if (lineUserId) {
+            criteria.lineUserId = lineUserId;
+        }
+
+        const activities = await this.findActivities(criteria);
+        return activities.sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Change fields of an activity in place; its ID and createdAt are kept
+     * @param {string} activityId - Activity ID
+     * @param {Object} changes - Fields to set, e.g. { activityType, count, points, date, notes }
+     * @returns {Promise<Object|null>} The updated activity, null when there is none
+     */
+    async updateActivity(activityId, changes) {
+        return notImplemented('updateActivity');
+    }
+
+    // Soft delete: the activity drops out of every read, total and leaderboard
+    // but is kept, so restoreActivity can bring it back
+    async deleteActivity(activityId) {
+        return notImplemented('deleteActivity');
+    }
+
+    // A soft-deleted activity (with deletedAt), null when none is deleted under activityId
+    async getDeletedActivity(activityId) {
+        return notImplemented('getDeletedActivity');
+    }
+
+    // Undo a soft delete under the original ID and createdAt; returns the activity or null
+    async restoreActivity(activityId) {
+        return notImplemented('restoreActivity');
+    }
+
+    // Group operations
+
+    async registerGroup(groupId, groupName, registeredBy, teamId = null) {
+        return notImplemented('registerGroup');
+    }
+
+    async getGroup(groupId) {
+        return notImplemented('getGroup');
+    }
+
+    async getAllGroups() {
+        return notImplemented('getAllGroups');
+    }
+
+    // Groups that receive a team's notifications; teamId null means unassigned groups
+    async getTeamGroups(teamId) {
+        const groups = await this.getAllGroups();
+        return groups.filter(group => (group.teamId || null) === (teamId || null));
+    }
+
+    // Flip a group's notifications; returns the new state, false for unknown groups
+    async toggleGroupNotifications(groupId) {
+        return notImplemented('toggleGroupNotifications');
+    }
+
+    // Replace a group's settings (e.g. { recaps: ['weekly'] }); false for unknown groups
+    async updateGroupSettings(groupId, settings) {
+        return notImplemented('updateGroupSettings');
+    }
+
+    // Achievement operations
+
+    // [{ achievement_id, unlocked_at }]
+    async getUserAchievements(lineUserId) {
+        return notImplemented('getUserAchievements');
+    }
+
+    // { newUnlock }
+    async unlockAchievement(lineUserId, achievementId) {
+        return notImplemented('unlockAchievement');
+    }
+
+    // Streak operations
+
+    // { current_streak, longest_streak, last_activity_date }
+    async getUserStreak(lineUserId) {
+        return notImplemented('getUserStreak');
+    }
+
+    // streakData: { currentStreak, longestStreak, lastActivityDate }
+    async updateUserStreak(lineUserId, streakData) {
+        return notImplemented('updateUserStreak');
+    }
+
+    // Audit log (append-only: adapters offer no way to change or remove entries)
+
+    /**
+     * Store an audit entry
+     * @param {Object} entry - { entityType, entityId, action, actor: { lineUserId, role, source },
+     *                           lineUserId, teamId, before, after, createdAt (ISO timestamp) }
+     */
+    async appendAuditEntry(entry) {
+        return notImplemented('appendAuditEntry');
+    }
+
+    /**
+     * Audit entries matching all given criteria, newest first
+     * @param {Object} criteria - { entityType, entityId, action, actorId, lineUserId, teamId,
+     *                              from, to (ISO timestamps, inclusive), limit }
+     */
+    async findAuditEntries(criteria = {}) {
+        return notImplemented('findAuditEntries');
+    }
+
+    // Scheduled jobs: one state record per job (and per job and team for team jobs),
+    // shared by every instance so a run is only claimed once
+
+    // { key, lastScheduledFor, lockedBy, lockedUntil, ...fields set with updateJobState } or null
+    async getJobState(key) {
+        return notImplemented('getJobState');
+    }
+
+    async listJobStates() {
+        return notImplemented('listJobStates');
+    }
+
+    // Merge fields into a job's state (creating it); returns the stored state
+    async updateJobState(key, changes) {
+        return notImplemented('updateJobState');
+    }
+
+    /**
+     * Atomically claim the run of a job scheduled for a time: succeeds only when
+     * no other instance holds an unexpired lock and no run at or after that time
+     * was claimed before. The claim sets lockedBy, lockedUntil and lastScheduledFor.
+     * @param {string} key - Job state key
+     * @param {Object} claim - { owner, scheduledFor, lockedUntil, now } (ISO timestamps)
+     * @returns {Promise<boolean>} Whether this caller may run the job
+     */
+    async claimJobRun(key, claim) {
+        return notImplemented('claimJobRun');
+    }
+
+    // Notification digests: activity notifications held back while LINE quota is
+    // short, sent per group as one combined message by the digest job
+
+    /**
+     * Hold a notification for a group's next digest
+     * @param {Object} entry - { groupId, teamId, lineUserId, displayName, activities, totalPoints, createdAt }
+     * @returns {Promise<Object>} The stored entry with its id
+     */
+    async appendDigestEntry(entry) {
+        return notImplemented('appendDigestEntry');
+    }
+
+    // Held entries, oldest first (of one group when groupId is given)
+    async listDigestEntries(groupId = null) {
+        return notImplemented('listDigestEntries');
+    }
+
+    // Remove sent entries; returns how many were removed
+    async deleteDigestEntries(ids) {
+        return notImplemented('deleteDigestEntries');
+    }
+
+    // LINE outbox: every push to LINE, kept until delivered (or given up on)
+    // so a failed push is retried instead of lost
+
+    /**
+     * Store an outbox message unless one with its id exists (ids derive from
+     * a dedup key, so a repeated push is stored once)
+     * @param {Object} message - { id, dedupKey, to, type, teamId, messages, status, attempts,
+     *                             nextAttemptAt, lastError, sentAt, createdAt, updatedAt }
+     * @returns {Promise<Object>} { created, message } with the stored message
+     */
+    async createOutboxMessageOnce(message) {
+        return notImplemented('createOutboxMessageOnce');
+    }
+
+    async getOutboxMessage(id) {
+        return notImplemented('getOutboxMessage');
+    }
+
+    // Merge fields into a message; returns the stored message, null when unknown
+    async updateOutboxMessage(id, changes) {
+        return notImplemented('updateOutboxMessage');
+    }
+
+    // Messages matching criteria, newest first: { status, limit }. With
+    // dueBefore (ISO time), only those whose nextAttemptAt has come, due first.
+    async findOutboxMessages(criteria = {}) {
+        return notImplemented('findOutboxMessages');
+    }
+
+    // Remove sent and failed messages last updated before an ISO time; returns how many were removed
+    async deleteOutboxMessages(before) {
+        return notImplemented('deleteOutboxMessages');
+    }
+
+    // Team/Stats operations
+
+    async getTeamStats(teamId = null, date = null) {
+        return this.calculateTeamStats(teamId, date);
+    }
+
+    async calculateTeamStats(teamId = null, date = null) {
+        const today = date || businessDate.getBusinessDate();
+        const filter = teamId ? { teamId } : {};
+        const [users, activities] = await Promise.all([
+            this.findUsers(filter),
+            this.findActivities(filter)
+        ]);
+
+        const stats = {
+            teamId,
+            totalUsers: users.length,
+            totalPoints: 0,
+            totalActivities: 0,
+            todayPoints: 0,
+            todayActivities: 0,
+            topPerformers: []
+        };
+        const userPoints = {};
+
+        activities.forEach(activity => {
+            stats.totalActivities++;
+            stats.totalPoints += activity.points || 0;
+
+            if (activity.date === today) {
+                stats.todayActivities++;
+                stats.todayPoints += activity.points || 0;
+            }
+
+            userPoints[activity.lineUserId] = (userPoints[activity.lineUserId] || 0) + (activity.points || 0);
+        });
+
+        const sortedUsers = Object.entries(userPoints)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5);
+
+        for (const [userId, points] of sortedUsers) {
+            const user = await this.getUser(userId);
+            if (user) {
+                stats.topPerformers.push({ userId, displayName: user.displayName, points });
+            }
+        }
+
+        return stats;
+    }
+
+    // Leaderboard operations
+    // filters.dealIds restricts the board to activities on those deals, filters.teamId to one team;
+    // filters.mode picks the ranking (utils/leaderboard-ranking.js, points by default)
+
+    async getLeaderboard(period = 'daily', date = null, filters = {}) {
+        const { startDate, endDate } = this.getPeriodRange(period, date);
+        const leaderboard = await this.getLeaderboardForRange(startDate, endDate, filters);
+
+        return { ...leaderboard, period };
+    }
+
+    // Leaderboard of any date range (inclusive); its period is 'custom'
+    async getLeaderboardForRange(startDate, endDate, filters = {}) {
+        return this.calculateLeaderboard(startDate, endDate, filters);
+    }
+
+    // First and last date (YYYY-MM-DD) of the daily/weekly/monthly period containing date
+    getPeriodRange(period, date = null) {
+        return businessDate.getPeriodRange(period, date || businessDate.getBusinessDate());
+    }
+
+    async calculateLeaderboard(startDate, endDate, filters = {}) {
+        const mode = filters.mode || ranking.DEFAULT_MODE;
+        const activities = await this.findActivities({ startDate, endDate });
+        const dealIds = filters.dealIds ? new Set(filters.dealIds) : null;
+        const userStats = {};
+
+        activities.forEach(activity => {
+            if (dealIds && !dealIds.has(activity.dealId)) return;
+            if (filters.teamId && activity.teamId !== filters.teamId) return;
+
+            if (!userStats[activity.lineUserId]) {
+                userStats[activity.lineUserId] = ranking.createStats();
+            }
+            ranking.addActivity(userStats[activity.lineUserId], activity);
+        });
+
+        const leaderboard = [];
+        for (const [userId, stats] of Object.entries(userStats)) {
+            const user = await this.getUser(userId);
+            if (user) {
+                leaderboard.push({
+                    userId,
+                    displayName: user.displayName,
+                    pictureUrl: user.pictureUrl,
+                    ...stats
+                });
+            }
+        }
+
+        const entries = ranking.rankEntries(leaderboard, mode);
+
+        return {
+            period: 'custom',
+            startDate,
+            endDate,
+            mode,
+            dealStage: filters.dealStage || null,
+            teamId: filters.teamId || null,
+            entries,
+            totalParticipants: entries.length
+        };
+    }
+
+    // Aggregates above are computed on read; adapters that cache them clear the cache
+    // here (only boards covering date when one is given)
+    async invalidateLeaderboardCache(date = null) {
+        return 0;
+    }
+
+    async cleanupExpiredCache() {}
+}
+
+module.exports = Repository;
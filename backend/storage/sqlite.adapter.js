@@ -0,0 +1,823 @@
+/**
+ * SQLite Storage Adapter
+ * Uses the tables of the original SQLite server (users, activities,
+ * group_registrations, user_achievements, user_streaks) so existing local
+ * databases keep working; columns added since are migrated in on open.
+ * Fields without a column of their own are kept as JSON in `data`.
+ * The audit_log table has the same layout as server-secure.js's.
+ */
+
+const sqlite3 = require('sqlite3');
+const Repository = require('./repository');
+
+const USER_COLUMNS = ['id', 'displayName', 'pictureUrl', 'teamId', 'settings', 'createdAt', 'updatedAt'];
+const ACTIVITY_COLUMNS = ['id', 'lineUserId', 'activityType', 'title', 'subtitle', 'points', 'count', 'date', 'clientId', 'teamId', 'createdAt', 'deletedAt'];
+const JOB_STATE_COLUMNS = { lockedBy: 'locked_by', lockedUntil: 'locked_until', lastScheduledFor: 'last_scheduled_for' };
+
+// Activities synced with a client ID are addressed by it, others by row id
+const ACTIVITY_KEY = '(client_id = ? OR (client_id IS NULL AND id = ?))';
+
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        line_user_id TEXT UNIQUE NOT NULL,
+        display_name TEXT NOT NULL,
+        picture_url TEXT,
+        settings TEXT DEFAULT '{}',
+        team_id TEXT,
+        data TEXT DEFAULT '{}',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS activities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        line_user_id TEXT NOT NULL,
+        activity_type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        subtitle TEXT,
+        points INTEGER NOT NULL,
+        count INTEGER DEFAULT 1,
+        date TEXT NOT NULL,
+        client_id TEXT,
+        team_id TEXT,
+        data TEXT DEFAULT '{}',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        deleted_at DATETIME,
+        FOREIGN KEY (line_user_id) REFERENCES users (line_user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS group_registrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT UNIQUE NOT NULL,
+        group_name TEXT,
+        registered_by TEXT NOT NULL,
+        notifications_enabled INTEGER DEFAULT 1,
+        team_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (registered_by) REFERENCES users (line_user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS user_achievements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        line_user_id TEXT NOT NULL,
+        achievement_id TEXT NOT NULL,
+        unlocked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(line_user_id, achievement_id),
+        FOREIGN KEY(line_user_id) REFERENCES users(line_user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS user_streaks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        line_user_id TEXT UNIQUE NOT NULL,
+        current_streak INTEGER DEFAULT 0,
+        longest_streak INTEGER DEFAULT 0,
+        last_activity_date DATE,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(line_user_id) REFERENCES users(line_user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor_id TEXT,
+        actor_role TEXT,
+        actor_source TEXT,
+        line_user_id TEXT,
+        team_id TEXT,
+        before_data TEXT,
+        after_data TEXT,
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS job_state (
+        key TEXT PRIMARY KEY,
+        locked_by TEXT,
+        locked_until TEXT,
+        last_scheduled_for TEXT,
+        data TEXT DEFAULT '{}'
+    )`,
+    `CREATE TABLE IF NOT EXISTS digest_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        team_id TEXT,
+        data TEXT DEFAULT '{}',
+        created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS outbox_messages (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        data TEXT DEFAULT '{}',
+        next_attempt_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    )`,
+    // The audit log is append-only
+    `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`,
+    `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+];
+
+// Columns missing from databases created by older versions of the SQLite server
+const MIGRATIONS = [
+    'ALTER TABLE users ADD COLUMN team_id TEXT',
+    `ALTER TABLE users ADD COLUMN data TEXT DEFAULT '{}'`,
+    'ALTER TABLE activities ADD COLUMN client_id TEXT',
+    'ALTER TABLE activities ADD COLUMN team_id TEXT',
+    'ALTER TABLE activities ADD COLUMN deleted_at DATETIME',
+    'ALTER TABLE group_registrations ADD COLUMN team_id TEXT',
+    'ALTER TABLE group_registrations ADD COLUMN settings TEXT'
+];
+
+const parseJson = (value) => {
+    try {
+        return value ? JSON.parse(value) : {};
+    } catch (error) {
+        return {};
+    }
+};
+
+// Undefined values are skipped, as Firestore writes skip them
+const compact = (record) => Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+
+// Split a record into its column values and the rest (stored as JSON)
+const splitFields = (record, columns) => Object.entries(compact(record)).reduce((acc, [key, value]) => {
+    if (columns.includes(key)) {
+        acc.columns[key] = value;
+    } else {
+        acc.data[key] = value;
+    }
+    return acc;
+}, { columns: {}, data: {} });
+
+class SqliteAdapter extends Repository {
+    /**
+     * @param {Object} options - { filename } (defaults to SQLITE_PATH, then the original server's path)
+     */
+    constructor(options = {}) {
+        super();
+        this.filename = options.filename || process.env.SQLITE_PATH ||
+            (process.env.NODE_ENV === 'production' ? '/tmp/sales-tracker.db' : './sales-tracker.db');
+        this.db = new sqlite3.Database(this.filename);
+        this.ready = this.migrate();
+    }
+
+    async migrate() {
+        for (const statement of SCHEMA) {
+            await this.execute('run', statement);
+        }
+
+        for (const statement of MIGRATIONS) {
+            // Fails harmlessly once the column is there
+            await this.execute('run', statement).catch(() => {});
+        }
+
+        // Older databases stored points per unit; a score is stored as the total.
+        // The data column is new with this adapter, so this runs once per database.
+        const added = await this.execute('run', `ALTER TABLE activities ADD COLUMN data TEXT DEFAULT '{}'`)
+            .then(() => true, () => false);
+        if (added) {
+            await this.execute('run', 'UPDATE activities SET points = points * COALESCE(count, 1)');
+        }
+
+        await this.execute('run', 'CREATE UNIQUE INDEX IF NOT EXISTS idx_activities_client_id ON activities(client_id)');
+        await this.execute('run', 'CREATE INDEX IF NOT EXISTS idx_activities_user_date ON activities(line_user_id, date)');
+        await this.execute('run', 'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+
+        // Outboxes created before next_attempt_at had a column keep it in data
+        const outboxColumnAdded = await this.execute('run', 'ALTER TABLE outbox_messages ADD COLUMN next_attempt_at TEXT')
+            .then(() => true, () => false);
+        if (outboxColumnAdded) {
+            await this.execute('run', `UPDATE outbox_messages SET next_attempt_at = json_extract(data, '$.nextAttemptAt')`);
+        }
+        await this.execute('run', 'CREATE INDEX IF NOT EXISTS idx_outbox_messages_due ON outbox_messages(status, next_attempt_at)');
+    }
+
+    // sqlite3 callback API as promises; run resolves with { lastID, changes }
+    execute(method, sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db[method](sql, params, function (err, result) {
+                if (err) return reject(err);
+                resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+            });
+        });
+    }
+
+    async run(sql, params) {
+        await this.ready;
+        return this.execute('run', sql, params);
+    }
+
+    async get(sql, params) {
+        await this.ready;
+        return this.execute('get', sql, params);
+    }
+
+    async all(sql, params) {
+        await this.ready;
+        return this.execute('all', sql, params);
+    }
+
+    async close() {
+        await this.ready.catch(() => {});
+        return new Promise((resolve, reject) => {
+            this.db.close(err => (err ? reject(err) : resolve()));
+        });
+    }
+
+    toUser(row, streak = null) {
+        const user = {
+            ...parseJson(row.data),
+            id: row.line_user_id,
+            displayName: row.display_name,
+            pictureUrl: row.picture_url,
+            teamId: row.team_id,
+            settings: parseJson(row.settings),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+
+        if (streak) {
+            user.streak = streak;
+        }
+        return user;
+    }
+
+    toActivity(row) {
+        const activity = {
+            ...parseJson(row.data),
+            id: row.client_id || String(row.id),
+            lineUserId: row.line_user_id,
+            activityType: row.activity_type,
+            title: row.title,
+            subtitle: row.subtitle,
+            points: row.points,
+            count: row.count,
+            date: row.date,
+            teamId: row.team_id,
+            createdAt: row.created_at
+        };
+
+        if (row.client_id) {
+            activity.clientId = row.client_id;
+        }
+        if (row.deleted_at) {
+            activity.deletedAt = row.deleted_at;
+        }
+        return activity;
+    }
+
+    toGroup(row) {
+        return {
+            id: row.group_id,
+            groupName: row.group_name,
+            registeredBy: row.registered_by,
+            teamId: row.team_id,
+            notificationsEnabled: Boolean(row.notifications_enabled),
+            settings: parseJson(row.settings),
+            createdAt: row.created_at
+        };
+    }
+
+    toAuditEntry(row) {
+        return {
+            id: String(row.id),
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            action: row.action,
+            actor: { lineUserId: row.actor_id, role: row.actor_role, source: row.actor_source },
+            lineUserId: row.line_user_id,
+            teamId: row.team_id,
+            before: row.before_data ? JSON.parse(row.before_data) : null,
+            after: row.after_data ? JSON.parse(row.after_data) : null,
+            createdAt: row.created_at
+        };
+    }
+
+    async findActivities(criteria = {}) {
+        const conditions = ['deleted_at IS NULL'];
+        const params = [];
+        const filters = [
+            ['lineUserId', 'line_user_id = ?'],
+            ['teamId', 'team_id = ?'],
+            ['date', 'date = ?'],
+            ['startDate', 'date >= ?'],
+            ['endDate', 'date <= ?']
+        ];
+
+        filters.forEach(([key, condition]) => {
+            if (criteria[key]) {
+                conditions.push(condition);
+                params.push(criteria[key]);
+            }
+        });
+
+        const rows = await this.all(`SELECT * FROM activities WHERE ${conditions.join(' AND ')}`, params);
+        return rows.map(row => this.toActivity(row));
+    }
+
+    async findUsers(criteria = {}) {
+        const rows = criteria.teamId
+            ? await this.all('SELECT * FROM users WHERE team_id = ?', [criteria.teamId])
+            : await this.all('SELECT * FROM users');
+        return rows.map(row => this.toUser(row));
+    }
+
+    // User operations
+
+    async createOrUpdateUser(lineUserId, userData) {
+        const existing = await this.getUser(lineUserId);
+        const fields = compact(userData);
+        const user = existing
+            ? { ...existing, ...fields }
+            : { settings: {}, ...fields };
+
+        await this.saveUser(lineUserId, user);
+        return { lineUserId, ...userData };
+    }
+
+    async saveUser(lineUserId, user) {
+        const { streak, ...fields } = user;
+        const { columns, data } = splitFields(fields, USER_COLUMNS);
+
+        await this.run(
+            `INSERT INTO users (line_user_id, display_name, picture_url, team_id, settings, data)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(line_user_id) DO UPDATE SET
+                display_name = excluded.display_name,
+                picture_url = excluded.picture_url,
+                team_id = excluded.team_id,
+                settings = excluded.settings,
+                data = excluded.data,
+                updated_at = CURRENT_TIMESTAMP`,
+            [
+                lineUserId,
+                columns.displayName || '',
+                columns.pictureUrl || null,
+                columns.teamId || null,
+                JSON.stringify(columns.settings || {}),
+                JSON.stringify(data)
+            ]
+        );
+    }
+
+    async getUser(lineUserId) {
+        const row = await this.get('SELECT * FROM users WHERE line_user_id = ?', [lineUserId]);
+        if (!row) return null;
+
+        const streak = await this.get('SELECT * FROM user_streaks WHERE line_user_id = ?', [lineUserId]);
+        return this.toUser(row, streak ? this.toStreak(streak) : null);
+    }
+
+    async updateUserSettings(lineUserId, settings) {
+        const { changes } = await this.run(
+            'UPDATE users SET settings = ?, updated_at = CURRENT_TIMESTAMP WHERE line_user_id = ?',
+            [JSON.stringify(settings), lineUserId]
+        );
+        if (changes === 0) {
+            throw new Error(`User ${lineUserId} not found`);
+        }
+        return true;
+    }
+
+    async updateUserStats(lineUserId) {
+        try {
+            const user = await this.getUser(lineUserId);
+            if (!user) return;
+
+            const totals = await this.get(
+                'SELECT COALESCE(SUM(points), 0) AS totalPoints, COUNT(*) AS totalActivities FROM activities WHERE line_user_id = ? AND deleted_at IS NULL',
+                [lineUserId]
+            );
+
+            await this.saveUser(lineUserId, {
+                ...user,
+                totalPoints: totals.totalPoints,
+                totalActivities: totals.totalActivities,
+                lastActivityAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error updating user stats:', error);
+        }
+    }
+
+    // Activity operations
+
+    async insertActivity(activityData, clientId = null) {
+        const { columns, data } = splitFields(activityData, ACTIVITY_COLUMNS);
+
+        return this.run(
+            `INSERT OR IGNORE INTO activities
+                (line_user_id, activity_type, title, subtitle, points, count, date, client_id, team_id, data)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                columns.lineUserId,
+                columns.activityType,
+                columns.title || '',
+                columns.subtitle || null,
+                columns.points || 0,
+                columns.count || 1,
+                columns.date,
+                clientId,
+                columns.teamId || null,
+                JSON.stringify(data)
+            ]
+        );
+    }
+
+    async createActivity(activityData) {
+        const { lastID } = await this.insertActivity(activityData);
+        await this.updateUserStats(activityData.lineUserId);
+
+        return { id: String(lastID), ...activityData };
+    }
+
+    async createActivityOnce(clientId, activityData) {
+        const { changes } = await this.insertActivity(activityData, clientId);
+        if (changes === 0) {
+            const row = await this.get('SELECT * FROM activities WHERE client_id = ?', [clientId]);
+            return { created: false, activity: this.toActivity(row) };
+        }
+
+        await this.updateUserStats(activityData.lineUserId);
+
+        return { created: true, activity: { id: clientId, ...activityData, clientId } };
+    }
+
+    async getActivity(activityId) {
+        const row = await this.get(
+            `SELECT * FROM activities WHERE ${ACTIVITY_KEY} AND deleted_at IS NULL`,
+            [activityId, activityId]
+        );
+        return row ? this.toActivity(row) : null;
+    }
+
+    async updateActivity(activityId, changes) {
+        const activity = await this.getActivity(activityId);
+        if (!activity) return null;
+
+        const updated = { ...activity, ...compact(changes), updatedAt: new Date().toISOString() };
+        const { columns, data } = splitFields(updated, ACTIVITY_COLUMNS);
+
+        await this.run(
+            `UPDATE activities SET activity_type = ?, title = ?, subtitle = ?, points = ?, count = ?, date = ?, data = ?
+             WHERE ${ACTIVITY_KEY}`,
+            [
+                columns.activityType,
+                columns.title || '',
+                columns.subtitle || null,
+                columns.points || 0,
+                columns.count || 1,
+                columns.date,
+                JSON.stringify(data),
+                activityId,
+                activityId
+            ]
+        );
+        await this.updateUserStats(activity.lineUserId);
+
+        return updated;
+    }
+
+    async deleteActivity(activityId) {
+        const activity = await this.getActivity(activityId);
+        if (activity) {
+            await this.run(
+                `UPDATE activities SET deleted_at = CURRENT_TIMESTAMP WHERE ${ACTIVITY_KEY}`,
+                [activityId, activityId]
+            );
+            await this.updateUserStats(activity.lineUserId);
+        }
+        return true;
+    }
+
+    async getDeletedActivity(activityId) {
+        const row = await this.get(
+            `SELECT * FROM activities WHERE ${ACTIVITY_KEY} AND deleted_at IS NOT NULL`,
+            [activityId, activityId]
+        );
+        return row ? this.toActivity(row) : null;
+    }
+
+    async restoreActivity(activityId) {
+        const deleted = await this.getDeletedActivity(activityId);
+        if (!deleted) return null;
+
+        await this.run(
+            `UPDATE activities SET deleted_at = NULL WHERE ${ACTIVITY_KEY}`,
+            [activityId, activityId]
+        );
+        await this.updateUserStats(deleted.lineUserId);
+
+        return this.getActivity(activityId);
+    }
+
+    // Group operations
+
+    async registerGroup(groupId, groupName, registeredBy, teamId = null) {
+        // Registering again keeps the group's settings, creation time and,
+        // unless a new one is given, its name and team
+        await this.run(
+            `INSERT INTO group_registrations (group_id, group_name, registered_by, team_id, notifications_enabled)
+             VALUES (?, ?, ?, ?, 1)
+             ON CONFLICT(group_id) DO UPDATE SET
+                group_name = COALESCE(excluded.group_name, group_name),
+                registered_by = excluded.registered_by,
+                team_id = COALESCE(excluded.team_id, team_id),
+                notifications_enabled = 1`,
+            [groupId, groupName || null, registeredBy || '', teamId || null]
+        );
+        return true;
+    }
+
+    async getGroup(groupId) {
+        const row = await this.get('SELECT * FROM group_registrations WHERE group_id = ?', [groupId]);
+        return row ? this.toGroup(row) : null;
+    }
+
+    async getAllGroups() {
+        const rows = await this.all('SELECT * FROM group_registrations');
+        return rows.map(row => this.toGroup(row));
+    }
+
+    async toggleGroupNotifications(groupId) {
+        const group = await this.getGroup(groupId);
+        if (!group) return false;
+
+        await this.run(
+            'UPDATE group_registrations SET notifications_enabled = ? WHERE group_id = ?',
+            [group.notificationsEnabled ? 0 : 1, groupId]
+        );
+        return !group.notificationsEnabled;
+    }
+
+    async updateGroupSettings(groupId, settings) {
+        const { changes } = await this.run(
+            'UPDATE group_registrations SET settings = ? WHERE group_id = ?',
+            [JSON.stringify(settings), groupId]
+        );
+        return changes > 0;
+    }
+
+    // Achievement operations
+
+    async getUserAchievements(lineUserId) {
+        return this.all(
+            'SELECT achievement_id, unlocked_at FROM user_achievements WHERE line_user_id = ? ORDER BY unlocked_at',
+            [lineUserId]
+        );
+    }
+
+    async unlockAchievement(lineUserId, achievementId) {
+        const { changes } = await this.run(
+            'INSERT OR IGNORE INTO user_achievements (line_user_id, achievement_id) VALUES (?, ?)',
+            [lineUserId, achievementId]
+        );
+        return { newUnlock: changes > 0 };
+    }
+
+    // Streak operations
+
+    // Audit log
+
+    async appendAuditEntry(entry) {
+        const actor = entry.actor || {};
+        const result = await this.run(
+            `INSERT INTO audit_log (entity_type, entity_id, action, actor_id, actor_role, actor_source,
+                line_user_id, team_id, before_data, after_data, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.entityType,
+                entry.entityId,
+                entry.action,
+                actor.lineUserId || null,
+                actor.role || null,
+                actor.source || null,
+                entry.lineUserId || null,
+                entry.teamId || null,
+                entry.before == null ? null : JSON.stringify(entry.before),
+                entry.after == null ? null : JSON.stringify(entry.after),
+                entry.createdAt
+            ]
+        );
+
+        return { id: String(result.lastID), ...entry };
+    }
+
+    async findAuditEntries(criteria = {}) {
+        const conditions = [];
+        const params = [];
+        const filters = [
+            ['entityType', 'entity_type = ?'],
+            ['entityId', 'entity_id = ?'],
+            ['action', 'action = ?'],
+            ['actorId', 'actor_id = ?'],
+            ['lineUserId', 'line_user_id = ?'],
+            ['teamId', 'team_id = ?'],
+            ['from', 'created_at >= ?'],
+            ['to', 'created_at <= ?']
+        ];
+
+        filters.forEach(([key, condition]) => {
+            if (criteria[key]) {
+                conditions.push(condition);
+                params.push(criteria[key]);
+            }
+        });
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await this.all(
+            `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+            [...params, criteria.limit || 100]
+        );
+        return rows.map(row => this.toAuditEntry(row));
+    }
+
+    // Scheduled jobs
+
+    toJobState(row) {
+        return {
+            ...parseJson(row.data),
+            key: row.key,
+            lockedBy: row.locked_by,
+            lockedUntil: row.locked_until,
+            lastScheduledFor: row.last_scheduled_for
+        };
+    }
+
+    async getJobState(key) {
+        const row = await this.get('SELECT * FROM job_state WHERE key = ?', [key]);
+        return row ? this.toJobState(row) : null;
+    }
+
+    async listJobStates() {
+        const rows = await this.all('SELECT * FROM job_state ORDER BY key');
+        return rows.map(row => this.toJobState(row));
+    }
+
+    async updateJobState(key, changes) {
+        await this.run('INSERT OR IGNORE INTO job_state (key) VALUES (?)', [key]);
+
+        const fields = compact(changes);
+        delete fields.key;
+        const assignments = [];
+        const params = [];
+        const data = {};
+
+        Object.entries(fields).forEach(([field, value]) => {
+            if (JOB_STATE_COLUMNS[field]) {
+                assignments.push(`${JOB_STATE_COLUMNS[field]} = ?`);
+                params.push(value);
+            } else {
+                data[field] = value;
+            }
+        });
+
+        if (Object.keys(data).length > 0) {
+            const row = await this.get('SELECT data FROM job_state WHERE key = ?', [key]);
+            assignments.push('data = ?');
+            params.push(JSON.stringify({ ...parseJson(row.data), ...data }));
+        }
+        if (assignments.length > 0) {
+            await this.run(`UPDATE job_state SET ${assignments.join(', ')} WHERE key = ?`, [...params, key]);
+        }
+
+        return this.getJobState(key);
+    }
+
+    async claimJobRun(key, { owner, scheduledFor, lockedUntil, now }) {
+        await this.run('INSERT OR IGNORE INTO job_state (key) VALUES (?)', [key]);
+
+        // One statement, so the check and the claim cannot interleave with another claim
+        const { changes } = await this.run(
+            `UPDATE job_state SET locked_by = ?, locked_until = ?, last_scheduled_for = ?
+             WHERE key = ?
+               AND (locked_until IS NULL OR locked_until <= ?)
+               AND (last_scheduled_for IS NULL OR last_scheduled_for < ?)`,
+            [owner, lockedUntil, scheduledFor, key, now, scheduledFor]
+        );
+        return changes > 0;
+    }
+
+    // Notification digests
+
+    toDigestEntry(row) {
+        return {
+            ...parseJson(row.data),
+            id: String(row.id),
+            groupId: row.group_id,
+            teamId: row.team_id,
+            createdAt: row.created_at
+        };
+    }
+
+    async appendDigestEntry(entry) {
+        const { groupId, teamId, createdAt, ...data } = entry;
+        const result = await this.run(
+            'INSERT INTO digest_entries (group_id, team_id, data, created_at) VALUES (?, ?, ?, ?)',
+            [groupId, teamId || null, JSON.stringify(data), createdAt]
+        );
+
+        return { id: String(result.lastID), ...entry };
+    }
+
+    async listDigestEntries(groupId = null) {
+        const rows = groupId
+            ? await this.all('SELECT * FROM digest_entries WHERE group_id = ? ORDER BY created_at, id', [groupId])
+            : await this.all('SELECT * FROM digest_entries ORDER BY created_at, id');
+        return rows.map(row => this.toDigestEntry(row));
+    }
+
+    async deleteDigestEntries(ids) {
+        if (ids.length === 0) return 0;
+
+        const { changes } = await this.run(
+            `DELETE FROM digest_entries WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids.map(Number)
+        );
+        return changes;
+    }
+
+    // LINE outbox (the message is kept whole as JSON; status and times are
+    // columns for querying, next_attempt_at a copy of nextAttemptAt)
+
+    toOutboxMessage(row) {
+        return { ...parseJson(row.data), id: row.id, status: row.status, createdAt: row.created_at, updatedAt: row.updated_at };
+    }
+
+    async createOutboxMessageOnce(message) {
+        const { id, status, createdAt, updatedAt, ...data } = message;
+        const { changes } = await this.run(
+            'INSERT OR IGNORE INTO outbox_messages (id, status, data, next_attempt_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, status, JSON.stringify(data), data.nextAttemptAt || null, createdAt, updatedAt || createdAt]
+        );
+
+        if (changes === 0) {
+            return { created: false, message: await this.getOutboxMessage(id) };
+        }
+        return { created: true, message: await this.getOutboxMessage(id) };
+    }
+
+    async getOutboxMessage(id) {
+        const row = await this.get('SELECT * FROM outbox_messages WHERE id = ?', [id]);
+        return row ? this.toOutboxMessage(row) : null;
+    }
+
+    async updateOutboxMessage(id, changes) {
+        const message = await this.getOutboxMessage(id);
+        if (!message) return null;
+
+        const { status, createdAt, updatedAt, ...data } = { ...message, ...compact(changes), id };
+        delete data.id;
+        await this.run(
+            'UPDATE outbox_messages SET status = ?, data = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?',
+            [status, JSON.stringify(data), data.nextAttemptAt || null, updatedAt, id]
+        );
+        return this.getOutboxMessage(id);
+    }
+
+    async findOutboxMessages(criteria = {}) {
+        if (criteria.dueBefore) {
+            const rows = await this.all(
+                `SELECT * FROM outbox_messages WHERE next_attempt_at <= ?${criteria.status ? ' AND status = ?' : ''}
+                 ORDER BY next_attempt_at ASC LIMIT ?`,
+                [criteria.dueBefore, ...(criteria.status ? [criteria.status] : []), criteria.limit || 100]
+            );
+            return rows.map(row => this.toOutboxMessage(row));
+        }
+
+        const rows = criteria.status
+            ? await this.all('SELECT * FROM outbox_messages WHERE status = ? ORDER BY created_at DESC LIMIT ?', [criteria.status, criteria.limit || 100])
+            : await this.all('SELECT * FROM outbox_messages ORDER BY created_at DESC LIMIT ?', [criteria.limit || 100]);
+        return rows.map(row => this.toOutboxMessage(row));
+    }
+
+    async deleteOutboxMessages(before) {
+        const { changes } = await this.run(
+            `DELETE FROM outbox_messages WHERE status != 'pending' AND updated_at < ?`,
+            [before]
+        );
+        return changes;
+    }
+
+    toStreak(row) {
+        return {
+            current_streak: row.current_streak || 0,
+            longest_streak: row.longest_streak || 0,
+            last_activity_date: row.last_activity_date || null
+        };
+    }
+
+    async getUserStreak(lineUserId) {
+        const row = await this.get('SELECT * FROM user_streaks WHERE line_user_id = ?', [lineUserId]);
+        return row ? this.toStreak(row) : { current_streak: 0, longest_streak: 0, last_activity_date: null };
+    }
+
+    async updateUserStreak(lineUserId, streakData) {
+        await this.run(
+            `INSERT OR REPLACE INTO user_streaks
+                (line_user_id, current_streak, longest_streak, last_activity_date, updated_at)
+             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [lineUserId, streakData.currentStreak || 0, streakData.longestStreak || 0, streakData.lastActivityDate || null]
+        );
+    }
+}
+
+module.exports = SqliteAdapter;
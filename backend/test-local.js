@@ -1,5 +1,6 @@
 // Test script for local backend testing
 const fetch = require('node-fetch');
+const { randomUUID } = require('crypto');
 
 const BACKEND_URL = 'http://localhost:10000';
 
@@ -15,11 +16,11 @@ const testUser = {
     }
 };
 
-// Test activities
+// Test activities (each carries a client-generated ID for idempotent sync)
 const testActivities = [
-    { type: 'call', title: 'โทร', points: 10, date: new Date().toISOString().split('T')[0] },
-    { type: 'appointment', title: 'นัด', points: 20, date: new Date().toISOString().split('T')[0] },
-    { type: 'present', title: 'นำเสนอ', points: 40, date: new Date().toISOString().split('T')[0] }
+    { clientId: randomUUID(), type: 'call', title: 'โทร', points: 10, date: new Date().toISOString().split('T')[0] },
+    { clientId: randomUUID(), type: 'appointment', title: 'นัด', points: 20, date: new Date().toISOString().split('T')[0] },
+    { clientId: randomUUID(), type: 'present', title: 'นำเสนอ', points: 40, date: new Date().toISOString().split('T')[0] }
 ];
 
 async function testHealthCheck() {
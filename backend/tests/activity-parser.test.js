@@ -0,0 +1,95 @@
+const { parseActivityText, MAX_QUANTITY } = require('../utils/activity-parser');
+
+// The built-in catalog's names and aliases, and a type added by an admin
+const catalog = [
+    { id: 'phone', names: { en: 'Phone Call', th: 'โทร' }, points: 20, aliases: ['call', 'phone_call', 'โทร'] },
+    { id: 'meeting', names: { en: 'Meeting', th: 'นัดพบลูกค้า' }, points: 50, aliases: ['appointment', 'meeting_scheduled', 'นัด', 'เยี่ยม'] },
+    { id: 'quote', names: { en: 'Quotation', th: 'เสนอราคา' }, points: 10, aliases: ['proposal', 'ชิง', 'ส่ง'] },
+    { id: 'present', names: { en: 'Presentation', th: 'นำเสนอ' }, points: 30, aliases: ['demo', 'เริ่มเซน'] },
+    { id: 'email', names: { en: 'Email', th: 'อีเมล' }, points: 10, aliases: [] },
+    { id: 'contract', names: { en: 'Contract', th: 'ปิดสัญญา' }, points: 25, aliases: ['deal', 'contract_sent', 'project_booked'] },
+    { id: 'site_visit', names: { en: 'Site Survey', th: 'สำรวจหน้างาน' }, points: 35, aliases: ['survey', 'site_check'] }
+];
+
+const activity = (activityType, quantity, customer = null) => ({ activityType, quantity, customer });
+
+describe('Activity Parser', () => {
+    it('should read English activities with quantities and customers', () => {
+        expect(parseActivityText('3 calls, 1 meeting with Siam Cement, 2 quotes', catalog)).toEqual({
+            activities: [activity('phone', 3), activity('meeting', 1, 'Siam Cement'), activity('quote', 2)],
+            unmatched: []
+        });
+        expect(parseActivityText('emailed the client twice and a demo for Acme', catalog).activities).toEqual([
+            activity('email', 2),
+            activity('present', 1, 'Acme')
+        ]);
+    });
+
+    it('should read Thai activities, counters and Thai digits', () => {
+        expect(parseActivityText('โทร 3 สาย ประชุมกับปูนซิเมนต์ไทย 1 ครั้ง', catalog).activities).toEqual([
+            activity('phone', 3),
+            activity('meeting', 1, 'ปูนซิเมนต์ไทย')
+        ]);
+        expect(parseActivityText('โทร ๕ สาย และส่งใบเสนอราคาให้ลูกค้า ABC', catalog).activities).toEqual([
+            activity('phone', 5),
+            activity('quote', 1, 'ABC')
+        ]);
+        expect(parseActivityText('ส่งใบเสนอราคา ๒ ใบ', catalog).activities).toEqual([activity('quote', 2)]);
+    });
+
+    it('should know types added by an admin by their names and aliases', () => {
+        expect(parseActivityText('two site surveys at customer Big C', catalog).activities).toEqual([
+            activity('site_visit', 2, 'Big C')
+        ]);
+        expect(parseActivityText('สำรวจหน้างาน 1 ครั้ง', catalog).activities).toEqual([activity('site_visit', 1)]);
+    });
+
+    it('should count words for the same activity next to each other once', () => {
+        expect(parseActivityText('signed the contract with SCG', catalog).activities).toEqual([activity('contract', 1, 'SCG')]);
+        expect(parseActivityText('signed 2 contracts', catalog).activities).toEqual([activity('contract', 2)]);
+        expect(parseActivityText('closed deal and signed contract', catalog).activities).toEqual([activity('contract', 1)]);
+        expect(parseActivityText('demo presentation for Acme', catalog).activities).toEqual([activity('present', 1, 'Acme')]);
+
+        // Separate quantities or customers keep them apart
+        expect(parseActivityText('2 calls and 3 calls', catalog).activities).toEqual([activity('phone', 2), activity('phone', 3)]);
+        expect(parseActivityText('meeting with SCG and meeting with PTT', catalog).activities).toEqual([
+            activity('meeting', 1, 'SCG'),
+            activity('meeting', 1, 'PTT')
+        ]);
+    });
+
+    it('should not take a time of day for the customer', () => {
+        expect(parseActivityText('3 meetings at 10am', catalog).activities).toEqual([activity('meeting', 3)]);
+        expect(parseActivityText('meeting with SCG at 14:30', catalog).activities).toEqual([activity('meeting', 1, 'SCG')]);
+        expect(parseActivityText('ประชุมกับ SCG เวลา 14.00 น.', catalog).activities).toEqual([activity('meeting', 1, 'SCG')]);
+    });
+
+    it('should not take a bare number at the end for the quantity', () => {
+        expect(parseActivityText('meeting with SCG at 10', catalog).activities).toEqual([activity('meeting', 1, 'SCG')]);
+        expect(parseActivityText('call Acme at 4', catalog).activities).toEqual([activity('phone', 1)]);
+        expect(parseActivityText('called Mr. Smith at 9', catalog).activities).toEqual([activity('phone', 1)]);
+        expect(parseActivityText('meeting on 15', catalog).activities).toEqual([activity('meeting', 1)]);
+        expect(parseActivityText('meeting room 5', catalog).activities).toEqual([activity('meeting', 1)]);
+
+        // Unless a counter follows it, an x comes before it or it follows the activity word
+        expect(parseActivityText('meeting with SCG 2 times', catalog).activities).toEqual([activity('meeting', 2, 'SCG')]);
+        expect(parseActivityText('call Acme x3', catalog).activities).toEqual([activity('phone', 3)]);
+        expect(parseActivityText('calls 4', catalog).activities).toEqual([activity('phone', 4)]);
+    });
+
+    it('should report parts it does not understand', () => {
+        expect(parseActivityText('calls x4 + lunch', catalog)).toEqual({
+            activities: [activity('phone', 4)],
+            unmatched: ['lunch']
+        });
+        expect(parseActivityText('hello there', catalog)).toEqual({ activities: [], unmatched: ['hello there'] });
+        expect(parseActivityText('', catalog)).toEqual({ activities: [], unmatched: [] });
+    });
+
+    it('should not accept quantities outside 1 to the maximum', () => {
+        expect(parseActivityText(`0 calls, ${MAX_QUANTITY + 1} meetings, ${MAX_QUANTITY} emails`, catalog)).toEqual({
+            activities: [activity('email', MAX_QUANTITY)],
+            unmatched: ['0 calls', `${MAX_QUANTITY + 1} meetings`]
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const {
+    isValidTimezone,
+    getBusinessDate,
+    getBusinessTime,
+    toBusinessDate,
+    addDays,
+    daysBetween,
+    getPeriodRange,
+    getIsoWeek,
+    getPreviousRange,
+    getCalendarPeriod
+} = require('../utils/business-date');
+
+describe('Business Dates', () => {
+    it('should use the calendar day of the timezone, not UTC', () => {
+        const earlyMorningInBangkok = new Date('2025-03-11T23:30:00Z');
+
+        expect(getBusinessDate('Asia/Bangkok', earlyMorningInBangkok)).toBe('2025-03-12');
+        expect(getBusinessDate('UTC', earlyMorningInBangkok)).toBe('2025-03-11');
+        expect(getBusinessDate('America/New_York', new Date('2025-03-12T03:00:00Z'))).toBe('2025-03-11');
+    });
+
+    it('should tell the time of day in the timezone', () => {
+        expect(getBusinessTime('Asia/Bangkok', '2025-03-11T23:30:00.000Z')).toBe('06:30');
+        expect(getBusinessTime('UTC', new Date('2025-03-12T00:05:00Z'))).toBe('00:05');
+        expect(getBusinessTime('America/New_York', '2025-03-12T03:00:00.000Z')).toBe('23:00');
+    });
+
+    it('should keep plain dates and convert timestamps', () => {
+        expect(toBusinessDate('2025-03-11', 'America/New_York')).toBe('2025-03-11');
+        expect(toBusinessDate('2025-03-11T23:30:00.000Z', 'Asia/Bangkok')).toBe('2025-03-12');
+        expect(toBusinessDate(Date.parse('2025-03-11T23:30:00Z'), 'Asia/Bangkok')).toBe('2025-03-12');
+        expect(toBusinessDate('not a date')).toBeNull();
+    });
+
+    it('should validate IANA timezones', () => {
+        expect(isValidTimezone('Asia/Bangkok')).toBe(true);
+        expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+        expect(isValidTimezone(undefined)).toBe(false);
+    });
+
+    it('should compute periods on the business calendar', () => {
+        expect(addDays('2025-03-01', -1)).toBe('2025-02-28');
+        expect(getPeriodRange('daily', '2025-03-12')).toEqual({ startDate: '2025-03-12', endDate: '2025-03-12' });
+        // Weeks run Monday to Sunday, including when the date is a Sunday
+        expect(getPeriodRange('weekly', '2025-03-16')).toEqual({ startDate: '2025-03-10', endDate: '2025-03-16' });
+        expect(getPeriodRange('monthly', '2024-02-10')).toEqual({ startDate: '2024-02-01', endDate: '2024-02-29' });
+    });
+
+    it('should find the previous period to compare against', () => {
+        expect(daysBetween('2024-02-28', '2024-03-01')).toBe(2);
+        expect(getPreviousRange('weekly', '2025-03-10', '2025-03-16')).toEqual({ startDate: '2025-03-03', endDate: '2025-03-09' });
+        // The previous calendar month, whatever its length
+        expect(getPreviousRange('monthly', '2025-03-01', '2025-03-31')).toEqual({ startDate: '2025-02-01', endDate: '2025-02-28' });
+        // Custom ranges compare with the same number of days right before them
+        expect(getPreviousRange('custom', '2025-03-10', '2025-03-14')).toEqual({ startDate: '2025-03-05', endDate: '2025-03-09' });
+    });
+
+    it('should recognise ranges that are exactly a calendar period', () => {
+        expect(getCalendarPeriod('2025-03-12', '2025-03-12')).toBe('daily');
+        expect(getCalendarPeriod('2025-03-10', '2025-03-16')).toBe('weekly');
+        expect(getCalendarPeriod('2025-02-01', '2025-02-28')).toBe('monthly');
+        expect(getCalendarPeriod('2025-03-11', '2025-03-17')).toBeNull();
+        expect(getCalendarPeriod('2025-02-01', '2025-03-02')).toBeNull();
+    });
+
+    it('should number ISO weeks across year boundaries', () => {
+        expect(getIsoWeek('2025-03-12')).toBe('2025-W11');
+        // Monday 2024-12-30 starts the first week of 2025
+        expect(getIsoWeek('2024-12-30')).toBe('2025-W01');
+        // Sunday 2021-01-03 still ends the last week of 2020
+        expect(getIsoWeek('2021-01-03')).toBe('2020-W53');
+    });
+});
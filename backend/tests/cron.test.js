@@ -0,0 +1,38 @@
+const { parseCron, isValidCron, nextRun } = require('../utils/cron');
+
+describe('Cron Expressions', () => {
+    const next = (expression, after, timezone = 'UTC') => nextRun(expression, new Date(after), timezone).toISOString();
+
+    it('should find the next run in the schedule timezone', () => {
+        // 18:00 in Bangkok is 11:00 UTC
+        expect(next('0 18 * * *', '2025-03-12T10:00:00Z', 'Asia/Bangkok')).toBe('2025-03-12T11:00:00.000Z');
+        // A run exactly at the start time is not repeated
+        expect(next('0 18 * * *', '2025-03-12T11:00:00Z', 'Asia/Bangkok')).toBe('2025-03-13T11:00:00.000Z');
+        expect(next('*/15 * * * *', '2025-03-12T11:07:30Z')).toBe('2025-03-12T11:15:00.000Z');
+        expect(next('0 9 * * 1', '2025-03-12T00:00:00Z', 'Asia/Bangkok')).toBe('2025-03-17T02:00:00.000Z');
+    });
+
+    it('should run when either restricted day field matches', () => {
+        // The 1st of the month or a Monday, whichever comes first
+        expect(next('0 9 1 * 1', '2025-03-02T00:00:00Z')).toBe('2025-03-03T09:00:00.000Z');
+        expect(next('0 0 29 2 *', '2025-03-12T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+        expect(nextRun('0 0 31 2 *', new Date('2025-03-12T00:00:00Z'), 'UTC')).toBeNull();
+    });
+
+    it('should skip times that a daylight saving change leaves out', () => {
+        // 02:30 does not exist in New York on 2025-03-09
+        expect(next('30 2 * * *', '2025-03-09T00:00:00Z', 'America/New_York')).toBe('2025-03-10T06:30:00.000Z');
+    });
+
+    it('should parse lists, ranges and steps and reject invalid fields', () => {
+        const schedule = parseCron('0,30 8-18/2 * * 1-5,7');
+        expect([...schedule.minute]).toEqual([0, 30]);
+        expect([...schedule.hour]).toEqual([8, 10, 12, 14, 16, 18]);
+        expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5, 0]);
+
+        expect(isValidCron('0 18 * * *')).toBe(true);
+        ['* * *', '60 * * * *', '5-1 * * * *', '*/0 * * * *', 'mon * * * *', ''].forEach(expression => {
+            expect(isValidCron(expression)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+// Mock Firebase Admin with a Firestore kept in memory: documents by path,
+// equality and range filters, ordering, getAll and batches (whose sizes are recorded)
+jest.mock('firebase-admin', () => {
+    const documents = new Map();
+    const batchSizes = [];
+
+    const snapshotOf = (ref) => ({
+        id: ref.id,
+        ref,
+        exists: documents.has(ref.path),
+        data: () => (documents.has(ref.path) ? { ...documents.get(ref.path) } : undefined)
+    });
+
+    const docRef = (collection, id) => ({
+        id,
+        path: `${collection}/${id}`,
+        get: async function () { return snapshotOf(this); }
+    });
+
+    const query = (collection, filters = [], order = null, max = Infinity) => ({
+        doc: (id) => docRef(collection, id || `auto_${documents.size}`),
+        where: (field, op, value) => query(collection, [...filters, { field, op, value }], order, max),
+        orderBy: (field) => query(collection, filters, field, max),
+        limit: (count) => query(collection, filters, order, count),
+        get: async () => {
+            const docs = [...documents.keys()]
+                .filter(path => path.startsWith(`${collection}/`))
+                .map(path => snapshotOf(docRef(collection, path.slice(collection.length + 1))))
+                .filter(doc => filters.every(({ field, op, value }) => {
+                    const actual = field === '__name__' ? doc.id : doc.data()[field];
+                    // Range filters skip documents without the field, as Firestore does
+                    if (op === '>=') return actual != null && actual >= value;
+                    if (op === '<=') return actual != null && actual <= value;
+                    if (op === '<') return actual != null && actual < value;
+                    return actual === value;
+                }))
+                .sort((a, b) => (order ? String(a.data()[order]).localeCompare(String(b.data()[order])) : 0))
+                .slice(0, max);
+            return { docs, empty: docs.length === 0, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+        }
+    });
+
+    const db = {
+        collection: (name) => query(name),
+        getAll: async (...refs) => refs.map(snapshotOf),
+        batch: () => {
+            const writes = [];
+            return {
+                set: (ref, data) => writes.push(() => documents.set(ref.path, { ...data })),
+                update: (ref, data) => writes.push(() => documents.set(ref.path, { ...documents.get(ref.path), ...data })),
+                delete: (ref) => writes.push(() => documents.delete(ref.path)),
+                commit: async () => {
+                    batchSizes.push(writes.length);
+                    writes.forEach(write => write());
+                }
+            };
+        }
+    };
+
+    const firestore = () => db;
+    firestore.FieldValue = { serverTimestamp: () => 'SERVER_TIMESTAMP' };
+    firestore.FieldPath = { documentId: () => '__name__' };
+
+    return { apps: [{}], firestore, documents, batchSizes };
+});
+
+const admin = require('firebase-admin');
+const firestoreService = require('../services/firestore.service');
+
+const put = (path, data) => admin.documents.set(path, data);
+const get = (path) => admin.documents.get(path);
+
+describe('Firestore Service', () => {
+    beforeEach(() => {
+        admin.documents.clear();
+        admin.batchSizes.length = 0;
+    });
+
+    describe('detachActivitiesFromDeal', () => {
+        it('should detach more activities than one batch holds', async () => {
+            for (let i = 0; i < 501; i++) {
+                put(`activities/A${i}`, { lineUserId: 'U1', dealId: 'DEAL_1' });
+            }
+            put('activities/OTHER', { lineUserId: 'U1', dealId: 'DEAL_2' });
+
+            expect(await firestoreService.detachActivitiesFromDeal('DEAL_1')).toBe(501);
+
+            expect(admin.batchSizes).toEqual([500, 1]);
+            expect(get('activities/A500').dealId).toBeNull();
+            expect(get('activities/OTHER').dealId).toBe('DEAL_2');
+        });
+    });
+
+    describe('reassignCustomerActivities', () => {
+        it('should move more activities than one batch holds to the surviving account', async () => {
+            for (let i = 0; i < 501; i++) {
+                put(`activities/A${i}`, { lineUserId: 'U1', accountId: 'ACC_DUP' });
+            }
+
+            expect(await firestoreService.reassignCustomerActivities('accountId', 'ACC_DUP', 'ACC_1')).toBe(501);
+
+            expect(admin.batchSizes).toEqual([500, 1]);
+            expect(get('activities/A0').accountId).toBe('ACC_1');
+            expect(get('activities/A500').accountId).toBe('ACC_1');
+        });
+    });
+
+    describe('findOutboxMessages', () => {
+        it('should find pending messages that are due, due first', async () => {
+            put('line_outbox/LATER', { status: 'pending', nextAttemptAt: '2024-06-12T11:09:00.000Z', createdAt: '2024-06-12T11:00:00.000Z' });
+            put('line_outbox/SOONER', { status: 'pending', nextAttemptAt: '2024-06-12T11:01:00.000Z', createdAt: '2024-06-12T11:00:00.000Z' });
+            put('line_outbox/NOT_YET', { status: 'pending', nextAttemptAt: '2024-06-12T12:00:00.000Z', createdAt: '2024-06-12T11:00:00.000Z' });
+            put('line_outbox/SENT', { status: 'sent', nextAttemptAt: null, createdAt: '2024-06-12T10:00:00.000Z' });
+
+            const due = await firestoreService.findOutboxMessages({ status: 'pending', dueBefore: '2024-06-12T11:30:00.000Z', limit: 5 });
+
+            expect(due.map(message => message.id)).toEqual(['SOONER', 'LATER']);
+        });
+    });
+
+    describe('invalidateLeaderboardCache', () => {
+        it('should delete more cached leaderboards than one batch holds', async () => {
+            for (let i = 0; i < 600; i++) {
+                put(`cache/leaderboard_daily_2025-03-12_TEAM_${i}`, { startDate: '2025-03-12', endDate: '2025-03-12' });
+            }
+            put('cache/team_stats_TEAM_A', { teamId: 'TEAM_A' });
+            put('cache/other', { endDate: '2025-03-12' });
+
+            expect(await firestoreService.invalidateLeaderboardCache()).toBe(600);
+
+            expect(admin.batchSizes).toEqual([500, 101]);
+            expect(get('cache/team_stats_TEAM_A')).toBeUndefined();
+            expect(get('cache/other')).toBeDefined();
+        });
+    });
+
+    describe('setUserTeam', () => {
+        const call = { lineUserId: 'U1', activityType: 'phone', points: 20, count: 1, date: '2025-03-12', createdAt: '2025-03-12T02:00:00.000Z' };
+
+        beforeEach(async () => {
+            put('users/U1', { displayName: 'Alice', teamId: null });
+            put('activities/A1', { ...call, teamId: null });
+            put('activities/A2', { ...call, teamId: null, points: 40, count: 2 });
+            put('activities/A3', { ...call, teamId: 'TEAM_X' });
+            await firestoreService.rebuildLeaderboardAggregates();
+        });
+
+        it('should move the leaderboard aggregates of claimed activities to the team', async () => {
+            await firestoreService.setUserTeam('U1', 'TEAM_A', 'ORG_1');
+
+            expect(get('activities/A1').teamId).toBe('TEAM_A');
+            expect(get('activities/A3').teamId).toBe('TEAM_X');
+
+            ['daily_2025-03-12', 'weekly_2025-03-10', 'monthly_2025-03-01'].forEach(period => {
+                expect(get(`leaderboard_aggregates/${period}_none_U1`)).toBeUndefined();
+                expect(get(`leaderboard_aggregates/${period}_TEAM_A_U1`)).toMatchObject({
+                    userId: 'U1', teamId: 'TEAM_A', displayName: 'Alice', points: 60, activities: 2, calls: 3
+                });
+                expect(get(`leaderboard_aggregates/${period}_TEAM_X_U1`)).toMatchObject({ points: 20, activities: 1 });
+            });
+
+            const leaderboard = await firestoreService.calculateLeaderboardFromAggregates('2025-03-12', '2025-03-12', { teamId: 'TEAM_A' });
+            expect(leaderboard.entries).toHaveLength(1);
+            expect(leaderboard.entries[0]).toMatchObject({ userId: 'U1', points: 60 });
+        });
+
+        it('should leave aggregates alone when the user leaves a team', async () => {
+            const before = get('leaderboard_aggregates/daily_2025-03-12_none_U1');
+
+            await firestoreService.setUserTeam('U1', null);
+
+            expect(get('users/U1').teamId).toBeNull();
+            expect(get('leaderboard_aggregates/daily_2025-03-12_none_U1')).toEqual(before);
+        });
+    });
+});
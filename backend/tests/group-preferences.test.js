@@ -0,0 +1,132 @@
+jest.mock('../storage', () => {
+    const MemoryAdapter = require('../storage/memory.adapter');
+    const storage = new MemoryAdapter();
+    return { getStorage: () => storage, usesFirestore: () => false };
+});
+
+const { getStorage } = require('../storage');
+const groupPreferencesService = require('../services/group-preferences.service');
+const { CATEGORY_ROWS, createGroupSettingsFlex } = require('../group-settings-flex');
+
+const group = (settings, notificationsEnabled = true) => ({ id: 'GROUP_1', notificationsEnabled, settings });
+
+describe('Group Preferences', () => {
+    it('should turn every category on but the recaps by default', () => {
+        expect(groupPreferencesService.getPreferences(group(undefined))).toEqual({
+            categories: {
+                activity: true,
+                achievements: true,
+                milestones: true,
+                dailyLeaderboard: true,
+                weeklyRecap: false,
+                monthlyRecap: false
+            },
+            quietHours: null,
+            minPoints: 0,
+            language: 'en'
+        });
+    });
+
+    it('should keep the recap categories in the /recap opt-in', () => {
+        const settings = groupPreferencesService.applyChanges(
+            { recaps: ['monthly'], other: 'kept' },
+            { categories: { weeklyRecap: true, monthlyRecap: false, achievements: false }, minPoints: 20 }
+        );
+
+        expect(settings).toEqual({ recaps: ['weekly'], notifications: { achievements: false }, minPoints: 20, other: 'kept' });
+        expect(groupPreferencesService.getPreferences(group(settings)).categories).toMatchObject({
+            achievements: false,
+            weeklyRecap: true,
+            monthlyRecap: false
+        });
+    });
+
+    it('should parse /settings arguments into changes', () => {
+        expect(groupPreferencesService.parseCommand([])).toEqual({});
+        expect(groupPreferencesService.parseCommand(['daily', 'off'])).toEqual({ categories: { dailyLeaderboard: false } });
+        expect(groupPreferencesService.parseCommand(['quiet', '22:30-06:00'])).toEqual({ quietHours: { start: '22:30', end: '06:00' } });
+        expect(groupPreferencesService.parseCommand(['quiet', 'off'])).toEqual({ quietHours: null });
+        expect(groupPreferencesService.parseCommand(['minpoints', '40'])).toEqual({ minPoints: 40 });
+        expect(groupPreferencesService.parseCommand(['lang', 'th'])).toEqual({ language: 'th' });
+        expect(groupPreferencesService.parseCommand(['birthdays', 'on'])).toBeNull();
+        expect(groupPreferencesService.parseCommand(['minpoints', 'lots'])).toBeNull();
+
+        expect(groupPreferencesService.validate(groupPreferencesService.parseCommand(['quiet', '22-6']))).toEqual([
+            expect.objectContaining({ path: 'quietHours' })
+        ]);
+        expect(groupPreferencesService.validate({ language: 'fr' })).toEqual([
+            expect.objectContaining({ path: 'language' })
+        ]);
+    });
+
+    it('should post back valid changes from every settings button', () => {
+        const flex = createGroupSettingsFlex(groupPreferencesService.getPreferences(group({ minPoints: 10 })));
+        const actions = JSON.stringify(flex).match(/action=group-settings&args=[^"]+/g)
+            .map(data => decodeURIComponent(new URLSearchParams(data).get('args')).split(' '));
+
+        // One per category, three quiet hours, four minimum points and two language presets
+        expect(actions).toHaveLength(CATEGORY_ROWS.length + 9);
+        actions.forEach(args => {
+            const changes = groupPreferencesService.parseCommand(args);
+            expect(changes).not.toBeNull();
+            expect(groupPreferencesService.validate(changes)).toEqual([]);
+        });
+        expect(actions).toContainEqual(['activity', 'off']);
+        expect(actions).toContainEqual(['weekly', 'on']);
+        expect(actions).toContainEqual(['lang', 'th']);
+    });
+
+    it('should show the settings in the group\'s language', () => {
+        const flex = createGroupSettingsFlex(groupPreferencesService.getPreferences(group({ language: 'th' })));
+
+        expect(flex.altText).toBe('ตั้งค่าการแจ้งเตือนของกลุ่ม');
+        expect(JSON.stringify(flex)).toContain('ช่วงงดแจ้งเตือน');
+    });
+
+    it('should tell quiet hours in the given timezone, across midnight', () => {
+        const quietHours = { start: '22:00', end: '07:00' };
+        const isQuiet = (iso, timezone) => groupPreferencesService.isQuietTime(quietHours, timezone, new Date(iso));
+
+        // 23:30 and 06:59 in Bangkok (UTC+7)
+        expect(isQuiet('2025-03-12T16:30:00Z', 'Asia/Bangkok')).toBe(true);
+        expect(isQuiet('2025-03-12T23:59:00Z', 'Asia/Bangkok')).toBe(true);
+        // 07:00 in Bangkok ends them; the same hours in UTC
+        expect(isQuiet('2025-03-13T00:00:00Z', 'Asia/Bangkok')).toBe(false);
+        expect(isQuiet('2025-03-12T23:00:00Z', 'UTC')).toBe(true);
+
+        expect(groupPreferencesService.isQuietTime({ start: '12:00', end: '13:00' }, 'UTC', new Date('2025-03-12T12:30:00Z'))).toBe(true);
+        expect(groupPreferencesService.isQuietTime(null, 'UTC')).toBe(false);
+    });
+
+    it('should filter groups by switch, category, quiet hours and minimum points', () => {
+        const now = new Date('2025-03-12T05:00:00Z'); // 12:00 in Bangkok
+        const groups = [
+            { id: 'ALL', notificationsEnabled: true },
+            { id: 'OFF', notificationsEnabled: false },
+            { id: 'NO_ACTIVITY', notificationsEnabled: true, settings: { notifications: { activity: false } } },
+            { id: 'LUNCH', notificationsEnabled: true, settings: { quietHours: { start: '11:30', end: '13:00' } } },
+            { id: 'BIG', notificationsEnabled: true, settings: { minPoints: 50 } }
+        ];
+        const ids = (category, options) => groupPreferencesService.filterGroups(groups, category, { timezone: 'Asia/Bangkok', now, ...options })
+            .map(g => g.id);
+
+        expect(ids('activity', { points: 30 })).toEqual(['ALL']);
+        expect(ids('activity', { points: 50 })).toEqual(['ALL', 'BIG']);
+        expect(ids('dailyLeaderboard')).toEqual(['ALL', 'NO_ACTIVITY', 'BIG']);
+        expect(ids('weeklyRecap')).toEqual([]);
+    });
+
+    it('should store changes with an audit entry', async () => {
+        const storage = getStorage();
+        await storage.registerGroup('GROUP_1', 'Sales', 'U1');
+
+        const preferences = await groupPreferencesService.update('GROUP_1', { quietHours: { start: '21:00', end: '08:00' } }, { lineUserId: 'U1', source: 'line' });
+
+        expect(preferences.quietHours).toEqual({ start: '21:00', end: '08:00' });
+        expect((await storage.getGroup('GROUP_1')).settings).toEqual({ quietHours: { start: '21:00', end: '08:00' } });
+        expect(await storage.findAuditEntries({ entityType: 'group' })).toEqual([
+            expect.objectContaining({ entityId: 'GROUP_1', action: 'update', actor: expect.objectContaining({ lineUserId: 'U1', source: 'line' }) })
+        ]);
+        expect(await groupPreferencesService.update('UNKNOWN', { minPoints: 10 })).toBeNull();
+    });
+});
@@ -0,0 +1,69 @@
+const {
+    t,
+    formatNumber,
+    formatDate,
+    typeName,
+    resolveLanguage,
+    userLanguage,
+    groupLanguage,
+    perLanguage
+} = require('../utils/i18n');
+const en = require('../locales/en');
+const th = require('../locales/th');
+
+describe('Bot Localization', () => {
+    it('should fill in placeholders and pick plural forms', () => {
+        expect(t('en', 'undo.expired', { minutes: 15 })).toBe('Your last activity was logged more than 15 minutes ago. Use /today to delete it.');
+        expect(t('en', 'today.alt', { count: 1 })).toBe('Today: 1 activity');
+        expect(t('en', 'today.alt', { count: 3 })).toBe('Today: 3 activities');
+        expect(t('th', 'today.alt', { count: 3 })).toBe('วันนี้: 3 กิจกรรม');
+    });
+
+    it('should fall back to English, then to the key', () => {
+        expect(t('fr', 'today.title')).toBe('📝 Today');
+        expect(t('th', 'no.such.key')).toBe('no.such.key');
+        expect(t('en', 'log.unmatched')).toBe('Not understood: {parts}');
+    });
+
+    it('should translate every English message into Thai', () => {
+        // Thai has no plural forms, so its messages may be plain where English has { one, other }
+        const placeholders = (message) => new Set(JSON.stringify(message).match(/\{\w+\}/g) || []);
+
+        expect(Object.keys(th).sort()).toEqual(Object.keys(en).sort());
+        Object.keys(en).forEach(key => {
+            expect([key, placeholders(th[key])]).toEqual([key, placeholders(en[key])]);
+        });
+    });
+
+    it('should format numbers and dates for the language', () => {
+        expect(formatNumber(12345.5, 'en')).toBe('12,345.5');
+        expect(formatNumber(12345.5, 'th')).toBe('12,345.5');
+        expect(t('en', 'common.points', { points: 2450 })).toBe('2,450 pts');
+
+        expect(formatDate('2025-03-12', 'en')).toBe('12 Mar 2025');
+        expect(formatDate('2025-03-12', 'th')).toBe('12 มี.ค. 2568');
+        expect(formatDate('2025-03-12', 'th', { weekday: 'short', day: 'numeric' })).toBe('พ. 12');
+    });
+
+    it('should resolve the language of users, groups and activity types', () => {
+        expect(resolveLanguage(undefined, 'th', 'en')).toBe('th');
+        expect(resolveLanguage('fr')).toBe('en');
+        expect(userLanguage({ settings: { language: 'th' } })).toBe('th');
+        expect(userLanguage(null)).toBe('en');
+        expect(groupLanguage({ settings: { language: 'xx' } })).toBe('en');
+
+        const phone = { id: 'phone', names: { en: 'Phone Call', th: 'โทร' } };
+        expect(typeName(phone, 'th')).toBe('โทร');
+        expect(typeName({ id: 'golf', names: { en: 'Golf' } }, 'th')).toBe('Golf');
+    });
+
+    it('should build a message once per language', () => {
+        const build = jest.fn(language => ({ type: 'text', text: t(language, 'undo.none') }));
+        const message = perLanguage(build);
+
+        expect(message('th').text).toBe('ไม่มีกิจกรรมให้ยกเลิก');
+        expect(message('th')).toBe(message('th'));
+        expect(message('en').text).toBe('There is no activity to undo.');
+        expect(build).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,98 @@
+const {
+    activityTime,
+    createStats,
+    addActivity,
+    removeActivity,
+    mergeStats,
+    rankEntries
+} = require('../utils/leaderboard-ranking');
+
+const totals = (userId, activities) => ({
+    userId,
+    displayName: userId,
+    ...activities.reduce((stats, activity) => addActivity(stats, activity), createStats())
+});
+
+const at = (time) => `2025-03-12T${time}:00.000Z`;
+
+describe('Leaderboard Ranking', () => {
+    const alice = totals('alice', [
+        { activityType: 'phone', points: 40, count: 2, createdAt: at('09:00') },
+        { activityType: 'meeting', points: 50, count: 1, createdAt: at('10:00') },
+        { activityType: 'contract', points: 25, count: 1, createdAt: at('11:00') }
+    ]);
+    const bob = totals('bob', [
+        { activityType: 'phone', points: 20, count: 1, createdAt: at('09:30') },
+        { activityType: 'meeting', points: 100, count: 2, createdAt: at('12:00') }
+    ]);
+    const carol = totals('carol', [
+        { activityType: 'email', points: 10, count: 1, createdAt: at('08:00') },
+        { activityType: 'contract', points: 25, count: 1, createdAt: at('10:30') }
+    ]);
+
+    it('should rank by points unless another mode is given', () => {
+        const entries = rankEntries([alice, bob, carol]);
+
+        expect(entries.map(e => [e.userId, e.score, e.rank])).toEqual([
+            ['bob', 120, 1], ['alice', 115, 2], ['carol', 35, 3]
+        ]);
+        expect(entries[0]).toMatchObject({ points: 120, activities: 2, meetings: 2, calls: 1, contracts: 0, conversion: 2 });
+        expect(entries[0]).not.toHaveProperty('lastAt');
+    });
+
+    it('should rank by meetings, conversion and contracts', () => {
+        expect(rankEntries([alice, bob, carol], 'meetings').map(e => [e.userId, e.score]))
+            .toEqual([['bob', 2], ['alice', 1], ['carol', 0]]);
+        expect(rankEntries([alice, bob, carol], 'conversion').map(e => [e.userId, e.score]))
+            .toEqual([['bob', 2], ['alice', 0.5], ['carol', 0]]);
+        expect(rankEntries([alice, bob, carol], 'contracts').map(e => [e.userId, e.score]))
+            .toEqual([['carol', 1], ['alice', 1], ['bob', 0]]);
+    });
+
+    it('should weigh each metric against its leader for the composite score', () => {
+        const entries = rankEntries([alice, bob, carol], 'composite');
+
+        // bob: 0.4 * 1 + 0.3 * 1 + 0.1 * 1 + 0.2 * 0
+        expect(entries.map(e => [e.userId, e.score])).toEqual([['bob', 80], ['alice', 75.8333], ['carol', 31.6667]]);
+    });
+
+    it('should break ties in favour of whoever reached the score first', () => {
+        const contracts = rankEntries([alice, carol], 'contracts');
+        expect(contracts.map(e => [e.userId, e.reachedAt])).toEqual([
+            ['carol', at('10:30')],
+            ['alice', at('11:00')]
+        ]);
+
+        const early = totals('zed', [{ activityType: 'phone', points: 20, createdAt: at('08:00') }]);
+        const late = totals('amy', [{ activityType: 'phone', points: 20, createdAt: at('09:00') }]);
+        const sameTime = totals('abe', [{ activityType: 'phone', points: 20, createdAt: at('09:00') }]);
+        expect(rankEntries([late, sameTime, early]).map(e => e.userId)).toEqual(['zed', 'abe', 'amy']);
+    });
+
+    it('should keep running totals in step as activities are removed and merged', () => {
+        const meeting = { activityType: 'meeting', points: 100, count: 2, createdAt: at('12:00') };
+        const stats = addActivity(totals('bob', []), meeting);
+
+        removeActivity(stats, meeting);
+        expect(stats).toMatchObject({ points: 0, activities: 0, meetings: 0 });
+        expect(stats.lastAt.meetings).toBe(Date.parse(at('12:00')));
+
+        const range = mergeStats(mergeStats(createStats(), alice), bob);
+        expect(range).toMatchObject({ points: 235, activities: 5, meetings: 3, calls: 3, contracts: 1 });
+        expect(range.lastAt).toEqual({
+            points: Date.parse(at('12:00')),
+            calls: Date.parse(at('09:30')),
+            meetings: Date.parse(at('12:00')),
+            contracts: Date.parse(at('11:00'))
+        });
+    });
+
+    it('should read Firestore, ISO and SQLite timestamps', () => {
+        const expected = Date.parse('2025-03-12T09:15:00Z');
+
+        expect(activityTime({ createdAt: { toDate: () => new Date(expected) } })).toBe(expected);
+        expect(activityTime({ createdAt: '2025-03-12T09:15:00.000Z' })).toBe(expected);
+        expect(activityTime({ createdAt: '2025-03-12 09:15:00' })).toBe(expected);
+        expect(activityTime({ date: '2025-03-12' })).toBe(Date.parse('2025-03-12T00:00:00Z'));
+    });
+});
@@ -0,0 +1,114 @@
+jest.mock('../storage', () => {
+    const MemoryAdapter = require('../storage/memory.adapter');
+    const storage = new MemoryAdapter();
+    return { getStorage: () => storage, usesFirestore: () => true };
+});
+jest.mock('../services/line-quota.service', () => ({
+    canSendMessage: jest.fn().mockResolvedValue({ allowed: true, remaining: 100 }),
+    recordMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/team.service', () => ({
+    getTeam: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../activity-flex-message-compact', () => ({
+    sendFlexMessage: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const { getStorage } = require('../storage');
+const lineQuotaService = require('../services/line-quota.service');
+const { sendFlexMessage } = require('../activity-flex-message-compact');
+const lineOutboxService = require('../services/line-outbox.service');
+
+const lineError = (statusCode) => Object.assign(new Error(`LINE API Error: ${statusCode}`), { statusCode });
+const push = (dedupKey = null) => ({ to: 'GROUP_1', message: { type: 'text', text: 'Hi' }, type: 'activity', teamId: 'TEAM_A', dedupKey });
+
+describe('LINE Outbox', () => {
+    const storage = getStorage();
+
+    beforeEach(() => {
+        storage.outbox.clear();
+        sendFlexMessage.mockReset();
+        sendFlexMessage.mockResolvedValue({ success: true });
+        lineQuotaService.recordMessage.mockClear();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    it('should send right away and count the message against the quota', async () => {
+        const message = await lineOutboxService.send(push(), 'TOKEN');
+
+        expect(message).toMatchObject({ status: 'sent', attempts: 1, nextAttemptAt: null });
+        expect(sendFlexMessage).toHaveBeenCalledWith({ type: 'text', text: 'Hi' }, 'TOKEN', 'GROUP_1', message.id);
+        expect(lineQuotaService.recordMessage).toHaveBeenCalledWith('activity', 'GROUP_1', 1, 'TEAM_A');
+    });
+
+    it('should store a push with the same dedup key once', async () => {
+        const first = await lineOutboxService.send(push('activity:A1:GROUP_1'), 'TOKEN');
+        const second = await lineOutboxService.send(push('activity:A1:GROUP_1'), 'TOKEN');
+
+        expect(second).toMatchObject({ id: first.id, duplicate: true, status: 'sent' });
+        expect(first.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(sendFlexMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry failed pushes with exponential backoff', async () => {
+        sendFlexMessage.mockRejectedValueOnce(lineError(500));
+        const failed = await lineOutboxService.send(push(), 'TOKEN');
+
+        expect(failed).toMatchObject({ status: 'pending', attempts: 1, lastError: 'LINE API Error: 500' });
+        expect(lineQuotaService.recordMessage).not.toHaveBeenCalled();
+
+        // Not due before its backoff (30 seconds after the first failure)
+        const queuedAt = Date.parse(failed.updatedAt);
+        expect(await lineOutboxService.deliverDue('TOKEN', new Date(queuedAt + 10 * 1000))).toMatchObject({ due: 0 });
+
+        sendFlexMessage.mockRejectedValueOnce(lineError(429));
+        expect(await lineOutboxService.deliverDue('TOKEN', new Date(queuedAt + 31 * 1000))).toMatchObject({ due: 1, retrying: 1 });
+        expect(await storage.getOutboxMessage(failed.id)).toMatchObject({ status: 'pending', attempts: 2 });
+
+        const later = new Date(Date.now() + 5 * 60 * 1000);
+        expect(await lineOutboxService.deliverDue('TOKEN', later)).toMatchObject({ due: 1, sent: 1 });
+        expect(await storage.getOutboxMessage(failed.id)).toMatchObject({ status: 'sent', attempts: 3, lastError: null });
+    });
+
+    it('should double the wait per attempt up to an hour', () => {
+        expect([1, 2, 3, 4, 8, 12].map(attempts => lineOutboxService.backoff(attempts) / 1000))
+            .toEqual([30, 60, 120, 240, 3600, 3600]);
+    });
+
+    it('should give up on messages LINE rejects and after the last attempt', async () => {
+        sendFlexMessage.mockRejectedValueOnce(lineError(400));
+        expect(await lineOutboxService.send(push(), 'TOKEN')).toMatchObject({ status: 'failed', attempts: 1, nextAttemptAt: null });
+
+        sendFlexMessage.mockRejectedValue(lineError(503));
+        const message = await lineOutboxService.send(push(), 'TOKEN');
+        await storage.updateOutboxMessage(message.id, { attempts: lineOutboxService.MAX_ATTEMPTS - 1 });
+
+        expect(await lineOutboxService.deliverDue('TOKEN', new Date(Date.now() + 60 * 60 * 1000))).toMatchObject({ failed: 1 });
+        expect(await storage.getOutboxMessage(message.id)).toMatchObject({ status: 'failed', attempts: lineOutboxService.MAX_ATTEMPTS });
+    });
+
+    it('should treat a retry LINE already accepted as sent', async () => {
+        sendFlexMessage.mockRejectedValueOnce(lineError(409));
+
+        expect(await lineOutboxService.send(push(), 'TOKEN')).toMatchObject({ status: 'sent' });
+        expect(lineQuotaService.recordMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should expire messages not delivered within a day and defer those out of quota', async () => {
+        sendFlexMessage.mockRejectedValue(lineError(500));
+        const stale = await lineOutboxService.send(push(), 'TOKEN');
+        const deferred = await lineOutboxService.send(push(), 'TOKEN');
+        await storage.updateOutboxMessage(stale.id, { queuedAt: '2025-03-11T09:00:00.000Z' });
+        lineQuotaService.canSendMessage.mockResolvedValueOnce({ allowed: false, remaining: 5 });
+
+        const result = await lineOutboxService.deliverDue('TOKEN', new Date(Date.now() + 60 * 1000));
+
+        expect(result).toMatchObject({ due: 2, expired: 1, deferred: 1 });
+        expect(await storage.getOutboxMessage(stale.id)).toMatchObject({ status: 'failed', lastError: 'Not delivered within a day' });
+        expect(await storage.getOutboxMessage(deferred.id)).toMatchObject({ status: 'pending', attempts: 1 });
+    });
+});
@@ -0,0 +1,71 @@
+jest.mock('../storage', () => {
+    const MemoryAdapter = require('../storage/memory.adapter');
+    const storage = new MemoryAdapter();
+    return { getStorage: () => storage, usesFirestore: () => true };
+});
+jest.mock('../line-chatbot', () => ({
+    handleMessage: jest.fn(),
+    handlePostback: jest.fn(),
+    lineConfig: { channelAccessToken: 'TOKEN', channelSecret: 'SECRET' },
+    client: { pushMessage: jest.fn() }
+}));
+jest.mock('../services/line-quota.service', () => ({
+    canSendMessage: jest.fn().mockResolvedValue({ allowed: true, remaining: 100 }),
+    recordMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/team.service', () => ({
+    getTeam: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../activity-flex-message-compact', () => ({
+    sendFlexMessage: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { getStorage } = require('../storage');
+const { client } = require('../line-chatbot');
+const { sendFlexMessage } = require('../activity-flex-message-compact');
+const lineWebhookRoutes = require('../routes/line-webhook');
+
+describe('LINE Webhook Routes', () => {
+    const storage = getStorage();
+    const app = express();
+    app.use(express.json());
+    app.set('storage', storage);
+    app.use('/', lineWebhookRoutes);
+
+    beforeEach(() => {
+        storage.users.clear();
+        storage.outbox.clear();
+        sendFlexMessage.mockReset();
+        sendFlexMessage.mockResolvedValue({ success: true });
+    });
+
+    describe('POST /broadcast', () => {
+        it('should send each user the message through the LINE outbox', async () => {
+            await storage.createOrUpdateUser('U1', { displayName: 'Alice', teamId: 'TEAM_A' });
+            await storage.createOrUpdateUser('U2', { displayName: 'Bob' });
+            sendFlexMessage.mockImplementation(async (message, token, to) => {
+                if (to === 'U2') {
+                    throw Object.assign(new Error('LINE API Error: 500'), { statusCode: 500 });
+                }
+                return { success: true };
+            });
+
+            const response = await request(app)
+                .post('/broadcast')
+                .send({ message: 'Quarter closes Friday' })
+                .expect(200);
+
+            expect(response.body).toEqual({ success: true, sent: 1, retrying: 1, failed: 0, total: 2 });
+            expect(client.pushMessage).not.toHaveBeenCalled();
+            expect(sendFlexMessage).toHaveBeenCalledWith({ type: 'text', text: 'Quarter closes Friday' }, 'TOKEN', 'U1', expect.any(String));
+
+            const stored = await storage.findOutboxMessages();
+            expect(stored).toHaveLength(2);
+            expect(stored.find(message => message.to === 'U1')).toMatchObject({ status: 'sent', type: 'system', teamId: 'TEAM_A' });
+            // Left for the line-outbox job to retry
+            expect(stored.find(message => message.to === 'U2')).toMatchObject({ status: 'pending', attempts: 1 });
+        });
+    });
+});
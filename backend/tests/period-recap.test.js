@@ -0,0 +1,93 @@
+const { getRecapRange, buildRecap, createRecapCarousel } = require('../period-recap');
+
+const entry = (userId, points, activities, rank) => ({ userId, displayName: userId, points, activities, rank });
+
+describe('Period Recap', () => {
+    describe('getRecapRange', () => {
+        it('should cover the week that ended the day before', () => {
+            expect(getRecapRange('weekly', '2025-03-17')).toEqual({
+                startDate: '2025-03-10',
+                endDate: '2025-03-16',
+                previousStartDate: '2025-03-03',
+                previousEndDate: '2025-03-09'
+            });
+        });
+
+        it('should cover the month that ended the day before', () => {
+            expect(getRecapRange('monthly', '2025-03-01')).toEqual({
+                startDate: '2025-02-01',
+                endDate: '2025-02-28',
+                previousStartDate: '2025-01-01',
+                previousEndDate: '2025-01-31'
+            });
+        });
+    });
+
+    describe('buildRecap', () => {
+        const recap = buildRecap({
+            period: 'weekly',
+            startDate: '2025-03-10',
+            endDate: '2025-03-16',
+            entries: [entry('alice', 300, 8, 1), entry('bob', 200, 6, 2), entry('carol', 150, 4, 3), entry('dave', 50, 1, 4)],
+            previousEntries: [entry('alice', 280, 7, 1), entry('bob', 60, 2, 2), entry('dave', 100, 3, 3)],
+            streaks: [
+                { userId: 'alice', displayName: 'alice', currentStreak: 4 },
+                { userId: 'bob', displayName: 'bob', currentStreak: 9 },
+                { userId: 'dave', displayName: 'dave', currentStreak: 1 }
+            ],
+            achievements: [{ userId: 'carol', displayName: 'carol', achievementId: 'first_step' }]
+        });
+
+        it('should pick the top three performers', () => {
+            expect(recap.topPerformers.map(performer => performer.userId)).toEqual(['alice', 'bob', 'carol']);
+        });
+
+        it('should pick the biggest improver over the previous period', () => {
+            // carol had nothing last week, so her +150 beats bob's +140
+            expect(recap.biggestImprover).toMatchObject({ userId: 'carol', change: 150, previousPoints: 0 });
+        });
+
+        it('should compare the team total with the previous period', () => {
+            expect(recap.team).toEqual({
+                points: 700,
+                previousPoints: 440,
+                change: 260,
+                changePercent: 59,
+                activities: 19,
+                participants: 4
+            });
+        });
+
+        it('should list running streaks and name new achievements', () => {
+            expect(recap.streakLeaders.map(streak => streak.userId)).toEqual(['bob', 'alice']);
+            expect(recap.newAchievements).toEqual([expect.objectContaining({ userId: 'carol', name: 'First Step' })]);
+        });
+
+        it('should handle a period without a previous one', () => {
+            const first = buildRecap({ period: 'monthly', startDate: '2025-02-01', endDate: '2025-02-28', entries: [entry('alice', 0, 1, 1)] });
+
+            expect(first.team.changePercent).toBeNull();
+            expect(first.biggestImprover).toBeNull();
+        });
+
+        it('should render a carousel of three bubbles', () => {
+            const message = createRecapCarousel(recap);
+            const json = JSON.stringify(message);
+
+            expect(message.type).toBe('flex');
+            expect(message.altText).toBe('📊 Weekly Recap - 10 Mar 2025 – 16 Mar 2025');
+            expect(message.contents.type).toBe('carousel');
+            expect(message.contents.contents).toHaveLength(3);
+            expect(json).toContain('+260 (+59%)');
+            expect(json).toContain('Biggest improver: carol');
+            expect(json).toContain('First Step');
+        });
+
+        it('should render the recap in the group\'s language', () => {
+            const message = createRecapCarousel(recap, 'th');
+
+            expect(message.altText).toBe('📊 สรุปรายสัปดาห์ - 10 มี.ค. 2568 – 16 มี.ค. 2568');
+            expect(JSON.stringify(message)).toContain('พัฒนาขึ้นมากที่สุด: carol');
+        });
+    });
+});
@@ -0,0 +1,110 @@
+// Mock Firestore service
+jest.mock('../services/firestore.service', () => ({
+    getUser: jest.fn()
+}));
+
+const firestoreService = require('../services/firestore.service');
+const {
+    normalizeRole,
+    canAccessUser,
+    canModifyActivity,
+    canAccessTeam,
+    loadActor,
+    requireRole,
+    authorizeUserParam
+} = require('../middleware/permissions');
+
+const rep = { lineUserId: 'REP_A', role: 'rep', teamId: 'TEAM_A' };
+const manager = { lineUserId: 'MANAGER_A', role: 'manager', teamId: 'TEAM_A' };
+const admin = { lineUserId: 'ADMIN', role: 'admin', teamId: null };
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+describe('Role & Permission Layer', () => {
+    describe('Roles', () => {
+        it('should map legacy roles to rep', () => {
+            expect(normalizeRole('user')).toBe('rep');
+            expect(normalizeRole('demo')).toBe('rep');
+            expect(normalizeRole(undefined)).toBe('rep');
+            expect(normalizeRole('manager')).toBe('manager');
+        });
+    });
+
+    describe('Data access', () => {
+        it('should let reps access only their own data', () => {
+            expect(canAccessUser(rep, { id: 'REP_A', teamId: 'TEAM_A' })).toBe(true);
+            expect(canAccessUser(rep, { id: 'REP_B', teamId: 'TEAM_A' })).toBe(false);
+        });
+
+        it('should let managers access their own team only', () => {
+            expect(canAccessUser(manager, { id: 'REP_B', teamId: 'TEAM_A' })).toBe(true);
+            expect(canAccessUser(manager, { id: 'REP_C', teamId: 'TEAM_B' })).toBe(false);
+            expect(canAccessUser({ ...manager, teamId: null }, { id: 'REP_D', teamId: undefined })).toBe(false);
+        });
+
+        it('should let admins access everyone', () => {
+            expect(canAccessUser(admin, { id: 'REP_C', teamId: 'TEAM_B' })).toBe(true);
+        });
+
+        it('should let managers correct activities of their team', () => {
+            expect(canModifyActivity(rep, { lineUserId: 'REP_B', teamId: 'TEAM_A' })).toBe(false);
+            expect(canModifyActivity(manager, { lineUserId: 'REP_B', teamId: 'TEAM_A' })).toBe(true);
+            expect(canModifyActivity(manager, { lineUserId: 'REP_C', teamId: 'TEAM_B' })).toBe(false);
+        });
+
+        it('should restrict team views to its managers and admins', () => {
+            expect(canAccessTeam(rep, 'TEAM_A')).toBe(false);
+            expect(canAccessTeam(manager, 'TEAM_A')).toBe(true);
+            expect(canAccessTeam(manager, 'TEAM_B')).toBe(false);
+            expect(canAccessTeam(admin, 'TEAM_B')).toBe(true);
+        });
+    });
+
+    describe('Middleware', () => {
+        it('should load the role from the user document', async () => {
+            firestoreService.getUser.mockResolvedValueOnce({ id: 'MANAGER_A', role: 'manager', teamId: 'TEAM_A' });
+            const req = { user: { lineUserId: 'MANAGER_A' } };
+            const next = jest.fn();
+
+            await loadActor(req, mockResponse(), next);
+
+            expect(req.actor).toEqual(manager);
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        it('should reject callers without the required role', () => {
+            const res = mockResponse();
+            const next = jest.fn();
+
+            requireRole('admin')({ actor: manager }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should reject reps reading another user', async () => {
+            firestoreService.getUser.mockResolvedValueOnce({ id: 'REP_B', teamId: 'TEAM_A' });
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await authorizeUserParam('lineUserId')({ actor: rep, params: { lineUserId: 'REP_B' } }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should allow managers reading a team member', async () => {
+            firestoreService.getUser.mockResolvedValueOnce({ id: 'REP_B', teamId: 'TEAM_A' });
+            const next = jest.fn();
+
+            await authorizeUserParam('lineUserId')({ actor: manager, params: { lineUserId: 'REP_B' } }, mockResponse(), next);
+
+            expect(next).toHaveBeenCalledWith();
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const {
+    MAX_TODAY_ROWS,
+    createTodayFlex,
+    createTodayText,
+    summarizeWeek,
+    createWeekFlex,
+    createWeekText,
+    createMeFlex,
+    createMeText,
+    createGoalFlex,
+    createGoalText
+} = require('../personal-commands-flex');
+
+const catalog = [
+    { id: 'phone', names: { en: 'Phone Call', th: 'โทร' }, emoji: '📱', points: 20 },
+    { id: 'meeting', names: { en: 'Meeting', th: 'นัดพบลูกค้า' }, emoji: '🤝', points: 50 }
+];
+
+const activity = (id, activityType, points, extra = {}) => ({ id, activityType, points, count: 1, date: '2025-03-12', ...extra });
+const postbacks = (message) => JSON.stringify(message).match(/action=delete&id=[^"]+/g) || [];
+
+describe('Personal Command Messages', () => {
+    it('should list today\'s activities with a delete button each', () => {
+        const activities = [
+            activity('ACT_2', 'meeting', 50, { subtitle: 'Siam Cement' }),
+            activity('ACT_1', 'phone', 60, { count: 3 }),
+            activity('ACT_0', 'golf', 10, { title: 'Golf' })
+        ];
+        const flex = createTodayFlex({ date: '2025-03-12', activities, catalog });
+
+        expect(postbacks(flex)).toEqual(['action=delete&id=ACT_2', 'action=delete&id=ACT_1', 'action=delete&id=ACT_0']);
+        expect(JSON.stringify(flex)).toContain('📱 Phone Call ×3');
+        expect(JSON.stringify(flex)).toContain('✨ Golf ×1');
+        expect(flex.contents.footer.contents[0].text).toBe('+120 points • 3 activities');
+
+        const text = createTodayText({ date: '2025-03-12', activities, catalog });
+        expect(text.text).toContain('2. 📱 Phone Call ×3 +60');
+        expect(text.text).toContain('1. 🤝 Meeting ×1 (Siam Cement) +50');
+        expect(text.quickReply.items.map(item => item.action.data)).toEqual(postbacks(flex));
+    });
+
+    it('should cap today\'s rows and say when nothing was logged', () => {
+        const many = Array.from({ length: MAX_TODAY_ROWS + 3 }, (_, i) => activity(`ACT_${i}`, 'phone', 20));
+        const flex = createTodayFlex({ date: '2025-03-12', activities: many, catalog });
+
+        expect(postbacks(flex)).toHaveLength(MAX_TODAY_ROWS);
+        expect(JSON.stringify(flex)).toContain('…and 3 more in the app');
+
+        const empty = createTodayFlex({ date: '2025-03-12', activities: [], catalog });
+        expect(postbacks(empty)).toEqual([]);
+        expect(empty.contents.footer).toBeUndefined();
+        expect(createTodayText({ date: '2025-03-12', activities: [], catalog }).quickReply).toBeUndefined();
+    });
+
+    it('should total the week day by day up to today', () => {
+        const week = summarizeWeek([
+            activity('A', 'phone', 60, { count: 3, date: '2025-03-10' }),
+            activity('B', 'meeting', 50, { date: '2025-03-10' }),
+            activity('C', 'phone', 20, { date: '2025-03-12' })
+        ], '2025-03-10', '2025-03-12');
+
+        expect(week).toEqual({
+            startDate: '2025-03-10',
+            endDate: '2025-03-16',
+            days: [
+                { date: '2025-03-10', activities: 4, points: 110 },
+                { date: '2025-03-11', activities: 0, points: 0 },
+                { date: '2025-03-12', activities: 1, points: 20 }
+            ],
+            activities: 5,
+            points: 130
+        });
+        expect(createWeekFlex(week).contents.header.contents[1].text).toBe('Mon 10 – Sun 16');
+        expect(createWeekText(week).text).toContain('Tue 11: 0 pts (0)');
+    });
+
+    it('should show rank, streak and the latest achievements', () => {
+        const profile = {
+            displayName: 'Somchai',
+            totalPoints: 2450,
+            weeklyPoints: 320,
+            rank: 2,
+            participants: 8,
+            currentStreak: 5,
+            longestStreak: 9,
+            achievements: ['First Step', 'Call Master', 'Week Warrior', 'Closer']
+        };
+
+        const flex = JSON.stringify(createMeFlex(profile));
+        expect(flex).toContain('#2 of 8');
+        expect(flex).toContain('Level 3 • 2,450 points');
+        expect(flex).not.toContain('First Step');
+        expect(createMeText(profile).text).toContain('🏅 Achievements: 4 (latest: Closer, Week Warrior, Call Master)');
+        expect(createMeText({ ...profile, rank: null, achievements: [] }).text).toContain('Rank this week: not ranked yet');
+    });
+
+    it('should show target progress or that none are set', () => {
+        const progress = [{
+            scope: 'team', metric: 'meeting', period: 'weekly', actual: 6, targetValue: 10,
+            status: 'behind', percentComplete: 60, projectedAttainment: 84
+        }];
+
+        expect(JSON.stringify(createGoalFlex({ progress, catalog }))).toContain('Team 🤝 Meeting (weekly)');
+        expect(createGoalText({ progress, catalog }).text).toBe('🎯 Targets\nTeam Meeting (weekly): 6/10 – Behind pace');
+        expect(createGoalText({ progress: [], catalog }).text).toBe('🎯 No targets are set for you or your team.');
+        expect(JSON.stringify(createGoalFlex({ progress: [], catalog }))).toContain('No targets are set');
+    });
+
+    it('should build the messages in the rep\'s language', () => {
+        const activities = [activity('ACT_1', 'phone', 1200, { count: 3 })];
+        const text = createTodayText({ date: '2025-03-12', activities, catalog }, 'th').text;
+
+        expect(text).toContain('📝 วันนี้ (พ. 12)');
+        expect(text).toContain('1. 📱 โทร ×3 +1,200');
+        expect(createTodayFlex({ date: '2025-03-12', activities, catalog }, 'th').altText).toBe('วันนี้: 1 กิจกรรม');
+
+        const week = summarizeWeek(activities, '2025-03-10', '2025-03-12');
+        expect(createWeekText(week, 'th').text).toContain('จ. 10 – อา. 16');
+    });
+});
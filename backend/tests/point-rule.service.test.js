@@ -0,0 +1,63 @@
+// Mock Firebase Admin (no catalog overrides, rescore runs kept in memory),
+// the activity writes and the audit log the rescoring job relies on
+jest.mock('firebase-admin', () => {
+    const runs = [];
+    return {
+        firestore: () => ({
+            collection: () => ({ get: async () => [], add: async (run) => runs.push(run) })
+        }),
+        runs
+    };
+});
+
+jest.mock('../services/firestore.service', () => ({
+    getActivitiesByDateRange: jest.fn(),
+    updateActivityScores: jest.fn(),
+    rebuildLeaderboardAggregates: jest.fn(),
+    updateUserStats: jest.fn(),
+    invalidateLeaderboardCache: jest.fn()
+}));
+
+jest.mock('../services/audit.service', () => ({
+    record: jest.fn()
+}));
+
+const firestoreService = require('../services/firestore.service');
+const auditService = require('../services/audit.service');
+const pointRuleService = require('../services/point-rule.service');
+
+describe('Point Rule Rescoring', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(pointRuleService, 'listVersions').mockResolvedValue([
+            { version: 2, effectiveFrom: '2025-03-01', rules: { phone: { points: 25, dailyCap: null } } }
+        ]);
+        firestoreService.getActivitiesByDateRange.mockResolvedValue([
+            { id: 'A1', lineUserId: 'REP_A', teamId: 'TEAM_A', activityType: 'phone', count: 2, points: 40, basePoints: 20, ruleVersion: 1, date: '2025-03-12' },
+            { id: 'A2', lineUserId: 'REP_A', teamId: 'TEAM_A', activityType: 'meeting', count: 1, points: 50, basePoints: 50, ruleVersion: null, date: '2025-03-12' }
+        ]);
+    });
+
+    it('should record one audit entry per changed activity', async () => {
+        const report = await pointRuleService.rescore({ from: '2025-03-01', to: '2025-03-31', dryRun: false });
+
+        expect(report.activitiesChanged).toBe(1);
+        expect(auditService.record).toHaveBeenCalledTimes(1);
+        expect(auditService.record).toHaveBeenCalledWith({
+            entityType: 'activity',
+            entityId: 'A1',
+            action: 'update',
+            lineUserId: 'REP_A',
+            teamId: 'TEAM_A',
+            before: { points: 40, basePoints: 20, ruleVersion: 1 },
+            after: { points: 50, basePoints: 25, ruleVersion: 2 }
+        }, { lineUserId: null, role: 'admin', source: 'rescore' });
+    });
+
+    it('should not write the audit log on a dry run', async () => {
+        await pointRuleService.rescore({ from: '2025-03-01', to: '2025-03-31' });
+
+        expect(firestoreService.updateActivityScores).not.toHaveBeenCalled();
+        expect(auditService.record).not.toHaveBeenCalled();
+    });
+});
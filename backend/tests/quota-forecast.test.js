@@ -0,0 +1,33 @@
+const { forecastUsage } = require('../utils/quota-forecast');
+
+describe('Quota Forecast', () => {
+    const dayStart = new Date('2025-03-12T00:00:00Z');
+    const dayEnd = new Date('2025-03-13T00:00:00Z');
+    const at = (time) => new Date(`2025-03-12T${time}:00Z`);
+
+    it('should project the end-of-day usage from the rate so far', () => {
+        // 120 messages in 8 hours: 15 an hour, 360 by midnight
+        const forecast = forecastUsage({ used: 120, threshold: 295, dayStart, dayEnd, now: at('08:00') });
+
+        expect(forecast).toEqual({
+            ratePerHour: 15,
+            projectedUsage: 360,
+            minutesLeft: 960,
+            exhaustionPredicted: true,
+            exhaustsAt: '2025-03-12T19:40:00.000Z'
+        });
+    });
+
+    it('should not predict exhaustion when the rate leaves room', () => {
+        const forecast = forecastUsage({ used: 100, threshold: 295, dayStart, dayEnd, now: at('12:00') });
+
+        expect(forecast).toMatchObject({ projectedUsage: 200, exhaustionPredicted: false, exhaustsAt: null });
+    });
+
+    it('should wait for enough messages before forecasting', () => {
+        const early = forecastUsage({ used: 10, threshold: 295, dayStart, dayEnd, now: at('00:10'), minMessages: 20 });
+
+        expect(early.projectedUsage).toBe(1440);
+        expect(early.exhaustionPredicted).toBe(false);
+    });
+});
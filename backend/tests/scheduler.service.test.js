@@ -0,0 +1,101 @@
+jest.mock('../storage', () => {
+    const MemoryAdapter = require('../storage/memory.adapter');
+    const storage = new MemoryAdapter();
+    return { getStorage: () => storage, usesFirestore: () => true };
+});
+jest.mock('../services/team.service', () => ({
+    listTeams: jest.fn().mockResolvedValue([
+        { id: 'TEAM_A', timezone: 'Asia/Bangkok' },
+        { id: 'TEAM_B', timezone: 'Europe/London' }
+    ])
+}));
+
+const { getStorage } = require('../storage');
+const schedulerService = require('../services/scheduler.service');
+
+describe('Scheduler', () => {
+    const storage = getStorage();
+    let run;
+
+    beforeEach(() => {
+        storage.jobStates.clear();
+        schedulerService.jobs.clear();
+        run = jest.fn(async ({ teamId }) => ({ teamId }));
+    });
+
+    it('should schedule first and then run each due job once', async () => {
+        schedulerService.register({ id: 'cleanup', schedule: '*/15 * * * *', timezone: 'UTC', run });
+
+        await schedulerService.tick(new Date('2025-03-12T11:07:00Z'));
+        expect(run).not.toHaveBeenCalled();
+        expect(await storage.getJobState('cleanup')).toMatchObject({ nextRunAt: '2025-03-12T11:15:00.000Z' });
+
+        await schedulerService.tick(new Date('2025-03-12T11:15:20Z'));
+        await schedulerService.tick(new Date('2025-03-12T11:16:00Z'));
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(await storage.getJobState('cleanup')).toMatchObject({
+            lastStatus: 'success',
+            lastTrigger: 'schedule',
+            lastScheduledFor: '2025-03-12T11:15:00.000Z',
+            nextRunAt: '2025-03-12T11:30:00.000Z',
+            lockedBy: null
+        });
+    });
+
+    it('should run team jobs on each team timezone', async () => {
+        schedulerService.register({ id: 'daily-leaderboard', schedule: '0 18 * * *', perTeam: true, run });
+
+        await schedulerService.tick(new Date('2025-03-12T10:00:00Z'));
+        const [job] = await schedulerService.listJobs();
+        expect(job.teams.map(team => [team.teamId, team.nextRunAt])).toEqual([
+            ['TEAM_A', '2025-03-12T11:00:00.000Z'],
+            ['TEAM_B', '2025-03-12T18:00:00.000Z'],
+            [null, '2025-03-12T11:00:00.000Z']
+        ]);
+
+        await schedulerService.tick(new Date('2025-03-12T11:00:30Z'));
+        expect(run.mock.calls.map(([context]) => context.teamId)).toEqual(['TEAM_A', null]);
+        expect(run.mock.calls[0][0]).toMatchObject({ timezone: 'Asia/Bangkok', trigger: 'schedule' });
+    });
+
+    it('should leave a run claimed by another instance to it', async () => {
+        schedulerService.register({ id: 'cleanup', schedule: '*/15 * * * *', run });
+        await storage.updateJobState('cleanup', { nextRunAt: '2025-03-12T11:15:00.000Z' });
+        await storage.claimJobRun('cleanup', {
+            owner: 'other-instance',
+            scheduledFor: '2025-03-12T11:15:00.000Z',
+            lockedUntil: '2025-03-12T11:25:00.000Z',
+            now: '2025-03-12T11:15:00.000Z'
+        });
+
+        await schedulerService.tick(new Date('2025-03-12T11:15:30Z'));
+        expect(run).not.toHaveBeenCalled();
+        const [job] = await schedulerService.listJobs();
+        expect(job).toMatchObject({ lastStatus: null });
+
+        // The other instance died mid-run: once its lock expires the job is rescheduled
+        await schedulerService.tick(new Date('2025-03-12T11:26:00Z'));
+        expect(await storage.getJobState('cleanup')).toMatchObject({ nextRunAt: '2025-03-12T11:30:00.000Z', lockedBy: null });
+    });
+
+    it('should record failures, skip paused jobs and run jobs on demand', async () => {
+        run.mockRejectedValueOnce(new Error('LINE is down'));
+        schedulerService.register({ id: 'cleanup', schedule: '*/15 * * * *', run });
+        await storage.updateJobState('cleanup', { nextRunAt: '2025-03-12T11:15:00.000Z' });
+
+        await schedulerService.tick(new Date('2025-03-12T11:15:00Z'));
+        expect(await storage.getJobState('cleanup')).toMatchObject({ lastStatus: 'failed', lastError: 'LINE is down' });
+
+        await schedulerService.setPaused('cleanup', true);
+        await schedulerService.tick(new Date('2025-03-12T11:30:00Z'));
+        expect(run).toHaveBeenCalledTimes(1);
+
+        const runs = await schedulerService.trigger('cleanup');
+        expect(runs).toEqual([expect.objectContaining({ jobId: 'cleanup', status: 'success', trigger: 'manual' })]);
+        expect(await schedulerService.trigger('unknown')).toBeNull();
+    });
+
+    it('should reject jobs with an invalid schedule', () => {
+        expect(() => schedulerService.register({ id: 'broken', schedule: '0 25 * * *', run })).toThrow('Invalid hour field');
+    });
+});
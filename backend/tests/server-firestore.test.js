@@ -2,33 +2,173 @@ const request = require('supertest');
 const app = require('../server-firestore');
 
 // Mock Firestore service
-jest.mock('../services/firestore.service', () => ({
-    createOrUpdateUser: jest.fn().mockResolvedValue({ lineUserId: 'TEST_USER_001', displayName: 'Test User' }),
-    getUser: jest.fn().mockResolvedValue({ lineUserId: 'TEST_USER_001', displayName: 'Test User' }),
-    createActivity: jest.fn().mockResolvedValue({ id: '123', activityType: 'call', points: 20 }),
-    getUserActivities: jest.fn().mockResolvedValue([]),
-    deleteActivity: jest.fn().mockResolvedValue(true),
-    getTeamStats: jest.fn().mockResolvedValue({ totalPoints: 0, totalActivities: 0 }),
-    getLeaderboard: jest.fn().mockResolvedValue([]),
-    getAllGroups: jest.fn().mockResolvedValue([]),
-    cleanupExpiredCache: jest.fn().mockResolvedValue(true)
+jest.mock('../services/firestore.service', () => {
+    // LINE outbox messages are kept as the memory adapter keeps them
+    const MemoryAdapter = require('../storage/memory.adapter');
+    const outbox = new MemoryAdapter();
+
+    return {
+        createOrUpdateUser: jest.fn().mockResolvedValue({ lineUserId: 'TEST_USER_001', displayName: 'Test User' }),
+        getUser: jest.fn().mockResolvedValue({ lineUserId: 'TEST_USER_001', displayName: 'Test User' }),
+        createActivity: jest.fn().mockResolvedValue({ id: '123', activityType: 'call', points: 20 }),
+        createActivityOnce: jest.fn(async (clientId, data) => ({ created: true, activity: { id: clientId, ...data, clientId } })),
+        getUserActivities: jest.fn().mockResolvedValue([]),
+        updateActivity: jest.fn(async (id, changes) => ({ id, lineUserId: 'TEST_USER_001', ...changes })),
+        deleteActivity: jest.fn().mockResolvedValue(true),
+        getDeletedActivity: jest.fn().mockResolvedValue(null),
+        restoreActivity: jest.fn().mockResolvedValue(null),
+        getTeamStats: jest.fn().mockResolvedValue({ totalPoints: 0, totalActivities: 0 }),
+        getLeaderboard: jest.fn().mockResolvedValue({ entries: [], totalParticipants: 0 }),
+        getLeaderboardForRange: jest.fn().mockResolvedValue({ entries: [], totalParticipants: 0 }),
+        getAllGroups: jest.fn().mockResolvedValue([]),
+        getTeamGroups: jest.fn().mockResolvedValue([]),
+        getGroup: jest.fn().mockResolvedValue(null),
+        setGroupTeam: jest.fn().mockResolvedValue(true),
+        updateGroupSettings: jest.fn().mockResolvedValue(true),
+        getTeamUsers: jest.fn().mockResolvedValue([]),
+        setUserTeam: jest.fn().mockResolvedValue(null),
+        getActivitiesByDateRange: jest.fn().mockResolvedValue([]),
+        getActivity: jest.fn().mockResolvedValue(null),
+        getDealActivities: jest.fn().mockResolvedValue([]),
+        attachActivityToDeal: jest.fn().mockResolvedValue(true),
+        detachActivitiesFromDeal: jest.fn().mockResolvedValue(0),
+        getCustomerActivities: jest.fn().mockResolvedValue([]),
+        reassignCustomerActivities: jest.fn().mockResolvedValue(0),
+        updateActivityScores: jest.fn().mockResolvedValue(0),
+        invalidateLeaderboardCache: jest.fn().mockResolvedValue(0),
+        cleanupExpiredCache: jest.fn().mockResolvedValue(true),
+        appendAuditEntry: jest.fn(async (entry) => ({ id: 'AUDIT_001', ...entry })),
+        findAuditEntries: jest.fn().mockResolvedValue([]),
+        getUserStreak: jest.fn().mockResolvedValue({ current_streak: 0, longest_streak: 0, last_activity_date: null }),
+        updateUserStreak: jest.fn().mockResolvedValue(undefined),
+        getUserAchievements: jest.fn().mockResolvedValue([]),
+        unlockAchievement: jest.fn().mockResolvedValue({ newUnlock: true }),
+        getJobState: jest.fn().mockResolvedValue(null),
+        listJobStates: jest.fn().mockResolvedValue([]),
+        updateJobState: jest.fn(async (key, changes) => ({ key, ...changes })),
+        claimJobRun: jest.fn().mockResolvedValue(true),
+        appendDigestEntry: jest.fn(async (entry) => ({ id: 'DIGEST_001', ...entry })),
+        listDigestEntries: jest.fn().mockResolvedValue([]),
+        deleteDigestEntries: jest.fn(async (ids) => ids.length),
+        createOutboxMessageOnce: jest.fn(message => outbox.createOutboxMessageOnce(message)),
+        getOutboxMessage: jest.fn(id => outbox.getOutboxMessage(id)),
+        updateOutboxMessage: jest.fn((id, changes) => outbox.updateOutboxMessage(id, changes)),
+        findOutboxMessages: jest.fn(criteria => outbox.findOutboxMessages(criteria)),
+        deleteOutboxMessages: jest.fn(before => outbox.deleteOutboxMessages(before))
+    };
+});
+
+// Mock deal service
+jest.mock('../services/deal.service', () => ({
+    STAGES: ['lead', 'qualified', 'proposal', 'negotiation', 'won', 'lost'],
+    createDeal: jest.fn(async (data) => ({ id: 'DEAL_001', ...data })),
+    getDeal: jest.fn().mockResolvedValue(null),
+    listDeals: jest.fn().mockResolvedValue([]),
+    updateDeal: jest.fn().mockResolvedValue(null),
+    deleteDeal: jest.fn().mockResolvedValue(true),
+    getDealIdsByStage: jest.fn().mockResolvedValue([]),
+    recordActivity: jest.fn().mockResolvedValue(undefined),
+    getPipelineSummary: jest.fn().mockResolvedValue({ totalDeals: 0, stages: [] })
+}));
+
+// Mock account & contact directory
+jest.mock('../services/account.service', () => ({
+    createAccount: jest.fn(async (data) => ({ id: 'ACC_001', ...data })),
+    getAccount: jest.fn().mockResolvedValue(null),
+    updateAccount: jest.fn().mockResolvedValue(null),
+    searchAccounts: jest.fn().mockResolvedValue([]),
+    createContact: jest.fn(async (data) => ({ id: 'CON_001', ...data })),
+    getContact: jest.fn().mockResolvedValue(null),
+    updateContact: jest.fn().mockResolvedValue(null),
+    searchContacts: jest.fn().mockResolvedValue([]),
+    getAccountContacts: jest.fn().mockResolvedValue([]),
+    mergeAccounts: jest.fn().mockResolvedValue(null),
+    mergeContacts: jest.fn().mockResolvedValue(null),
+    recordTouch: jest.fn().mockResolvedValue(undefined)
+}));
+
+// Mock activity type catalog
+jest.mock('../services/activity-type.service', () => {
+    const catalog = [
+        { id: 'phone', names: { en: 'Phone Call', th: 'โทร' }, emoji: '📱', points: 20, dailyCap: 3, aliases: ['call'], active: true },
+        { id: 'meeting', names: { en: 'Meeting', th: 'นัดพบลูกค้า' }, emoji: '🤝', points: 50, dailyCap: null, aliases: [], active: true }
+    ];
+    return {
+        getCatalog: jest.fn().mockResolvedValue(catalog),
+        resolveType: jest.fn(async (key) =>
+            catalog.find(type => type.id === key || type.aliases.includes(key) || Object.values(type.names).includes(key)) || null),
+        calculatePoints: jest.fn((type, quantity, loggedToday = 0) => {
+            const scoredQuantity = type.dailyCap ? Math.max(0, Math.min(quantity, type.dailyCap - loggedToday)) : quantity;
+            return { basePoints: type.points, scoredQuantity, points: type.points * scoredQuantity, capped: scoredQuantity < quantity };
+        }),
+        upsertType: jest.fn(async (id, data) => ({ id, ...data })),
+        deactivateType: jest.fn(async (id) => ({ id, active: false }))
+    };
+});
+
+// Mock versioned point rules (no versions: catalog values apply)
+jest.mock('../services/point-rule.service', () => ({
+    MAX_RESCORE_DAYS: 366,
+    listVersions: jest.fn().mockResolvedValue([]),
+    getVersion: jest.fn().mockResolvedValue(null),
+    createVersion: jest.fn(async (data) => ({ version: 2, ...data })),
+    applyRules: jest.fn(async (type) => ({ ...type, ruleVersion: null })),
+    rescore: jest.fn(async (options) => ({ ...options, activitiesScanned: 0, activitiesChanged: 0, reps: [] }))
+}));
+
+// Mock organizations & teams
+jest.mock('../services/team.service', () => ({
+    DEFAULT_TIMEZONE: 'Asia/Bangkok',
+    createOrganization: jest.fn(async (data) => ({ id: 'ORG_001', ...data })),
+    getOrganization: jest.fn().mockResolvedValue(null),
+    listOrganizations: jest.fn().mockResolvedValue([]),
+    createTeam: jest.fn(async (data) => ({ id: 'TEAM_001', ...data })),
+    getTeam: jest.fn().mockResolvedValue(null),
+    listTeams: jest.fn().mockResolvedValue([]),
+    updateTeam: jest.fn().mockResolvedValue(null),
+    addMember: jest.fn().mockResolvedValue(null),
+    removeMember: jest.fn().mockResolvedValue(null),
+    getUserTeam: jest.fn().mockResolvedValue(null),
+    getTeamTimezone: jest.fn().mockResolvedValue('Asia/Bangkok'),
+    getUserTimezone: jest.fn().mockResolvedValue('Asia/Bangkok')
+}));
+
+// Mock targets
+jest.mock('../services/target.service', () => ({
+    SCOPES: ['user', 'team'],
+    PERIODS: ['daily', 'weekly', 'monthly'],
+    POINTS_METRIC: 'points',
+    createTarget: jest.fn(async (data) => ({ id: 'TARGET_001', active: true, ...data })),
+    getTarget: jest.fn().mockResolvedValue(null),
+    listTargets: jest.fn().mockResolvedValue([]),
+    updateTarget: jest.fn().mockResolvedValue(null),
+    deactivateTarget: jest.fn().mockResolvedValue(null),
+    getProgress: jest.fn(async (target) => ({ targetId: target.id, actual: 12, targetValue: target.targetValue, status: 'behind' })),
+    getUserProgress: jest.fn().mockResolvedValue([])
 }));
 
 // Mock LINE services
 jest.mock('../services/line-quota.service', () => ({
+    DIGEST_INTERVAL_MINUTES: 30,
     canSendMessage: jest.fn().mockResolvedValue({ allowed: true, remaining: 100 }),
+    getDeliveryMode: jest.fn().mockResolvedValue({ mode: 'immediate', digestIntervalMinutes: 30 }),
     recordMessage: jest.fn().mockResolvedValue(true),
+    getQuotaStats: jest.fn(async (team) => ({ used: 10, limit: 300, ...(team ? { team: { teamId: team.id } } : {}) })),
     cleanupOldRecords: jest.fn().mockResolvedValue(true)
 }));
 
 jest.mock('../activity-flex-message-compact', () => ({
     createActivitySubmissionFlex: jest.fn().mockReturnValue({}),
+    createActivityDigestFlex: jest.fn(entries => ({ altText: `${entries.length} held` })),
     sendFlexMessage: jest.fn().mockResolvedValue(true)
 }));
 
 // Mock LINE webhook routes
 jest.mock('../routes/line-webhook', () => require('express').Router());
 
+// Every request in this suite comes from one address: past 100 the limiter would refuse the rest
+jest.mock('express-rate-limit', () => () => (req, res, next) => next());
+
 // Mock version check middleware
 jest.mock('../middleware/version-check', () => ({
     versionCheckMiddleware: (req, res, next) => next()
@@ -193,4 +333,1749 @@ describe('Sales Tracker Firestore API Security Tests', () => {
             expect(res.body).toHaveProperty('success', true);
         });
     });
-});
\ No newline at end of file
+
+    describe('Deals', () => {
+        const dealService = require('../services/deal.service');
+        const firestoreService = require('../services/firestore.service');
+
+        it('should create a deal with valid data', async () => {
+            const res = await request(app)
+                .post('/api/deals')
+                .send({
+                    customer: 'Siam Cement',
+                    value: 250000,
+                    stage: 'proposal',
+                    expectedCloseDate: '2025-09-30',
+                    ownerId: 'TEST_USER_001'
+                })
+                .expect(201);
+
+            expect(res.body.deal).toHaveProperty('id', 'DEAL_001');
+            expect(dealService.createDeal).toHaveBeenCalledWith(
+                expect.objectContaining({ customer: 'Siam Cement', stage: 'proposal' })
+            );
+        });
+
+        it('should reject a deal with an unknown stage', async () => {
+            const res = await request(app)
+                .post('/api/deals')
+                .send({ customer: 'Siam Cement', ownerId: 'TEST_USER_001', stage: 'maybe' })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('stage');
+        });
+
+        it('should return 404 for a missing deal', async () => {
+            await request(app)
+                .get('/api/deals/UNKNOWN')
+                .expect(404);
+        });
+
+        it('should reject activities for a missing deal', async () => {
+            const res = await request(app)
+                .post('/api/activities')
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'meeting',
+                    points: 50,
+                    dealId: 'UNKNOWN'
+                })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('dealId');
+        });
+
+        it('should attach new activities to an existing deal', async () => {
+            dealService.getDeal.mockResolvedValueOnce({ id: 'DEAL_001', stage: 'proposal' });
+
+            await request(app)
+                .post('/api/activities')
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'meeting',
+                    points: 50,
+                    dealId: 'DEAL_001'
+                })
+                .expect(200);
+
+            expect(firestoreService.createActivity).toHaveBeenCalledWith(
+                expect.objectContaining({ dealId: 'DEAL_001' })
+            );
+            expect(dealService.recordActivity).toHaveBeenCalledWith('DEAL_001', expect.anything());
+        });
+
+        it('should filter the leaderboard by deal stage', async () => {
+            dealService.getDealIdsByStage.mockResolvedValueOnce(['DEAL_001']);
+
+            await request(app)
+                .get('/api/leaderboard/weekly?dealStage=negotiation')
+                .expect(200);
+
+            expect(firestoreService.getLeaderboard).toHaveBeenCalledWith(
+                'weekly',
+                expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+                { dealStage: 'negotiation', dealIds: ['DEAL_001'] }
+            );
+        });
+
+        it('should reject an invalid deal stage filter on analytics', async () => {
+            const res = await request(app)
+                .get('/api/analytics/breakdown?lineUserId=TEST_USER_001&dealStage=unknown')
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('dealStage');
+        });
+    });
+
+    describe('Accounts and Contacts', () => {
+        const accountService = require('../services/account.service');
+        const firestoreService = require('../services/firestore.service');
+
+        it('should require a name and owner for new accounts', async () => {
+            const res = await request(app)
+                .post('/api/accounts')
+                .send({ industry: 'Construction' })
+                .expect(400);
+
+            expect(res.body.errors.map(e => e.path)).toEqual(['name', 'ownerId']);
+        });
+
+        it('should derive the account from the contact when logging an activity', async () => {
+            accountService.getContact.mockResolvedValueOnce({ id: 'CON_001', accountId: 'ACC_001' });
+            accountService.getAccount.mockResolvedValueOnce({ id: 'ACC_001', name: 'Siam Cement' });
+
+            await request(app)
+                .post('/api/activities')
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'call',
+                    points: 20,
+                    contactId: 'CON_001'
+                })
+                .expect(200);
+
+            expect(firestoreService.createActivity).toHaveBeenCalledWith(
+                expect.objectContaining({ accountId: 'ACC_001', contactId: 'CON_001' })
+            );
+            expect(accountService.recordTouch).toHaveBeenCalledWith(
+                { accountId: 'ACC_001', contactId: 'CON_001' },
+                'TEST_USER_001'
+            );
+        });
+
+        it('should reject activities for an unknown account', async () => {
+            const res = await request(app)
+                .post('/api/activities')
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'call',
+                    points: 20,
+                    accountId: 'UNKNOWN'
+                })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('accountId');
+        });
+
+        it('should return the last touch and timeline of an account', async () => {
+            accountService.getAccount.mockResolvedValueOnce({
+                id: 'ACC_001',
+                name: 'Siam Cement',
+                lastTouchedAt: '2025-06-20T03:00:00.000Z',
+                lastTouchedBy: 'TEST_USER_001'
+            });
+            firestoreService.getCustomerActivities.mockResolvedValueOnce([{ id: 'A1', date: '2025-06-20' }]);
+
+            const res = await request(app)
+                .get('/api/accounts/ACC_001/timeline')
+                .expect(200);
+
+            expect(res.body).toHaveProperty('lastTouchedBy', 'TEST_USER_001');
+            expect(res.body.activities).toHaveLength(1);
+        });
+
+        it('should move activities when merging accounts', async () => {
+            accountService.mergeAccounts.mockResolvedValueOnce({ id: 'ACC_001', movedContacts: 2 });
+            firestoreService.reassignCustomerActivities.mockResolvedValueOnce(5);
+
+            const res = await request(app)
+                .post('/api/accounts/ACC_001/merge')
+                .send({ sourceId: 'ACC_002' })
+                .expect(200);
+
+            expect(firestoreService.reassignCustomerActivities).toHaveBeenCalledWith('accountId', 'ACC_002', 'ACC_001');
+            expect(res.body.movedActivities).toBe(5);
+        });
+    });
+    describe('Activity Type Catalog', () => {
+        const firestoreService = require('../services/firestore.service');
+        const activityTypeService = require('../services/activity-type.service');
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+        });
+
+        it('should serve the catalog with localized names', async () => {
+            const res = await request(app)
+                .get('/api/activity-types?lang=th')
+                .expect(200);
+
+            expect(res.body[0]).toMatchObject({ id: 'phone', name: 'โทร', points: 20 });
+        });
+
+        it('should compute points from the catalog instead of the client', async () => {
+            await request(app)
+                .post('/api/activities')
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'meeting',
+                    points: 999,
+                    count: 2
+                })
+                .expect(200);
+
+            expect(firestoreService.createActivity).toHaveBeenLastCalledWith(
+                expect.objectContaining({ activityType: 'meeting', points: 100, count: 2 })
+            );
+        });
+
+        it('should stop awarding points past the daily cap', async () => {
+            firestoreService.getUserActivities.mockResolvedValueOnce([
+                { activityType: 'phone', count: 2 }
+            ]);
+
+            const res = await request(app)
+                .post('/api/activities')
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'call',
+                    count: 3
+                })
+                .expect(200);
+
+            expect(res.body).toMatchObject({ points: 20, capped: true });
+            expect(firestoreService.createActivity).toHaveBeenLastCalledWith(
+                expect.objectContaining({ activityType: 'phone', points: 20, count: 3 })
+            );
+        });
+
+        it('should require the admin token to change the catalog', async () => {
+            await request(app)
+                .put('/api/admin/activity-types/phone')
+                .send({ points: 25 })
+                .expect(401);
+
+            expect(activityTypeService.upsertType).not.toHaveBeenCalled();
+        });
+
+        it('should let admins update point rules', async () => {
+            const res = await request(app)
+                .put('/api/admin/activity-types/phone')
+                .set('Authorization', 'Bearer test-admin-token')
+                .send({ points: 25, dailyCap: 10 })
+                .expect(200);
+
+            expect(res.body.activityType).toMatchObject({ id: 'phone', points: 25 });
+        });
+
+        it('should validate admin catalog changes', async () => {
+            const res = await request(app)
+                .put('/api/admin/activity-types/phone')
+                .set('Authorization', 'Bearer test-admin-token')
+                .send({ points: -5 })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('points');
+        });
+    });
+    describe('Point Rules', () => {
+        const firestoreService = require('../services/firestore.service');
+        const pointRuleService = require('../services/point-rule.service');
+        const adminAuth = 'Bearer test-admin-token';
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+        });
+
+        it('should score new activities under the version in effect on their date', async () => {
+            pointRuleService.applyRules.mockImplementationOnce(async (type) => ({ ...type, points: 60, ruleVersion: 3 }));
+
+            await request(app)
+                .post('/api/activities')
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'meeting',
+                    date: '2025-03-10'
+                })
+                .expect(200);
+
+            expect(pointRuleService.applyRules).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'meeting' }), '2025-03-10');
+            expect(firestoreService.createActivity).toHaveBeenLastCalledWith(
+                expect.objectContaining({ points: 60, ruleVersion: 3 })
+            );
+        });
+
+        it('should record a rule version when catalog points change', async () => {
+            await request(app)
+                .put('/api/admin/activity-types/meeting')
+                .set('Authorization', adminAuth)
+                .send({ points: 60, effectiveFrom: '2025-04-01' })
+                .expect(200);
+
+            expect(pointRuleService.createVersion).toHaveBeenLastCalledWith(expect.objectContaining({
+                effectiveFrom: '2025-04-01',
+                rules: { meeting: { points: 60, dailyCap: null } }
+            }));
+        });
+
+        it('should date a catalog point change on the business day by default', async () => {
+            const { getBusinessDate } = require('../utils/business-date');
+
+            await request(app)
+                .put('/api/admin/activity-types/meeting')
+                .set('Authorization', adminAuth)
+                .send({ points: 60 })
+                .expect(200);
+
+            expect(pointRuleService.createVersion).toHaveBeenLastCalledWith(expect.objectContaining({
+                effectiveFrom: getBusinessDate()
+            }));
+        });
+
+        it('should validate new rule versions', async () => {
+            const res = await request(app)
+                .post('/api/admin/point-rules')
+                .set('Authorization', adminAuth)
+                .send({ effectiveFrom: 'next week', rules: { meeting: { points: -1 } } })
+                .expect(400);
+
+            expect(res.body.errors.map(e => e.path)).toEqual(['effectiveFrom', 'rules']);
+        });
+
+        it('should default rescoring to a dry run', async () => {
+            await request(app)
+                .post('/api/admin/point-rules/rescore')
+                .set('Authorization', adminAuth)
+                .send({ from: '2025-01-01', to: '2025-01-31' })
+                .expect(200);
+
+            expect(pointRuleService.rescore).toHaveBeenLastCalledWith(
+                expect.objectContaining({ from: '2025-01-01', to: '2025-01-31', version: null, dryRun: true })
+            );
+        });
+
+        it('should reject rescoring with an unknown version', async () => {
+            await request(app)
+                .post('/api/admin/point-rules/rescore')
+                .set('Authorization', adminAuth)
+                .send({ from: '2025-01-01', to: '2025-01-31', version: 9, dryRun: false })
+                .expect(404);
+        });
+    });
+    describe('Organizations and Teams', () => {
+        const firestoreService = require('../services/firestore.service');
+        const teamService = require('../services/team.service');
+        const lineQuotaService = require('../services/line-quota.service');
+        const { sendFlexMessage } = require('../activity-flex-message-compact');
+        const adminAuth = 'Bearer test-admin-token';
+        const team = { id: 'TEAM_A', organizationId: 'ORG_001', name: 'Team A', dailyMessageLimit: 50 };
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+        });
+
+        it('should require an existing organization for new teams', async () => {
+            const res = await request(app)
+                .post('/api/teams')
+                .set('Authorization', adminAuth)
+                .send({ organizationId: 'UNKNOWN', name: 'Team A' })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('organizationId');
+        });
+
+        it('should reject an invalid team timezone', async () => {
+            const res = await request(app)
+                .post('/api/teams')
+                .set('Authorization', adminAuth)
+                .send({ organizationId: 'ORG_001', name: 'Team A', timezone: 'Mars/Olympus' })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('timezone');
+        });
+
+        it('should stamp activities with the rep team and notify only that team', async () => {
+            firestoreService.getUser.mockResolvedValueOnce({ id: 'TEST_USER_001', displayName: 'Test User', teamId: 'TEAM_A' });
+            teamService.getUserTeam.mockResolvedValueOnce(team);
+            firestoreService.getTeamGroups.mockResolvedValueOnce([{ id: 'GROUP_A', notificationsEnabled: true, teamId: 'TEAM_A' }]);
+            sendFlexMessage.mockClear();
+
+            await request(app)
+                .post('/api/activities')
+                .send({ lineUserId: 'TEST_USER_001', activityType: 'meeting' })
+                .expect(200);
+
+            expect(firestoreService.createActivity).toHaveBeenLastCalledWith(expect.objectContaining({ teamId: 'TEAM_A' }));
+            expect(firestoreService.getTeamGroups).toHaveBeenLastCalledWith('TEAM_A');
+            expect(firestoreService.getLeaderboard).toHaveBeenLastCalledWith('daily', expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/), { teamId: 'TEAM_A' });
+            expect(lineQuotaService.canSendMessage).toHaveBeenLastCalledWith('activity', false, team);
+            expect(sendFlexMessage).toHaveBeenCalledWith(expect.anything(), undefined, 'GROUP_A', expect.any(String));
+            expect(lineQuotaService.recordMessage).toHaveBeenLastCalledWith('activity', 'GROUP_A', 1, 'TEAM_A');
+        });
+
+        it('should scope the leaderboard by team', async () => {
+            await request(app)
+                .get('/api/leaderboard/weekly?teamId=TEAM_A')
+                .expect(200);
+
+            expect(firestoreService.getLeaderboard).toHaveBeenLastCalledWith('weekly', expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/), { teamId: 'TEAM_A' });
+            expect(teamService.getTeamTimezone).toHaveBeenLastCalledWith('TEAM_A');
+        });
+
+        it('should report a team share of the LINE quota', async () => {
+            teamService.getTeam.mockResolvedValueOnce(team);
+
+            const res = await request(app)
+                .get('/api/quota/status?teamId=TEAM_A')
+                .expect(200);
+
+            expect(res.body.team).toEqual({ teamId: 'TEAM_A' });
+        });
+
+        it('should add members to a team', async () => {
+            teamService.getTeam.mockResolvedValueOnce(team);
+            teamService.addMember.mockResolvedValueOnce({ id: 'TEST_USER_001', teamId: 'TEAM_A' });
+
+            await request(app)
+                .post('/api/teams/TEAM_A/members')
+                .set('Authorization', adminAuth)
+                .send({ lineUserId: 'TEST_USER_001' })
+                .expect(200);
+
+            expect(teamService.addMember).toHaveBeenCalledWith(team, 'TEST_USER_001');
+        });
+    });
+    describe('Targets', () => {
+        const firestoreService = require('../services/firestore.service');
+        const targetService = require('../services/target.service');
+
+        it('should create a weekly call target for a rep using the canonical type id', async () => {
+            firestoreService.getUser.mockResolvedValueOnce({ id: 'TEST_USER_001' });
+
+            const res = await request(app)
+                .post('/api/targets')
+                .send({ scope: 'user', ownerId: 'TEST_USER_001', period: 'weekly', metric: 'call', targetValue: 40 })
+                .expect(201);
+
+            expect(res.body.target).toMatchObject({ metric: 'phone', targetValue: 40 });
+        });
+
+        it('should reject targets for unknown metrics', async () => {
+            const res = await request(app)
+                .post('/api/targets')
+                .send({ scope: 'team', ownerId: 'TEAM_A', period: 'monthly', metric: 'golf', targetValue: 5000 })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('metric');
+        });
+
+        it('should validate target fields', async () => {
+            const res = await request(app)
+                .post('/api/targets')
+                .send({ scope: 'company', ownerId: '', period: 'yearly', metric: 'points', targetValue: 0 })
+                .expect(400);
+
+            expect(res.body.errors.map(e => e.path)).toEqual(['scope', 'ownerId', 'period', 'targetValue']);
+        });
+
+        it('should return progress for a target', async () => {
+            targetService.getTarget.mockResolvedValueOnce({ id: 'TARGET_001', targetValue: 40 });
+
+            const res = await request(app)
+                .get('/api/targets/TARGET_001/progress?date=2025-03-12')
+                .expect(200);
+
+            expect(res.body).toMatchObject({ targetId: 'TARGET_001', actual: 12, status: 'behind' });
+            expect(targetService.getProgress).toHaveBeenCalledWith(expect.objectContaining({ id: 'TARGET_001' }), '2025-03-12');
+        });
+    });
+
+    describe('Firestore-only Features', () => {
+        const activityTypeService = require('../services/activity-type.service');
+        const dealService = require('../services/deal.service');
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            process.env.STORAGE_ADAPTER = 'memory';
+            dealService.listDeals.mockClear();
+            activityTypeService.upsertType.mockClear();
+            activityTypeService.deactivateType.mockClear();
+        });
+
+        afterEach(() => {
+            delete process.env.STORAGE_ADAPTER;
+        });
+
+        it('should answer 501 for features kept in Firestore with another storage adapter', async () => {
+            for (const path of ['/api/deals', '/api/contacts', '/api/admin/point-rules', '/api/teams/TEAM_A', '/api/targets']) {
+                const res = await request(app).get(path).expect(501);
+                expect(res.body.error).toMatch(/not available with the memory storage adapter/);
+            }
+            expect(dealService.listDeals).not.toHaveBeenCalled();
+        });
+
+        it('should not write activity type changes to Firestore with another storage adapter', async () => {
+            await request(app)
+                .put('/api/admin/activity-types/phone')
+                .set('Authorization', 'Bearer test-admin-token')
+                .send({ points: 25 })
+                .expect(501);
+            await request(app)
+                .delete('/api/admin/activity-types/phone')
+                .set('Authorization', 'Bearer test-admin-token')
+                .expect(501);
+
+            expect(activityTypeService.upsertType).not.toHaveBeenCalled();
+            expect(activityTypeService.deactivateType).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Offline Sync', () => {
+        const firestoreService = require('../services/firestore.service');
+        const CLIENT_A = '0b7e4a1c-5d2f-4c8e-9a61-3f0d2b7c9e14';
+        const CLIENT_B = '6f1d9c3a-2b8e-4f7a-8c05-d4e6a9b1c273';
+
+        it('should accept new activities and report each item', async () => {
+            const res = await request(app)
+                .post('/api/activities/sync')
+                .send({
+                    userId: 'TEST_USER_001',
+                    activities: [
+                        { clientId: CLIENT_A, type: 'call', date: '2025-03-12' },
+                        { clientId: CLIENT_B, type: 'meeting', date: '2025-03-12' }
+                    ]
+                })
+                .expect(200);
+
+            expect(res.body).toMatchObject({ accepted: 2, duplicate: 0, rejected: 0, totalPoints: 70 });
+            expect(res.body.results.map(r => r.status)).toEqual(['accepted', 'accepted']);
+            expect(firestoreService.createActivityOnce).toHaveBeenCalledWith(CLIENT_A, expect.objectContaining({ activityType: 'phone' }));
+        });
+
+        it('should report a retried item as a duplicate without storing it again', async () => {
+            firestoreService.createActivityOnce.mockClear();
+            firestoreService.getActivity.mockResolvedValueOnce({ id: CLIENT_A, lineUserId: 'TEST_USER_001', points: 20 });
+
+            const res = await request(app)
+                .post('/api/activities/sync')
+                .send({ userId: 'TEST_USER_001', activities: [{ clientId: CLIENT_A, type: 'call' }] })
+                .expect(200);
+
+            expect(res.body).toMatchObject({ accepted: 0, duplicate: 1, totalPoints: 0 });
+            expect(res.body.results[0]).toMatchObject({ clientId: CLIENT_A, status: 'duplicate', activityId: CLIENT_A });
+            expect(firestoreService.createActivityOnce).not.toHaveBeenCalled();
+        });
+
+        it('should reject items without a UUID or with invalid fields', async () => {
+            const res = await request(app)
+                .post('/api/activities/sync')
+                .send({
+                    userId: 'TEST_USER_001',
+                    activities: [
+                        { clientId: 'phone_1712345', type: 'call' },
+                        { clientId: CLIENT_B, type: 'golf' }
+                    ]
+                })
+                .expect(200);
+
+            expect(res.body).toMatchObject({ accepted: 0, rejected: 2 });
+            expect(res.body.results[0].errors[0].path).toBe('clientId');
+            expect(res.body.results[1].errors[0].path).toBe('activityType');
+        });
+
+        it('should not treat another rep\'s activity as a duplicate', async () => {
+            firestoreService.getActivity.mockResolvedValueOnce({ id: CLIENT_A, lineUserId: 'OTHER_USER', points: 20 });
+
+            const res = await request(app)
+                .post('/api/activities/sync')
+                .send({ userId: 'TEST_USER_001', activities: [{ clientId: CLIENT_A, type: 'call' }] })
+                .expect(200);
+
+            expect(res.body.results[0]).toMatchObject({ status: 'rejected' });
+        });
+
+        it('should return the stored activity when a single submission is retried', async () => {
+            firestoreService.getActivity.mockResolvedValueOnce({ id: CLIENT_A, lineUserId: 'TEST_USER_001', points: 20 });
+
+            const res = await request(app)
+                .post('/api/activities')
+                .send({ lineUserId: 'TEST_USER_001', activityType: 'phone', clientId: CLIENT_A })
+                .expect(200);
+
+            expect(res.body).toMatchObject({ duplicate: true, points: 20 });
+        });
+    });
+
+    describe('Business Dates', () => {
+        const firestoreService = require('../services/firestore.service');
+        const teamService = require('../services/team.service');
+
+        it('should date an early-morning Bangkok activity on the Bangkok day', async () => {
+            await request(app)
+                .post('/api/activities')
+                .send({ lineUserId: 'TEST_USER_001', activityType: 'meeting', timestamp: '2025-03-11T23:30:00.000Z' })
+                .expect(200);
+
+            expect(firestoreService.createActivity).toHaveBeenLastCalledWith(expect.objectContaining({ date: '2025-03-12' }));
+        });
+
+        it('should use the timezone of the rep team', async () => {
+            teamService.getUserTimezone.mockResolvedValueOnce('America/New_York');
+
+            await request(app)
+                .post('/api/activities')
+                .send({ lineUserId: 'TEST_USER_001', activityType: 'meeting', timestamp: '2025-03-12T03:00:00.000Z' })
+                .expect(200);
+
+            expect(firestoreService.createActivity).toHaveBeenLastCalledWith(expect.objectContaining({ date: '2025-03-11' }));
+        });
+
+        it('should reject an invalid timezone in user settings', async () => {
+            const res = await request(app)
+                .put('/api/users/TEST_USER_001/settings')
+                .send({ timezone: 'Mars/Olympus_Mons' })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('timezone');
+        });
+
+        it('should reject a language the bot has no messages for', async () => {
+            const res = await request(app)
+                .put('/api/users/TEST_USER_001/settings')
+                .send({ language: 'fr' })
+                .expect(400);
+
+            expect(res.body.errors).toEqual([expect.objectContaining({ path: 'language' })]);
+        });
+    });
+
+    describe('Leaderboard Movement', () => {
+        const firestoreService = require('../services/firestore.service');
+        const entry = (userId, points, rank) => ({ userId, displayName: userId, points, activities: 1, rank });
+
+        it('should compare a week with the previous calendar week', async () => {
+            firestoreService.getLeaderboard
+                .mockResolvedValueOnce({ period: 'weekly', startDate: '2025-03-10', endDate: '2025-03-16', entries: [entry('A', 90, 1), entry('B', 80, 2), entry('C', 10, 3)], totalParticipants: 3 })
+                .mockResolvedValueOnce({ period: 'weekly', startDate: '2025-03-03', endDate: '2025-03-09', entries: [entry('B', 50, 1), entry('A', 40, 2)], totalParticipants: 2 });
+
+            const res = await request(app)
+                .get('/api/leaderboard/weekly?date=2025-03-12')
+                .expect(200);
+
+            expect(firestoreService.getLeaderboard).toHaveBeenCalledWith('weekly', '2025-03-10', {});
+            expect(firestoreService.getLeaderboard).toHaveBeenCalledWith('weekly', '2025-03-03', {});
+            expect(res.body.previous).toEqual({ startDate: '2025-03-03', endDate: '2025-03-09', totalParticipants: 2 });
+            expect(res.body.entries.map(e => [e.userId, e.change, e.previousRank, e.pointsChange])).toEqual([
+                ['A', 1, 2, 50],
+                ['B', -1, 1, 30],
+                ['C', 0, null, 10]
+            ]);
+        });
+
+        it('should rank an explicit date range against the days before it', async () => {
+            const res = await request(app)
+                .get('/api/leaderboard?from=2025-03-10&to=2025-03-14&teamId=TEAM_A')
+                .expect(200);
+
+            expect(firestoreService.getLeaderboardForRange).toHaveBeenCalledWith('2025-03-10', '2025-03-14', { teamId: 'TEAM_A' });
+            expect(firestoreService.getLeaderboardForRange).toHaveBeenCalledWith('2025-03-05', '2025-03-09', { teamId: 'TEAM_A' });
+            expect(res.body.previous).toMatchObject({ startDate: '2025-03-05', endDate: '2025-03-09' });
+        });
+
+        it('should reject invalid or reversed ranges', async () => {
+            const invalid = await request(app)
+                .get('/api/leaderboard?from=2025-02-30&to=2025-03-14')
+                .expect(400);
+            expect(invalid.body.errors[0].path).toBe('from');
+
+            const reversed = await request(app)
+                .get('/api/leaderboard?from=2025-03-14&to=2025-03-10')
+                .expect(400);
+            expect(reversed.body.errors[0]).toMatchObject({ path: 'to', message: 'to must not be before from' });
+        });
+
+        it('should pass the ranking mode through and reject unknown modes', async () => {
+            firestoreService.getLeaderboard
+                .mockResolvedValueOnce({ period: 'daily', mode: 'meetings', entries: [{ ...entry('A', 50, 1), score: 3 }], totalParticipants: 1 })
+                .mockResolvedValueOnce({ period: 'daily', mode: 'meetings', entries: [{ ...entry('A', 20, 1), score: 1 }], totalParticipants: 1 });
+
+            const res = await request(app)
+                .get('/api/leaderboard/daily?date=2025-03-12&mode=meetings')
+                .expect(200);
+
+            expect(firestoreService.getLeaderboard).toHaveBeenCalledWith('daily', '2025-03-12', { mode: 'meetings' });
+            expect(res.body.mode).toBe('meetings');
+            expect(res.body.entries[0]).toMatchObject({ score: 3, previousScore: 1, scoreChange: 2 });
+
+            const invalid = await request(app)
+                .get('/api/leaderboard?period=week&mode=revenue')
+                .expect(400);
+            expect(invalid.body.errors[0].path).toBe('mode');
+        });
+    });
+
+    describe('Audit Trail', () => {
+        const firestoreService = require('../services/firestore.service');
+        const adminAuth = 'Bearer test-admin-token';
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            firestoreService.appendAuditEntry.mockClear();
+        });
+
+        it('should record who deleted an activity and what it looked like', async () => {
+            const stored = { id: 'ACT_001', lineUserId: 'TEST_USER_001', teamId: 'TEAM_A', activityType: 'phone', points: 20 };
+            firestoreService.getActivity.mockResolvedValueOnce(stored);
+
+            await request(app)
+                .delete('/api/activities/ACT_001')
+                .set('Authorization', adminAuth)
+                .set('X-Line-User-Id', 'MANAGER_001')
+                .expect(200);
+
+            expect(firestoreService.appendAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+                entityType: 'activity',
+                entityId: 'ACT_001',
+                action: 'delete',
+                actor: { lineUserId: 'MANAGER_001', role: 'admin', source: 'api' },
+                teamId: 'TEAM_A',
+                before: stored,
+                after: null
+            }));
+        });
+
+        it('should not record deletes of activities that do not exist', async () => {
+            await request(app)
+                .delete('/api/activities/MISSING')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(firestoreService.appendAuditEntry).not.toHaveBeenCalled();
+        });
+
+        it('should require the admin token to read the audit log', async () => {
+            await request(app)
+                .get('/api/admin/audit')
+                .expect(401);
+        });
+
+        it('should validate and pass audit filters through', async () => {
+            firestoreService.findAuditEntries.mockResolvedValueOnce([{ id: 'AUDIT_001', action: 'delete' }]);
+
+            const res = await request(app)
+                .get('/api/admin/audit?entityType=activity&teamId=TEAM_A&from=2025-03-01&to=2025-03-12&limit=20')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.count).toBe(1);
+            expect(firestoreService.findAuditEntries).toHaveBeenCalledWith({
+                entityType: 'activity',
+                teamId: 'TEAM_A',
+                from: '2025-03-01T00:00:00.000Z',
+                to: '2025-03-12T23:59:59.999Z',
+                limit: 20
+            });
+
+            const invalid = await request(app)
+                .get('/api/admin/audit?action=purge&limit=1000')
+                .set('Authorization', adminAuth)
+                .expect(400);
+            expect(invalid.body.errors.map(e => e.path)).toEqual(['action', 'limit']);
+        });
+    });
+
+    describe('Activity Edits', () => {
+        const firestoreService = require('../services/firestore.service');
+        const businessDate = require('../utils/business-date');
+        const adminAuth = 'Bearer test-admin-token';
+        const today = businessDate.getBusinessDate('Asia/Bangkok');
+        const yesterday = businessDate.addDays(today, -1);
+        const stored = {
+            id: 'ACT_001',
+            lineUserId: 'TEST_USER_001',
+            activityType: 'phone',
+            title: 'Phone Call',
+            count: 1,
+            points: 20,
+            date: today,
+            teamId: 'TEAM_A',
+            createdAt: '2025-03-12T02:00:00.000Z'
+        };
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            firestoreService.updateActivity.mockClear();
+            firestoreService.updateUserStreak.mockClear();
+        });
+
+        afterEach(() => {
+            firestoreService.getUser.mockReset();
+            firestoreService.getUser.mockResolvedValue({ lineUserId: 'TEST_USER_001', displayName: 'Test User' });
+            firestoreService.getActivity.mockReset();
+            firestoreService.getActivity.mockResolvedValue(null);
+            firestoreService.getDeletedActivity.mockReset();
+            firestoreService.getDeletedActivity.mockResolvedValue(null);
+        });
+
+        it('should rescore a corrected quantity and keep the rest of the activity', async () => {
+            firestoreService.getActivity.mockResolvedValueOnce(stored);
+            firestoreService.getUserActivities.mockResolvedValueOnce([stored, { id: 'ACT_002', activityType: 'phone', count: 1 }]);
+
+            const res = await request(app)
+                .patch('/api/activities/ACT_001')
+                .set('Authorization', adminAuth)
+                .send({ quantity: 4, notes: 'Called <all> leads' })
+                .expect(200);
+
+            // Daily cap of 3 calls, one already logged by another activity that day
+            expect(firestoreService.updateActivity).toHaveBeenCalledWith('ACT_001', expect.objectContaining({
+                count: 4,
+                points: 40,
+                date: today,
+                notes: 'Called &lt;all&gt; leads'
+            }));
+            expect(firestoreService.updateActivity.mock.calls[0][1]).not.toHaveProperty('title');
+            expect(res.body).toMatchObject({ success: true, points: 40, capped: true });
+        });
+
+        it('should retitle a type change and recalculate the streak when the date moves', async () => {
+            firestoreService.getActivity.mockResolvedValueOnce(stored);
+            firestoreService.getActivitiesByDateRange.mockResolvedValueOnce([{ date: yesterday }]);
+
+            await request(app)
+                .patch('/api/activities/ACT_001')
+                .set('Authorization', adminAuth)
+                .send({ type: 'meeting', date: yesterday })
+                .expect(200);
+
+            expect(firestoreService.updateActivity).toHaveBeenCalledWith('ACT_001', expect.objectContaining({
+                activityType: 'meeting', title: 'Meeting', points: 50, date: yesterday
+            }));
+            expect(firestoreService.updateUserStreak).toHaveBeenCalledWith('TEST_USER_001', {
+                currentStreak: 1, longestStreak: 1, lastActivityDate: yesterday
+            });
+        });
+
+        it('should refuse edits outside the edit window', async () => {
+            firestoreService.getActivity.mockResolvedValueOnce({ ...stored, date: businessDate.addDays(today, -30) });
+            const old = await request(app)
+                .patch('/api/activities/ACT_001')
+                .set('Authorization', adminAuth)
+                .send({ quantity: 2 })
+                .expect(400);
+            expect(old.body.errors[0].path).toBe('date');
+
+            firestoreService.getActivity.mockResolvedValueOnce(stored);
+            const moved = await request(app)
+                .patch('/api/activities/ACT_001')
+                .set('Authorization', adminAuth)
+                .send({ date: businessDate.addDays(today, 1) })
+                .expect(400);
+            expect(moved.body.errors[0].path).toBe('date');
+
+            expect(firestoreService.updateActivity).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for unknown activities', async () => {
+            await request(app)
+                .patch('/api/activities/MISSING')
+                .set('Authorization', adminAuth)
+                .send({ quantity: 2 })
+                .expect(404);
+
+            await request(app)
+                .post('/api/activities/MISSING/restore')
+                .set('Authorization', adminAuth)
+                .expect(404);
+        });
+
+        it('should restore a deleted activity and record it', async () => {
+            firestoreService.getDeletedActivity.mockResolvedValueOnce(stored);
+            firestoreService.restoreActivity.mockResolvedValueOnce(stored);
+            firestoreService.appendAuditEntry.mockClear();
+
+            const res = await request(app)
+                .post('/api/activities/ACT_001/restore')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.activity).toMatchObject({ id: 'ACT_001', createdAt: stored.createdAt });
+            expect(firestoreService.appendAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+                entityId: 'ACT_001', action: 'restore', after: stored
+            }));
+        });
+
+        it('should not take a LINE user id header for authorization', async () => {
+            const users = { ADMIN_001: { id: 'ADMIN_001', role: 'admin' } };
+            firestoreService.getUser.mockImplementation(async (id) => users[id] || null);
+            firestoreService.getActivity.mockResolvedValue(stored);
+            firestoreService.getDeletedActivity.mockResolvedValue(stored);
+            firestoreService.deleteActivity.mockClear();
+            firestoreService.restoreActivity.mockClear();
+
+            for (const forged of [{}, { Authorization: 'Bearer forged-token' }]) {
+                await request(app)
+                    .patch('/api/activities/ACT_001')
+                    .set({ ...forged, 'X-Line-User-Id': 'ADMIN_001' })
+                    .send({ quantity: 2 })
+                    .expect(401);
+                await request(app)
+                    .delete('/api/activities/ACT_001')
+                    .set({ ...forged, 'X-Line-User-Id': 'TEST_USER_001' })
+                    .expect(401);
+                await request(app)
+                    .post('/api/activities/ACT_001/restore')
+                    .set({ ...forged, 'X-Line-User-Id': 'ADMIN_001' })
+                    .expect(401);
+            }
+
+            expect(firestoreService.updateActivity).not.toHaveBeenCalled();
+            expect(firestoreService.deleteActivity).not.toHaveBeenCalled();
+            expect(firestoreService.restoreActivity).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Activity Import', () => {
+        const fs = require('fs');
+        const path = require('path');
+        const firestoreService = require('../services/firestore.service');
+        const adminAuth = 'Bearer test-admin-token';
+        const csv = [
+            'Rep,Activity,Qty,Day,Comment',
+            'TEST_USER_001,phone,2,2025-03-12,Cold calls',
+            'Somchai,Meeting,,2025-03-12,',
+            'TEST_USER_001,golf,1,2025-03-12,',
+            'Nobody,phone,1,2025-03-12,',
+            'TEST_USER_001,call,3,,'
+        ].join('\n');
+        const mapping = { user: 'Rep', type: 'Activity', quantity: 'Qty', date: 'Day', notes: 'Comment' };
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            firestoreService.createActivity.mockClear();
+            firestoreService.getUser.mockImplementation(async (id) => (id === 'TEST_USER_001'
+                ? { id, displayName: 'Test User', teamId: 'TEAM_A' }
+                : null));
+            firestoreService.getTeamUsers.mockResolvedValue([{ id: 'REP_002', displayName: 'Somchai' }]);
+        });
+
+        afterEach(() => {
+            firestoreService.getUser.mockReset();
+            firestoreService.getUser.mockResolvedValue({ lineUserId: 'TEST_USER_001', displayName: 'Test User' });
+            firestoreService.getTeamUsers.mockResolvedValue([]);
+        });
+
+        it('should preview every row with its errors and store nothing', async () => {
+            const res = await request(app)
+                .post('/api/admin/activities/import/preview')
+                .set('Authorization', adminAuth)
+                .send({ format: 'csv', content: csv, mapping, teamId: 'TEAM_A' })
+                .expect(200);
+
+            expect(res.body).toMatchObject({ totalRows: 5, validRows: 2, invalidRows: 3, totalPoints: 90 });
+            expect(res.body.rows.map(r => [r.row, r.status])).toEqual([
+                [2, 'valid'], [3, 'valid'], [4, 'invalid'], [5, 'invalid'], [6, 'invalid']
+            ]);
+            expect(res.body.rows[1].activity).toMatchObject({ lineUserId: 'REP_002', activityType: 'meeting', count: 1, points: 50 });
+            expect(res.body.rows[2].errors[0].path).toBe('activityType');
+            expect(res.body.rows[3].errors[0]).toEqual({ path: 'user', message: 'Unknown user "Nobody"' });
+            expect(res.body.rows[4].errors[0].path).toBe('date');
+            expect(firestoreService.createActivity).not.toHaveBeenCalled();
+        });
+
+        it('should reject the whole file when any row is invalid', async () => {
+            const res = await request(app)
+                .post('/api/admin/activities/import')
+                .set('Authorization', adminAuth)
+                .send({ format: 'csv', content: csv, mapping, teamId: 'TEAM_A' })
+                .expect(400);
+
+            expect(res.body.errors[0].path).toBe('rows');
+            expect(res.body.invalidRows).toBe(3);
+            expect(firestoreService.createActivity).not.toHaveBeenCalled();
+        });
+
+        it('should count earlier rows of the file towards daily caps', async () => {
+            const res = await request(app)
+                .post('/api/admin/activities/import')
+                .set('Authorization', adminAuth)
+                .send({
+                    format: 'csv',
+                    content: 'user,type,quantity,date,notes\nTEST_USER_001,call,2,2025-03-12,Cold calls\nTEST_USER_001,phone,2,2025-03-12,'
+                })
+                .expect(200);
+
+            expect(res.body).toMatchObject({ success: true, imported: 2, totalPoints: 60 });
+            expect(firestoreService.createActivity).toHaveBeenNthCalledWith(1, expect.objectContaining({
+                activityType: 'phone', count: 2, points: 40, teamId: 'TEAM_A', notes: 'Cold calls'
+            }));
+            expect(firestoreService.createActivity).toHaveBeenNthCalledWith(2, expect.objectContaining({ count: 2, points: 20 }));
+        });
+
+        it('should read XLSX call sheets with mapped columns', async () => {
+            const content = fs.readFileSync(path.join(__dirname, 'fixtures/call-sheet.xlsx')).toString('base64');
+
+            const res = await request(app)
+                .post('/api/admin/activities/import/preview')
+                .set('Authorization', adminAuth)
+                .send({ format: 'xlsx', content, mapping: { user: 'Rep', type: 'Activity', quantity: 'Qty', date: 'Day', notes: 'Notes' } })
+                .expect(200);
+
+            expect(res.body.rows).toEqual([
+                { row: 2, status: 'valid', activity: expect.objectContaining({ activityType: 'phone', count: 2, date: '2025-03-12' }) },
+                { row: 4, status: 'valid', activity: expect.objectContaining({ activityType: 'meeting', count: 1, date: '2025-03-11' }) }
+            ]);
+        });
+
+        it('should take back stored rows when a write fails', async () => {
+            firestoreService.createActivity
+                .mockResolvedValueOnce({ id: 'IMPORTED_1', lineUserId: 'TEST_USER_001' })
+                .mockRejectedValueOnce(new Error('write failed'));
+            firestoreService.deleteActivity.mockClear();
+
+            const res = await request(app)
+                .post('/api/admin/activities/import')
+                .set('Authorization', adminAuth)
+                .send({ format: 'csv', content: 'user,type,date\nTEST_USER_001,phone,2025-03-12\nTEST_USER_001,meeting,2025-03-12' })
+                .expect(500);
+
+            expect(res.body.error).toMatch(/nothing was imported/);
+            expect(firestoreService.deleteActivity).toHaveBeenCalledWith('IMPORTED_1');
+        });
+
+        it('should require the admin token and a readable file', async () => {
+            await request(app)
+                .post('/api/admin/activities/import/preview')
+                .send({ format: 'csv', content: csv })
+                .expect(401);
+
+            const invalid = await request(app)
+                .post('/api/admin/activities/import/preview')
+                .set('Authorization', adminAuth)
+                .send({ format: 'ods', content: csv, mapping: { rep: 'Rep' } })
+                .expect(400);
+            expect(invalid.body.errors.map(e => e.path)).toEqual(['format', 'mapping.rep']);
+
+            const missing = await request(app)
+                .post('/api/admin/activities/import/preview')
+                .set('Authorization', adminAuth)
+                .send({ format: 'csv', content: csv })
+                .expect(400);
+            expect(missing.body.errors.map(e => e.path)).toEqual(['mapping.user', 'mapping.type', 'mapping.date']);
+        });
+    });
+
+    describe('Activity Export', () => {
+        const firestoreService = require('../services/firestore.service');
+        const { parseCsv, readXlsx } = require('../utils/spreadsheet');
+        const adminAuth = 'Bearer test-admin-token';
+        const activities = [
+            { id: 'A3', lineUserId: 'REP_002', teamId: 'TEAM_A', activityType: 'meeting', count: 1, points: 50, date: '2025-03-12', createdAt: '2025-03-12T03:00:00.000Z' },
+            { id: 'A2', lineUserId: 'TEST_USER_001', teamId: 'TEAM_A', activityType: 'phone', count: 2, points: 40, date: '2025-03-12', notes: '=cmd', createdAt: '2025-03-12T02:00:00.000Z' },
+            { id: 'A1', lineUserId: 'TEST_USER_001', teamId: 'TEAM_A', activityType: 'phone', count: 1, points: 20, date: '2025-03-10', createdAt: '2025-03-10T02:00:00.000Z' },
+            { id: 'B1', lineUserId: 'REP_003', teamId: 'TEAM_B', activityType: 'meeting', count: 2, points: 100, date: '2025-03-12', createdAt: '2025-03-12T01:00:00.000Z' }
+        ];
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            firestoreService.getActivitiesByDateRange.mockImplementation(async (lineUserId, startDate, endDate) => (
+                activities.filter(activity => activity.date >= startDate && activity.date <= endDate)));
+            firestoreService.getUser.mockImplementation(async (id) => ({ id, displayName: id === 'REP_002' ? 'Somchai' : 'Test User' }));
+        });
+
+        afterEach(() => {
+            firestoreService.getActivitiesByDateRange.mockReset();
+            firestoreService.getActivitiesByDateRange.mockResolvedValue([]);
+            firestoreService.getUser.mockReset();
+            firestoreService.getUser.mockResolvedValue({ lineUserId: 'TEST_USER_001', displayName: 'Test User' });
+        });
+
+        it('should export filtered activities as JSON with computed columns', async () => {
+            const res = await request(app)
+                .get('/api/admin/activities/export?format=json&from=2025-03-10&to=2025-03-16&teamId=TEAM_A&types=call')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(firestoreService.getActivitiesByDateRange).toHaveBeenCalledWith(null, '2025-03-10', '2025-03-16');
+            expect(res.headers['content-disposition']).toContain('activities_TEAM_A_2025-03-10_2025-03-16.json');
+            expect(res.body.count).toBe(2);
+            expect(res.body.rows.map(row => row.id)).toEqual(['A1', 'A2']);
+            // Ranked against the whole team that day, not just the exported types
+            expect(res.body.rows[1]).toMatchObject({
+                date: '2025-03-12',
+                week: '2025-W11',
+                displayName: 'Test User',
+                typeName: 'Phone Call',
+                points: 40,
+                dayPoints: 40,
+                dayRank: 2
+            });
+        });
+
+        it('should export CSV and XLSX files with one header row', async () => {
+            const csv = await request(app)
+                .get('/api/admin/activities/export?from=2025-03-12&to=2025-03-12&userIds=REP_002,REP_003&lang=th')
+                .set('Authorization', adminAuth)
+                .expect('Content-Type', /text\/csv/)
+                .expect(200);
+
+            const rows = parseCsv(csv.text);
+            expect(rows[0].slice(0, 4)).toEqual(['Date', 'Week', 'Rep ID', 'Rep']);
+            // Without a team filter the day is ranked across every team
+            expect(rows.slice(1).map(row => [row[2], row[6], row[10], row[11]])).toEqual([
+                ['REP_003', 'นัดพบลูกค้า', '100', '1'],
+                ['REP_002', 'นัดพบลูกค้า', '50', '2']
+            ]);
+
+            const xlsx = await request(app)
+                .get('/api/admin/activities/export?format=xlsx&from=2025-03-12&to=2025-03-12&userIds=TEST_USER_001')
+                .set('Authorization', adminAuth)
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                })
+                .expect(200);
+
+            const sheet = readXlsx(xlsx.body);
+            expect(sheet).toHaveLength(2);
+            expect(sheet[1][12]).toBe('=cmd');
+        });
+
+        it('should require the admin token and a valid date range', async () => {
+            await request(app)
+                .get('/api/admin/activities/export?from=2025-03-10&to=2025-03-16')
+                .expect(401);
+
+            const invalid = await request(app)
+                .get('/api/admin/activities/export?format=pdf&from=2025-03-16&to=2025-03-10')
+                .set('Authorization', adminAuth)
+                .expect(400);
+            expect(invalid.body.errors.map(e => e.path)).toEqual(['format', 'to']);
+
+            const missing = await request(app)
+                .get('/api/admin/activities/export?from=2024-01-01&to=2025-03-16')
+                .set('Authorization', adminAuth)
+                .expect(400);
+            expect(missing.body.errors[0].message).toMatch(/more than 366 days/);
+        });
+    });
+
+    describe('Scheduled Jobs', () => {
+        const firestoreService = require('../services/firestore.service');
+        const lineQuotaService = require('../services/line-quota.service');
+        const { sendFlexMessage } = require('../activity-flex-message-compact');
+        const adminAuth = 'Bearer test-admin-token';
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            sendFlexMessage.mockClear();
+            lineQuotaService.recordMessage.mockClear();
+            firestoreService.updateJobState.mockClear();
+            firestoreService.cleanupExpiredCache.mockClear();
+        });
+
+        afterEach(() => {
+            firestoreService.getTeamGroups.mockResolvedValue([]);
+            firestoreService.getActivitiesByDateRange.mockResolvedValue([]);
+            firestoreService.claimJobRun.mockResolvedValue(true);
+        });
+
+        it('should list the recurring jobs with their state', async () => {
+            firestoreService.listJobStates.mockResolvedValueOnce([
+                { key: 'cleanup-expired-cache', lastStatus: 'success', nextRunAt: '2025-03-12T11:15:00.000Z' },
+                { key: 'daily-leaderboard', paused: true }
+            ]);
+
+            const res = await request(app)
+                .get('/api/admin/jobs')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.jobs.map(job => job.id)).toEqual([
+                'daily-leaderboard', 'weekly-recap', 'monthly-recap', 'line-outbox', 'cleanup-outbox',
+                'cleanup-expired-cache', 'cleanup-quota-records', 'notification-digests'
+            ]);
+            expect(res.body.jobs[0]).toMatchObject({ schedule: '0 18 * * *', perTeam: true, paused: true });
+            expect(res.body.jobs[0].teams).toEqual([expect.objectContaining({ teamId: null, timezone: 'Asia/Bangkok' })]);
+            expect(res.body.jobs[5]).toMatchObject({ lastStatus: 'success', nextRunAt: '2025-03-12T11:15:00.000Z', running: false });
+        });
+
+        it('should post the daily leaderboard to groups when run', async () => {
+            firestoreService.getTeamGroups.mockResolvedValue([
+                { id: 'GROUP_1', notificationsEnabled: true },
+                { id: 'GROUP_2', notificationsEnabled: false }
+            ]);
+            firestoreService.getActivitiesByDateRange.mockResolvedValue([
+                { lineUserId: 'TEST_USER_001', activityType: 'phone', title: 'Phone Call', count: 2, points: 40 }
+            ]);
+
+            const res = await request(app)
+                .post('/api/admin/jobs/daily-leaderboard/run')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.runs).toEqual([
+                expect.objectContaining({ teamId: null, status: 'success', trigger: 'manual', result: expect.objectContaining({ groups: 1, sent: 1 }) })
+            ]);
+            expect(sendFlexMessage).toHaveBeenCalledWith(
+                expect.objectContaining({ altText: expect.stringContaining('Daily Leaderboard') }),
+                undefined,
+                'GROUP_1',
+                expect.any(String)
+            );
+            expect(lineQuotaService.recordMessage).toHaveBeenCalledWith('leaderboard', 'GROUP_1', 1, null);
+            expect(firestoreService.updateJobState).toHaveBeenCalledWith('daily-leaderboard:none', expect.objectContaining({ lastStatus: 'success', lockedBy: null }));
+        });
+
+        it('should post the weekly recap to groups that opted in', async () => {
+            firestoreService.getTeamGroups.mockResolvedValue([
+                { id: 'GROUP_1', notificationsEnabled: true, settings: { recaps: ['weekly'] } },
+                { id: 'GROUP_2', notificationsEnabled: true, settings: { recaps: ['monthly'] } },
+                { id: 'GROUP_3', notificationsEnabled: true }
+            ]);
+            firestoreService.getLeaderboardForRange
+                .mockResolvedValueOnce({ entries: [{ userId: 'TEST_USER_001', displayName: 'Test User', points: 120, activities: 4, rank: 1 }] })
+                .mockResolvedValueOnce({ entries: [{ userId: 'TEST_USER_001', displayName: 'Test User', points: 80, activities: 3, rank: 1 }] });
+
+            const res = await request(app)
+                .post('/api/admin/jobs/weekly-recap/run')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.runs[0]).toMatchObject({ status: 'success', result: { groups: 1, sent: 1 } });
+            const [flexMessage, , groupId] = sendFlexMessage.mock.calls[0];
+            expect(groupId).toBe('GROUP_1');
+            expect(flexMessage.altText).toContain('Weekly Recap');
+            expect(flexMessage.contents.type).toBe('carousel');
+            expect(lineQuotaService.recordMessage).toHaveBeenCalledWith('recap', 'GROUP_1', 1, null);
+        });
+
+        it('should not post a recap without opted-in groups', async () => {
+            firestoreService.getTeamGroups.mockResolvedValue([{ id: 'GROUP_1', notificationsEnabled: true }]);
+
+            const res = await request(app)
+                .post('/api/admin/jobs/monthly-recap/run')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.runs[0].result).toMatchObject({ sent: 0, skipped: 'no groups' });
+            expect(sendFlexMessage).not.toHaveBeenCalled();
+        });
+
+        it('should not run a job that another instance is running', async () => {
+            firestoreService.claimJobRun.mockResolvedValue(false);
+
+            const res = await request(app)
+                .post('/api/admin/jobs/cleanup-expired-cache/run')
+                .set('Authorization', adminAuth)
+                .expect(409);
+
+            expect(res.body.runs[0].status).toBe('skipped');
+            expect(firestoreService.cleanupExpiredCache).not.toHaveBeenCalled();
+        });
+
+        it('should pause and resume jobs', async () => {
+            await request(app)
+                .post('/api/admin/jobs/daily-leaderboard/pause')
+                .set('Authorization', adminAuth)
+                .expect(200);
+            expect(firestoreService.updateJobState).toHaveBeenCalledWith('daily-leaderboard', { paused: true });
+
+            await request(app)
+                .post('/api/admin/jobs/daily-leaderboard/resume')
+                .set('Authorization', adminAuth)
+                .expect(200);
+            expect(firestoreService.updateJobState).toHaveBeenLastCalledWith('daily-leaderboard', { paused: false });
+        });
+
+        it('should require the admin token and a known job', async () => {
+            await request(app)
+                .get('/api/admin/jobs')
+                .expect(401);
+
+            await request(app)
+                .post('/api/admin/jobs/unknown/run')
+                .set('Authorization', adminAuth)
+                .expect(404);
+
+            await request(app)
+                .post('/api/admin/jobs/daily-leaderboard/run')
+                .set('Authorization', adminAuth)
+                .send({ teamId: 'TEAM_X' })
+                .expect(404);
+        });
+    });
+
+    describe('Notification Digests', () => {
+        const firestoreService = require('../services/firestore.service');
+        const lineQuotaService = require('../services/line-quota.service');
+        const { sendFlexMessage } = require('../activity-flex-message-compact');
+        const adminAuth = 'Bearer test-admin-token';
+        const held = (id, groupId, createdAt) => ({
+            id, groupId, teamId: null, lineUserId: 'TEST_USER_001', displayName: 'Test User',
+            activities: [{ title: 'Phone Call', points: 20 }], totalPoints: 20, createdAt
+        });
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            sendFlexMessage.mockClear();
+            lineQuotaService.recordMessage.mockClear();
+            firestoreService.appendDigestEntry.mockClear();
+            firestoreService.deleteDigestEntries.mockClear();
+        });
+
+        afterEach(() => {
+            firestoreService.getTeamGroups.mockResolvedValue([]);
+            firestoreService.listDigestEntries.mockResolvedValue([]);
+            firestoreService.getGroup.mockResolvedValue(null);
+        });
+
+        it('should hold synced activity notifications while the quota is predicted to run out', async () => {
+            lineQuotaService.getDeliveryMode.mockResolvedValueOnce({ mode: 'digest', digestIntervalMinutes: 30 });
+            firestoreService.getTeamGroups.mockResolvedValue([
+                { id: 'GROUP_1', notificationsEnabled: true },
+                { id: 'GROUP_2', notificationsEnabled: true }
+            ]);
+
+            const res = await request(app)
+                .post('/api/activities/sync')
+                .send({
+                    userId: 'TEST_USER_001',
+                    activities: [{ clientId: '3c9e1f7a-4b2d-4e8f-a615-7d0b2c9e4f31', type: 'call', date: '2025-03-12' }]
+                })
+                .expect(200);
+
+            expect(res.body.accepted).toBe(1);
+            expect(sendFlexMessage).not.toHaveBeenCalled();
+            expect(firestoreService.appendDigestEntry).toHaveBeenCalledTimes(2);
+            expect(firestoreService.appendDigestEntry).toHaveBeenCalledWith(expect.objectContaining({
+                groupId: 'GROUP_2',
+                totalPoints: 20,
+                activities: [expect.objectContaining({ points: 20 })]
+            }));
+        });
+
+        it('should send each group one digest of its held notifications', async () => {
+            firestoreService.listDigestEntries.mockResolvedValue([
+                held('D1', 'GROUP_1', '2025-03-12T09:00:00.000Z'),
+                held('D2', 'GROUP_1', '2025-03-12T09:10:00.000Z'),
+                held('D3', 'GROUP_GONE', '2025-03-12T09:05:00.000Z')
+            ]);
+            firestoreService.getGroup.mockImplementation(async (groupId) =>
+                (groupId === 'GROUP_1' ? { id: 'GROUP_1', notificationsEnabled: true } : null));
+
+            const res = await request(app)
+                .post('/api/admin/jobs/notification-digests/run')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.runs[0].result).toEqual({ groups: 2, sent: 1, entries: 2, dropped: 1, held: 0 });
+            expect(sendFlexMessage).toHaveBeenCalledTimes(1);
+            expect(sendFlexMessage).toHaveBeenCalledWith({ altText: '2 held' }, undefined, 'GROUP_1', expect.any(String));
+            expect(lineQuotaService.recordMessage).toHaveBeenCalledWith('digest', 'GROUP_1', 1, null);
+            expect(firestoreService.deleteDigestEntries).toHaveBeenCalledWith(['D1', 'D2']);
+            expect(firestoreService.deleteDigestEntries).toHaveBeenCalledWith(['D3']);
+        });
+
+        it('should show the digest times in the timezone of the group team', async () => {
+            const { createActivityDigestFlex } = require('../activity-flex-message-compact');
+            const teamService = require('../services/team.service');
+            createActivityDigestFlex.mockClear();
+            teamService.getTeam.mockResolvedValueOnce({ id: 'TEAM_NY', timezone: 'America/New_York' });
+            firestoreService.listDigestEntries.mockResolvedValue([
+                { ...held('D1', 'GROUP_1', '2025-03-12T09:00:00.000Z'), teamId: 'TEAM_NY' },
+                { ...held('D2', 'GROUP_1', '2025-03-12T09:10:00.000Z'), teamId: 'TEAM_NY' }
+            ]);
+            firestoreService.getGroup.mockResolvedValue({ id: 'GROUP_1', notificationsEnabled: true });
+
+            await request(app)
+                .post('/api/admin/jobs/notification-digests/run')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(createActivityDigestFlex).toHaveBeenCalledWith(expect.any(Array), 'en', 'America/New_York');
+
+            // Bangkok groups see Bangkok times, with no UTC label
+            const digest = jest.requireActual('../activity-flex-message-compact')
+                .createActivityDigestFlex(createActivityDigestFlex.mock.calls[0][0], 'en', 'Asia/Bangkok');
+            expect(JSON.stringify(digest)).toContain('"text":"16:00-16:10"');
+            expect(JSON.stringify(digest)).not.toContain('UTC');
+        });
+
+        it('should keep held notifications the quota does not allow sending', async () => {
+            firestoreService.listDigestEntries.mockResolvedValue([held('D1', 'GROUP_1', '2025-03-12T09:00:00.000Z')]);
+            firestoreService.getGroup.mockResolvedValue({ id: 'GROUP_1', notificationsEnabled: true });
+            lineQuotaService.canSendMessage.mockResolvedValueOnce({ allowed: false, remaining: 5, reason: 'Daily quota nearly exhausted' });
+
+            const res = await request(app)
+                .post('/api/admin/jobs/notification-digests/run')
+                .set('Authorization', adminAuth)
+                .expect(200);
+
+            expect(res.body.runs[0].result).toMatchObject({ sent: 0, held: 1 });
+            expect(firestoreService.deleteDigestEntries).not.toHaveBeenCalled();
+        });
+
+        it('should report the delivery mode and held notifications with the quota status', async () => {
+            lineQuotaService.getQuotaStats.mockResolvedValueOnce({
+                used: 150,
+                limit: 300,
+                delivery: { mode: 'digest', digestIntervalMinutes: 30, forecast: { exhaustionPredicted: true } }
+            });
+            firestoreService.listDigestEntries.mockResolvedValue([held('D1', 'GROUP_1', '2025-03-12T09:00:00.000Z')]);
+
+            const res = await request(app)
+                .get('/api/quota/status')
+                .expect(200);
+
+            expect(res.body.delivery).toEqual({
+                mode: 'digest',
+                digestIntervalMinutes: 30,
+                forecast: { exhaustionPredicted: true },
+                heldNotifications: 1
+            });
+        });
+    });
+
+    describe('LINE Outbox', () => {
+        const firestoreService = require('../services/firestore.service');
+        const lineQuotaService = require('../services/line-quota.service');
+        const { sendFlexMessage } = require('../activity-flex-message-compact');
+        const adminAuth = 'Bearer test-admin-token';
+        const lineError = (statusCode) => Object.assign(new Error(`LINE API Error: ${statusCode}`), { statusCode });
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            sendFlexMessage.mockClear();
+            lineQuotaService.recordMessage.mockClear();
+        });
+
+        afterEach(() => {
+            firestoreService.getTeamGroups.mockResolvedValue([]);
+            firestoreService.getActivitiesByDateRange.mockResolvedValue([]);
+        });
+
+        it('should keep a failed push for retry and let admins retry it', async () => {
+            firestoreService.getTeamGroups.mockResolvedValue([{ id: 'GROUP_OUTBOX', notificationsEnabled: true }]);
+            firestoreService.getActivitiesByDateRange.mockResolvedValue([
+                { lineUserId: 'TEST_USER_001', activityType: 'phone', title: 'Phone Call', count: 1, points: 20 }
+            ]);
+            sendFlexMessage.mockRejectedValueOnce(lineError(500));
+
+            const run = await request(app)
+                .post('/api/admin/jobs/daily-leaderboard/run')
+                .set('Authorization', adminAuth)
+                .expect(200);
+            expect(run.body.runs[0].result).toMatchObject({ sent: 0, retrying: 1 });
+
+            const pending = await request(app)
+                .get('/api/admin/outbox?status=pending')
+                .set('Authorization', adminAuth)
+                .expect(200);
+            const message = pending.body.messages.find(held => held.to === 'GROUP_OUTBOX');
+            expect(message).toMatchObject({ type: 'leaderboard', attempts: 1, lastError: 'LINE API Error: 500' });
+            expect(lineQuotaService.recordMessage).not.toHaveBeenCalled();
+
+            const retried = await request(app)
+                .post(`/api/admin/outbox/${message.id}/retry`)
+                .set('Authorization', adminAuth)
+                .expect(200);
+            expect(retried.body).toMatchObject({ id: message.id, status: 'sent', attempts: 1 });
+            expect(sendFlexMessage).toHaveBeenLastCalledWith(expect.anything(), undefined, 'GROUP_OUTBOX', message.id);
+            expect(lineQuotaService.recordMessage).toHaveBeenCalledWith('leaderboard', 'GROUP_OUTBOX', 1, null);
+
+            await request(app)
+                .post(`/api/admin/outbox/${message.id}/retry`)
+                .set('Authorization', adminAuth)
+                .expect(409);
+        });
+
+        it('should validate outbox queries and require the admin token', async () => {
+            await request(app)
+                .get('/api/admin/outbox')
+                .expect(401);
+
+            const res = await request(app)
+                .get('/api/admin/outbox?status=lost&limit=0')
+                .set('Authorization', adminAuth)
+                .expect(400);
+            expect(res.body.errors.map(error => error.path)).toEqual(['status', 'limit']);
+
+            await request(app)
+                .get('/api/admin/outbox/unknown')
+                .set('Authorization', adminAuth)
+                .expect(404);
+        });
+    });
+
+    describe('Group Notification Settings', () => {
+        const firestoreService = require('../services/firestore.service');
+        const targetService = require('../services/target.service');
+        const { sendFlexMessage } = require('../activity-flex-message-compact');
+        const adminAuth = 'Bearer test-admin-token';
+        const group = (id, settings) => ({ id, notificationsEnabled: true, teamId: null, settings });
+
+        beforeEach(() => {
+            process.env.ADMIN_TOKEN = 'test-admin-token';
+            sendFlexMessage.mockClear();
+        });
+
+        afterEach(() => {
+            firestoreService.getTeamGroups.mockResolvedValue([]);
+        });
+
+        it('should show a group its preferences with defaults filled in', async () => {
+            firestoreService.getGroup.mockResolvedValueOnce(group('GROUP_1', { recaps: ['weekly'], minPoints: 30 }));
+
+            const res = await request(app)
+                .get('/api/groups/GROUP_1/settings')
+                .expect(200);
+
+            expect(res.body).toEqual({
+                groupId: 'GROUP_1',
+                notificationsEnabled: true,
+                categories: {
+                    activity: true,
+                    achievements: true,
+                    milestones: true,
+                    dailyLeaderboard: true,
+                    weeklyRecap: true,
+                    monthlyRecap: false
+                },
+                quietHours: null,
+                minPoints: 30,
+                language: 'en'
+            });
+
+            await request(app)
+                .get('/api/groups/UNKNOWN/settings')
+                .expect(404);
+        });
+
+        it('should let admins change preferences, keeping the other settings', async () => {
+            const before = group('GROUP_1', { recaps: ['weekly'] });
+            const after = group('GROUP_1', {
+                recaps: ['weekly', 'monthly'],
+                notifications: { activity: false },
+                quietHours: { start: '22:00', end: '07:00' }
+            });
+            firestoreService.getGroup.mockResolvedValueOnce(before).mockResolvedValueOnce(after);
+            firestoreService.updateGroupSettings.mockClear();
+
+            await request(app)
+                .put('/api/groups/GROUP_1/settings')
+                .send({ minPoints: 10 })
+                .expect(401);
+
+            const res = await request(app)
+                .put('/api/groups/GROUP_1/settings')
+                .set('Authorization', adminAuth)
+                .send({ categories: { activity: false, monthlyRecap: true }, quietHours: { start: '22:00', end: '07:00' } })
+                .expect(200);
+
+            expect(firestoreService.updateGroupSettings).toHaveBeenCalledWith('GROUP_1', after.settings);
+            expect(res.body).toMatchObject({
+                groupId: 'GROUP_1',
+                categories: { activity: false, weeklyRecap: true, monthlyRecap: true },
+                quietHours: { start: '22:00', end: '07:00' },
+                minPoints: 0
+            });
+            expect(firestoreService.appendAuditEntry).toHaveBeenLastCalledWith(expect.objectContaining({
+                entityType: 'group',
+                entityId: 'GROUP_1',
+                actor: expect.objectContaining({ source: 'admin' })
+            }));
+        });
+
+        it('should reject invalid preferences', async () => {
+            const res = await request(app)
+                .put('/api/groups/GROUP_1/settings')
+                .set('Authorization', adminAuth)
+                .send({ categories: { birthdays: true, activity: 'yes' }, quietHours: { start: '25:00', end: '07:00' }, minPoints: -5 })
+                .expect(400);
+
+            expect(res.body.errors.map(error => error.path)).toEqual(['categories.birthdays', 'categories.activity', 'quietHours', 'minPoints']);
+
+            firestoreService.getGroup.mockResolvedValueOnce(null);
+            await request(app)
+                .put('/api/groups/UNKNOWN/settings')
+                .set('Authorization', adminAuth)
+                .send({ minPoints: 10 })
+                .expect(404);
+        });
+
+        it('should notify only groups whose preferences let the activity through', async () => {
+            firestoreService.getTeamGroups.mockResolvedValue([
+                group('GROUP_ALL'),
+                group('GROUP_BIG_DEALS', { minPoints: 100 }),
+                group('GROUP_BOARDS_ONLY', { notifications: { activity: false } })
+            ]);
+
+            await request(app)
+                .post('/api/activities')
+                .send({ lineUserId: 'TEST_USER_001', activityType: 'phone' })
+                .expect(200);
+
+            expect(sendFlexMessage.mock.calls.map(call => call[2])).toEqual(['GROUP_ALL']);
+        });
+
+        it('should announce new achievements and completed targets to groups that want them', async () => {
+            firestoreService.getTeamGroups.mockResolvedValue([
+                group('GROUP_ALL'),
+                group('GROUP_NO_ACHIEVEMENTS', { notifications: { achievements: false } })
+            ]);
+
+            await request(app)
+                .post('/api/achievements')
+                .send({ lineUserId: 'TEST_USER_001', achievementId: 'first_step' })
+                .expect(200);
+
+            expect(sendFlexMessage).toHaveBeenCalledTimes(1);
+            expect(sendFlexMessage).toHaveBeenCalledWith(
+                { type: 'text', text: '🏅 Test User unlocked First Step!' },
+                undefined,
+                'GROUP_ALL',
+                expect.any(String)
+            );
+
+            const today = new Date().toISOString().slice(0, 10);
+            firestoreService.createActivity.mockResolvedValueOnce({ id: 'ACT_GOAL', activityType: 'phone', points: 20, count: 1, date: today });
+            targetService.getUserProgress.mockResolvedValueOnce([
+                { targetId: 'TARGET_DONE', scope: 'user', period: 'daily', metric: 'points', targetValue: 100, actual: 110, status: 'achieved', startDate: '2000-01-01', endDate: '2999-12-31' },
+                { targetId: 'TARGET_EARLIER', scope: 'user', period: 'weekly', metric: 'points', targetValue: 50, actual: 110, status: 'achieved', startDate: '2000-01-01', endDate: '2999-12-31' }
+            ]);
+            sendFlexMessage.mockClear();
+
+            await request(app)
+                .post('/api/activities')
+                .send({ lineUserId: 'TEST_USER_001', activityType: 'phone' })
+                .expect(200);
+
+            const announcements = sendFlexMessage.mock.calls.filter(call => call[0].type === 'text');
+            expect(announcements.map(call => [call[0].text, call[2]]).sort()).toEqual([
+                ['🎯 Test User reached the daily points target: 110/100!', 'GROUP_ALL'],
+                ['🎯 Test User reached the daily points target: 110/100!', 'GROUP_NO_ACHIEVEMENTS']
+            ]);
+        });
+
+        it('should announce in the language of each group', async () => {
+            firestoreService.getTeamGroups.mockResolvedValue([
+                group('GROUP_EN'),
+                group('GROUP_TH', { language: 'th' })
+            ]);
+
+            await request(app)
+                .post('/api/achievements')
+                .send({ lineUserId: 'TEST_USER_001', achievementId: 'first_step' })
+                .expect(200);
+
+            expect(sendFlexMessage.mock.calls.map(call => [call[0].text, call[2]])).toEqual([
+                ['🏅 Test User unlocked First Step!', 'GROUP_EN'],
+                ['🏅 Test User ปลดล็อก First Step!', 'GROUP_TH']
+            ]);
+        });
+    });
+
+    describe('Chat Activity Logging', () => {
+        const firestoreService = require('../services/firestore.service');
+        const accountService = require('../services/account.service');
+        const DRAFT = '2c9a4e71-8b3d-4f60-a5e2-71c0d9b3f400';
+        const itemId = (index) => `${DRAFT.slice(0, -2)}0${index}`;
+        const actor = { lineUserId: 'TEST_USER_001', source: 'line' };
+
+        it('should save confirmed activities with the customer as subtitle', async () => {
+            firestoreService.createActivityOnce.mockClear();
+            accountService.searchAccounts.mockResolvedValueOnce([{ id: 'ACC_SIAM', name: 'Siam Cement' }]);
+            accountService.getAccount.mockResolvedValueOnce({ id: 'ACC_SIAM', name: 'Siam Cement' });
+
+            const { results, totalPoints } = await app.get('activityLogger')('TEST_USER_001', [
+                { activityType: 'meeting', count: 1, date: '2025-03-12', customer: 'siam cement', clientId: itemId(0) },
+                { activityType: 'phone', count: 3, date: '2025-03-12', customer: null, clientId: itemId(1) }
+            ], actor);
+
+            expect(results.map(r => r.status)).toEqual(['accepted', 'accepted']);
+            expect(totalPoints).toBe(110);
+            expect(firestoreService.createActivityOnce).toHaveBeenCalledWith(itemId(0), expect.objectContaining({
+                activityType: 'meeting',
+                subtitle: 'siam cement',
+                accountId: 'ACC_SIAM'
+            }));
+            expect(firestoreService.createActivityOnce).toHaveBeenCalledWith(itemId(1), expect.objectContaining({ activityType: 'phone', count: 3 }));
+        });
+
+        it('should report a second confirmation as duplicates and reject invalid items', async () => {
+            firestoreService.createActivityOnce.mockClear();
+            firestoreService.getActivity
+                .mockResolvedValueOnce({ id: itemId(0), lineUserId: 'TEST_USER_001', points: 50 })
+                .mockResolvedValueOnce({ id: itemId(1), lineUserId: 'OTHER_USER', points: 20 });
+
+            const { results, totalPoints } = await app.get('activityLogger')('TEST_USER_001', [
+                { activityType: 'meeting', count: 1, date: '2025-03-12', clientId: itemId(0) },
+                { activityType: 'phone', count: 1, date: '2025-03-12', clientId: itemId(1) },
+                { activityType: 'golf', count: 1, date: '2025-03-12', clientId: itemId(2) }
+            ], actor);
+
+            expect(results.map(r => r.status)).toEqual(['duplicate', 'rejected', 'rejected']);
+            expect(results[1].errors[0].path).toBe('clientId');
+            expect(results[2].errors[0].path).toBe('activityType');
+            expect(totalPoints).toBe(0);
+            expect(firestoreService.createActivityOnce).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Chat Activity Removal', () => {
+        const firestoreService = require('../services/firestore.service');
+        const actor = { lineUserId: 'TEST_USER_001', source: 'line' };
+        const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+        const activity = (id, createdAt, lineUserId = 'TEST_USER_001') => ({
+            id, lineUserId, activityType: 'phone', count: 1, points: 20, date: '2025-03-12', teamId: 'TEAM_A', createdAt
+        });
+
+        beforeEach(() => {
+            firestoreService.deleteActivity.mockClear();
+            firestoreService.appendAuditEntry.mockClear();
+        });
+
+        it('should remove only the rep\'s own activity, with an audit entry', async () => {
+            firestoreService.getActivity.mockResolvedValueOnce(activity('ACT_OTHER', minutesAgo(1), 'OTHER_USER'));
+            expect(await app.get('activityRemover')('TEST_USER_001', 'ACT_OTHER', actor)).toEqual({ status: 'not_found' });
+            expect(firestoreService.deleteActivity).not.toHaveBeenCalled();
+
+            firestoreService.getActivity.mockResolvedValueOnce(activity('ACT_OWN', minutesAgo(60)));
+            const result = await app.get('activityRemover')('TEST_USER_001', 'ACT_OWN', actor);
+
+            expect(result).toMatchObject({ status: 'removed', activity: { id: 'ACT_OWN' } });
+            expect(firestoreService.deleteActivity).toHaveBeenCalledWith('ACT_OWN');
+            expect(firestoreService.appendAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+                entityType: 'activity',
+                entityId: 'ACT_OWN',
+                action: 'delete',
+                actor: expect.objectContaining({ lineUserId: 'TEST_USER_001', source: 'line' })
+            }));
+        });
+
+        it('should undo the last activity only within the undo window', async () => {
+            firestoreService.getActivitiesByDateRange.mockResolvedValueOnce([activity('ACT_OLD', minutesAgo(30)), activity('ACT_NEW', minutesAgo(2))]);
+            expect(await app.get('activityUndo')('TEST_USER_001', actor)).toMatchObject({ status: 'removed', activity: { id: 'ACT_NEW' } });
+            expect(firestoreService.deleteActivity).toHaveBeenCalledWith('ACT_NEW');
+
+            firestoreService.deleteActivity.mockClear();
+            firestoreService.getActivitiesByDateRange.mockResolvedValueOnce([activity('ACT_OLD', minutesAgo(30))]);
+            expect(await app.get('activityUndo')('TEST_USER_001', actor)).toMatchObject({ status: 'expired', windowMinutes: 15 });
+            expect(await app.get('activityUndo')('TEST_USER_001', actor)).toMatchObject({ status: 'none' });
+            expect(firestoreService.deleteActivity).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const request = require('supertest');
 const app = require('../server-secure');
+const activityTypeService = require('../services/activity-type.service');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const jwt = require('jsonwebtoken');
@@ -246,6 +247,49 @@ describe('Sales Tracker API Security Tests', () => {
         });
     });
 
+    describe('Scoring', () => {
+        it('should score activities from the catalog, not the client', async () => {
+            const res = await request(app)
+                .post('/api/activities')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'นัด',
+                    points: 999,
+                    quantity: 2,
+                    date: '2024-12-06'
+                })
+                .expect(201);
+
+            expect(res.body.activity).toMatchObject({ activityType: 'meeting', points: 100, count: 2 });
+        });
+    });
+
+    describe('Audit Log', () => {
+        it('should record one audit entry per achievement unlock', async () => {
+            const achievementId = `audit_test_${Date.now()}`;
+
+            for (let i = 0; i < 2; i++) {
+                await request(app)
+                    .post('/api/achievements')
+                    .set('Authorization', `Bearer ${authToken}`)
+                    .send({ lineUserId: 'TEST_USER_001', achievementId })
+                    .expect(200);
+            }
+
+            const rows = await new Promise((resolve, reject) => {
+                app.get('db').all(
+                    'SELECT * FROM audit_log WHERE entity_type = ? AND entity_id = ?',
+                    ['achievement', `TEST_USER_001:${achievementId}`],
+                    (err, result) => (err ? reject(err) : resolve(result))
+                );
+            });
+
+            expect(rows).toHaveLength(1);
+            expect(rows[0]).toMatchObject({ action: 'create', actor_id: 'TEST_USER_001' });
+        });
+    });
+
     describe('Rate Limiting', () => {
         it('should enforce rate limits on API endpoints', async () => {
             // This test would need to make many requests quickly
@@ -313,9 +357,26 @@ describe('Sales Tracker API Security Tests', () => {
                 .expect(404);
 
             expect(res.body).not.toHaveProperty('stack');
-            
+
             process.env.NODE_ENV = originalEnv;
         });
+
+        it('should answer 500 when listed activities cannot be mapped', async () => {
+            await request(app)
+                .post('/api/activities')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ lineUserId: 'TEST_USER_001', activityType: 'phone', date: '2024-12-06' })
+                .expect(201);
+            jest.spyOn(activityTypeService, 'resolveType').mockRejectedValueOnce(new Error('Catalog unavailable'));
+
+            const res = await request(app)
+                .get('/api/activities/TEST_USER_001')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(500);
+
+            expect(res.body).toEqual({ error: 'Failed to fetch activities' });
+            activityTypeService.resolveType.mockRestore();
+        });
     });
 
     describe('Date Validation', () => {
@@ -350,6 +411,21 @@ describe('Sales Tracker API Security Tests', () => {
 
             expect(res.body).toHaveProperty('errors');
         });
+
+        it('should date activities without a date by the business day of their timestamp', async () => {
+            const res = await request(app)
+                .post('/api/activities')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({
+                    lineUserId: 'TEST_USER_001',
+                    activityType: 'โทร',
+                    // 02:30 the next day in Asia/Bangkok
+                    timestamp: '2024-12-06T19:30:00Z'
+                })
+                .expect(201);
+
+            expect(res.body.activity.date).toBe('2024-12-07');
+        });
     });
 });
 
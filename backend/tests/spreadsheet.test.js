@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, readXlsx, excelSerialToDate, toCsv, writeXlsx } = require('../utils/spreadsheet');
+
+describe('Spreadsheet Files', () => {
+    it('should parse quoted CSV fields, escaped quotes and CRLF line ends', () => {
+        const csv = '\uFEFFRep,Notes,Qty\r\n"Somchai, K.","Said ""call back""",2\r\n\r\nAnna,"two\nlines",1';
+
+        expect(parseCsv(csv)).toEqual([
+            ['Rep', 'Notes', 'Qty'],
+            ['Somchai, K.', 'Said "call back"', '2'],
+            [],
+            ['Anna', 'two\nlines', '1']
+        ]);
+        expect(parseCsv('a;b\n', ';')).toEqual([['a', 'b']]);
+    });
+
+    it('should read the first worksheet of an XLSX workbook', () => {
+        const rows = readXlsx(fs.readFileSync(path.join(__dirname, 'fixtures/call-sheet.xlsx')));
+
+        expect(rows).toEqual([
+            ['Rep', 'Activity', 'Qty', 'Day', 'Notes'],
+            ['TEST_USER_001', 'โทร', '2', '45728', 'Called A & B'],
+            [],
+            ['TEST_USER_001', 'meeting', '', '2025-03-11']
+        ]);
+    });
+
+    it('should reject files that are not XLSX workbooks', () => {
+        expect(() => readXlsx(Buffer.from('Rep,Activity\n'))).toThrow('Not a zip archive');
+    });
+
+    it('should convert Excel date serials and leave other values alone', () => {
+        expect(excelSerialToDate('45728')).toBe('2025-03-12');
+        expect(excelSerialToDate(45728.75)).toBe('2025-03-12');
+        expect(excelSerialToDate('3')).toBeNull();
+        expect(excelSerialToDate('2025-03-12')).toBeNull();
+        expect(excelSerialToDate('')).toBeNull();
+    });
+
+    it('should write CSV that reads back, with formulas neutralised', () => {
+        const csv = toCsv([['Rep', 'Notes', 'Points'], ['Somchai, K.', '=HYPERLINK("x")', 40], ['Anna', null, -5]]);
+
+        expect(csv.startsWith('\uFEFF')).toBe(true);
+        expect(parseCsv(csv)).toEqual([
+            ['Rep', 'Notes', 'Points'],
+            ['Somchai, K.', "'=HYPERLINK(\"x\")", '40'],
+            ['Anna', '', '-5']
+        ]);
+    });
+
+    it('should write XLSX workbooks that read back', () => {
+        const rows = [['Rep', 'Points', 'Active'], ['สมชาย <A&B>', 40, true], [], ['Anna', 2.5, false]];
+
+        expect(readXlsx(writeXlsx(rows, 'Activities'))).toEqual([
+            ['Rep', 'Points', 'Active'],
+            ['สมชาย <A&B>', '40', 'TRUE'],
+            [],
+            ['Anna', '2.5', 'FALSE']
+        ]);
+    });
+});
@@ -0,0 +1,387 @@
+const MemoryAdapter = require('../storage/memory.adapter');
+const SqliteAdapter = require('../storage/sqlite.adapter');
+const { createStorage, getStorageType } = require('../storage');
+
+const CLIENT_ID = '7d3c1f0e-4a5b-4c6d-8e9f-0a1b2c3d4e5f';
+
+const activity = (overrides = {}) => ({
+  lineUserId: 'U1',
+  activityType: 'phone',
+  title: 'Phone Call',
+  points: 20,
+  basePoints: 20,
+  count: 1,
+  date: '2024-06-12',
+  dealId: null,
+  teamId: 'TEAM_A',
+  ...overrides
+});
+
+describe.each([
+  ['memory', () => new MemoryAdapter()],
+  ['sqlite', () => new SqliteAdapter({ filename: ':memory:' })]
+])('%s storage adapter', (name, create) => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = create();
+    await storage.createOrUpdateUser('U1', { displayName: 'Alice', pictureUrl: 'https://example.com/a.png', teamId: 'TEAM_A' });
+    await storage.createOrUpdateUser('U2', { displayName: 'Bob', teamId: 'TEAM_B' });
+  });
+
+  afterEach(async () => {
+    if (storage.close) {
+      await storage.close();
+    }
+  });
+
+  it('creates and updates users without dropping stored fields', async () => {
+    await storage.createOrUpdateUser('U1', { displayName: 'Alice B', pictureUrl: undefined });
+
+    const user = await storage.getUser('U1');
+    expect(user).toMatchObject({ id: 'U1', displayName: 'Alice B', pictureUrl: 'https://example.com/a.png', teamId: 'TEAM_A', settings: {} });
+    expect(await storage.getUser('missing')).toBeNull();
+    expect((await storage.getTeamUsers('TEAM_B')).map(u => u.id)).toEqual(['U2']);
+
+    await storage.updateUserSettings('U1', { timezone: 'Asia/Tokyo' });
+    expect((await storage.getUser('U1')).settings).toEqual({ timezone: 'Asia/Tokyo' });
+  });
+
+  it('stores activities with extra fields and keeps user totals', async () => {
+    const created = await storage.createActivity(activity({ dealId: 'D1', ruleVersion: 2 }));
+
+    expect(await storage.getActivity(created.id)).toMatchObject({
+      id: created.id, lineUserId: 'U1', points: 20, dealId: 'D1', ruleVersion: 2, teamId: 'TEAM_A'
+    });
+    expect(await storage.getUser('U1')).toMatchObject({ totalPoints: 20, totalActivities: 1 });
+
+    await storage.deleteActivity(created.id);
+    expect(await storage.getActivity(created.id)).toBeNull();
+  });
+
+  it('creates an activity once per client ID', async () => {
+    const first = await storage.createActivityOnce(CLIENT_ID, activity());
+    const retry = await storage.createActivityOnce(CLIENT_ID, activity({ points: 50 }));
+
+    expect(first).toMatchObject({ created: true, activity: { id: CLIENT_ID, clientId: CLIENT_ID } });
+    expect(retry).toMatchObject({ created: false, activity: { id: CLIENT_ID, points: 20 } });
+    expect(await storage.getUserActivities('U1')).toHaveLength(1);
+    expect((await storage.getActivity(CLIENT_ID)).clientId).toBe(CLIENT_ID);
+  });
+
+  it('finds activities by user, date and date range', async () => {
+    await storage.createActivity(activity({ date: '2024-06-10' }));
+    await storage.createActivity(activity({ date: '2024-06-12' }));
+    await storage.createActivity(activity({ lineUserId: 'U2', date: '2024-06-11', teamId: 'TEAM_B' }));
+
+    expect(await storage.getUserActivities('U1', '2024-06-12')).toHaveLength(1);
+    expect((await storage.getActivitiesByDateRange('U1', '2024-06-01', '2024-06-30')).map(a => a.date))
+      .toEqual(['2024-06-12', '2024-06-10']);
+    expect(await storage.getActivitiesByDateRange(null, '2024-06-11', '2024-06-12')).toHaveLength(2);
+  });
+
+  it('edits activities in place and restores soft-deleted ones', async () => {
+    const created = await storage.createActivity(activity());
+    const stored = await storage.getActivity(created.id);
+
+    const updated = await storage.updateActivity(created.id, { count: 3, points: 60, notes: 'Follow-ups' });
+    expect(updated).toMatchObject({ id: created.id, count: 3, points: 60, notes: 'Follow-ups', createdAt: stored.createdAt });
+    expect(await storage.getActivity(created.id)).toMatchObject({ count: 3, points: 60, notes: 'Follow-ups' });
+    expect(await storage.getUser('U1')).toMatchObject({ totalPoints: 60 });
+    expect(await storage.updateActivity('missing', { points: 1 })).toBeNull();
+
+    await storage.deleteActivity(created.id);
+    expect(await storage.getActivity(created.id)).toBeNull();
+    expect(await storage.getUserActivities('U1')).toHaveLength(0);
+    expect(await storage.getUser('U1')).toMatchObject({ totalPoints: 0, totalActivities: 0 });
+    expect((await storage.getDeletedActivity(created.id)).deletedAt).toBeTruthy();
+
+    const restored = await storage.restoreActivity(created.id);
+    expect(restored).toMatchObject({ id: created.id, points: 60, createdAt: stored.createdAt });
+    expect(restored.deletedAt).toBeUndefined();
+    expect((await storage.getLeaderboard('daily', '2024-06-12')).entries.map(e => e.points)).toEqual([60]);
+    expect(await storage.restoreActivity(created.id)).toBeNull();
+  });
+
+  it('reports a retried sync of a deleted activity as stored', async () => {
+    await storage.createActivityOnce(CLIENT_ID, activity());
+    await storage.deleteActivity(CLIENT_ID);
+
+    const retry = await storage.createActivityOnce(CLIENT_ID, activity());
+    expect(retry.created).toBe(false);
+    expect(retry.activity.deletedAt).toBeTruthy();
+    expect(await storage.getActivity(CLIENT_ID)).toBeNull();
+  });
+
+  it('registers groups and toggles their notifications', async () => {
+    await storage.registerGroup('G1', 'Sales', 'U1', 'TEAM_A');
+    await storage.registerGroup('G2', null, 'U1');
+
+    expect(await storage.getGroup('G1')).toMatchObject({ id: 'G1', groupName: 'Sales', teamId: 'TEAM_A', notificationsEnabled: true });
+    expect((await storage.getTeamGroups(null)).map(g => g.id)).toEqual(['G2']);
+    expect(await storage.toggleGroupNotifications('G1')).toBe(false);
+    expect(await storage.toggleGroupNotifications('G1')).toBe(true);
+    expect(await storage.toggleGroupNotifications('missing')).toBe(false);
+    expect(await storage.getAllGroups()).toHaveLength(2);
+
+    expect(await storage.updateGroupSettings('G1', { recaps: ['weekly'] })).toBe(true);
+    expect(await storage.updateGroupSettings('missing', { recaps: [] })).toBe(false);
+    expect((await storage.getGroup('G1')).settings).toEqual({ recaps: ['weekly'] });
+  });
+
+  it('keeps settings and team when a group registers again', async () => {
+    await storage.registerGroup('G1', 'Sales', 'U1', 'TEAM_A');
+    await storage.updateGroupSettings('G1', { recaps: ['weekly'], language: 'th' });
+    const { createdAt } = await storage.getGroup('G1');
+
+    await storage.registerGroup('G1', null, 'U2');
+    expect(await storage.getGroup('G1')).toMatchObject({
+      groupName: 'Sales',
+      registeredBy: 'U2',
+      teamId: 'TEAM_A',
+      createdAt,
+      settings: { recaps: ['weekly'], language: 'th' }
+    });
+
+    await storage.registerGroup('G1', null, 'U2', 'TEAM_B');
+    expect((await storage.getGroup('G1')).teamId).toBe('TEAM_B');
+  });
+
+  it('unlocks achievements once and keeps streaks', async () => {
+    expect(await storage.unlockAchievement('U1', 'first_call')).toEqual({ newUnlock: true });
+    expect(await storage.unlockAchievement('U1', 'first_call')).toEqual({ newUnlock: false });
+    expect((await storage.getUserAchievements('U1')).map(a => a.achievement_id)).toEqual(['first_call']);
+
+    expect(await storage.getUserStreak('U1')).toEqual({ current_streak: 0, longest_streak: 0, last_activity_date: null });
+    await storage.updateUserStreak('U1', { currentStreak: 3, longestStreak: 5, lastActivityDate: '2024-06-12' });
+    expect(await storage.getUserStreak('U1')).toEqual({ current_streak: 3, longest_streak: 5, last_activity_date: '2024-06-12' });
+  });
+
+  it('derives leaderboards and team stats from stored activities', async () => {
+    await storage.createActivity(activity({ points: 20, date: '2024-06-10' }));
+    await storage.createActivity(activity({ points: 50, date: '2024-06-12' }));
+    await storage.createActivity(activity({ lineUserId: 'U2', points: 100, date: '2024-06-12', teamId: 'TEAM_B' }));
+
+    const weekly = await storage.getLeaderboard('weekly', '2024-06-12');
+    expect(weekly).toMatchObject({ period: 'weekly', startDate: '2024-06-10', endDate: '2024-06-16', totalParticipants: 2 });
+    expect(weekly.entries.map(e => [e.userId, e.points, e.rank])).toEqual([['U2', 100, 1], ['U1', 70, 2]]);
+
+    const range = await storage.getLeaderboardForRange('2024-06-11', '2024-06-12');
+    expect(range).toMatchObject({ period: 'custom', startDate: '2024-06-11', endDate: '2024-06-12' });
+    expect(range.entries.map(e => [e.userId, e.points])).toEqual([['U2', 100], ['U1', 50]]);
+
+    const teamBoard = await storage.getLeaderboard('daily', '2024-06-12', { teamId: 'TEAM_A' });
+    expect(teamBoard.entries).toEqual([
+      expect.objectContaining({ userId: 'U1', displayName: 'Alice', points: 50, activities: 1, rank: 1 })
+    ]);
+
+    const stats = await storage.getTeamStats('TEAM_A', '2024-06-12');
+    expect(stats).toMatchObject({ teamId: 'TEAM_A', totalUsers: 1, totalPoints: 70, todayPoints: 50, todayActivities: 1 });
+    expect(stats.topPerformers).toEqual([{ userId: 'U1', displayName: 'Alice', points: 70 }]);
+  });
+
+  it('ranks leaderboards by the requested mode', async () => {
+    await storage.createActivity(activity({ points: 40, count: 2 }));
+    await storage.createActivity(activity({ activityType: 'meeting', points: 50 }));
+    await storage.createActivity(activity({ lineUserId: 'U2', activityType: 'meeting', points: 100, count: 2, teamId: 'TEAM_B' }));
+    await storage.createActivity(activity({ lineUserId: 'U2', activityType: 'present', points: 30, teamId: 'TEAM_B' }));
+
+    const meetings = await storage.getLeaderboard('daily', '2024-06-12', { mode: 'meetings' });
+    expect(meetings.mode).toBe('meetings');
+    expect(meetings.entries.map(e => [e.userId, e.score, e.rank])).toEqual([['U2', 2, 1], ['U1', 1, 2]]);
+
+    const conversion = await storage.getLeaderboardForRange('2024-06-12', '2024-06-12', { mode: 'conversion' });
+    expect(conversion.entries.map(e => [e.userId, e.conversion, e.points])).toEqual([['U1', 0.5, 90], ['U2', 0, 130]]);
+  });
+
+  it('appends audit entries and finds them newest first', async () => {
+    const entry = (action, createdAt, overrides = {}) => ({
+      entityType: 'activity',
+      entityId: '42',
+      action,
+      actor: { lineUserId: 'U9', role: 'manager', source: 'api' },
+      lineUserId: 'U1',
+      teamId: 'TEAM_A',
+      before: null,
+      after: null,
+      createdAt,
+      ...overrides
+    });
+
+    await storage.appendAuditEntry(entry('create', '2024-06-12T09:00:00.000Z', { after: { points: 20 } }));
+    await storage.appendAuditEntry(entry('delete', '2024-06-12T10:00:00.000Z', { before: { points: 20 } }));
+    await storage.appendAuditEntry(entry('update', '2024-06-13T09:00:00.000Z', { entityType: 'streak', entityId: 'U2', teamId: 'TEAM_B' }));
+
+    const activityLog = await storage.findAuditEntries({ entityType: 'activity', entityId: '42' });
+    expect(activityLog.map(e => e.action)).toEqual(['delete', 'create']);
+    expect(activityLog[0]).toMatchObject({ actor: { lineUserId: 'U9', role: 'manager', source: 'api' }, before: { points: 20 }, after: null });
+
+    expect(await storage.findAuditEntries({ actorId: 'U9', teamId: 'TEAM_B' })).toHaveLength(1);
+    expect((await storage.findAuditEntries({ from: '2024-06-12T09:30:00.000Z', to: '2024-06-12T23:59:59.999Z' })).map(e => e.action))
+      .toEqual(['delete']);
+    expect(await storage.findAuditEntries({ limit: 2 })).toHaveLength(2);
+  });
+
+  it('claims each scheduled job run once', async () => {
+    const claim = (owner, scheduledFor, now) => storage.claimJobRun('daily-leaderboard:TEAM_A', {
+      owner,
+      scheduledFor,
+      lockedUntil: new Date(Date.parse(now) + 10 * 60 * 1000).toISOString(),
+      now
+    });
+
+    expect(await storage.getJobState('daily-leaderboard:TEAM_A')).toBeNull();
+    expect(await claim('instance-1', '2024-06-12T11:00:00.000Z', '2024-06-12T11:00:05.000Z')).toBe(true);
+    // Another instance waking up for the same run, while it runs and after it finished
+    expect(await claim('instance-2', '2024-06-12T11:00:00.000Z', '2024-06-12T11:00:06.000Z')).toBe(false);
+    await storage.updateJobState('daily-leaderboard:TEAM_A', { lockedBy: null, lockedUntil: null, lastStatus: 'success', lastResult: { sent: 2 } });
+    expect(await claim('instance-2', '2024-06-12T11:00:00.000Z', '2024-06-12T11:01:00.000Z')).toBe(false);
+
+    expect(await storage.getJobState('daily-leaderboard:TEAM_A')).toMatchObject({
+      key: 'daily-leaderboard:TEAM_A',
+      lockedBy: null,
+      lastScheduledFor: '2024-06-12T11:00:00.000Z',
+      lastStatus: 'success',
+      lastResult: { sent: 2 }
+    });
+
+    // The next run locks out later ones until it finishes or its lock expires
+    expect(await claim('instance-2', '2024-06-13T11:00:00.000Z', '2024-06-13T11:00:01.000Z')).toBe(true);
+    expect(await claim('instance-1', '2024-06-13T11:05:00.000Z', '2024-06-13T11:05:00.000Z')).toBe(false);
+    expect(await claim('instance-1', '2024-06-13T12:00:00.000Z', '2024-06-13T12:00:00.000Z')).toBe(true);
+
+    await storage.updateJobState('cleanup', { paused: true });
+    expect((await storage.listJobStates()).map(state => state.key).sort()).toEqual(['cleanup', 'daily-leaderboard:TEAM_A']);
+  });
+
+  it('holds notifications for digests until they are sent', async () => {
+    const entry = (groupId, createdAt) => ({
+      groupId,
+      teamId: 'TEAM_A',
+      lineUserId: 'U1',
+      displayName: 'Alice',
+      activities: [{ title: 'Phone Call', points: 20 }],
+      totalPoints: 20,
+      createdAt
+    });
+
+    const later = await storage.appendDigestEntry(entry('G1', '2024-06-12T11:05:00.000Z'));
+    const earlier = await storage.appendDigestEntry(entry('G1', '2024-06-12T11:00:00.000Z'));
+    await storage.appendDigestEntry(entry('G2', '2024-06-12T11:02:00.000Z'));
+
+    expect((await storage.listDigestEntries('G1')).map(held => held.id)).toEqual([earlier.id, later.id]);
+    expect(await storage.listDigestEntries('G1')).toEqual([expect.objectContaining(entry('G1', '2024-06-12T11:00:00.000Z')), expect.anything()]);
+    expect(await storage.listDigestEntries()).toHaveLength(3);
+
+    expect(await storage.deleteDigestEntries([earlier.id, later.id])).toBe(2);
+    expect((await storage.listDigestEntries()).map(held => held.groupId)).toEqual(['G2']);
+  });
+
+  it('stores outbox messages once and prunes delivered ones', async () => {
+    const message = (id, status, createdAt) => ({
+      id,
+      to: 'G1',
+      type: 'activity',
+      message: { type: 'text', text: 'Hi' },
+      status,
+      attempts: 0,
+      createdAt,
+      updatedAt: createdAt
+    });
+
+    expect(await storage.createOutboxMessageOnce(message('M1', 'pending', '2024-06-12T11:00:00.000Z'))).toMatchObject({ created: true });
+    const again = await storage.createOutboxMessageOnce(message('M1', 'sent', '2024-06-12T11:10:00.000Z'));
+    expect(again).toEqual({ created: false, message: message('M1', 'pending', '2024-06-12T11:00:00.000Z') });
+    await storage.createOutboxMessageOnce(message('M2', 'sent', '2024-06-12T11:05:00.000Z'));
+    await storage.createOutboxMessageOnce(message('M3', 'failed', '2024-06-01T09:00:00.000Z'));
+
+    expect(await storage.updateOutboxMessage('M1', { attempts: 1, lastError: 'LINE API Error: 500' }))
+      .toMatchObject({ id: 'M1', status: 'pending', attempts: 1, lastError: 'LINE API Error: 500' });
+    expect(await storage.updateOutboxMessage('MISSING', { attempts: 1 })).toBeNull();
+    expect((await storage.findOutboxMessages()).map(stored => stored.id)).toEqual(['M2', 'M1', 'M3']);
+    expect((await storage.findOutboxMessages({ status: 'pending' })).map(stored => stored.id)).toEqual(['M1']);
+
+    await storage.updateOutboxMessage('M1', { updatedAt: '2024-06-01T09:00:00.000Z' });
+    expect(await storage.deleteOutboxMessages('2024-06-10T00:00:00.000Z')).toBe(1);
+    expect(await storage.getOutboxMessage('M3')).toBeNull();
+    expect(await storage.getOutboxMessage('M1')).toMatchObject({ status: 'pending' });
+  });
+
+  it('finds outbox messages that are due, due first', async () => {
+    const message = (id, status, nextAttemptAt) => ({
+      id,
+      to: 'G1',
+      type: 'activity',
+      status,
+      attempts: 1,
+      nextAttemptAt,
+      createdAt: '2024-06-12T11:00:00.000Z',
+      updatedAt: '2024-06-12T11:00:00.000Z'
+    });
+    await storage.createOutboxMessageOnce(message('LATER', 'pending', '2024-06-12T11:09:00.000Z'));
+    await storage.createOutboxMessageOnce(message('SOONER', 'pending', '2024-06-12T11:01:00.000Z'));
+    await storage.createOutboxMessageOnce(message('NOT_YET', 'pending', '2024-06-12T12:00:00.000Z'));
+    await storage.createOutboxMessageOnce(message('SENT', 'sent', null));
+
+    const due = (criteria) => storage.findOutboxMessages({ status: 'pending', dueBefore: '2024-06-12T11:30:00.000Z', ...criteria });
+    expect((await due()).map(stored => stored.id)).toEqual(['SOONER', 'LATER']);
+    expect((await due({ limit: 1 })).map(stored => stored.id)).toEqual(['SOONER']);
+
+    await storage.updateOutboxMessage('SOONER', { status: 'sent', nextAttemptAt: null, updatedAt: '2024-06-12T11:02:00.000Z' });
+    await storage.updateOutboxMessage('NOT_YET', { nextAttemptAt: '2024-06-12T11:05:00.000Z', updatedAt: '2024-06-12T11:02:00.000Z' });
+    expect((await due()).map(stored => stored.id)).toEqual(['NOT_YET', 'LATER']);
+  });
+});
+
+describe('SQLite audit log', () => {
+  it('rejects updates and deletes of recorded entries', async () => {
+    const storage = new SqliteAdapter({ filename: ':memory:' });
+    await storage.appendAuditEntry({ entityType: 'group', entityId: 'G1', action: 'create', actor: {}, createdAt: new Date().toISOString() });
+
+    await expect(storage.run('UPDATE audit_log SET action = ?', ['delete'])).rejects.toThrow('append-only');
+    await expect(storage.run('DELETE FROM audit_log')).rejects.toThrow('append-only');
+    expect(await storage.findAuditEntries({})).toHaveLength(1);
+
+    await storage.close();
+  });
+});
+
+describe('Storage selection', () => {
+  const original = process.env.STORAGE_ADAPTER;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.STORAGE_ADAPTER;
+    } else {
+      process.env.STORAGE_ADAPTER = original;
+    }
+  });
+
+  it('defaults to Firestore and rejects unknown adapters', () => {
+    delete process.env.STORAGE_ADAPTER;
+    expect(getStorageType()).toBe('firestore');
+
+    process.env.STORAGE_ADAPTER = 'Memory';
+    expect(getStorageType()).toBe('memory');
+    expect(createStorage()).toBeInstanceOf(MemoryAdapter);
+
+    process.env.STORAGE_ADAPTER = 'postgres';
+    expect(() => getStorageType()).toThrow('Unknown STORAGE_ADAPTER');
+  });
+
+  it('loads the team and point rule services without opening Firebase', () => {
+    process.env.STORAGE_ADAPTER = 'sqlite';
+
+    jest.isolateModules(() => {
+      const admin = require('firebase-admin');
+      const firestore = jest.spyOn(admin, 'firestore');
+
+      require('../services/team.service');
+      require('../services/point-rule.service');
+
+      expect(firestore).not.toHaveBeenCalled();
+      expect(admin.apps).toHaveLength(0);
+      firestore.mockRestore();
+    });
+  });
+});
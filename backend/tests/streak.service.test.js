@@ -0,0 +1,31 @@
+jest.mock('../storage', () => ({ getStorage: jest.fn() }));
+
+const streakService = require('../services/streak.service');
+
+describe('Streak Calculation', () => {
+    it('should count the run of consecutive days ending on the last activity', () => {
+        expect(streakService.calculate(['2025-03-12', '2025-03-10', '2025-03-11', '2025-03-11', '2025-03-07']))
+            .toEqual({ currentStreak: 3, longestStreak: 3, lastActivityDate: '2025-03-12' });
+    });
+
+    it('should keep the longest run when the latest one is shorter', () => {
+        expect(streakService.calculate(['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02', '2025-03-05']))
+            .toEqual({ currentStreak: 1, longestStreak: 4, lastActivityDate: '2025-03-05' });
+    });
+
+    it('should ignore invalid dates and handle no activity', () => {
+        expect(streakService.calculate(['2025-03-12T00:00:00.000Z', 'tomorrow', null]))
+            .toEqual({ currentStreak: 1, longestStreak: 1, lastActivityDate: '2025-03-12' });
+        expect(streakService.calculate([])).toEqual({ currentStreak: 0, longestStreak: 0, lastActivityDate: null });
+    });
+
+    it('should report a stored streak as broken once a day was missed', () => {
+        const now = new Date('2025-03-12T05:00:00Z'); // 12:00 on 2025-03-12 in Bangkok
+        const stored = (lastActivityDate) => ({ current_streak: 4, longest_streak: 6, last_activity_date: lastActivityDate });
+
+        expect(streakService.getCurrentStreak(stored('2025-03-12'), 'Asia/Bangkok', now)).toBe(4);
+        expect(streakService.getCurrentStreak(stored('2025-03-11'), 'Asia/Bangkok', now)).toBe(4);
+        expect(streakService.getCurrentStreak(stored('2025-03-10'), 'Asia/Bangkok', now)).toBe(0);
+        expect(streakService.getCurrentStreak(null, 'Asia/Bangkok', now)).toBe(0);
+    });
+});
@@ -0,0 +1,72 @@
+// Mock Firebase Admin and the activity queries the target service relies on
+jest.mock('firebase-admin', () => ({
+    firestore: () => ({ collection: jest.fn() })
+}));
+
+jest.mock('../services/firestore.service', () => ({
+    getPeriodRange: jest.fn(),
+    getActivitiesByDateRange: jest.fn()
+}));
+
+const firestoreService = require('../services/firestore.service');
+const targetService = require('../services/target.service');
+
+describe('Target Progress', () => {
+    beforeEach(() => {
+        // A 10-day period keeps the pace arithmetic readable
+        firestoreService.getPeriodRange.mockReturnValue({ startDate: '2025-03-01', endDate: '2025-03-10' });
+    });
+
+    it('should count quantity of the target activity type for a rep', async () => {
+        firestoreService.getActivitiesByDateRange.mockResolvedValueOnce([
+            { activityType: 'phone', count: 3, points: 60 },
+            { activityType: 'phone', count: 2, points: 40 },
+            { activityType: 'meeting', count: 1, points: 50 }
+        ]);
+
+        const progress = await targetService.getProgress(
+            { id: 'T1', scope: 'user', ownerId: 'REP_A', period: 'weekly', metric: 'phone', targetValue: 20 },
+            '2025-03-05'
+        );
+
+        expect(firestoreService.getActivitiesByDateRange).toHaveBeenCalledWith('REP_A', '2025-03-01', '2025-03-10');
+        expect(progress).toMatchObject({
+            actual: 5,
+            remaining: 15,
+            elapsedDays: 5,
+            totalDays: 10,
+            expected: 10,
+            pace: 0.5,
+            projected: 10,
+            projectedAttainment: 50,
+            status: 'behind'
+        });
+    });
+
+    it('should sum points of the team members only', async () => {
+        firestoreService.getActivitiesByDateRange.mockResolvedValueOnce([
+            { teamId: 'TEAM_A', points: 300 },
+            { teamId: 'TEAM_B', points: 900 },
+            { teamId: 'TEAM_A', points: 200 }
+        ]);
+
+        const progress = await targetService.getProgress(
+            { id: 'T2', scope: 'team', ownerId: 'TEAM_A', period: 'monthly', metric: 'points', targetValue: 1000 },
+            '2025-03-04'
+        );
+
+        expect(progress).toMatchObject({ actual: 500, pace: 1.25, projected: 1250, status: 'ahead' });
+    });
+
+    it('should mark targets reached before the period ends as achieved', async () => {
+        firestoreService.getActivitiesByDateRange.mockResolvedValueOnce([{ points: 120 }]);
+
+        const progress = await targetService.getProgress(
+            { id: 'T3', scope: 'user', ownerId: 'REP_A', period: 'weekly', metric: 'points', targetValue: 100 },
+            '2025-03-02'
+        );
+
+        expect(progress.status).toBe('achieved');
+        expect(progress.remaining).toBe(0);
+    });
+});
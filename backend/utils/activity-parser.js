@@ -0,0 +1,222 @@
+/**
+ * Activity parser
+ * Turns what a rep types to the LINE bot, in English or Thai, into activities:
+ * "3 calls, 1 meeting with Siam Cement, 2 quotes" or
+ * "โทร 3 สาย ประชุมกับปูนซิเมนต์ไทย 1 ครั้ง". Plain pattern matching on
+ * activity words, quantities and customer names; no outside service.
+ */
+
+// Words for the built-in activity types besides their catalog names.
+// Latin words also match with an s/es/d/ed/ing ending ("calls", "emailed").
+const SYNONYMS = {
+    phone: ['call', 'phone', 'rang', 'dial', 'cold call', 'โทร', 'โทรศัพท์'],
+    meeting: ['meeting', 'meet', 'met', 'visit', 'appointment', 'ประชุม', 'นัดพบ', 'พบลูกค้า', 'เข้าพบ', 'เยี่ยมลูกค้า', 'นัดลูกค้า'],
+    quote: ['quote', 'quotation', 'proposal', 'ใบเสนอราคา', 'เสนอราคา', 'ส่งราคา'],
+    collab: ['collaboration', 'collab', 'coordination', 'ประสานงาน'],
+    present: ['presentation', 'present', 'demo', 'pitch', 'นำเสนอ', 'พรีเซนต์', 'พรีเซน', 'เดโม'],
+    training: ['training', 'workshop', 'อบรม', 'ฝึกอบรม', 'เทรนนิ่ง'],
+    contract: ['contract', 'closed deal', 'signed', 'ปิดสัญญา', 'เซ็นสัญญา', 'ปิดการขาย', 'ปิดดีล'],
+    email: ['email', 'e-mail', 'อีเมล', 'อีเมล์', 'เมล'],
+    other: ['follow up', 'follow-up', 'followup', 'ติดตามลูกค้า', 'ติดตามงาน']
+};
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, once: 1, twice: 2, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    'หนึ่ง': 1, 'สอง': 2, 'สาม': 3, 'สี่': 4, 'ห้า': 5, 'หก': 6, 'เจ็ด': 7, 'แปด': 8, 'เก้า': 9, 'สิบ': 10
+};
+
+// Counting words after a quantity: "3 times", "โทร 3 สาย", "ประชุม 2 ครั้ง"
+const COUNTERS = ['times', 'time', 'x', 'ครั้ง', 'สาย', 'ราย', 'ใบ', 'ฉบับ', 'งาน', 'เคส', 'คน', 'นัด', 'รอบ', 'ที่'];
+
+// Words that introduce the customer, and generic words dropped before a name
+const CUSTOMER_MARKERS = /^\s*(?:(?:with|to|for|at)\s+|@\s*|(?:กับ|ที่|ให้|หา)\s*)(.+)$/i;
+const CUSTOMER_PREFIX = /^(?:(?:(?:a|an|the)\s+)?(?:customer|client)s?(?:\s+|$)|ลูกค้า\s*)/i;
+// Times of day are no customer: "at 10am", "at 14:30", "เวลา 14.00 น.", "ตอน 3 โมง"
+const TIME_OF_DAY = /(?:^|\s+)(?:(?:at|@)\s*|เวลา\s*|ตอน\s*)?\d{1,2}(?:[:.]\d{2}\s*(?:[ap]\.?m\.?|น\.|นาฬิกา)?|\s*(?:[ap]\.?m\.?|น\.|นาฬิกา|โมง))(?![a-z0-9])/gi;
+// A bare number after at/@/on is an hour or a day, not a quantity: "at 10", "on 15th"
+const HOUR_OR_DAY = /(?:^|\s+)(?:at|@|on)\s*\d{1,2}(?:st|nd|rd|th)?(?![a-z0-9:.])/gi;
+
+// Separators between activities: punctuation, new lines, "and", "และ", "แล้วก็"
+const SEPARATORS = /[,;\n、]+|\s+(?:and|&|\+)\s+|\s*(?:และ|แล้วก็)\s*/i;
+
+const MAX_QUANTITY = 99;
+const MAX_CUSTOMER_LENGTH = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isLatin = (word) => /^[a-z]/i.test(word);
+
+const NUMBER = `\\d+|${Object.keys(NUMBER_WORDS).map(escapeRegExp).join('|')}`;
+const COUNTER = COUNTERS.map(escapeRegExp).join('|');
+// A Latin number word or counter must not run into the next letter ("at", "another")
+const QUANTITY_AFTER = new RegExp(`^\\s*(?:[x×]\\s*)?(${NUMBER})(?![a-z])\\s*(?:(?:${COUNTER})(?![a-z]))?`, 'i');
+const QUANTITY_BEFORE = new RegExp(`(?:^|[^a-z0-9])(${NUMBER})\\s*(?:[x×]\\s*)?$`, 'i');
+// A number at the end of the text only counts with a counter ("ABC 2 ครั้ง"), an
+// x before it ("Acme x2") or as once/twice; "meeting room 5" is no quantity
+const TRAILING_QUANTITY = new RegExp(
+    `^(.*?)\\s+(?:[x×]\\s*(${NUMBER})|(${NUMBER})\\s*(?:${COUNTER})(?![a-z])|(once|twice))$`,
+    'i'
+);
+
+// Thai digits (๐-๙) read as Arabic ones
+function normalizeDigits(text) {
+    return text.replace(/[๐-๙]/g, digit => String(digit.charCodeAt(0) - 0x0E50));
+}
+
+function toQuantity(word) {
+    const key = word.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(NUMBER_WORDS, key) ? NUMBER_WORDS[key] : parseInt(word, 10);
+}
+
+/**
+ * Matchers of a catalog's activity words, longest first so "ใบเสนอราคา"
+ * wins over a shorter word inside it
+ * @param {Array} catalog - Active activity types ({ id, names, aliases })
+ */
+function buildMatchers(catalog) {
+    const words = [];
+    catalog.forEach(type => {
+        // Types added by an admin are known by their names and aliases only;
+        // the built-in types' aliases are legacy codes ("ส่ง"), not words reps type
+        const extra = SYNONYMS[type.id] || (type.aliases || []).filter(alias => !alias.includes('_'));
+        [...Object.values(type.names || {}), ...extra].forEach(word => {
+            words.push({ typeId: type.id, word: word.toLowerCase() });
+        });
+    });
+
+    return words
+        .sort((a, b) => b.word.length - a.word.length)
+        .map(({ typeId, word }) => ({
+            typeId,
+            pattern: isLatin(word)
+                ? new RegExp(`(?<![a-z])${escapeRegExp(word).replace(/\s+/g, '\\s+')}(?:s|es|d|ed|ing)?(?![a-z])`, 'gi')
+                : new RegExp(escapeRegExp(word), 'g')
+        }));
+}
+
+// Activity words in a segment, in order, none overlapping
+function findMatches(segment, matchers) {
+    const matches = [];
+    matchers.forEach(({ typeId, pattern }) => {
+        pattern.lastIndex = 0;
+        let found;
+        while ((found = pattern.exec(segment)) !== null) {
+            const start = found.index;
+            const end = start + found[0].length;
+            if (!matches.some(match => start < match.end && end > match.start)) {
+                matches.push({ typeId, start, end });
+            }
+        }
+    });
+    return matches.sort((a, b) => a.start - b.start);
+}
+
+// Customer name in the text after an activity ("with Siam Cement"), and a
+// quantity at its end ("the client twice")
+function readCustomer(text) {
+    let rest = text.replace(TIME_OF_DAY, ' ').replace(HOUR_OR_DAY, ' ').trim();
+    let quantity = null;
+    const trailing = TRAILING_QUANTITY.exec(` ${rest}`);
+    if (trailing) {
+        rest = trailing[1].trim();
+        quantity = toQuantity(trailing[2] || trailing[3] || trailing[4]);
+    }
+
+    const marked = CUSTOMER_MARKERS.exec(rest);
+    if (!marked) return { customer: null, quantity };
+
+    const name = marked[1].replace(CUSTOMER_PREFIX, '').trim().slice(0, MAX_CUSTOMER_LENGTH).trim();
+    return { customer: name || null, quantity };
+}
+
+// Words for one activity next to each other describe it once: "signed the
+// contract", "demo presentation", "closed deal and signed contract". They
+// merge unless the first names a customer or both give a quantity.
+function mergeRepeats(entries) {
+    return entries.reduce((merged, entry) => {
+        const last = merged[merged.length - 1];
+        const repeats = last && last.activityType === entry.activityType && !last.customer &&
+            !(last.counted && entry.counted) && entry.segment - last.segment <= 1;
+
+        if (repeats) {
+            merged[merged.length - 1] = {
+                ...entry,
+                quantity: last.counted ? last.quantity : entry.quantity,
+                counted: last.counted || entry.counted
+            };
+        } else {
+            merged.push(entry);
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * Parse a message into activities
+ * @param {string} text - What the rep typed
+ * @param {Array} catalog - Active activity types (ActivityTypeService.getCatalog)
+ * @returns {Object} { activities: [{ activityType, quantity, customer }],
+ *                     unmatched: [parts of the text that are no activity or have an invalid quantity] }
+ */
+function parseActivityText(text, catalog) {
+    const matchers = buildMatchers(catalog);
+    const entries = [];
+    const unmatched = [];
+
+    const segments = normalizeDigits(String(text || '')).split(SEPARATORS)
+        .map(part => (part || '').trim())
+        .filter(Boolean);
+
+    segments.forEach((segment, segmentIndex) => {
+        const matches = findMatches(segment, matchers);
+        if (matches.length === 0) {
+            unmatched.push(segment);
+            return;
+        }
+
+        // The quantity goes before the word ("3 calls") or after it ("โทร 3 สาย", "calls x3")
+        let consumed = 0;
+        matches.forEach((match, index) => {
+            const before = QUANTITY_BEFORE.exec(segment.slice(consumed, match.start));
+            const rest = segment.slice(match.end, index + 1 < matches.length ? matches[index + 1].start : segment.length);
+            const after = before ? null : QUANTITY_AFTER.exec(rest);
+            match.quantity = before ? toQuantity(before[1]) : after ? toQuantity(after[1]) : null;
+            match.restStart = match.end + (after ? after[0].length : 0);
+            consumed = match.restStart;
+        });
+
+        // What follows an activity, up to the next one (and its quantity), may name the customer
+        matches.forEach((match, index) => {
+            const next = matches[index + 1];
+            let restEnd = next ? next.start : segment.length;
+            if (next) {
+                const nextQuantity = QUANTITY_BEFORE.exec(segment.slice(match.restStart, next.start));
+                if (nextQuantity) restEnd = match.restStart + nextQuantity.index;
+            }
+
+            const { customer, quantity } = readCustomer(segment.slice(match.restStart, restEnd));
+            const count = match.quantity !== null ? match.quantity : quantity !== null ? quantity : 1;
+            if (!Number.isInteger(count) || count < 1 || count > MAX_QUANTITY) {
+                unmatched.push(segment);
+                return;
+            }
+
+            entries.push({
+                activityType: match.typeId,
+                quantity: count,
+                customer,
+                counted: match.quantity !== null || quantity !== null,
+                segment: segmentIndex
+            });
+        });
+    });
+
+    const activities = mergeRepeats(entries)
+        .map(({ activityType, quantity, customer }) => ({ activityType, quantity, customer }));
+    return { activities, unmatched };
+}
+
+module.exports = {
+    SYNONYMS,
+    MAX_QUANTITY,
+    parseActivityText
+};
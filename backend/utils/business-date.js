@@ -0,0 +1,214 @@
+/**
+ * Business Dates
+ * Activities, streaks and leaderboards are grouped by the calendar day of the
+ * team's timezone, not by UTC, so a call logged at 06:00 in Bangkok counts for
+ * that Bangkok day.
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Bangkok';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl formatters are expensive to build; keep one per timezone
+const formatters = new Map();
+const timeFormatters = new Map();
+
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Whether timezone is a valid IANA timezone name
+ * @param {string} timezone - e.g. 'Asia/Bangkok'
+ */
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether value is an existing calendar date written as YYYY-MM-DD
+ * @param {string} value - e.g. '2025-03-12'
+ */
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+
+    const d = new Date(`${value}T00:00:00Z`);
+    return !isNaN(d.getTime()) && d.toISOString().startsWith(value);
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) in a timezone at the given instant
+ * @param {string} timezone - IANA timezone (defaults to Asia/Bangkok)
+ * @param {Date} at - Instant to convert (defaults to now)
+ */
+function getBusinessDate(timezone = DEFAULT_TIMEZONE, at = new Date()) {
+    const parts = getFormatter(timezone).formatToParts(at);
+    const part = type => parts.find(p => p.type === type).value;
+
+    return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Time of day (HH:MM, 24-hour) in a timezone at the given instant
+ * @param {string} timezone - IANA timezone (defaults to Asia/Bangkok)
+ * @param {Date|string} at - Instant or ISO timestamp (defaults to now)
+ */
+function getBusinessTime(timezone = DEFAULT_TIMEZONE, at = new Date()) {
+    if (!timeFormatters.has(timezone)) {
+        timeFormatters.set(timezone, new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+
+    const parts = timeFormatters.get(timezone).formatToParts(at instanceof Date ? at : new Date(at));
+    const part = type => parts.find(p => p.type === type).value;
+
+    return `${part('hour')}:${part('minute')}`;
+}
+
+/**
+ * Business date of a client-supplied date or timestamp.
+ * Plain YYYY-MM-DD dates are already business dates and are kept as is;
+ * timestamps are converted to the calendar day of the timezone.
+ * @param {string|number|Date} value - Date, ISO timestamp or epoch millis
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} YYYY-MM-DD, or null if value is not a valid date
+ */
+function toBusinessDate(value, timezone = DEFAULT_TIMEZONE) {
+    if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+        return isNaN(Date.parse(value)) ? null : value;
+    }
+
+    const at = value instanceof Date ? value : new Date(value);
+    return isNaN(at.getTime()) ? null : getBusinessDate(timezone, at);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ */
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of months
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} months - Months to add (negative to go back)
+ */
+function addMonths(date, months) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + months);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * First and last date (YYYY-MM-DD) of the daily/weekly/monthly period
+ * containing date. Weeks start on Monday.
+ * @param {string} period - 'daily', 'weekly' or 'monthly'
+ * @param {string} date - YYYY-MM-DD business date
+ */
+function getPeriodRange(period, date) {
+    switch (period) {
+        case 'weekly': {
+            const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+            const startDate = addDays(date, day === 0 ? -6 : 1 - day);
+            return { startDate, endDate: addDays(startDate, 6) };
+        }
+        case 'monthly': {
+            const startDate = `${date.substring(0, 7)}-01`;
+            return { startDate, endDate: addDays(addMonths(startDate, 1), -1) };
+        }
+        default:
+            return { startDate: date, endDate: date };
+    }
+}
+
+/**
+ * ISO 8601 week of a date, e.g. '2025-W11'. Weeks start on Monday (as in
+ * getPeriodRange) and belong to the year of their Thursday.
+ * @param {string} date - YYYY-MM-DD business date
+ */
+function getIsoWeek(date) {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const thursday = addDays(date, 4 - (day === 0 ? 7 : day));
+    const year = thursday.substring(0, 4);
+    const week = Math.floor(daysBetween(`${year}-01-01`, thursday) / 7) + 1;
+
+    return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Number of days from startDate to endDate (0 for the same day)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+function daysBetween(startDate, endDate) {
+    return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * The period before a range, to compare against: the previous calendar
+ * day/week/month for those periods, otherwise the same number of days
+ * immediately before startDate.
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'custom'
+ * @param {string} startDate - YYYY-MM-DD first day of the range
+ * @param {string} endDate - YYYY-MM-DD last day of the range
+ */
+function getPreviousRange(period, startDate, endDate) {
+    if (['daily', 'weekly', 'monthly'].includes(period)) {
+        return getPeriodRange(period, addDays(startDate, -1));
+    }
+
+    const length = daysBetween(startDate, endDate) + 1;
+    return { startDate: addDays(startDate, -length), endDate: addDays(startDate, -1) };
+}
+
+/**
+ * The calendar period a range covers exactly: 'daily' for a single day,
+ * 'weekly' for a Monday-Sunday week, 'monthly' for a whole month, otherwise null.
+ * @param {string} startDate - YYYY-MM-DD first day of the range
+ * @param {string} endDate - YYYY-MM-DD last day of the range
+ */
+function getCalendarPeriod(startDate, endDate) {
+    return ['daily', 'weekly', 'monthly'].find(period => {
+        const range = getPeriodRange(period, startDate);
+        return range.startDate === startDate && range.endDate === endDate;
+    }) || null;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    isValidDate,
+    getBusinessDate,
+    getBusinessTime,
+    toBusinessDate,
+    addDays,
+    addMonths,
+    daysBetween,
+    getPeriodRange,
+    getIsoWeek,
+    getPreviousRange,
+    getCalendarPeriod
+};
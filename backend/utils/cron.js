@@ -0,0 +1,155 @@
+/**
+ * Cron expressions
+ * Standard five fields: minute hour day-of-month month day-of-week, each a
+ * `*`, a number, a range (`1-5`), a step (`*\/15`, `8-18/2`) or a comma list
+ * of those. Day-of-week runs 0-6 from Sunday (7 is Sunday too). As in cron,
+ * when both day fields are restricted a day matching either one runs.
+ * Times are wall-clock times of an IANA timezone: on a daylight saving change
+ * a skipped time does not run and a repeated time runs twice.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Search at most this far ahead for the next run (covers Feb 29 schedules)
+const MAX_SEARCH_DAYS = 366 * 4 + 1;
+
+const formatters = new Map();
+
+// Wall-clock minute, hour, day, month and weekday of an instant in a timezone
+function wallClock(at, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(timezone).formatToParts(at).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        dayOfMonth: Number(parts.day),
+        month: Number(parts.month),
+        dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+}
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${name} field "${text}"`);
+        }
+
+        const start = match[1] === '*' ? min : Number(match[2]);
+        const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+        const step = match[4] ? Number(match[4]) : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid ${name} field "${text}" (allowed ${min}-${max})`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. '0 18 * * 1-5'
+ * @returns {Object} Allowed values per field, plus which day fields are restricted
+ * @throws {Error} When the expression is not valid
+ */
+function parseCron(expression) {
+    const texts = String(expression || '').trim().split(/\s+/);
+    if (texts.length !== FIELDS.length) {
+        throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+    }
+
+    const schedule = {};
+    FIELDS.forEach((field, index) => {
+        schedule[field.name] = parseField(texts[index], field);
+    });
+    schedule.anyDayOfMonth = texts[2] === '*';
+    schedule.anyDayOfWeek = texts[4] === '*';
+
+    return schedule;
+}
+
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function dayMatches(schedule, time) {
+    const byMonth = schedule.dayOfMonth.has(time.dayOfMonth);
+    const byWeek = schedule.dayOfWeek.has(time.dayOfWeek);
+
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return byMonth && byWeek;
+    }
+    return byMonth || byWeek;
+}
+
+/**
+ * First time after `after` (to the minute) that a cron expression runs
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Exclusive start
+ * @param {string} timezone - IANA timezone the expression's times are in
+ * @returns {Date|null} Next run, null when there is none (e.g. '0 0 31 2 *')
+ */
+function nextRun(expression, after, timezone) {
+    const schedule = parseCron(expression);
+    const limit = after.getTime() + MAX_SEARCH_DAYS * 86400000;
+    let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+
+    // Skip ahead by the day or hour while those do not match
+    while (time <= limit) {
+        const clock = wallClock(new Date(time), timezone);
+
+        if (!schedule.month.has(clock.month) || !dayMatches(schedule, clock)) {
+            time += ((23 - clock.hour) * 60 + 60 - clock.minute) * 60000;
+        } else if (!schedule.hour.has(clock.hour)) {
+            time += (60 - clock.minute) * 60000;
+        } else if (!schedule.minute.has(clock.minute)) {
+            time += 60000;
+        } else {
+            return new Date(time);
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    wallClock,
+    parseCron,
+    isValidCron,
+    nextRun
+};
@@ -0,0 +1,18 @@
+/**
+ * HTML Escaping
+ * Text from clients is stored escaped, as it is shown in LIFF pages and Flex messages.
+ */
+
+function escapeHtml(unsafe) {
+    if (!unsafe) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+module.exports = {
+    escapeHtml
+};
@@ -0,0 +1,154 @@
+/**
+ * Bot Localization
+ * Messages the LINE bot sends come from the catalogs in locales/, in the
+ * language a user picked for their chat or a group picked for its team
+ * notifications. Numbers and dates are formatted for that language too.
+ */
+
+const en = require('../locales/en');
+const th = require('../locales/th');
+
+const CATALOGS = { en, th };
+const LANGUAGES = Object.keys(CATALOGS);
+
+// Intl locale used for each language's numbers and dates
+const LOCALES = { en: 'en-GB', th: 'th-TH' };
+
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.BOT_DEFAULT_LANGUAGE)
+    ? process.env.BOT_DEFAULT_LANGUAGE
+    : 'en';
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Intl formatters are expensive to build; keep one per language and options
+const formatters = new Map();
+
+function getFormatter(Format, language, options) {
+    const key = `${Format.name}:${language}:${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, new Format(LOCALES[language] || LOCALES[DEFAULT_LANGUAGE], options));
+    }
+    return formatters.get(key);
+}
+
+/**
+ * Whether value is a language the bot has messages for
+ * @param {*} value
+ */
+function isLanguage(value) {
+    return LANGUAGES.includes(value);
+}
+
+/**
+ * The first supported language among candidates, else the default
+ * @param {...*} candidates - e.g. a user's setting, then their LINE profile language
+ */
+function resolveLanguage(...candidates) {
+    const language = candidates.find(isLanguage);
+    return language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language a user picked with /lang or in the app
+ * @param {Object} [user]
+ */
+function userLanguage(user) {
+    return resolveLanguage(user && user.settings && user.settings.language);
+}
+
+/**
+ * Language a LINE group picked for its notifications
+ * @param {Object} [group]
+ */
+function groupLanguage(group) {
+    return resolveLanguage(group && group.settings && group.settings.language);
+}
+
+/**
+ * Format a number the way the language writes it, e.g. 12,345.5
+ * @param {number} value
+ * @param {string} language
+ * @param {Object} [options] - Intl.NumberFormat options
+ */
+function formatNumber(value, language, options = {}) {
+    return getFormatter(Intl.NumberFormat, resolveLanguage(language), options).format(value);
+}
+
+/**
+ * Format a business date (YYYY-MM-DD or Date) in the language, e.g.
+ * "12 Mar 2025" or "12 มี.ค. 2568". Business dates have no time of day, so
+ * they are formatted in UTC to keep the calendar day.
+ * @param {string|Date} date
+ * @param {string} language
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ */
+function formatDate(date, language, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+    const value = typeof date === 'string' ? new Date(`${date}T00:00:00Z`) : date;
+    return getFormatter(Intl.DateTimeFormat, resolveLanguage(language), { ...options, timeZone: 'UTC' }).format(value);
+}
+
+/**
+ * Translate a message key, falling back to English and then to the key itself.
+ * Numeric parameters are formatted for the language; a count parameter picks
+ * between the { one, other } forms of a plural message.
+ * @param {string} language
+ * @param {string} key - e.g. 'today.title'
+ * @param {Object} [params] - placeholder values
+ */
+function t(language, key, params = {}) {
+    const lang = resolveLanguage(language);
+    let message = CATALOGS[lang][key];
+    if (message === undefined) message = CATALOGS.en[key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        message = params.count === 1 ? message.one : message.other;
+    }
+
+    return message.replace(PLACEHOLDER, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'number' ? formatNumber(value, lang) : String(value);
+    });
+}
+
+/**
+ * Name of an activity type in the language
+ * @param {Object} type - catalog entry with names per language
+ * @param {string} language
+ */
+function typeName(type, language) {
+    if (!type) return t(language, 'common.unknown');
+    const names = type.names || {};
+    return names[resolveLanguage(language)] || names.en || type.id;
+}
+
+/**
+ * Memoize a message builder per language, for notifications sent to several
+ * groups that may each have their own language
+ * @param {Function} build - (language) => message
+ * @returns {Function} (language) => message
+ */
+function perLanguage(build) {
+    const messages = new Map();
+    return (language) => {
+        const lang = resolveLanguage(language);
+        if (!messages.has(lang)) messages.set(lang, build(lang));
+        return messages.get(lang);
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    LOCALES,
+    DEFAULT_LANGUAGE,
+    isLanguage,
+    resolveLanguage,
+    userLanguage,
+    groupLanguage,
+    formatNumber,
+    formatDate,
+    t,
+    typeName,
+    perLanguage
+};
@@ -0,0 +1,211 @@
+/**
+ * Leaderboard ranking modes
+ *
+ * Every adapter aggregates a user's activities in a range with addActivity and
+ * orders the resulting entries with rankEntries, so a mode ranks the same way
+ * on Firestore, SQLite and in memory. Firestore keeps the totals per user and
+ * calendar period as aggregate documents (removeActivity, mergeStats).
+ *
+ * - points: total points (the default and the only ranking before modes)
+ * - meetings: meetings booked
+ * - conversion: meetings per phone call (0 without calls)
+ * - contracts: contracts closed
+ * - composite: weighted mix of the above, each scaled to the leader's value
+ *
+ * Ties go to whoever reached their score first: the user whose last activity
+ * counting towards the mode was logged earliest, then by user ID.
+ */
+
+const RANKING_MODES = ['points', 'meetings', 'conversion', 'contracts', 'composite'];
+const DEFAULT_MODE = 'points';
+
+// Catalog activity types counted by the meetings, conversion and contracts modes
+const METRIC_TYPES = {
+    meetings: 'meeting',
+    calls: 'phone',
+    contracts: 'contract'
+};
+
+// Composite weights (sum to 1); the composite score runs from 0 to 100
+const COMPOSITE_WEIGHTS = {
+    points: 0.4,
+    meetings: 0.3,
+    conversion: 0.1,
+    contracts: 0.2
+};
+
+// Metrics whose activities move the score of each mode
+const MODE_METRICS = {
+    points: ['points'],
+    meetings: ['meetings'],
+    conversion: ['meetings', 'calls'],
+    contracts: ['contracts'],
+    composite: ['points', 'meetings', 'calls', 'contracts']
+};
+
+function isValidMode(mode) {
+    return RANKING_MODES.includes(mode);
+}
+
+/**
+ * Time an activity was logged in ms: its createdAt (Firestore Timestamp, ISO
+ * string or SQLite UTC timestamp), falling back to the start of its date
+ */
+function activityTime(activity) {
+    const { createdAt } = activity;
+
+    if (createdAt && typeof createdAt.toDate === 'function') {
+        return createdAt.toDate().getTime();
+    }
+    if (createdAt instanceof Date) {
+        return createdAt.getTime();
+    }
+    if (typeof createdAt === 'string') {
+        // SQLite CURRENT_TIMESTAMP is UTC without a zone designator
+        const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(createdAt)
+            ? `${createdAt.replace(' ', 'T')}Z`
+            : createdAt;
+        const time = Date.parse(iso);
+        if (!isNaN(time)) return time;
+    }
+
+    return Date.parse(`${activity.date}T00:00:00Z`) || 0;
+}
+
+// Running totals of one user; lastAt keeps when each metric last changed
+function createStats() {
+    return {
+        points: 0,
+        activities: 0,
+        meetings: 0,
+        calls: 0,
+        contracts: 0,
+        lastAt: {}
+    };
+}
+
+/**
+ * Add an activity to a user's running totals
+ * @param {Object} stats - Totals from createStats
+ * @param {Object} activity - Stored activity
+ */
+function addActivity(stats, activity) {
+    const time = activityTime(activity);
+    const count = activity.count || 1;
+    const touch = (metric) => {
+        stats.lastAt[metric] = Math.max(stats.lastAt[metric] || 0, time);
+    };
+
+    stats.activities++;
+    if (activity.points) {
+        stats.points += activity.points;
+        touch('points');
+    }
+
+    Object.entries(METRIC_TYPES).forEach(([metric, type]) => {
+        if (activity.activityType === type) {
+            stats[metric] += count;
+            touch(metric);
+        }
+    });
+
+    return stats;
+}
+
+/**
+ * Take an activity back out of a user's running totals. lastAt is kept:
+ * removing an activity does not move when the score was reached back.
+ * @param {Object} stats - Totals from createStats
+ * @param {Object} activity - Stored activity
+ */
+function removeActivity(stats, activity) {
+    const count = activity.count || 1;
+
+    stats.activities = Math.max(0, stats.activities - 1);
+    stats.points -= activity.points || 0;
+
+    Object.entries(METRIC_TYPES).forEach(([metric, type]) => {
+        if (activity.activityType === type) {
+            stats[metric] = Math.max(0, stats[metric] - count);
+        }
+    });
+
+    return stats;
+}
+
+/**
+ * Add another set of totals of the same user (e.g. one day of a range) to stats
+ * @param {Object} stats - Totals from createStats
+ * @param {Object} other - Totals to add
+ */
+function mergeStats(stats, other) {
+    ['points', 'activities', ...Object.keys(METRIC_TYPES)].forEach(field => {
+        stats[field] += other[field] || 0;
+    });
+
+    Object.entries(other.lastAt || {}).forEach(([metric, time]) => {
+        stats.lastAt[metric] = Math.max(stats.lastAt[metric] || 0, time);
+    });
+
+    return stats;
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Score entries (user details merged with createStats totals) for a mode,
+ * sort them and number their ranks. Entries keep their totals plus
+ * conversion, score and reachedAt; the internal lastAt is dropped.
+ * @param {Array} entries - Leaderboard entries with running totals
+ * @param {string} mode - One of RANKING_MODES
+ */
+function rankEntries(entries, mode = DEFAULT_MODE) {
+    const scored = entries.map(({ lastAt = {}, ...entry }) => {
+        const reached = Math.max(0, ...MODE_METRICS[mode].map(metric => lastAt[metric] || 0));
+
+        return {
+            ...entry,
+            conversion: entry.calls ? round(entry.meetings / entry.calls) : 0,
+            reachedAt: reached ? new Date(reached).toISOString() : null,
+            reachedTime: reached
+        };
+    });
+
+    const best = {};
+    Object.keys(COMPOSITE_WEIGHTS).forEach(metric => {
+        best[metric] = Math.max(0, ...scored.map(entry => entry[metric]));
+    });
+
+    scored.forEach(entry => {
+        if (mode === 'composite') {
+            const total = Object.entries(COMPOSITE_WEIGHTS).reduce((sum, [metric, weight]) => (
+                best[metric] > 0 ? sum + weight * (entry[metric] / best[metric]) : sum
+            ), 0);
+            entry.score = round(total * 100);
+        } else {
+            entry.score = entry[mode];
+        }
+    });
+
+    scored.sort((a, b) => (
+        b.score - a.score
+        || a.reachedTime - b.reachedTime
+        || (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0)
+    ));
+
+    return scored.map(({ reachedTime, ...entry }, index) => ({ ...entry, rank: index + 1 }));
+}
+
+module.exports = {
+    RANKING_MODES,
+    DEFAULT_MODE,
+    METRIC_TYPES,
+    COMPOSITE_WEIGHTS,
+    isValidMode,
+    activityTime,
+    createStats,
+    addActivity,
+    removeActivity,
+    mergeStats,
+    rankEntries
+};
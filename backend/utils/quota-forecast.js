@@ -0,0 +1,42 @@
+/**
+ * Quota forecast
+ * Projects the messages used by the end of the quota day from the rate so far,
+ * to tell ahead of time whether the day's quota will run out.
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Forecast a day's usage
+ * @param {Object} usage - { used, threshold (usage at which sending stops),
+ *                           dayStart, dayEnd, now (Dates), minMessages (fewer
+ *                           used than this is too little to tell a rate from) }
+ * @returns {Object} { ratePerHour, projectedUsage, minutesLeft, exhaustionPredicted,
+ *                     exhaustsAt (ISO time the threshold is reached at this rate, or null) }
+ */
+function forecastUsage({ used, threshold, dayStart, dayEnd, now = new Date(), minMessages = 0 }) {
+    // At least a minute in, so the first messages of the day do not divide by zero
+    const elapsedMinutes = Math.max(1, (now.getTime() - dayStart.getTime()) / MINUTE);
+    const minutesLeft = Math.max(0, (dayEnd.getTime() - now.getTime()) / MINUTE);
+    const perMinute = used / elapsedMinutes;
+    const projectedUsage = Math.round(used + perMinute * minutesLeft);
+
+    const exhaustionPredicted = used >= minMessages && projectedUsage >= threshold;
+    let exhaustsAt = null;
+    if (exhaustionPredicted) {
+        const minutesToThreshold = Math.max(0, threshold - used) / perMinute;
+        exhaustsAt = new Date(now.getTime() + minutesToThreshold * MINUTE).toISOString();
+    }
+
+    return {
+        ratePerHour: Math.round(perMinute * 60 * 10) / 10,
+        projectedUsage,
+        minutesLeft: Math.round(minutesLeft),
+        exhaustionPredicted,
+        exhaustsAt
+    };
+}
+
+module.exports = {
+    forecastUsage
+};
@@ -0,0 +1,377 @@
+/**
+ * Spreadsheet files
+ * Reads the CSV and XLSX call sheets teams import and writes the activity
+ * exports managers download. XLSX files are zip archives of XML parts; only
+ * what a sheet of plain values needs is read or written (one worksheet,
+ * shared and inline strings, numbers and booleans).
+ * Every reader returns rows as arrays of strings, row N of the sheet at
+ * index N - 1 (blank rows are kept as empty arrays).
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * @param {string} text - CSV content; a leading byte order mark is ignored
+ * @param {string} delimiter - Field separator
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text, delimiter = ',') {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row.length === 1 && row[0] === '' ? [] : row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Files of a zip archive by name, inflated on demand
+function readZip(buffer) {
+    // End of central directory record: within the last 64 KB (+ its 22 bytes)
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip archive');
+    }
+
+    const entries = new Map();
+    let offset = buffer.readUInt32LE(end + 16);
+    const count = buffer.readUInt16LE(end + 10);
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, { method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+
+        const start = entry.localOffset + 30
+            + buffer.readUInt16LE(entry.localOffset + 26)
+            + buffer.readUInt16LE(entry.localOffset + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data.toString('utf8');
+        if (entry.method === 8) return zlib.inflateRawSync(data).toString('utf8');
+        throw new Error(`Unsupported zip compression method ${entry.method}`);
+    };
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+}
+
+const attribute = (attrs, name) => {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attrs);
+    return match ? decodeXml(match[1]) : null;
+};
+
+// Text of every <t> element in an XML fragment (rich text keeps one per run)
+const textOf = (xml) => [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+// Zero-based column of a cell reference such as "AB12"
+function columnIndex(reference) {
+    const letters = /^[A-Z]+/.exec(reference)[0];
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Path of the workbook's first worksheet
+function firstSheetPath(read) {
+    const workbook = read('xl/workbook.xml');
+    const rels = read('xl/_rels/workbook.xml.rels');
+    const sheet = workbook && /<sheet\b([^>]*)\/?>/.exec(workbook);
+    const id = sheet && attribute(sheet[1], 'r:id');
+
+    if (id && rels) {
+        const relation = [...rels.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+            .find(match => attribute(match[1], 'Id') === id);
+        const target = relation && attribute(relation[1], 'Target');
+        if (target) {
+            return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - The .xlsx file
+ * @returns {Array<Array<string>>} Rows of cell values (numbers as written, booleans as TRUE/FALSE)
+ */
+function readXlsx(buffer) {
+    const read = readZip(buffer);
+    const sheet = read(firstSheetPath(read));
+    if (!sheet) {
+        throw new Error('Workbook has no worksheet');
+    }
+
+    const sharedXml = read('xl/sharedStrings.xml') || '';
+    const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]));
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = parseInt(attribute(rowMatch[1], 'r'), 10) || rows.length + 1;
+        const cells = [];
+
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attrs = cellMatch[1];
+            const content = cellMatch[2] || '';
+            const reference = attribute(attrs, 'r');
+            const type = attribute(attrs, 't');
+            const value = /<v>([\s\S]*?)<\/v>/.exec(content);
+
+            let text = value ? decodeXml(value[1]) : '';
+            if (type === 's') {
+                text = shared[parseInt(text, 10)] || '';
+            } else if (type === 'inlineStr') {
+                text = textOf(content);
+            } else if (type === 'b') {
+                text = text === '1' ? 'TRUE' : 'FALSE';
+            }
+
+            const index = reference ? columnIndex(reference) : cells.length;
+            while (cells.length < index) cells.push('');
+            cells[index] = text;
+        }
+
+        while (rows.length < rowNumber - 1) rows.push([]);
+        rows[rowNumber - 1] = cells;
+    }
+
+    return rows;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an Excel date serial number, null for other values.
+ * Sheets store dates as days since 1899-12-30 unless the cell is text.
+ * @param {string|number} value - Cell value
+ */
+function excelSerialToDate(value) {
+    const serial = Number(value);
+    // 1954-10-03 to 2119-01-12: a plain number outside this is not a date
+    if (String(value).trim() === '' || !Number.isFinite(serial) || serial < 20000 || serial > 80000) {
+        return null;
+    }
+
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000).toISOString().split('T')[0];
+}
+
+// Text a spreadsheet app would run as a formula when opening a CSV file
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Write rows as CSV text (RFC 4180, CRLF line ends). A byte order mark lets
+ * Excel detect UTF-8 (Thai names and notes); text cells that would start a
+ * formula are prefixed with an apostrophe.
+ * @param {Array<Array<string|number|boolean|null>>} rows - Rows of cells
+ * @returns {string} CSV content
+ */
+function toCsv(rows) {
+    const lines = rows.map(cells => cells.map(cell => {
+        if (cell === null || cell === undefined) return '';
+        if (typeof cell !== 'string') return String(cell);
+
+        const text = FORMULA_START.test(cell) ? `'${cell}` : cell;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','));
+
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Zip archive of the given files ({ name: content }), deflated
+function writeZip(files) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+
+        // Shared by the local header (from offset 4) and the central directory entry (from offset 6)
+        const header = Buffer.alloc(26);
+        header.writeUInt16LE(20, 0); // version needed: 2.0
+        header.writeUInt16LE(0x0800, 2); // UTF-8 names
+        header.writeUInt16LE(8, 4); // deflate
+        header.writeUInt32LE(0x00210000, 6); // 1980-01-01 00:00
+        header.writeUInt32LE(crc32(data), 10);
+        header.writeUInt32LE(compressed.length, 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt16LE(nameBuffer.length, 22);
+
+        const local = Buffer.alloc(4);
+        local.writeUInt32LE(0x04034b50, 0);
+        locals.push(local, header, nameBuffer, compressed);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4); // made by: 2.0
+        header.copy(entry, 6);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, nameBuffer);
+
+        offset += 30 + nameBuffer.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function encodeXml(text) {
+    return String(text)
+        // Control characters other than tab and line ends are not allowed in XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Cell reference letters of a zero-based column, e.g. 27 -> "AB"
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Write rows as a single-sheet XLSX workbook. Numbers and booleans keep
+ * their type; everything else is written as inline text.
+ * @param {Array<Array<string|number|boolean|null>>} rows - Rows of cells
+ * @param {string} sheetName - Worksheet name (at most 31 characters, no []:*?/\)
+ * @returns {Buffer} The .xlsx file
+ */
+function writeXlsx(rows, sheetName = 'Sheet1') {
+    const name = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+
+    const sheetRows = rows.map((cells, rowIndex) => {
+        const rowNumber = rowIndex + 1;
+        const xml = cells.map((cell, columnIndex) => {
+            const reference = `${columnName(columnIndex)}${rowNumber}`;
+            if (cell === null || cell === undefined || cell === '') return '';
+            if (typeof cell === 'number' && Number.isFinite(cell)) {
+                return `<c r="${reference}"><v>${cell}</v></c>`;
+            }
+            if (typeof cell === 'boolean') {
+                return `<c r="${reference}" t="b"><v>${cell ? 1 : 0}</v></c>`;
+            }
+            return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${encodeXml(cell)}</t></is></c>`;
+        }).join('');
+
+        return `<row r="${rowNumber}">${xml}</row>`;
+    }).join('');
+
+    return writeZip({
+        '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>',
+        '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+            + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${encodeXml(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '</Relationships>',
+        'xl/worksheets/sheet1.xml': `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+            + `<sheetData>${sheetRows}</sheetData></worksheet>`
+    });
+}
+
+module.exports = {
+    parseCsv,
+    readXlsx,
+    excelSerialToDate,
+    toCsv,
+    writeXlsx
+};
@@ -2,8 +2,8 @@
 const LIFF_ID = '2007552096-OZ6MNvR8'; // New LIFF ID
 const API_URL = 'https://sales-tracker-api-dot-salesappfkt.as.r.appspot.com'; // Using existing backend
 
-// Activity Types with Emojis and Points
-const ACTIVITY_TYPES = [
+// Activity Types with Emojis and Points (built-in fallback; replaced by the server catalog)
+let ACTIVITY_TYPES = [
     { id: 'phone', name: 'Phone Call', emoji: '📱', points: 20, color: 'blue' },
     { id: 'meeting', name: 'Meeting', emoji: '🤝', points: 50, color: 'purple' },
     { id: 'quote', name: 'Quotation', emoji: '📋', points: 10, color: 'green' },
@@ -53,10 +53,36 @@ let userAchievements = [...ACHIEVEMENTS];
 let activityCounts = {};
 let totalPoints = 0;
 
+// Load the activity catalog from the server; keep the built-in list if it is unreachable
+async function loadActivityTypes() {
+    try {
+        const response = await fetch(`${API_URL}/api/activity-types`);
+        if (!response.ok) return;
+        
+        const catalog = await response.json();
+        if (!Array.isArray(catalog) || catalog.length === 0) return;
+        
+        ACTIVITY_TYPES = catalog.map(type => {
+            const builtIn = ACTIVITY_TYPES.find(t => t.id === type.id);
+            return {
+                id: type.id,
+                name: type.name,
+                emoji: type.emoji,
+                points: type.points,
+                color: builtIn ? builtIn.color : 'gray'
+            };
+        });
+    } catch (error) {
+        console.warn('Failed to load activity types, using built-in list:', error);
+    }
+}
+
 // Initialize App
 async function initializeApp() {
     console.log('initializeApp called');
     
+    await loadActivityTypes();
+    
     // Check if we're accessing from GitHub Pages directly
     const isGitHubPages = window.location.hostname === 'kri-ruj.github.io';
     
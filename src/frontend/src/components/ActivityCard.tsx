@@ -12,6 +12,10 @@ const activityIcons: Record<ActivityType, string> = {
   [ActivityType.OTHER]: '✨'
 };
 
+// Catalog ids outside the legacy enum get the icon of OTHER
+const isLegacyType = (type: string): type is ActivityType =>
+  (Object.values(ActivityType) as string[]).includes(type);
+
 interface ActivityCardProps {
   activity: Activity;
   onEdit?: (activity: Activity) => void;
@@ -19,7 +23,7 @@ interface ActivityCardProps {
 }
 
 export default function ActivityCard({ activity, onEdit, onDelete }: ActivityCardProps) {
-  const icon = activityIcons[activity.type] || '✨';
+  const icon = activityIcons[isLegacyType(activity.type) ? activity.type : ActivityType.OTHER];
   const timeAgo = formatDistanceToNow(new Date(activity.createdAt), { addSuffix: true });
 
   return (
@@ -1,5 +1,9 @@
 // Shared type definitions for Sales Tracker Pro
 
+// rep: own data; manager: own team's data; admin: everything and configuration.
+// 'user' and 'demo' are legacy values and are treated as rep.
+export type UserRole = 'rep' | 'manager' | 'admin' | 'user' | 'demo';
+
 export interface User {
   id: string;
   lineUserId?: string;
@@ -12,12 +16,31 @@ export interface User {
   lastActivityDate?: string;
   totalPoints: number;
   level: number;
-  role: 'user' | 'admin' | 'demo';
+  role: UserRole;
+  teamId?: string | null;
+  organizationId?: string | null;
   createdAt: Date;
   updatedAt: Date;
   settings?: UserSettings;
 }
 
+export interface Organization {
+  id: string;
+  name: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface Team {
+  id: string;
+  organizationId: string;
+  name: string;
+  timezone: string | null; // Defines the business day; null falls back to each member's UserSettings.timezone
+  dailyMessageLimit: number | null; // Team share of the LINE channel quota
+  createdAt: Date;
+  updatedAt: Date;
+}
+
 export interface UserSettings {
   notifications: boolean;
   language: 'th' | 'en';
@@ -28,17 +51,19 @@ export interface UserSettings {
 export interface Activity {
   id: string;
   userId: string;
-  type: ActivityType;
+  type: string; // ActivityTypeDefinition.id from the server catalog
   description: string;
   points: number;
   date: string;
   time: string;
   status: 'pending' | 'completed' | 'cancelled';
   metadata?: Record<string, any>;
+  clientId?: string; // UUID generated on the device; makes sync retries idempotent
   createdAt: Date;
   updatedAt: Date;
 }
 
+// Legacy activity ids; the server catalog accepts these as aliases
 export enum ActivityType {
   PHONE_CALL = 'phone_call',
   MEETING = 'meeting',
@@ -49,6 +74,18 @@ export enum ActivityType {
   OTHER = 'other'
 }
 
+// Entry of the server-side activity type catalog (GET /api/activity-types)
+export interface ActivityTypeDefinition {
+  id: string;
+  names: Record<'th' | 'en', string>;
+  emoji: string;
+  points: number;
+  dailyCap: number | null; // Max quantity per day that earns points
+  aliases?: string[];
+  active?: boolean;
+  sortOrder?: number;
+}
+
 export interface Achievement {
   id: string;
   name: string;
@@ -58,11 +95,42 @@ export interface Achievement {
   requirement: {
     type: 'streak' | 'total_points' | 'activity_count' | 'special';
     value: number;
-    activityType?: ActivityType;
+    activityType?: string;
   };
   unlockedAt?: Date;
 }
 
+export interface Target {
+  id: string;
+  scope: 'user' | 'team';
+  ownerId: string; // lineUserId or teamId
+  period: 'daily' | 'weekly' | 'monthly';
+  metric: string; // 'points' or an activity type id (counts quantity)
+  targetValue: number;
+  active: boolean;
+}
+
+export interface TargetProgress {
+  targetId: string;
+  scope: Target['scope'];
+  ownerId: string;
+  period: Target['period'];
+  metric: string;
+  targetValue: number;
+  startDate: string;
+  endDate: string;
+  actual: number;
+  remaining: number;
+  percentComplete: number;
+  elapsedDays: number;
+  totalDays: number;
+  expected: number;
+  pace: number; // actual / expected so far (1 = exactly on pace)
+  projected: number;
+  projectedAttainment: number; // Projected percentage of the target at period end
+  status: 'achieved' | 'ahead' | 'on_track' | 'behind';
+}
+
 export interface TeamStats {
   daily: LeaderboardEntry[];
   weekly: LeaderboardEntry[];
@@ -80,8 +148,38 @@ export interface LeaderboardEntry {
   pictureUrl?: string;
   points: number;
   activities: number;
+  meetings: number;
+  calls: number;
+  contracts: number;
+  conversion: number; // Meetings per phone call, 0 without calls
+  score: number; // Value of the board's ranking mode
+  reachedAt: string | null; // When the score was reached; earlier wins ties
   rank: number;
-  change: number; // Position change from previous period
+  change: number; // Position change from previous period (positive = moved up, 0 for newcomers)
+  previousRank?: number | null; // null when not ranked in the previous period
+  previousPoints?: number;
+  pointsChange?: number;
+  previousScore?: number;
+  scoreChange?: number;
+}
+
+export type LeaderboardMode = 'points' | 'meetings' | 'conversion' | 'contracts' | 'composite';
+
+// GET /api/leaderboard/:period and GET /api/leaderboard?from=&to=
+export interface Leaderboard {
+  period: 'daily' | 'weekly' | 'monthly' | 'custom';
+  mode: LeaderboardMode;
+  startDate: string;
+  endDate: string;
+  dealStage: string | null;
+  teamId: string | null;
+  entries: LeaderboardEntry[];
+  totalParticipants: number;
+  previous: {
+    startDate: string;
+    endDate: string;
+    totalParticipants: number;
+  };
 }
 
 export interface GroupRegistration {
@@ -90,6 +188,7 @@ export interface GroupRegistration {
   isActive: boolean;
   registeredAt: Date;
   registeredBy: string;
+  teamId?: string | null; // Team whose notifications the group receives
   notificationSettings?: {
     dailyLeaderboard: boolean;
     achievements: boolean;
@@ -121,12 +220,33 @@ export interface PaginatedResponse<T> extends ApiResponse<T[]> {
   };
 }
 
+// Per-item outcome of POST /api/activities/sync
+export type SyncItemStatus = 'accepted' | 'duplicate' | 'rejected';
+
+export interface SyncItemResult {
+  clientId: string | null;
+  status: SyncItemStatus;
+  activityId?: string;
+  points?: number;
+  capped?: boolean;
+  errors?: Array<{ path: string; message: string }>;
+}
+
+export interface SyncResponse {
+  success: boolean;
+  accepted: number;
+  duplicate: number;
+  rejected: number;
+  totalPoints: number;
+  results: SyncItemResult[];
+}
+
 // Authentication Types
 export interface AuthTokenPayload {
   userId: string;
   lineUserId?: string;
   googleId?: string;
-  role: 'user' | 'admin' | 'demo';
+  role: UserRole;
   iat?: number;
   exp?: number;
 }